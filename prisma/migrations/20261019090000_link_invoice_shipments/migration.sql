@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `Shipment` ADD COLUMN `invoiceId` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE INDEX `Shipment_invoiceId_idx` ON `Shipment`(`invoiceId`);
+
+-- AddForeignKey
+ALTER TABLE `Shipment` ADD CONSTRAINT `Shipment_invoiceId_fkey` FOREIGN KEY (`invoiceId`) REFERENCES `Invoice`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
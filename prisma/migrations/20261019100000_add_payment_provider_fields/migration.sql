@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `Payment` ADD COLUMN `completedAt` DATETIME(3) NULL,
+    ADD COLUMN `orderReference` VARCHAR(191) NULL,
+    ADD COLUMN `phoneNumber` VARCHAR(191) NULL,
+    ADD COLUMN `providerResponse` JSON NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `Payment_orderReference_key` ON `Payment`(`orderReference`);
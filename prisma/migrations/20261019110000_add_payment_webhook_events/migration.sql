@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE `PaymentWebhookEvent` (
+    `id` VARCHAR(191) NOT NULL,
+    `provider` VARCHAR(191) NOT NULL DEFAULT 'clickpesa',
+    `eventKey` VARCHAR(191) NOT NULL,
+    `eventType` VARCHAR(191) NULL,
+    `orderReference` VARCHAR(191) NULL,
+    `paymentId` VARCHAR(191) NULL,
+    `outcome` VARCHAR(191) NULL,
+    `payload` JSON NOT NULL,
+    `processedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `PaymentWebhookEvent_eventKey_key`(`eventKey`),
+    INDEX `PaymentWebhookEvent_orderReference_idx`(`orderReference`),
+    INDEX `PaymentWebhookEvent_paymentId_idx`(`paymentId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `PaymentWebhookEvent` ADD CONSTRAINT `PaymentWebhookEvent_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `Payment`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
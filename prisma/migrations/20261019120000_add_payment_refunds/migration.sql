@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE `Payment` ADD COLUMN `refundedAmount` DECIMAL(65, 30) NOT NULL DEFAULT 0,
+    ADD COLUMN `refundedAt` DATETIME(3) NULL,
+    ADD COLUMN `voidedAt` DATETIME(3) NULL,
+    ADD COLUMN `voidReason` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `PaymentRefund` (
+    `id` VARCHAR(191) NOT NULL,
+    `paymentId` VARCHAR(191) NOT NULL,
+    `amount` DECIMAL(65, 30) NOT NULL,
+    `reason` VARCHAR(191) NULL,
+    `createdById` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `PaymentRefund_paymentId_idx`(`paymentId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `PaymentRefund` ADD CONSTRAINT `PaymentRefund_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `Payment`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `ShipmentEvent` ADD COLUMN `overrideReason` VARCHAR(191) NULL;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE `ShipmentEvent` ADD COLUMN `type` VARCHAR(191) NOT NULL DEFAULT 'status',
+    ADD COLUMN `note` TEXT NULL,
+    ADD COLUMN `latitude` DECIMAL(9, 6) NULL,
+    ADD COLUMN `longitude` DECIMAL(9, 6) NULL,
+    ADD COLUMN `actorId` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE INDEX `ShipmentEvent_actorId_idx` ON `ShipmentEvent`(`actorId`);
+
+-- AddForeignKey
+ALTER TABLE `ShipmentEvent` ADD CONSTRAINT `ShipmentEvent_actorId_fkey` FOREIGN KEY (`actorId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
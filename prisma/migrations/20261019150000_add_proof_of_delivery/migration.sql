@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE `ProofOfDelivery` (
+    `id` VARCHAR(191) NOT NULL,
+    `shipmentId` VARCHAR(191) NOT NULL,
+    `recipientName` VARCHAR(191) NOT NULL,
+    `recipientRelationship` VARCHAR(191) NULL,
+    `signatureFilename` VARCHAR(191) NULL,
+    `signatureMimeType` VARCHAR(191) NULL,
+    `signatureSize` INTEGER NULL,
+    `signatureStorageKey` VARCHAR(191) NULL,
+    `photoFilename` VARCHAR(191) NULL,
+    `photoMimeType` VARCHAR(191) NULL,
+    `photoSize` INTEGER NULL,
+    `photoStorageKey` VARCHAR(191) NULL,
+    `deliveredAt` DATETIME(3) NOT NULL,
+    `capturedByUserId` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `ProofOfDelivery_shipmentId_key`(`shipmentId`),
+    INDEX `ProofOfDelivery_capturedByUserId_idx`(`capturedByUserId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `ProofOfDelivery` ADD CONSTRAINT `ProofOfDelivery_shipmentId_fkey` FOREIGN KEY (`shipmentId`) REFERENCES `Shipment`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ProofOfDelivery` ADD CONSTRAINT `ProofOfDelivery_capturedByUserId_fkey` FOREIGN KEY (`capturedByUserId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
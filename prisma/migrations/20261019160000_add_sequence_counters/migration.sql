@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE `SequenceCounter` (
+    `name` VARCHAR(191) NOT NULL,
+    `period` VARCHAR(191) NOT NULL DEFAULT '',
+    `value` INTEGER NOT NULL DEFAULT 0,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`name`, `period`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Continue tracking numbers after the legacy 0255 + 8 digit numbers
+INSERT INTO `SequenceCounter` (`name`, `period`, `value`, `updatedAt`)
+SELECT 'tracking', '', COALESCE(MAX(CAST(SUBSTRING(`trackingNumber`, 5) AS UNSIGNED)), 0), CURRENT_TIMESTAMP(3)
+FROM `Shipment`
+WHERE `trackingNumber` REGEXP '^0255[0-9]{8}$';
+
+-- Continue invoice numbers (INV-YYYYMM-NNNN) per month past any numeric legacy number
+INSERT INTO `SequenceCounter` (`name`, `period`, `value`, `updatedAt`)
+SELECT 'invoice', SUBSTRING(`invoiceNumber`, 5, 6), MAX(CAST(SUBSTRING(`invoiceNumber`, 12) AS UNSIGNED)), CURRENT_TIMESTAMP(3)
+FROM `Invoice`
+WHERE `invoiceNumber` REGEXP '^INV-[0-9]{6}-[0-9]+$'
+GROUP BY SUBSTRING(`invoiceNumber`, 5, 6);
+
+-- Continue booking request numbers (BR + year + counter) per year
+INSERT INTO `SequenceCounter` (`name`, `period`, `value`, `updatedAt`)
+SELECT 'booking_request', SUBSTRING(`id`, 3, 4), MAX(CAST(SUBSTRING(`id`, 7) AS UNSIGNED)), CURRENT_TIMESTAMP(3)
+FROM `BookingRequest`
+WHERE `id` REGEXP '^BR[0-9]{5,}$'
+GROUP BY SUBSTRING(`id`, 3, 4);
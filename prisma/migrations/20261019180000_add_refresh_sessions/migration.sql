@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE `RefreshSession` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `familyId` VARCHAR(191) NOT NULL,
+    `tokenHash` VARCHAR(191) NOT NULL,
+    `rememberMe` BOOLEAN NOT NULL DEFAULT false,
+    `userAgent` VARCHAR(191) NULL,
+    `ip` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `lastUsedAt` DATETIME(3) NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `revokedAt` DATETIME(3) NULL,
+    `revokedReason` VARCHAR(191) NULL,
+
+    UNIQUE INDEX `RefreshSession_tokenHash_key`(`tokenHash`),
+    INDEX `RefreshSession_userId_revokedAt_idx`(`userId`, `revokedAt`),
+    INDEX `RefreshSession_familyId_idx`(`familyId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `RefreshSession` ADD CONSTRAINT `RefreshSession_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
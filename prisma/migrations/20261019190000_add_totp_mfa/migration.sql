@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `totpEnabled` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `totpConfirmedAt` DATETIME(3) NULL,
+    ADD COLUMN `totpLastCounter` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `Role` ADD COLUMN `mfaPolicy` ENUM('EMAIL', 'TOTP', 'EMAIL_OR_TOTP') NOT NULL DEFAULT 'EMAIL_OR_TOTP';
+
+-- CreateTable
+CREATE TABLE `RecoveryCode` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `codeHash` VARCHAR(191) NOT NULL,
+    `usedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `RecoveryCode_userId_codeHash_key`(`userId`, `codeHash`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `RecoveryCode` ADD CONSTRAINT `RecoveryCode_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
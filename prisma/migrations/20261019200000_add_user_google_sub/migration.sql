@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `googleSub` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `User_googleSub_key` ON `User`(`googleSub`);
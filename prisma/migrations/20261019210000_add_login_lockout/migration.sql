@@ -0,0 +1,16 @@
+-- OTP attempts are now counted by the shared account lockout
+ALTER TABLE `User` DROP COLUMN `otpAttempts`,
+    DROP COLUMN `otpLastAttempt`,
+    ADD COLUMN `failedLoginCount` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `lastFailedLoginAt` DATETIME(3) NULL,
+    ADD COLUMN `lockedUntil` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `LoginThrottle` (
+    `key` VARCHAR(191) NOT NULL,
+    `failures` INTEGER NOT NULL DEFAULT 0,
+    `lastFailureAt` DATETIME(3) NOT NULL,
+    `blockedUntil` DATETIME(3) NULL,
+
+    PRIMARY KEY (`key`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE `ApiKey` (
+    `id` VARCHAR(191) NOT NULL,
+    `customerId` VARCHAR(191) NOT NULL,
+    `createdById` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `prefix` VARCHAR(191) NOT NULL,
+    `keyHash` VARCHAR(191) NOT NULL,
+    `scopes` JSON NOT NULL,
+    `rateLimitPerMinute` INTEGER NULL,
+    `expiresAt` DATETIME(3) NULL,
+    `lastUsedAt` DATETIME(3) NULL,
+    `lastUsedIp` VARCHAR(191) NULL,
+    `revokedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `ApiKey_prefix_key`(`prefix`),
+    UNIQUE INDEX `ApiKey_keyHash_key`(`keyHash`),
+    INDEX `ApiKey_customerId_revokedAt_idx`(`customerId`, `revokedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `ApiKey` ADD CONSTRAINT `ApiKey_customerId_fkey` FOREIGN KEY (`customerId`) REFERENCES `Customer`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ApiKey` ADD CONSTRAINT `ApiKey_createdById_fkey` FOREIGN KEY (`createdById`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,48 @@
+-- AlterTable
+ALTER TABLE `RolePermission` ADD COLUMN `scope` ENUM('ALL', 'BRANCH') NOT NULL DEFAULT 'ALL';
+
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `branchId` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `Customer` ADD COLUMN `branchId` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `Shipment` ADD COLUMN `originBranchId` VARCHAR(191) NULL,
+    ADD COLUMN `destBranchId` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `Branch` (
+    `id` VARCHAR(191) NOT NULL,
+    `code` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `cities` JSON NOT NULL,
+    `country` VARCHAR(191) NOT NULL DEFAULT 'Tanzania',
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `Branch_code_key`(`code`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `Customer_branchId_idx` ON `Customer`(`branchId`);
+
+-- CreateIndex
+CREATE INDEX `Shipment_originBranchId_idx` ON `Shipment`(`originBranchId`);
+
+-- CreateIndex
+CREATE INDEX `Shipment_destBranchId_idx` ON `Shipment`(`destBranchId`);
+
+-- AddForeignKey
+ALTER TABLE `User` ADD CONSTRAINT `User_branchId_fkey` FOREIGN KEY (`branchId`) REFERENCES `Branch`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Customer` ADD CONSTRAINT `Customer_branchId_fkey` FOREIGN KEY (`branchId`) REFERENCES `Branch`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Shipment` ADD CONSTRAINT `Shipment_originBranchId_fkey` FOREIGN KEY (`originBranchId`) REFERENCES `Branch`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Shipment` ADD CONSTRAINT `Shipment_destBranchId_fkey` FOREIGN KEY (`destBranchId`) REFERENCES `Branch`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
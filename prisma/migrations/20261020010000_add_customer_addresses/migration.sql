@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE `Shipment` ADD COLUMN `originContactName` VARCHAR(191) NULL,
+    ADD COLUMN `originContactPhone` VARCHAR(191) NULL,
+    ADD COLUMN `destContactName` VARCHAR(191) NULL,
+    ADD COLUMN `destContactPhone` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `CustomerAddress` (
+    `id` VARCHAR(191) NOT NULL,
+    `customerId` VARCHAR(191) NOT NULL,
+    `label` VARCHAR(191) NOT NULL,
+    `contactName` VARCHAR(191) NOT NULL,
+    `contactPhone` VARCHAR(191) NOT NULL,
+    `street` VARCHAR(191) NOT NULL,
+    `city` VARCHAR(191) NOT NULL,
+    `state` VARCHAR(191) NOT NULL,
+    `zipCode` VARCHAR(191) NOT NULL,
+    `country` VARCHAR(191) NOT NULL,
+    `isDefaultPickup` BOOLEAN NOT NULL DEFAULT false,
+    `isDefaultDelivery` BOOLEAN NOT NULL DEFAULT false,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `CustomerAddress_customerId_idx`(`customerId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `CustomerAddress` ADD CONSTRAINT `CustomerAddress_customerId_fkey` FOREIGN KEY (`customerId`) REFERENCES `Customer`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
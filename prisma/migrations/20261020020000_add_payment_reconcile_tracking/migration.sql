@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `Payment` ADD COLUMN `lastReconciledAt` DATETIME(3) NULL,
+    ADD COLUMN `reconcileAttempts` INTEGER NOT NULL DEFAULT 0;
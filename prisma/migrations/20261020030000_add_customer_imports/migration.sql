@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE `CustomerImport` (
+    `id` VARCHAR(191) NOT NULL,
+    `createdById` VARCHAR(191) NOT NULL,
+    `filename` VARCHAR(191) NOT NULL,
+    `format` VARCHAR(191) NOT NULL,
+    `mode` VARCHAR(191) NOT NULL,
+    `sendWelcomeEmails` BOOLEAN NOT NULL DEFAULT false,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'running',
+    `total` INTEGER NOT NULL,
+    `created` INTEGER NOT NULL DEFAULT 0,
+    `updated` INTEGER NOT NULL DEFAULT 0,
+    `failed` INTEGER NOT NULL DEFAULT 0,
+    `rows` JSON NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `finishedAt` DATETIME(3) NULL,
+
+    INDEX `CustomerImport_createdById_createdAt_idx`(`createdById`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `CustomerImport` ADD CONSTRAINT `CustomerImport_createdById_fkey` FOREIGN KEY (`createdById`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,13 @@
+/*
+  Assign branches to shipments (by origin/destination city) and customers (by city) that have
+  none yet. Existing assignments are kept. Same as POST /branches/backfill.
+  Run: npm run branches:backfill
+*/
+require('dotenv/config');
+const { prisma } = require('../src/lib/prisma');
+const { backfillBranches } = require('../src/lib/branches');
+
+backfillBranches()
+  .then((updated) => console.log('Branches assigned:', updated))
+  .catch((e) => { console.error(e); process.exit(1); })
+  .finally(async () => { await prisma.$disconnect(); });
@@ -0,0 +1,13 @@
+/*
+  Recompute totalOrders, totalSpent and averageOrderValue for every customer from their
+  shipments and invoices. Safe to re-run; use it after imports or to repair drift.
+  Run: npm run customers:metrics
+*/
+require('dotenv/config');
+const { prisma } = require('../src/lib/prisma');
+const { recalculateAllCustomerMetrics } = require('../src/lib/customerMetrics');
+
+recalculateAllCustomerMetrics()
+  .then((updated) => console.log('Customer metrics recomputed:', updated))
+  .catch((e) => { console.error(e); process.exit(1); })
+  .finally(async () => { await prisma.$disconnect(); });
@@ -0,0 +1,22 @@
+/*
+  Upsert the declared permission catalog (src/lib/permissionCatalog.js), ensure system roles
+  and grant ADMIN every declared permission. Safe to run repeatedly; the server also runs it
+  on startup unless PERMISSIONS_SYNC_ON_START=false.
+  Run: npm run permissions:sync
+*/
+require('dotenv/config');
+const { prisma } = require('../src/lib/prisma');
+const { syncPermissionCatalog, buildCatalogReport } = require('../src/lib/permissionCatalog');
+
+async function main() {
+  const summary = await syncPermissionCatalog();
+  const report = await buildCatalogReport();
+  console.log('Permission catalog synced:', summary);
+  if (report.missing.undeclared.length) {
+    console.warn('Checked in code but not declared in the catalog:', report.missing.undeclared.join(', '));
+  }
+}
+
+main()
+  .catch((e) => { console.error(e); process.exit(1); })
+  .finally(async () => { await prisma.$disconnect(); });
@@ -0,0 +1,100 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+process.env.JWT_ACCESS_SECRET = 'test-secret';
+process.env.API_KEY_RATE_LIMIT = '3';
+
+jest.mock('../lib/prisma', () => {
+  const customer: any = { id: 'cust_1', ownerId: 'user_1', type: 'BUSINESS', status: 'ACTIVE', owner: { status: 'ACTIVE' } };
+  const keys: any[] = [];
+  const client: any = {
+    customer: { findFirst: jest.fn(async ({ where }: any) => (where.ownerId === customer.ownerId ? customer : null)) },
+    apiKey: {
+      count: jest.fn(async () => keys.filter((k) => !k.revokedAt).length),
+      create: jest.fn(async ({ data }: any) => {
+        const row = { id: `key_${keys.length + 1}`, createdAt: new Date(), lastUsedAt: null, revokedAt: null, ...data };
+        keys.push(row);
+        return row;
+      }),
+      findMany: jest.fn(async ({ where }: any) => keys.filter((k) => k.customerId === where.customerId)),
+      findUnique: jest.fn(async ({ where }: any) => {
+        const row = keys.find((k) => (where.prefix ? k.prefix === where.prefix : k.id === where.id));
+        return row ? { ...row, customer } : null;
+      }),
+      update: jest.fn(async ({ where, data }: any) => Object.assign(keys.find((k) => k.id === where.id), data)),
+    },
+    shipment: {
+      findMany: jest.fn(async () => []),
+      count: jest.fn(async () => 0),
+    },
+    auditLog: { create: jest.fn(async () => ({})) },
+  };
+  client.__customer = customer;
+  return { __esModule: true, prisma: client };
+});
+
+import { app } from '../app';
+import { prisma } from '../lib/prisma';
+
+// @ts-ignore
+const customer = prisma.__customer;
+const ownerToken = jwt.sign({ sub: 'user_1', role: 'CUSTOMER' }, 'test-secret');
+
+describe('Customer API keys', () => {
+  let key = '';
+  let keyId = '';
+
+  it('creates a scoped key and only shows it once', async () => {
+    const res = await request(app).post('/api-keys').set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'ERP', scopes: ['shipments:read'] }).expect(201);
+    key = res.body.key;
+    keyId = res.body.id;
+    expect(key.startsWith(`${res.body.prefix}_`)).toBe(true);
+    expect(res.body.keyHash).toBeUndefined();
+
+    const list = await request(app).get('/api-keys').set('Authorization', `Bearer ${ownerToken}`).expect(200);
+    expect(list.body[0].key).toBeUndefined();
+    expect(list.body[0].prefix).toBe(res.body.prefix);
+  });
+
+  it('authenticates as the customer within its scopes', async () => {
+    await request(app).get('/shipments').set('X-API-Key', key).expect(200);
+    // @ts-ignore
+    expect(prisma.shipment.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: expect.objectContaining({ customerId: 'cust_1' }) }));
+    // @ts-ignore
+    expect(prisma.apiKey.update).toHaveBeenCalledWith(expect.objectContaining({ data: expect.objectContaining({ lastUsedAt: expect.any(Date) }) }));
+
+    const missing = await request(app).post('/shipments').set('Authorization', `Bearer ${key}`).send({}).expect(403);
+    expect(missing.body.error).toMatch('shipments:create');
+    // Key management and other endpoints are never reachable with a key
+    await request(app).get('/api-keys').set('X-API-Key', key).expect(403);
+    await request(app).get('/shipments/test').set('X-API-Key', key).expect(403);
+    await request(app).get('/shipments').set('X-API-Key', `${key}x`).expect(401);
+  });
+
+  it('enforces the per-key rate limit', async () => {
+    // One request already counted in this window; the limit is 3 per minute
+    await request(app).get('/shipments').set('X-API-Key', key).expect(200);
+    await request(app).get('/shipments').set('X-API-Key', key).expect(200);
+    const res = await request(app).get('/shipments').set('X-API-Key', key).expect(429);
+    expect(res.body.error).toBe('API key rate limit exceeded');
+  });
+
+  it('rejects revoked keys and refuses individual customers', async () => {
+    await request(app).delete(`/api-keys/${keyId}`).set('Authorization', `Bearer ${ownerToken}`).expect(200);
+    const revoked = await request(app).get('/shipments/abc').set('X-API-Key', key).expect(401);
+    expect(revoked.body.error).toBe('API key has been revoked');
+
+    customer.type = 'INDIVIDUAL';
+    await request(app).post('/api-keys').set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'ERP', scopes: ['invoices:read'] }).expect(403);
+  });
+
+  it('keeps invalid keys under the per-IP limit', async () => {
+    let status = 0;
+    for (let i = 0; i < 250 && status !== 429; i++) {
+      status = (await request(app).get('/shipments').set('X-API-Key', 'rtx_guess')).status;
+    }
+    expect(status).toBe(429);
+  });
+});
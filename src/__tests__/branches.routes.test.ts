@@ -0,0 +1,113 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+process.env.JWT_ACCESS_SECRET = 'test-secret';
+
+jest.mock('../lib/prisma', () => {
+  const shipments: any = {
+    shp_dar: { id: 'shp_dar', status: 'Pending', customerId: 'cust_1', originBranchId: 'br_dar', destBranchId: 'br_mwz', events: [] },
+    shp_aru: { id: 'shp_aru', status: 'Pending', customerId: 'cust_2', originBranchId: 'br_aru', destBranchId: null, events: [] },
+  };
+  const branches: any[] = [
+    { id: 'br_dar', code: 'DAR', name: 'Dar es Salaam', cities: ['Dar es Salaam', 'Kibaha'], isActive: true },
+    { id: 'br_aru', code: 'ARU', name: 'Arusha', cities: ['Arusha', 'Moshi'], isActive: true },
+  ];
+  // Permission grants (name, scope) and branch by user id
+  const users: any = {
+    staff_dar: { branchId: 'br_dar', grants: [['shipments:read', 'BRANCH'], ['shipments:create', 'ALL'], ['roles:assign_permissions', 'ALL']] },
+    staff_none: { branchId: null, grants: [['shipments:read', 'BRANCH']] },
+    admin_1: { branchId: 'br_dar', grants: [['shipments:manage', 'ALL'], ['shipments:read', 'BRANCH']] },
+  };
+  const client: any = {
+    shipment: {
+      count: jest.fn(async () => 1),
+      findMany: jest.fn(async () => []),
+      findUnique: jest.fn(async ({ where }: any) => shipments[where.id] || null),
+      create: jest.fn(async ({ data }: any) => {
+        shipments.shp_new = { id: 'shp_new', ...data, customer: { id: data.customerId }, events: [] };
+        return shipments.shp_new;
+      }),
+    },
+    shipmentEvent: { create: jest.fn(async () => ({})) },
+    branch: { findMany: jest.fn(async () => branches) },
+    customer: {
+      findFirst: jest.fn(async () => null),
+      findUnique: jest.fn(async () => ({ id: 'cust_1' })),
+    },
+    customerMember: { findUnique: jest.fn(async () => null) },
+    role: { findUnique: jest.fn(async () => ({ id: 'role_admin', name: 'ADMIN' })) },
+    permission: { findMany: jest.fn(async () => []) },
+    rolePermission: { deleteMany: jest.fn(), createMany: jest.fn() },
+    auditLog: { create: jest.fn(async () => ({})) },
+    user: {
+      findUnique: jest.fn(async ({ where }: any) => {
+        const u = users[where.id] || { branchId: null, grants: [] };
+        return {
+          branchId: u.branchId,
+          role: {
+            permissions: u.grants.map(([name, scope]: any) => ({
+              scope,
+              permission: { resource: name.split(':')[0], action: name.split(':')[1] },
+            })),
+          },
+        };
+      }),
+    },
+  };
+  client.$transaction = jest.fn(async (fn: any) => fn(client));
+  return { __esModule: true, prisma: client };
+});
+
+jest.mock('../services/sequenceService', () => ({
+  ...jest.requireActual('../services/sequenceService'),
+  nextTrackingNumber: jest.fn(async () => '025500000009'),
+}));
+
+import { app } from '../app';
+import { prisma } from '../lib/prisma';
+
+const tokenFor = (sub: string) => `Bearer ${jwt.sign({ sub, role: 'STAFF' }, 'test-secret')}`;
+
+describe('Branch-scoped access', () => {
+  it('limits branch-scoped staff to shipments of their branch', async () => {
+    await request(app).get('/shipments').set('Authorization', tokenFor('staff_dar')).expect(200);
+    // @ts-ignore
+    const { where } = prisma.shipment.findMany.mock.calls[0][0];
+    expect(where.AND).toEqual([{ OR: [{ originBranchId: 'br_dar' }, { destBranchId: 'br_dar' }] }]);
+
+    await request(app).get('/shipments/shp_dar').set('Authorization', tokenFor('staff_dar')).expect(200);
+    await request(app).get('/shipments/shp_aru').set('Authorization', tokenFor('staff_dar')).expect(403);
+    // A branch-scoped grant means nothing without a branch
+    await request(app).get('/shipments').set('Authorization', tokenFor('staff_none')).expect(403);
+  });
+
+  it('keeps the global view for resource:manage holders', async () => {
+    // @ts-ignore
+    prisma.shipment.findMany.mockClear();
+    await request(app).get('/shipments').set('Authorization', tokenFor('admin_1')).expect(200);
+    // @ts-ignore
+    expect(prisma.shipment.findMany.mock.calls[0][0].where.AND).toBeUndefined();
+    await request(app).get('/shipments/shp_aru').set('Authorization', tokenFor('admin_1')).expect(200);
+  });
+
+  it('assigns new shipments to the branches serving their cities', async () => {
+    await request(app).post('/shipments').set('Authorization', tokenFor('staff_dar')).send({
+      customerId: 'cust_1',
+      originStreet: '1 Bagamoyo Rd', originCity: 'dar es salaam', originState: '', originZip: '11101', originCountry: 'TZ',
+      destStreet: '2 Sokoine Rd', destCity: 'Moshi', destState: '', destZip: '25101', destCountry: 'TZ',
+      description: 'Parts', packageType: 'Box', weightValue: 2, weightUnit: 'kg', value: 100,
+    }).expect(201);
+    // @ts-ignore
+    expect(prisma.shipment.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ originBranchId: 'br_dar', destBranchId: 'br_aru' }),
+    }));
+  });
+
+  it('refuses branch scope on ADMIN grants', async () => {
+    const res = await request(app).post('/admin/roles/role_admin/permissions').set('Authorization', tokenFor('staff_dar'))
+      .send({ permissionIds: ['perm_1'], scopes: { perm_1: 'BRANCH' } }).expect(400);
+    expect(res.body.error).toMatch('ADMIN');
+    // @ts-ignore
+    expect(prisma.rolePermission.deleteMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,111 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+process.env.JWT_ACCESS_SECRET = 'test-secret';
+
+jest.mock('../lib/prisma', () => {
+  const customer: any = { id: 'cust_1', ownerId: 'owner_1', type: 'BUSINESS', status: 'ACTIVE', companyName: 'Acme Ltd' };
+  const addresses: any[] = [];
+  const matches = (row: any, where: any) => Object.entries(where).every(([key, value]: any) => {
+    if (key === 'NOT') return row.id !== value.id;
+    if (value && value.in) return value.in.includes(row[key]);
+    return row[key] === value;
+  });
+  const client: any = {
+    customer: {
+      findFirst: jest.fn(async ({ where }: any) => (where.ownerId === customer.ownerId ? customer : null)),
+      findUnique: jest.fn(async ({ where }: any) => (where.id === customer.id ? customer : null)),
+    },
+    customerMember: {
+      findUnique: jest.fn(async ({ where }: any) => (where.userId === 'viewer_1' ? { role: 'VIEWER', customer } : null)),
+    },
+    customerAddress: {
+      findMany: jest.fn(async ({ where }: any) => addresses.filter((a) => matches(a, where))),
+      findUnique: jest.fn(async ({ where }: any) => addresses.find((a) => a.id === where.id) || null),
+      create: jest.fn(async ({ data }: any) => {
+        const row = { id: `addr_${addresses.length + 1}`, ...data };
+        addresses.push(row);
+        return row;
+      }),
+      update: jest.fn(async ({ where, data }: any) => Object.assign(addresses.find((a) => a.id === where.id), data)),
+      updateMany: jest.fn(async ({ where, data }: any) => {
+        const rows = addresses.filter((a) => matches(a, where));
+        rows.forEach((a) => Object.assign(a, data));
+        return { count: rows.length };
+      }),
+    },
+    user: {
+      findUnique: jest.fn(async () => ({ branchId: null, role: { permissions: [] } })),
+    },
+    branch: { findMany: jest.fn(async () => []) },
+    shipment: {
+      create: jest.fn(async ({ data }: any) => ({ id: 'shp_1', ...data, customer })),
+      findUnique: jest.fn(async () => ({ id: 'shp_1', customer, events: [] })),
+    },
+    shipmentEvent: { create: jest.fn(async () => ({})) },
+    sequenceCounter: { update: jest.fn(async () => ({ value: 1 })) },
+    auditLog: { create: jest.fn(async () => ({})) },
+    notification: { create: jest.fn(async () => ({})) },
+  };
+  client.$transaction = jest.fn(async (fn: any) => fn(client));
+  return { __esModule: true, prisma: client };
+});
+
+jest.mock('../lib/notifications', () => ({
+  sendShipmentNotification: jest.fn(async () => {}),
+  sendNewShipmentNotification: jest.fn(async () => {}),
+}));
+
+import { app } from '../app';
+import { prisma } from '../lib/prisma';
+
+const tokenFor = (sub: string) => `Bearer ${jwt.sign({ sub, role: 'CUSTOMER' }, 'test-secret')}`;
+const warehouse = {
+  label: 'Warehouse', contactName: 'Juma', contactPhone: '+255700000001',
+  street: '12 Nyerere Rd', city: 'Dar es Salaam', zipCode: '11101', country: 'TZ', isDefaultPickup: true,
+};
+
+describe('Customer address book', () => {
+  it('validates the state rule and keeps one default pickup address', async () => {
+    const owner = tokenFor('owner_1');
+    const invalid = await request(app).post('/customers/me/addresses').set('Authorization', owner)
+      .send({ ...warehouse, label: 'NY office', country: 'US' }).expect(400);
+    expect(invalid.body.details[0].path).toEqual(['state']);
+
+    const first = await request(app).post('/customers/me/addresses').set('Authorization', owner).send(warehouse).expect(201);
+    expect(first.body).toMatchObject({ customerId: 'cust_1', state: '-', isDefaultPickup: true });
+    await request(app).post('/customers/me/addresses').set('Authorization', owner)
+      .send({ ...warehouse, label: 'Depot', street: '4 Port Rd' }).expect(201);
+
+    const list = await request(app).get('/customers/me/addresses').set('Authorization', owner).expect(200);
+    expect(list.body.map((a: any) => [a.label, a.isDefaultPickup])).toEqual([['Warehouse', false], ['Depot', true]]);
+  });
+
+  it('lets viewers read but not change the address book', async () => {
+    const viewer = tokenFor('viewer_1');
+    await request(app).get('/customers/me/addresses').set('Authorization', viewer).expect(200);
+    await request(app).patch('/customers/me/addresses/addr_1').set('Authorization', viewer).send({ label: 'Main' }).expect(403);
+    await request(app).get('/customers/cust_1/addresses').set('Authorization', viewer).expect(403);
+  });
+
+  it('copies saved addresses into a new shipment', async () => {
+    const res = await request(app).post('/shipments').set('Authorization', tokenFor('owner_1')).send({
+      customerId: 'ignored', description: 'Documents', packageType: 'Envelope', weightValue: 1, weightUnit: 'kg', value: 10,
+      originAddressId: 'addr_1',
+      destStreet: '1 Main St', destCity: 'Arusha', destState: '', destZip: '23101', destCountry: 'TZ',
+    });
+    expect(res.status).toBe(201);
+    // @ts-ignore
+    const { data } = prisma.shipment.create.mock.calls[0][0];
+    expect(data).toMatchObject({
+      customerId: 'cust_1', originStreet: '12 Nyerere Rd', originCity: 'Dar es Salaam', originZip: '11101',
+      originContactName: 'Juma', destCity: 'Arusha', destState: '-',
+    });
+    expect(data.originAddressId).toBeUndefined();
+
+    await request(app).post('/shipments').set('Authorization', tokenFor('owner_1')).send({
+      customerId: 'ignored', description: 'Documents', packageType: 'Envelope', weightValue: 1, weightUnit: 'kg', value: 10,
+      originAddressId: 'addr_404', destAddressId: 'addr_2',
+    }).expect(400);
+  });
+});
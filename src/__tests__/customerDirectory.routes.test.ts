@@ -0,0 +1,70 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+process.env.JWT_ACCESS_SECRET = 'test-secret';
+
+jest.mock('../lib/prisma', () => {
+  const customer: any = {
+    id: 'cust_42', customerNumber: 42, type: 'BUSINESS', status: 'ACTIVE', companyName: 'Acme Ltd',
+    email: 'ops@acme.test', city: 'Arusha', country: 'TZ', _count: { shipments: 7 },
+  };
+  // Branch-scoped staff: customers:read limited to their branch
+  const grants: any = { staff_1: { branchId: 'br_1', perms: [['customers', 'read', 'ALL']] }, branch_1: { branchId: 'br_1', perms: [['customers', 'read', 'BRANCH']] } };
+  const client: any = {
+    customer: {
+      count: jest.fn(async () => 31),
+      findMany: jest.fn(async ({ select }: any) => (select ? [{ id: customer.id, companyName: customer.companyName, email: customer.email }] : [customer])),
+    },
+    user: {
+      findUnique: jest.fn(async ({ where }: any) => {
+        const g = grants[where.id] || { branchId: null, perms: [] };
+        return { branchId: g.branchId, role: { permissions: g.perms.map(([resource, action, scope]: any) => ({ scope, permission: { resource, action } })) } };
+      }),
+    },
+  };
+  return { __esModule: true, prisma: client };
+});
+
+import { app } from '../app';
+import { prisma } from '../lib/prisma';
+
+const tokenFor = (sub: string) => `Bearer ${jwt.sign({ sub, role: 'STAFF' }, 'test-secret')}`;
+
+describe('Customer directory', () => {
+  it('pages, searches and filters the list', async () => {
+    const res = await request(app)
+      .get('/customers?page=2&pageSize=10&search=CUST000042&type=business&status=ACTIVE,SUSPENDED&city=Aru&createdTo=2026-06-30&sortBy=companyName&sortOrder=asc')
+      .set('Authorization', tokenFor('staff_1'))
+      .expect(200);
+    expect(res.body).toMatchObject({ total: 31, page: 2, pageSize: 10 });
+    expect(res.body.items[0]).toMatchObject({ id: 'cust_42', shipmentCount: 7 });
+    expect(res.body.items[0]._count).toBeUndefined();
+
+    // @ts-ignore
+    const args = prisma.customer.findMany.mock.calls[0][0];
+    expect(args).toMatchObject({ skip: 10, take: 10, orderBy: [{ companyName: 'asc' }, { id: 'asc' }] });
+    expect(args.where.AND).toEqual(expect.arrayContaining([
+      { OR: expect.arrayContaining([{ email: { contains: 'CUST000042' } }, { customerNumber: 42 }]) },
+      { type: { in: ['BUSINESS'] } },
+      { status: { in: ['ACTIVE', 'SUSPENDED'] } },
+      { city: { contains: 'Aru' } },
+      { createdAt: { lte: new Date('2026-06-30T23:59:59.999Z') } },
+    ]));
+
+    await request(app).get('/customers?type=COMPANY').set('Authorization', tokenFor('staff_1')).expect(400);
+  });
+
+  it('serves a lightweight typeahead within the user\'s branch', async () => {
+    const res = await request(app).get('/customers/lookup?q=acme').set('Authorization', tokenFor('branch_1')).expect(200);
+    expect(res.body).toEqual([{ id: 'cust_42', companyName: 'Acme Ltd', email: 'ops@acme.test', name: 'Acme Ltd' }]);
+
+    // @ts-ignore
+    const args = prisma.customer.findMany.mock.calls.at(-1)[0];
+    expect(args.take).toBe(10);
+    expect(args.where.AND).toEqual(expect.arrayContaining([
+      expect.objectContaining({ OR: expect.arrayContaining([{ branchId: 'br_1' }]) }),
+      { status: 'ACTIVE' },
+    ]));
+    await request(app).get('/customers/lookup').set('Authorization', tokenFor('nobody')).expect(403);
+  });
+});
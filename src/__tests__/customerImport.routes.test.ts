@@ -0,0 +1,162 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+process.env.JWT_ACCESS_SECRET = 'test-secret';
+
+jest.mock('../lib/prisma', () => {
+  const customers: any[] = [
+    { id: 'cust_1', customerNumber: 7, type: 'BUSINESS', status: 'ACTIVE', companyName: 'Acme, Ltd', email: 'ops@acme.test', city: 'Arusha', totalOrders: 4, totalSpent: 120.5, averageOrderValue: 30.13, createdAt: new Date('2026-01-02T00:00:00Z'), branchId: 'br_ark', branch: { code: 'ARK' } },
+  ];
+  const imports: any = {};
+  const grants: any = {
+    admin_1: ['customers:create', 'customers:update', 'customers:read', 'customers:export'],
+    clerk_1: ['customers:create'],
+    // Dar es Salaam branch staff: customers:read limited to their branch
+    dar_1: ['customers:create', 'customers:update', 'customers:read:BRANCH'],
+  };
+  const client: any = {
+    branch: { findMany: jest.fn(async () => [
+      { id: 'br_dar', code: 'DAR', isActive: true, cities: ['Dar es Salaam'] },
+      { id: 'br_ark', code: 'ARK', isActive: true, cities: ['Arusha'] },
+    ]) },
+    customer: {
+      findMany: jest.fn(async ({ where }: any) => {
+        const emails = where?.email?.in;
+        if (where?.id?.in) return customers.filter((c) => where.id.in.includes(c.id) && c.branchId === where.OR[0].branchId);
+        return emails ? customers.filter((c) => emails.includes(c.email)) : customers;
+      }),
+      count: jest.fn(async () => customers.length),
+      create: jest.fn(async ({ data }: any) => ({ id: `cust_${customers.length + 1}`, _count: { shipments: 0, invoices: 0 }, ...data })),
+      update: jest.fn(async ({ where, data }: any) => ({ id: where.id, ...data })),
+    },
+    user: {
+      findUnique: jest.fn(async ({ where }: any) => {
+        if (where.email) return null;
+        return {
+          branchId: where.id === 'dar_1' ? 'br_dar' : null,
+          role: { permissions: (grants[where.id] || []).map((name: string) => {
+            const [resource, action, scope] = name.split(':');
+            return { scope: scope || 'ALL', permission: { resource, action } };
+          }) },
+        };
+      }),
+      findMany: jest.fn(async ({ where }: any) => (where.email.in.includes('staff@rt.test') ? [{ id: 'staff_9', email: 'staff@rt.test' }] : [])),
+      create: jest.fn(async ({ data }: any) => ({ id: `user_${data.email}`, ...data })),
+    },
+    role: { findUnique: jest.fn(async () => ({ id: 'role_customer', name: 'CUSTOMER' })) },
+    customerImport: {
+      create: jest.fn(async ({ data }: any) => {
+        imports.imp_1 = { id: 'imp_1', status: 'running', created: 0, updated: 0, failed: 0, rows: null, ...data };
+        return { ...imports.imp_1 };
+      }),
+      update: jest.fn(async ({ where, data }: any) => Object.assign(imports[where.id], data)),
+      findUnique: jest.fn(async ({ where }: any) => imports[where.id] || null),
+    },
+    auditLog: { create: jest.fn(async () => ({})) },
+  };
+  return { __esModule: true, prisma: client };
+});
+
+import { app } from '../app';
+import { prisma } from '../lib/prisma';
+import { toCsv } from '../lib/spreadsheets';
+
+const tokenFor = (sub: string) => `Bearer ${jwt.sign({ sub, role: 'STAFF' }, 'test-secret')}`;
+const csv = [
+  'Type,Company Name,First Name,Last Name,Email,Phone,City,Branch',
+  'business,Beta Traders,,,NEW@beta.test,+255700000002,Dar es Salaam,',
+  'BUSINESS,Acme Ltd (renamed),,,ops@acme.test,,,DAR',
+  'INDIVIDUAL,,Jane,Doe,not-an-email,,,',
+  'INDIVIDUAL,,Sam,Staff,staff@rt.test,,,XYZ',
+  'INDIVIDUAL,,Dup,Licate,new@beta.test,,,',
+].join('\n');
+const valid = [
+  'type,companyName,email,phone,city',
+  'BUSINESS,Beta Traders,new@beta.test,+255700000002,Dar es Salaam',
+  'BUSINESS,"Acme, Ltd (renamed)",ops@acme.test,,',
+].join('\r\n');
+
+describe('Customer import and export', () => {
+  it('reports what each row would do in a dry run', async () => {
+    const res = await request(app).post('/customers/import').set('Authorization', tokenFor('admin_1'))
+      .attach('file', Buffer.from(csv), 'customers.csv').expect(200);
+    expect(res.body).toMatchObject({ dryRun: true, format: 'csv', total: 5, valid: 2, invalid: 3, toCreate: 1, toUpdate: 1 });
+    const byRow = Object.fromEntries(res.body.rows.map((r: any) => [r.row, r]));
+    expect(byRow[2]).toMatchObject({ action: 'create', email: 'new@beta.test' });
+    expect(byRow[3]).toMatchObject({ action: 'update', customerId: 'cust_1' });
+    expect(byRow[4].errors).toEqual([expect.objectContaining({ field: 'email' })]);
+    expect(byRow[5].errors.map((e: any) => e.message)).toEqual(["Unknown branch code 'XYZ'", 'Email belongs to an existing user account']);
+    expect(byRow[6].errors).toEqual([{ field: 'email', message: 'Same email as row 2' }]);
+    // @ts-ignore
+    expect(prisma.customer.create).not.toHaveBeenCalled();
+  });
+
+  it('commits only a file without errors, creating and updating customers', async () => {
+    await request(app).post('/customers/import').set('Authorization', tokenFor('admin_1'))
+      .field('dryRun', 'false').attach('file', Buffer.from(csv), 'customers.csv').expect(422);
+    // Updating existing customers needs customers:update
+    await request(app).post('/customers/import').set('Authorization', tokenFor('clerk_1'))
+      .field('dryRun', 'false').attach('file', Buffer.from(valid), 'customers.csv').expect(422);
+
+    const res = await request(app).post('/customers/import').set('Authorization', tokenFor('admin_1'))
+      .field('dryRun', 'false').attach('file', Buffer.from(valid), 'customers.csv').expect(202);
+    expect(res.body).toMatchObject({ committed: true, importId: 'imp_1', status: 'running', toCreate: 1, toUpdate: 1 });
+
+    // The rows are applied in the background; poll like a client would
+    let status: any;
+    for (let i = 0; i < 100; i++) {
+      status = await request(app).get('/customers/import/imp_1').set('Authorization', tokenFor('admin_1')).expect(200);
+      if (status.body.status !== 'running') break;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    expect(status.body).toMatchObject({ status: 'completed', total: 2, created: 1, updated: 1, failed: 0 });
+    expect(status.body.rows).toEqual([
+      { row: 2, email: 'new@beta.test', action: 'create', customerId: 'cust_2' },
+      { row: 3, email: 'ops@acme.test', action: 'update', customerId: 'cust_1' },
+    ]);
+    await request(app).get('/customers/import/imp_1').set('Authorization', tokenFor('clerk_1')).expect(404);
+    // @ts-ignore
+    expect(prisma.customer.create.mock.calls[0][0].data).toMatchObject({ email: 'new@beta.test', phone: '+255700000002', branchId: 'br_dar', ownerId: 'user_new@beta.test' });
+    // Only the columns in the file change; the email identifies the customer
+    // @ts-ignore
+    expect(prisma.customer.update).toHaveBeenCalledWith({ where: { id: 'cust_1' }, data: { type: 'BUSINESS', companyName: 'Acme, Ltd (renamed)' } });
+  });
+
+  it('does not let branch staff update customers of another branch', async () => {
+    const res = await request(app).post('/customers/import').set('Authorization', tokenFor('dar_1'))
+      .field('dryRun', 'false').attach('file', Buffer.from(valid), 'customers.csv').expect(422);
+    const row = res.body.rows.find((r: any) => r.email === 'ops@acme.test');
+    expect(row).toEqual({ row: 3, email: 'ops@acme.test', action: 'error', errors: [{ field: 'email', message: 'Customer with this email is outside your branch' }] });
+  });
+
+  it('exports the filtered list as CSV and XLSX', async () => {
+    await request(app).get('/customers/export').set('Authorization', tokenFor('clerk_1')).expect(403);
+
+    const res = await request(app).get('/customers/export?status=ACTIVE&sortBy=totalSpent').set('Authorization', tokenFor('admin_1')).expect(200);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="customers-\d{4}-\d{2}-\d{2}\.csv"/);
+    const [header, row] = res.text.trim().split('\r\n');
+    expect(header.split(',').slice(0, 3)).toEqual(['customerNumber', 'type', 'firstName']);
+    expect(row).toContain('CUST000007,BUSINESS,,,"Acme, Ltd",ops@acme.test');
+    expect(row).toContain(',ARK,ACTIVE,4,120.5,30.13,2026-01-02T00:00:00.000Z');
+    // @ts-ignore
+    expect(prisma.customer.findMany).toHaveBeenLastCalledWith(expect.objectContaining({ where: { AND: [{ status: { in: ['ACTIVE'] } }] } }));
+
+    const xlsx = await request(app).get('/customers/export?format=xlsx').set('Authorization', tokenFor('admin_1'))
+      .buffer(true).parse((r: any, cb: any) => {
+        const chunks: any[] = [];
+        r.on('data', (c: any) => chunks.push(c));
+        r.on('end', () => cb(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    // The export can be uploaded again as-is
+    const dryRun = await request(app).post('/customers/import').set('Authorization', tokenFor('admin_1'))
+      .attach('file', xlsx.body, 'customers.xlsx').expect(200);
+    expect(dryRun.body).toMatchObject({ format: 'xlsx', total: 1, toUpdate: 1, invalid: 0 });
+    expect(dryRun.body.ignoredColumns).toEqual(expect.arrayContaining(['customerNumber', 'status', 'totalSpent']));
+  });
+
+  it('keeps exported cells from being read as formulas', () => {
+    const csv = toCsv(['value'], [['-1+cmd|/C calc!A0'], ['=SUM(A1)'], ['@x'], ['\tcmd'], ['+255 712 000 000'], ['-5'], ['+2.5'], ['42']]);
+    expect(csv.trim().split('\r\n').slice(1)).toEqual(["'-1+cmd|/C calc!A0", "'=SUM(A1)", "'@x", "'\tcmd", "'+255 712 000 000", '-5', '+2.5', '42']);
+  });
+});
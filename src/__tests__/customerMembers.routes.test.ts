@@ -0,0 +1,140 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+process.env.JWT_ACCESS_SECRET = 'test-secret';
+
+jest.mock('../lib/prisma', () => {
+  const customer: any = { id: 'cust_1', ownerId: 'owner_1', type: 'BUSINESS', status: 'ACTIVE', companyName: 'Acme Ltd', createdAt: new Date() };
+  const members: any[] = [];
+  const invitations: any[] = [];
+  const users: any = {
+    owner_1: { id: 'owner_1', email: 'owner@acme.test', name: 'Owner', role: { name: 'CUSTOMER' } },
+    ops_1: { id: 'ops_1', email: 'ops@acme.test', name: 'Ops', role: { name: 'CUSTOMER' } },
+  };
+  const client: any = {
+    customer: { findFirst: jest.fn(async ({ where }: any) => (where.ownerId === customer.ownerId ? customer : null)) },
+    customerMember: {
+      findUnique: jest.fn(async ({ where }: any) => {
+        const m = members.find((row) => row.userId === where.userId);
+        return m ? { ...m, customer } : null;
+      }),
+      findMany: jest.fn(async () => members.map((m) => ({ ...m, user: users[m.userId] }))),
+      create: jest.fn(async ({ data }: any) => {
+        const row = { id: `mem_${members.length + 1}`, createdAt: new Date(), ...data };
+        members.push(row);
+        return row;
+      }),
+    },
+    customerInvitation: {
+      updateMany: jest.fn(async ({ where, data }: any) => {
+        const rows = invitations.filter((i) => (where.id ? i.id === where.id : i.email === where.email) && !i.acceptedAt && !i.revokedAt);
+        rows.forEach((i) => Object.assign(i, data));
+        return { count: rows.length };
+      }),
+      create: jest.fn(async ({ data }: any) => {
+        const row = { id: `inv_${invitations.length + 1}`, createdAt: new Date(), acceptedAt: null, revokedAt: null, ...data };
+        invitations.push(row);
+        return row;
+      }),
+      findUnique: jest.fn(async ({ where }: any) => {
+        const row = invitations.find((i) => i.tokenHash === where.tokenHash);
+        return row ? { ...row, customer } : null;
+      }),
+    },
+    user: {
+      findUnique: jest.fn(async ({ where }: any) => {
+        if (where.email) return Object.values(users).find((u: any) => u.email === where.email) || null;
+        // Permission lookups: customer accounts hold no staff permissions
+        return users[where.id] ? { ...users[where.id], branchId: null, role: { permissions: [] } } : null;
+      }),
+      create: jest.fn(async ({ data }: any) => {
+        const row = { id: 'user_new', ...data, role: { name: 'CUSTOMER' } };
+        users[row.id] = row;
+        return row;
+      }),
+    },
+    role: { upsert: jest.fn(async () => ({ id: 'role_customer', name: 'CUSTOMER' })) },
+    refreshSession: {
+      create: jest.fn(async ({ data }: any) => ({ id: 'rs_1', ...data })),
+      // Only the family signed in as fam_live is still active
+      findFirst: jest.fn(async ({ where }: any) => (where.familyId === 'fam_live' ? { id: 'rs_live' } : null)),
+    },
+    shipment: { count: jest.fn(async () => 0), findMany: jest.fn(async () => []) },
+    invoice: { count: jest.fn(async () => 0), findMany: jest.fn(async () => []) },
+    auditLog: { create: jest.fn(async () => ({})) },
+  };
+  // Rolls the invitations back when the callback throws, like the database would
+  client.$transaction = jest.fn(async (fn: any) => {
+    const saved = invitations.map((i) => ({ ...i }));
+    try {
+      return await fn(client);
+    } catch (e) {
+      saved.forEach((row, n) => Object.assign(invitations[n], row));
+      throw e;
+    }
+  });
+  return { __esModule: true, prisma: client };
+});
+
+import { app } from '../app';
+import { prisma } from '../lib/prisma';
+
+const tokenFor = (sub: string) => `Bearer ${jwt.sign({ sub, role: 'CUSTOMER' }, 'test-secret')}`;
+
+describe('Customer team members', () => {
+  let inviteToken = '';
+
+  it('lets the owner invite a shipper by email', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const res = await request(app).post('/customers/me/invitations').set('Authorization', tokenFor('owner_1'))
+      .send({ email: 'Clerk@Acme.test', role: 'SHIPPER' }).expect(201);
+    expect(res.body).toMatchObject({ email: 'clerk@acme.test', role: 'SHIPPER', status: 'PENDING' });
+    expect(res.body.tokenHash).toBeUndefined();
+
+    const logged = warn.mock.calls.map((args) => String(args[0])).join('\n');
+    inviteToken = String(/accept-invitation\?token=([a-f0-9]+)/.exec(logged)?.[1]);
+    warn.mockRestore();
+  });
+
+  it('creates the account on acceptance and scopes it to the customer', async () => {
+    await request(app).post('/auth/invitations/accept').send({ token: inviteToken }).expect(400);
+    const res = await request(app).post('/auth/invitations/accept')
+      .send({ token: inviteToken, name: 'Shipping Clerk', password: 'secret123' }).expect(200);
+    expect(res.body).toMatchObject({ customerId: 'cust_1', role: 'SHIPPER', userCreated: true });
+    expect(res.body.accessToken).toBeDefined();
+    await request(app).post('/auth/invitations/accept').send({ token: inviteToken, name: 'Again', password: 'secret123' }).expect(400);
+
+    await request(app).get('/shipments').set('Authorization', tokenFor('user_new')).expect(200);
+    // @ts-ignore
+    expect(prisma.shipment.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: expect.objectContaining({ customerId: 'cust_1' }) }));
+  });
+
+  it('applies the member role to customer-scoped routes', async () => {
+    // Shippers do not see invoices and cannot manage the team
+    await request(app).get('/invoices').set('Authorization', tokenFor('user_new')).expect(403);
+    await request(app).post('/customers/me/invitations').set('Authorization', tokenFor('user_new'))
+      .send({ email: 'ap@acme.test', role: 'BILLING' }).expect(403);
+
+    const list = await request(app).get('/customers/me/members').set('Authorization', tokenFor('user_new')).expect(200);
+    expect(list.body.map((m: any) => [m.user.id, m.role, m.primary])).toEqual([['owner_1', 'OWNER', true], ['user_new', 'SHIPPER', false]]);
+  });
+
+  it('lets an existing user accept only with a live session', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await request(app).post('/customers/me/invitations').set('Authorization', tokenFor('owner_1'))
+      .send({ email: 'ops@acme.test', role: 'BILLING' }).expect(201);
+    const token = String(/accept-invitation\?token=([a-f0-9]+)/.exec(warn.mock.calls.map((args) => String(args[0])).join('\n'))?.[1]);
+    warn.mockRestore();
+
+    const signedIn = (sid: string) => `Bearer ${jwt.sign({ sub: 'ops_1', role: 'CUSTOMER', sid }, 'test-secret')}`;
+    await request(app).post('/auth/invitations/accept').set('Authorization', signedIn('fam_revoked')).send({ token }).expect(401);
+
+    // A failed membership insert rolls the accept back instead of burning the invitation
+    // @ts-ignore
+    prisma.customerMember.create.mockRejectedValueOnce(Object.assign(new Error('Unique constraint'), { code: 'P2002', meta: { target: 'CustomerMember_userId_key' } }));
+    await request(app).post('/auth/invitations/accept').set('Authorization', signedIn('fam_live')).send({ token }).expect(409);
+
+    const res = await request(app).post('/auth/invitations/accept').set('Authorization', signedIn('fam_live')).send({ token }).expect(200);
+    expect(res.body).toMatchObject({ customerId: 'cust_1', role: 'BILLING', userCreated: false });
+  });
+});
@@ -0,0 +1,85 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+process.env.JWT_ACCESS_SECRET = 'test-secret';
+
+jest.mock('../lib/prisma', () => {
+  const customers: any[] = [
+    { id: 'cust_1', customerNumber: 1, preferredCurrency: 'TZS', totalOrders: 12, totalSpent: 900, _count: { shipments: 12 } },
+    { id: 'cust_2', customerNumber: 2, preferredCurrency: 'TZS', totalOrders: 3, totalSpent: 150, _count: { shipments: 3 } },
+    { id: 'cust_3', customerNumber: 3, preferredCurrency: 'TZS', totalOrders: 0, totalSpent: 0, _count: { shipments: 0 } },
+  ];
+  const shipment: any = { id: 'shp_1', trackingNumber: '025500000001', status: 'Pending', customerId: 'cust_2', customer: { id: 'cust_2' } };
+  const client: any = {
+    customer: {
+      findMany: jest.fn(async ({ where }: any) => (where.id ? customers.filter((c) => where.id.in.includes(c.id)) : customers)),
+      findUnique: jest.fn(async ({ where }: any) => customers.find((c) => c.id === where.id) || null),
+      count: jest.fn(async () => customers.length),
+      update: jest.fn(async ({ where, data }: any) => ({ id: where.id, ...data })),
+    },
+    shipment: {
+      findUnique: jest.fn(async () => shipment),
+      updateMany: jest.fn(async ({ data }: any) => {
+        Object.assign(shipment, data);
+        return { count: 1 };
+      }),
+      count: jest.fn(async () => 2),
+      groupBy: jest.fn(async () => [{ customerId: 'cust_2', _count: { _all: 3 } }, { customerId: 'cust_1', _count: { _all: 1 } }]),
+    },
+    invoice: {
+      aggregate: jest.fn(async () => ({ _sum: { paidAmount: 150 } })),
+      groupBy: jest.fn(async () => [
+        { customerId: 'cust_2', currency: 'TZS', _sum: { paidAmount: 150 } },
+        { customerId: 'cust_1', currency: 'TZS', _sum: { paidAmount: 40 } },
+        // Not added to cust_3's TZS spend
+        { customerId: 'cust_3', currency: 'USD', _sum: { paidAmount: 500 } },
+      ]),
+    },
+    shipmentEvent: { create: jest.fn(async () => ({})) },
+    notification: { create: jest.fn(async () => ({})) },
+    auditLog: { create: jest.fn(async () => ({})) },
+    user: {
+      findUnique: jest.fn(async () => ({
+        branchId: null,
+        role: { permissions: ['customers:read', 'shipments:manage'].map((name) => ({ permission: { resource: name.split(':')[0], action: name.split(':')[1] } })) },
+      })),
+    },
+  };
+  client.$transaction = jest.fn(async (fn: any) => fn(client));
+  return { __esModule: true, prisma: client };
+});
+
+import { app } from '../app';
+import { prisma } from '../lib/prisma';
+
+const staffToken = `Bearer ${jwt.sign({ sub: 'staff_1', role: 'STAFF' }, 'test-secret')}`;
+
+describe('Customer metrics', () => {
+  it('recomputes the customer\'s metrics when a shipment is cancelled', async () => {
+    await request(app).patch('/shipments/shp_1/status').set('Authorization', staffToken).send({ status: 'Cancelled' }).expect(200);
+    // @ts-ignore
+    expect(prisma.customer.update).toHaveBeenCalledWith({
+      where: { id: 'cust_2' },
+      data: { totalOrders: 2, totalSpent: 150, averageOrderValue: 75 },
+    });
+    // @ts-ignore
+    expect(prisma.invoice.aggregate).toHaveBeenCalledWith(expect.objectContaining({ where: { customerId: 'cust_2', currency: 'TZS' } }));
+  });
+
+  it('filters and sorts by lifetime metrics in the database', async () => {
+    await request(app).get('/customers?sortBy=totalSpent&minOrders=1').set('Authorization', staffToken).expect(200);
+    // @ts-ignore
+    expect(prisma.customer.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+      where: { AND: [{ totalOrders: { gte: 1 } }] },
+      orderBy: [{ totalSpent: 'desc' }, { id: 'asc' }],
+    }));
+    await request(app).get('/customers?sortBy=lifetime').set('Authorization', staffToken).expect(400);
+  });
+
+  it('ranks customers by spend over a recent period', async () => {
+    const res = await request(app).get('/customers?sortBy=totalSpent&periodDays=90&minSpent=1').set('Authorization', staffToken).expect(200);
+    expect(res.body.items.map((c: any) => [c.id, c.period.totalSpent, c.period.totalOrders])).toEqual([['cust_2', 150, 3], ['cust_1', 40, 1]]);
+    expect(res.body).toMatchObject({ total: 2, page: 1, pageSize: 25 });
+    expect(res.body.items[0].period.days).toBe(90);
+  });
+});
@@ -55,6 +55,6 @@ describe('Customer routes', () => {
       .set('Authorization', 'Bearer test')
       .expect(200);
 
-    expect(Array.isArray(res.body)).toBe(true);
+    expect(Array.isArray(res.body.items)).toBe(true);
   });
 });
@@ -0,0 +1,119 @@
+import request from 'supertest';
+import express from 'express';
+import crypto from 'crypto';
+
+process.env.JWT_ACCESS_SECRET = 'test-secret';
+process.env.FRONTEND_ORIGIN = 'http://frontend.test';
+process.env.GOOGLE_CLIENT_ID = 'client-123';
+process.env.GOOGLE_CLIENT_SECRET = 'shh';
+process.env.GOOGLE_REDIRECT_URI = 'http://api.test/auth/google/callback';
+
+jest.mock('../lib/notifications', () => ({ sendNewCustomerNotification: jest.fn(async () => undefined) }));
+
+jest.mock('../lib/prisma', () => {
+  const users: any[] = [
+    { id: 'staff_1', email: 'staff@example.com', name: 'Staff', status: 'ACTIVE', googleSub: null, role: { name: 'STAFF' } },
+    // Signed up with Google as a customer, later granted the admin portal
+    { id: 'user_9', email: 'promoted@example.com', name: 'Promoted', status: 'ACTIVE', googleSub: 'g-9', role: { name: 'CUSTOMER', permissions: [{ permission: { resource: 'admin_portal', action: 'access' } }] } },
+  ];
+  const customers: any[] = [];
+  const client: any = {
+    user: {
+      findUnique: jest.fn(async ({ where }: any) => users.find((u) => (where.id ? u.id === where.id : where.googleSub ? u.googleSub === where.googleSub : u.email === where.email)) || null),
+      update: jest.fn(async ({ where, data }: any) => Object.assign(users.find((u) => u.id === where.id), data)),
+      create: jest.fn(async ({ data }: any) => {
+        const row = { id: `user_${users.length + 1}`, ...data, role: { name: 'CUSTOMER' } };
+        users.push(row);
+        return row;
+      }),
+    },
+    role: { upsert: jest.fn(async () => ({ id: 'role_customer', name: 'CUSTOMER' })) },
+    customer: {
+      findUnique: jest.fn(async ({ where }: any) => customers.find((c) => c.email === where.email) || null),
+      create: jest.fn(async ({ data }: any) => { customers.push(data); return data; }),
+      update: jest.fn(async () => ({})),
+    },
+    refreshSession: { create: jest.fn(async ({ data }: any) => ({ id: 'rs_1', ...data })) },
+    auditLog: { create: jest.fn(async () => ({})) },
+  };
+  client.$transaction = jest.fn(async (fn: any) => fn(client));
+  return { __esModule: true, prisma: client };
+});
+
+import { app } from '../app';
+import { prisma } from '../lib/prisma';
+
+// Minimal identity provider: checks the PKCE verifier and returns a canned profile
+const issued = new Map<string, any>();
+const idp = express();
+idp.use(express.urlencoded({ extended: false }));
+idp.post('/token', (req, res) => {
+  const grant = issued.get(req.body.code);
+  const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier)).digest('base64url');
+  if (!grant || grant.challenge !== challenge || req.body.client_secret !== 'shh') return res.status(400).json({ error: 'invalid_grant' });
+  res.json({ access_token: `at-${req.body.code}`, token_type: 'Bearer' });
+});
+idp.get('/userinfo', (req, res) => {
+  const grant = issued.get(String(req.headers.authorization).replace('Bearer at-', ''));
+  if (!grant) return res.status(401).end();
+  res.json(grant.profile);
+});
+
+let server: any;
+beforeAll((done) => {
+  server = idp.listen(0, () => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    process.env.GOOGLE_AUTH_URL = `${base}/authorize`;
+    process.env.GOOGLE_TOKEN_URL = `${base}/token`;
+    process.env.GOOGLE_USERINFO_URL = `${base}/userinfo`;
+    done();
+  });
+});
+afterAll((done) => { server.close(done); });
+
+async function signInWith(profile: any, { tamperState = false } = {}) {
+  const start = await request(app).get('/auth/google/start?returnTo=/shipments').expect(302);
+  const authorize = new URL(start.headers.location);
+  expect(authorize.searchParams.get('code_challenge_method')).toBe('S256');
+  const cookie = String(start.headers['set-cookie'][0]).split(';')[0];
+  const code = crypto.randomBytes(8).toString('hex');
+  issued.set(code, { challenge: authorize.searchParams.get('code_challenge'), profile });
+  const state = tamperState ? 'forged-state-value-0123456789abcdef' : authorize.searchParams.get('state');
+  const callback = await request(app).get(`/auth/google/callback?code=${code}&state=${state}`).set('Cookie', cookie).expect(302);
+  return { location: new URL(callback.headers.location), cookies: callback.headers['set-cookie'] || [] };
+}
+
+describe('Google sign-in', () => {
+  it('creates a customer for a new verified Google account', async () => {
+    const { location, cookies } = await signInWith({ sub: 'g-1', email: 'Neema@Example.com', email_verified: true, given_name: 'Neema', family_name: 'Juma' });
+    expect(location.pathname).toBe('/auth/google/complete');
+    expect(location.searchParams.get('returnTo')).toBe('/shipments');
+    expect(cookies.some((c: string) => c.startsWith('refresh_token='))).toBe(true);
+    // @ts-ignore
+    expect(prisma.customer.create).toHaveBeenCalledWith({ data: expect.objectContaining({ email: 'neema@example.com', firstName: 'Neema', lastName: 'Juma' }) });
+  });
+
+  it('signs the same Google account back in without creating another user', async () => {
+    const { location } = await signInWith({ sub: 'g-1', email: 'neema@example.com', email_verified: true });
+    expect(location.pathname).toBe('/auth/google/complete');
+    // @ts-ignore
+    expect(prisma.user.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses staff accounts, unverified emails and a forged state', async () => {
+    const staff = await signInWith({ sub: 'g-2', email: 'staff@example.com', email_verified: true });
+    expect(staff.location.searchParams.get('error')).toBe('not_a_customer_account');
+
+    const unverified = await signInWith({ sub: 'g-3', email: 'new@example.com', email_verified: false });
+    expect(unverified.location.searchParams.get('error')).toBe('email_not_verified');
+
+    const forged = await signInWith({ sub: 'g-1', email: 'neema@example.com', email_verified: true }, { tamperState: true });
+    expect(forged.location.searchParams.get('error')).toBe('google_state_mismatch');
+  });
+
+  it('refuses a linked Google account once its user is given admin portal access', async () => {
+    const { location, cookies } = await signInWith({ sub: 'g-9', email: 'promoted@example.com', email_verified: true });
+    expect(location.searchParams.get('error')).toBe('not_a_customer_account');
+    expect(cookies.some((c: string) => c.startsWith('refresh_token='))).toBe(false);
+  });
+});
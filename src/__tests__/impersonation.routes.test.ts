@@ -0,0 +1,79 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+process.env.JWT_ACCESS_SECRET = 'test-secret';
+
+jest.mock('../lib/prisma', () => {
+  const grants: any = {
+    support_1: ['users:impersonate', 'admin_portal:access'],
+    staff_2: ['admin_portal:access'],
+  };
+  const users: any = {
+    cust_user: { id: 'cust_user', email: 'owner@acme.test', name: 'Acme Owner', status: 'ACTIVE', role: { name: 'CUSTOMER' } },
+    staff_2: { id: 'staff_2', email: 'staff@rt.test', name: 'Staff', status: 'ACTIVE', role: { name: 'STAFF' } },
+  };
+  const client: any = {
+    user: {
+      findUnique: jest.fn(async ({ where, select }: any) => {
+        if (select?.email) return users[where.id] || null;
+        return { role: { permissions: (grants[where.id] || []).map((name: string) => ({ permission: { resource: name.split(':')[0], action: name.split(':')[1] } })) } };
+      }),
+    },
+    customer: {
+      findFirst: jest.fn(async ({ where }: any) => (where.ownerId === 'cust_user'
+        ? { id: 'cust_1', customerNumber: 1, type: 'BUSINESS', companyName: 'Acme', email: 'owner@acme.test' }
+        : null)),
+    },
+    // A staff account that is also on a customer team must still be refused
+    customerMember: {
+      findUnique: jest.fn(async ({ where }: any) => (where.userId === 'staff_2' ? { role: 'VIEWER', customer: { id: 'cust_9' } } : null)),
+    },
+    shipment: { count: jest.fn(async () => 0), findMany: jest.fn(async () => []) },
+    auditLog: { create: jest.fn(async () => ({})) },
+  };
+  return { __esModule: true, prisma: client };
+});
+
+import { app } from '../app';
+import { prisma } from '../lib/prisma';
+
+const supportToken = `Bearer ${jwt.sign({ sub: 'support_1', role: 'SUPPORT' }, 'test-secret')}`;
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('Impersonation', () => {
+  let token = '';
+
+  it('issues a flagged, short-lived token for a customer account', async () => {
+    await request(app).post('/admin/users/cust_user/impersonate').set('Authorization', supportToken).send({}).expect(400);
+    const res = await request(app).post('/admin/users/cust_user/impersonate').set('Authorization', supportToken)
+      .send({ reason: 'Customer cannot find invoice' }).expect(200);
+    token = res.body.accessToken;
+    const payload: any = jwt.decode(token);
+    expect(payload).toMatchObject({ sub: 'cust_user', imp: { actorId: 'support_1', reason: 'Customer cannot find invoice' } });
+    expect(payload.exp - payload.iat).toBe(15 * 60);
+    // @ts-ignore
+    expect(prisma.auditLog.create).toHaveBeenCalledWith({ data: expect.objectContaining({ actorId: 'support_1', action: 'IMPERSONATION_START', entityId: 'cust_user' }) });
+  });
+
+  it('refuses staff accounts and callers without the permission', async () => {
+    await request(app).post('/admin/users/staff_2/impersonate').set('Authorization', supportToken).send({ reason: 'Check view' }).expect(400);
+    const staffToken = `Bearer ${jwt.sign({ sub: 'staff_2', role: 'STAFF' }, 'test-secret')}`;
+    await request(app).post('/admin/users/cust_user/impersonate').set('Authorization', staffToken).send({ reason: 'Check view' }).expect(403);
+  });
+
+  it('sees what the customer sees, read-only, with every request audited', async () => {
+    // @ts-ignore
+    prisma.auditLog.create.mockClear();
+    const me = await request(app).get('/customers/me').set('Authorization', `Bearer ${token}`).expect(200);
+    expect(me.body.id).toBe('cust_1');
+    await request(app).post('/shipments').set('Authorization', `Bearer ${token}`).send({}).expect(403);
+    await flush();
+
+    // @ts-ignore
+    const entries = prisma.auditLog.create.mock.calls.map(([arg]: any) => arg.data);
+    expect(entries).toEqual([
+      expect.objectContaining({ actorId: 'support_1', action: 'IMPERSONATION_REQUEST', details: expect.objectContaining({ impersonatedUserId: 'cust_user', method: 'GET', path: '/customers/me', status: 200 }) }),
+      expect.objectContaining({ actorId: 'support_1', action: 'IMPERSONATION_REQUEST', details: expect.objectContaining({ method: 'POST', path: '/shipments', status: 403 }) }),
+    ]);
+  });
+});
@@ -1,15 +1,7 @@
 import request from 'supertest';
-import { app } from '../app';
-
-// Minimal stubs for auth: inject a valid Authorization header
-const token = `Bearer ${Buffer.from('test').toString('base64')}`; // middleware expects JWT verify; in real tests, mock verify
+import jwt from 'jsonwebtoken';
 
-jest.mock('jsonwebtoken', () => ({
-  __esModule: true,
-  default: {
-    verify: () => ({ sub: 'user_1', role: 'ADMIN' })
-  }
-}));
+process.env.JWT_ACCESS_SECRET = 'test-secret';
 
 jest.mock('../lib/prisma', () => {
   const now = new Date();
@@ -27,17 +19,39 @@ jest.mock('../lib/prisma', () => {
     prisma: {
       invoice: {
         findUnique: jest.fn(async ({ where }: any) => where.id === 'inv_1' ? invoice : null),
-        findMany: jest.fn(async () => [invoice])
+        findMany: jest.fn(async () => [invoice]),
+        create: jest.fn(async ({ data }: any) => ({ ...invoice, ...data, id: 'inv_2' }))
+      },
+      shipment: {
+        findMany: jest.fn(async ({ where }: any) => where.id.in.map((id: string) => ({
+          id, trackingNumber: `0255${id}`, customerId: id === 'shp_other' ? 'cust_2' : 'cust_1', invoiceId: id === 'shp_billed' ? 'inv_1' : null
+        })))
+      },
+      user: {
+        findUnique: jest.fn(async () => ({ role: { permissions: [{ permission: { resource: 'invoices', action: 'manage' } }] } }))
       },
       payment: {
         findMany: jest.fn(async () => []),
         aggregate: jest.fn(async () => ({ _sum: { amount: 0 } }))
       },
-      customer: { findFirst: jest.fn(async () => ({ id: 'cust_1' })) }
+      sequenceCounter: {
+        update: jest.fn(async () => ({ value: 7 }))
+      },
+      auditLog: { create: jest.fn(async () => ({})) },
+      $transaction: jest.fn(async (fn: any) => fn({ sequenceCounter: { update: jest.fn(async () => ({ value: 7 })) } })),
+      customer: {
+        findFirst: jest.fn(async () => ({ id: 'cust_1' })),
+        findUnique: jest.fn(async () => ({ id: 'cust_1', type: 'BUSINESS', companyName: 'Acme', email: 'customer@example.com' }))
+      }
     }
   };
 });
 
+import { app } from '../app';
+import { prisma } from '../lib/prisma';
+
+const token = `Bearer ${jwt.sign({ sub: 'user_1', role: 'ADMIN' }, 'test-secret')}`;
+
 describe('Invoice routes', () => {
   it('returns PDF for GET /invoices/:id/pdf', async () => {
     const res = await request(app)
@@ -54,5 +68,44 @@ describe('Invoice routes', () => {
       .expect(200);
     expect(res.body).toHaveProperty('total');
   });
+
+  describe('shipment links', () => {
+    const base = {
+      customerId: 'cust_1',
+      items: [{ description: 'Freight', quantity: 1, unitPrice: 100 }],
+      issueDate: '2025-01-01',
+      dueDate: '2025-01-31',
+    };
+
+    it('links the customer\'s uninvoiced shipments to the new invoice', async () => {
+      const res = await request(app)
+        .post('/invoices')
+        .set('Authorization', token)
+        .send({ ...base, shipmentIds: ['shp_1', 'shp_2'] })
+        .expect(201);
+      expect(res.body.invoiceNumber).toMatch(/^INV-\d{6}-0007$/);
+      // @ts-ignore
+      const { data } = prisma.invoice.create.mock.calls[0][0];
+      expect(data.shipments).toEqual({ connect: [{ id: 'shp_1' }, { id: 'shp_2' }] });
+    });
+
+    it('rejects shipments belonging to another customer', async () => {
+      const res = await request(app)
+        .post('/invoices')
+        .set('Authorization', token)
+        .send({ ...base, shipmentIds: ['shp_other'] })
+        .expect(400);
+      expect(res.body.shipmentIds).toEqual(['shp_other']);
+    });
+
+    it('rejects shipments that are already invoiced', async () => {
+      const res = await request(app)
+        .post('/invoices')
+        .set('Authorization', token)
+        .send({ ...base, shipmentIds: ['shp_billed'] })
+        .expect(409);
+      expect(res.body.shipments[0]).toMatchObject({ id: 'shp_billed', invoiceId: 'inv_1' });
+    });
+  });
 });
 
@@ -0,0 +1,120 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+process.env.JWT_ACCESS_SECRET = 'test-secret';
+process.env.LOGIN_LOCKOUT_THRESHOLD = '3';
+
+jest.mock('../lib/prisma', () => {
+  const bcryptjs = require('bcryptjs');
+  const users: any = {
+    user_1: { id: 'user_1', email: 'asha@example.com', name: 'Asha', status: 'ACTIVE', mustChangePassword: false, passwordHash: bcryptjs.hashSync('secret-pass', 4), failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null, role: { name: 'CUSTOMER', permissions: [] } },
+    admin_1: { id: 'admin_1', email: 'admin@example.com', name: 'Admin', status: 'ACTIVE', role: { name: 'ADMIN', permissions: [{ permission: { resource: 'users', action: 'manage' } }] } },
+  };
+  const throttles = new Map<string, any>();
+  // Just enough of Prisma's filters and atomic updates for the lockout queries
+  const matches = (row: any, where: any) => Object.entries(where).every(([field, cond]: any) => {
+    if (cond && typeof cond === 'object' && !(cond instanceof Date)) {
+      if ('lt' in cond) return row[field] != null && row[field] < cond.lt;
+      if ('gte' in cond) return row[field] >= cond.gte;
+    }
+    return row[field] === cond;
+  });
+  const apply = (row: any, data: any) => {
+    for (const field of Object.keys(data)) {
+      const value = data[field];
+      row[field] = value && typeof value === 'object' && 'increment' in value ? (row[field] || 0) + value.increment : value;
+    }
+    return { ...row };
+  };
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+  const client: any = {
+    user: {
+      // Copies, like rows read from a database
+      findUnique: jest.fn(async ({ where }: any) => {
+        const found: any = where.email ? Object.values(users).find((u: any) => u.email === where.email) : users[where.id];
+        return found ? { ...found } : null;
+      }),
+      update: jest.fn(async ({ where, data }: any) => { await tick(); return apply(users[where.id], data); }),
+      updateMany: jest.fn(async ({ where, data }: any) => {
+        await tick();
+        const rows = Object.values(users).filter((u: any) => matches(u, where));
+        rows.forEach((u) => apply(u, data));
+        return { count: rows.length };
+      }),
+    },
+    loginThrottle: {
+      findUnique: jest.fn(async ({ where }: any) => throttles.get(where.key) || null),
+      upsert: jest.fn(async ({ where, update, create }: any) => {
+        if (!throttles.has(where.key)) throttles.set(where.key, { ...create });
+        else apply(throttles.get(where.key), update);
+        return { ...throttles.get(where.key) };
+      }),
+      update: jest.fn(async ({ where, data }: any) => apply(throttles.get(where.key), data)),
+      updateMany: jest.fn(async ({ where, data }: any) => {
+        const rows = [...throttles.values()].filter((t) => matches(t, where));
+        rows.forEach((t) => apply(t, data));
+        return { count: rows.length };
+      }),
+    },
+    refreshSession: { create: jest.fn(async ({ data }: any) => ({ id: 'rs_1', ...data })) },
+    auditLog: { create: jest.fn(async () => ({})) },
+  };
+  client.__users = users;
+  return { __esModule: true, prisma: client };
+});
+
+import { app } from '../app';
+import { prisma } from '../lib/prisma';
+
+// @ts-ignore
+const user = prisma.__users.user_1;
+const attempt = (password: string) => request(app).post('/auth/login').send({ email: 'asha@example.com', password });
+// Pretend the backoff delay has passed
+const waitOutBackoff = () => { user.lastFailedLoginAt = new Date(Date.now() - 60 * 1000); };
+
+describe('Account lockout', () => {
+  let warn: any;
+  beforeAll(() => { warn = jest.spyOn(console, 'warn').mockImplementation(() => undefined); });
+
+  it('backs off after repeated failures and locks at the threshold', async () => {
+    await attempt('wrong-pass').expect(401);
+    await attempt('wrong-pass').expect(401);
+
+    const throttled = await attempt('secret-pass').expect(429);
+    expect(Number(throttled.headers['retry-after'])).toBeGreaterThan(0);
+
+    waitOutBackoff();
+    await attempt('wrong-pass').expect(401);
+    expect(user.lockedUntil).toBeInstanceOf(Date);
+
+    // Even the right password is refused while locked
+    const locked = await attempt('secret-pass').expect(423);
+    expect(locked.body.lockedUntil).toBeDefined();
+    // @ts-ignore
+    expect(prisma.auditLog.create).toHaveBeenCalledWith(expect.objectContaining({ data: expect.objectContaining({ action: 'AUTH_ACCOUNT_LOCKED' }) }));
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('account lock notice'), 'asha@example.com', 'locked until', expect.any(String));
+  });
+
+  it('lets an admin unlock the account', async () => {
+    const adminToken = jwt.sign({ sub: 'admin_1', role: 'ADMIN' }, 'test-secret');
+    const res = await request(app).post('/auth/admin/users/user_1/unlock').set('Authorization', `Bearer ${adminToken}`).expect(200);
+    expect(res.body.wasLocked).toBe(true);
+
+    await attempt('secret-pass').expect(200);
+    expect(user.failedLoginCount).toBe(0);
+  });
+
+  it('counts concurrent failures without losing any and reports the lock once', async () => {
+    // @ts-ignore
+    prisma.auditLog.create.mockClear();
+
+    const responses = await Promise.all([attempt('wrong-1'), attempt('wrong-2'), attempt('wrong-3')]);
+    expect(responses.map((r) => r.status)).toEqual([401, 401, 401]);
+
+    expect(user.lockedUntil).toBeInstanceOf(Date);
+    expect(user.failedLoginCount).toBe(0);
+    // @ts-ignore
+    const locks = prisma.auditLog.create.mock.calls.filter(([args]: any) => args.data.action === 'AUTH_ACCOUNT_LOCKED');
+    expect(locks).toHaveLength(1);
+  });
+});
@@ -0,0 +1,86 @@
+import request from 'supertest';
+import crypto from 'crypto';
+
+process.env.PASSWORD_RESET_RATE_LIMIT = '50';
+
+jest.mock('../lib/prisma', () => {
+  const user: any = { id: 'user_1', email: 'asha@example.com', name: 'Asha', status: 'ACTIVE' };
+  const tokens: any[] = [];
+  return {
+    __esModule: true,
+    prisma: {
+      user: {
+        findUnique: jest.fn(async ({ where }: any) => (where.email === user.email || where.id === user.id ? user : null)),
+        update: jest.fn(async ({ data }: any) => Object.assign(user, data)),
+      },
+      passwordResetToken: {
+        findFirst: jest.fn(async () => null),
+        create: jest.fn(async ({ data }: any) => {
+          const row = { id: `prt_${tokens.length + 1}`, usedAt: null, ...data };
+          tokens.push(row);
+          return row;
+        }),
+        findUnique: jest.fn(async ({ where }: any) => {
+          const row = tokens.find((t) => t.tokenHash === where.tokenHash);
+          return row ? { ...row, user } : null;
+        }),
+        updateMany: jest.fn(async ({ where, data }: any) => {
+          const rows = tokens.filter((t) => (where.id ? t.id === where.id : t.userId === where.userId) && t.usedAt === null);
+          rows.forEach((t) => Object.assign(t, data));
+          return { count: rows.length };
+        }),
+      },
+      refreshSession: {
+        findMany: jest.fn(async () => [{ id: 'rs_1', familyId: 'fam_1' }]),
+        updateMany: jest.fn(async () => ({ count: 1 })),
+      },
+      auditLog: { create: jest.fn(async () => ({})) },
+    }
+  };
+});
+
+import { app } from '../app';
+import { prisma } from '../lib/prisma';
+
+describe('Password reset', () => {
+  let emailedToken = '';
+
+  beforeAll(() => {
+    // SMTP is not configured in tests, so the link is written to the log
+    jest.spyOn(console, 'warn').mockImplementation((...args: any[]) => {
+      const match = String(args[1] || '').match(/token=([a-f0-9]+)/);
+      if (match) emailedToken = match[1];
+    });
+  });
+
+  it('gives the same answer for unknown emails', async () => {
+    const known = await request(app).post('/auth/forgot-password').send({ email: 'asha@example.com' }).expect(200);
+    const unknown = await request(app).post('/auth/forgot-password').send({ email: 'nobody@example.com' }).expect(200);
+    expect(unknown.body).toEqual(known.body);
+  });
+
+  it('stores only the hash of the emailed token', async () => {
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(emailedToken).toHaveLength(64);
+    // @ts-ignore
+    const stored = prisma.passwordResetToken.create.mock.calls[0][0].data;
+    expect(stored.tokenHash).toBe(crypto.createHash('sha256').update(emailedToken).digest('hex'));
+  });
+
+  it('resets the password once and revokes sessions', async () => {
+    await request(app)
+      .post('/auth/reset-password')
+      .send({ token: emailedToken, newPassword: 'a-new-password' })
+      .expect(200);
+    // @ts-ignore
+    expect(prisma.refreshSession.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ id: { in: ['rs_1'] } }),
+      data: { revokedAt: expect.any(Date), revokedReason: 'password_reset' },
+    }));
+
+    await request(app)
+      .post('/auth/reset-password')
+      .send({ token: emailedToken, newPassword: 'another-password' })
+      .expect(400);
+  });
+});
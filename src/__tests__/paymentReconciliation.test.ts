@@ -0,0 +1,100 @@
+jest.mock('../lib/prisma', () => {
+  const recent = new Date(Date.now() - 60 * 60 * 1000);
+  const payments: any[] = [
+    { id: 'pay_1', invoiceId: 'inv_1', orderReference: 'RTPAID', amount: 50, status: 'pending', createdAt: recent, invoice: { invoiceNumber: 'INV-202610-0001' } },
+    { id: 'pay_2', invoiceId: 'inv_2', orderReference: 'RTBROKEN', amount: 20, status: 'pending', createdAt: recent, invoice: { invoiceNumber: 'INV-202610-0002' } },
+    { id: 'pay_3', invoiceId: 'inv_3', orderReference: 'RTEXPIRED', amount: 30, status: 'pending', createdAt: recent, invoice: { invoiceNumber: 'INV-202610-0003' } },
+    { id: 'pay_4', invoiceId: 'inv_4', orderReference: 'RTWAITING', amount: 10, status: 'pending', createdAt: recent, invoice: { invoiceNumber: 'INV-202610-0004' } },
+  ];
+  const client: any = {
+    payment: {
+      findMany: jest.fn(async () => payments.filter((p) => p.status === 'pending')),
+      add: (p: any) => payments.push(p),
+      count: jest.fn(async () => payments.filter((p) => p.status === 'pending').length),
+      updateMany: jest.fn(async ({ where, data }: any) => {
+        if (where.id === 'pay_2') throw new Error('Lock wait timeout exceeded');
+        const p = payments.find((x) => x.id === where.id && x.status === where.status);
+        if (!p) return { count: 0 };
+        Object.assign(p, data);
+        return { count: 1 };
+      }),
+      findUnique: jest.fn(async ({ where }: any) => {
+        const p = payments.find((x) => x.id === where.id);
+        return p && { ...p, invoice: { ...p.invoice, customer: { ownerId: null } } };
+      }),
+      aggregate: jest.fn(async () => ({ _sum: { amount: 50, refundedAmount: 0 } })),
+    },
+    invoice: {
+      findUnique: jest.fn(async ({ where }: any) => ({ id: where.id, customerId: 'cust_1', totalAmount: 50, status: 'sent' })),
+      update: jest.fn(async ({ where, data }: any) => ({ id: where.id, customerId: 'cust_1', ...data })),
+    },
+    user: { findFirst: jest.fn(async () => ({ id: 'admin_1' })) },
+    auditLog: { create: jest.fn(async () => ({})) },
+  };
+  return { __esModule: true, prisma: client };
+});
+
+jest.mock('../lib/customerMetrics', () => ({ refreshCustomerMetrics: jest.fn(async () => {}) }));
+
+jest.mock('../services/clickpesa', () => {
+  const statuses: any = { RTPAID: 'SUCCESS', RTBROKEN: 'SUCCESS', RTEXPIRED: 'EXPIRED', RTWAITING: 'PROCESSING', RTSTALE: 'PROCESSING' };
+  return {
+    checkPaymentStatus: jest.fn(async (ref: string) => {
+      if (!statuses[ref]) throw new Error('ClickPesa unavailable');
+      return [{ status: statuses[ref], paymentReference: `TX-${ref}` }];
+    }),
+    mapPaymentStatus: (resp: any) => (resp[0].status === 'SUCCESS' ? 'completed' : resp[0].status === 'EXPIRED' ? 'failed' : 'pending'),
+    extractTransactionId: (resp: any) => resp[0].paymentReference,
+  };
+});
+
+import { reconcilePendingPayments, getPaymentReconciliationStatus } from '../jobs/paymentReconciliation';
+import { prisma } from '../lib/prisma';
+
+describe('Payment reconciliation', () => {
+  it('settles paid and expired payments and keeps going past a failing one', async () => {
+    const summary = await reconcilePendingPayments();
+    expect(summary).toEqual({ checked: 4, completed: 1, failed: 1, expired: 0, stillPending: 1, errors: 1 });
+
+    // @ts-ignore
+    const updates = prisma.payment.updateMany.mock.calls.map(([args]: any) => [args.where.id, args.data.status]);
+    expect(updates).toEqual([['pay_1', 'completed'], ['pay_2', 'completed'], ['pay_2', undefined], ['pay_3', 'failed'], ['pay_4', undefined]]);
+    // @ts-ignore
+    expect(prisma.payment.updateMany).toHaveBeenLastCalledWith({
+      where: { id: 'pay_4', status: 'pending' },
+      data: { lastReconciledAt: expect.any(Date), reconcileAttempts: { increment: 1 } },
+    });
+    // @ts-ignore
+    expect(prisma.payment.findMany).toHaveBeenCalledWith(expect.objectContaining({ orderBy: [{ lastReconciledAt: 'asc' }, { createdAt: 'asc' }] }));
+    // @ts-ignore
+    expect(prisma.invoice.update).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 'inv_1' }, data: expect.objectContaining({ status: 'paid' }) }));
+    // @ts-ignore
+    expect(prisma.auditLog.create.mock.calls.map(([args]: any) => args.data.action)).toEqual(['PAYMENT_COMPLETE', 'PAYMENT_FAIL']);
+
+    expect(getPaymentReconciliationStatus()).toMatchObject({ backlog: 2, errors: 1, lastRunAt: expect.any(Date) });
+  });
+
+  it('fails payments still pending past the maximum age', async () => {
+    // @ts-ignore
+    prisma.payment.add({ id: 'pay_5', invoiceId: 'inv_5', orderReference: 'RTSTALE', amount: 15, status: 'pending', createdAt: new Date(Date.now() - 48 * 60 * 60 * 1000), invoice: { invoiceNumber: 'INV-202610-0005' } });
+    // @ts-ignore
+    prisma.auditLog.create.mockClear();
+
+    const summary = await reconcilePendingPayments();
+    expect(summary).toMatchObject({ expired: 1, stillPending: 1 });
+    // @ts-ignore
+    expect(prisma.payment.updateMany).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 'pay_5', status: 'pending' }, data: expect.objectContaining({ status: 'failed' }) }));
+    // @ts-ignore
+    expect(prisma.auditLog.create).toHaveBeenCalledWith(expect.objectContaining({ data: expect.objectContaining({ action: 'PAYMENT_FAIL', entityId: 'pay_5' }) }));
+  });
+
+  it('records the run even when the batch cannot be loaded', async () => {
+    // @ts-ignore
+    prisma.payment.findMany.mockRejectedValueOnce(new Error('Connection lost'));
+    const before = Date.now();
+    expect(await reconcilePendingPayments()).toBeNull();
+    const status = getPaymentReconciliationStatus();
+    expect(status.lastRunAt.getTime()).toBeGreaterThanOrEqual(before);
+    expect(status.errors).toBe(1);
+  });
+});
@@ -0,0 +1,145 @@
+import request from 'supertest';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+process.env.CLICKPESA_WEBHOOK_SECRET = 'test-webhook-secret';
+
+jest.mock('../lib/prisma', () => {
+  const seen = new Set<string>();
+  const invoice = { id: 'inv_1', invoiceNumber: 'INV-202501-0001', status: 'sent', totalAmount: 100, customer: { ownerId: 'user_1' } };
+  const payment: any = { id: 'pay_1', invoiceId: 'inv_1', amount: 100, status: 'pending', orderReference: 'RTORDER1' };
+  const settled: any = { id: 'pay_2', invoiceId: 'inv_2', amount: 100, refundedAmount: 0, status: 'completed', invoice };
+  const pushed: any = { id: 'pay_3', invoiceId: 'inv_3', amount: 100, status: 'pending', orderReference: 'RTORDER3', invoice };
+  const byId = (id: string) => (id === 'pay_2' ? settled : id === 'pay_3' ? pushed : payment);
+  const client: any = {
+    paymentWebhookEvent: {
+      create: jest.fn(async ({ data }: any) => {
+        if (seen.has(data.eventKey)) throw Object.assign(new Error('Unique constraint'), { code: 'P2002' });
+        seen.add(data.eventKey);
+        return { id: `evt_${seen.size}`, ...data };
+      }),
+      update: jest.fn(async () => ({})),
+      delete: jest.fn(async () => ({})),
+    },
+    payment: {
+      findFirst: jest.fn(async () => payment),
+      findUnique: jest.fn(async ({ where }: any) => ({ ...byId(where.id), invoice })),
+      updateMany: jest.fn(async ({ where, data }: any) => {
+        const target = byId(where.id);
+        if (target.status !== where.status) return { count: 0 };
+        Object.assign(target, data);
+        return { count: 1 };
+      }),
+      aggregate: jest.fn(async ({ where }: any) => {
+        const counted = [payment, settled].filter((p) => p.invoiceId === where.invoiceId && where.status.in.includes(p.status));
+        return { _sum: {
+          amount: counted.reduce((sum, p) => sum + p.amount, 0),
+          refundedAmount: counted.reduce((sum, p) => sum + (p.refundedAmount || 0), 0),
+        } };
+      }),
+    },
+    paymentRefund: { create: jest.fn(async ({ data }: any) => ({ id: 'ref_1', ...data })) },
+    invoice: {
+      findUnique: jest.fn(async () => invoice),
+      update: jest.fn(async ({ data }: any) => ({ ...invoice, ...data })),
+    },
+    user: {
+      findUnique: jest.fn(async ({ where }: any) => ({
+        role: { permissions: [{ permission: where.id === 'cashier_1' ? { resource: 'payments', action: 'void' } : { resource: 'invoices', action: 'refund' } }] }
+      }))
+    },
+    auditLog: { create: jest.fn(async () => ({})) },
+    notification: { create: jest.fn(async ({ data }: any) => ({ id: 'ntf_1', ...data })) },
+  };
+  client.$transaction = jest.fn(async (fn: any) => fn(client));
+  return { __esModule: true, prisma: client };
+});
+
+import { app } from '../app';
+import { prisma } from '../lib/prisma';
+import clickpesa from '../services/clickpesa';
+
+const body = JSON.stringify({ event: 'PAYMENT RECEIVED', data: { id: 'CP123', status: 'SUCCESS', orderReference: 'RTORDER1' } });
+const sign = (raw: string) => crypto.createHmac('sha256', 'test-webhook-secret').update(raw).digest('hex');
+
+describe('Payment webhook', () => {
+  it('rejects deliveries with an invalid signature', async () => {
+    await request(app)
+      .post('/payments/clickpesa/webhook')
+      .set('Content-Type', 'application/json')
+      .set('x-clickpesa-signature', 'invalid')
+      .send(body)
+      .expect(401);
+  });
+
+  it('completes the pending payment and recomputes the invoice', async () => {
+    const res = await request(app)
+      .post('/payments/clickpesa/webhook')
+      .set('Content-Type', 'application/json')
+      .set('x-clickpesa-signature', sign(body))
+      .send(body)
+      .expect(200);
+
+    expect(res.body).toMatchObject({ received: true, paymentId: 'pay_1', status: 'completed' });
+    // @ts-ignore
+    expect(prisma.invoice.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ paidAmount: 100, balanceAmount: 0, status: 'paid' })
+    }));
+  });
+
+  it('ignores a duplicate delivery of the same event', async () => {
+    const res = await request(app)
+      .post('/payments/clickpesa/webhook')
+      .set('Content-Type', 'application/json')
+      .set('x-clickpesa-signature', sign(body))
+      .send(body)
+      .expect(200);
+
+    expect(res.body.duplicate).toBe(true);
+    // @ts-ignore
+    expect(prisma.notification.create).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Payment reversals', () => {
+  const token = `Bearer ${jwt.sign({ sub: 'user_1', role: 'STAFF' }, 'test-secret')}`;
+
+  it('rejects a refund larger than the payment', async () => {
+    await request(app)
+      .post('/payments/pay_2/refund')
+      .set('Authorization', token)
+      .send({ amount: 150 })
+      .expect(400);
+  });
+
+  it('partially refunds a payment and reopens the invoice balance', async () => {
+    const res = await request(app)
+      .post('/payments/pay_2/refund')
+      .set('Authorization', token)
+      .send({ amount: 40, reason: 'Damaged parcel' })
+      .expect(201);
+
+    expect(res.body.refund).toMatchObject({ paymentId: 'pay_2', amount: 40 });
+    expect(res.body.payment).toMatchObject({ status: 'partially_refunded', refundedAmount: 40 });
+    expect(res.body.invoice).toMatchObject({ paidAmount: 60, balanceAmount: 40 });
+  });
+
+  it('requires the void permission', async () => {
+    await request(app)
+      .post('/payments/pay_2/void')
+      .set('Authorization', token)
+      .send({ reason: 'Duplicate entry' })
+      .expect(403);
+  });
+
+  it('voids a pending ClickPesa payment only after the provider reports it failed', async () => {
+    const cashier = `Bearer ${jwt.sign({ sub: 'cashier_1', role: 'STAFF' }, 'test-secret')}`;
+    const status = jest.spyOn(clickpesa, 'checkPaymentStatus').mockResolvedValueOnce({ status: 'PROCESSING' });
+    await request(app).post('/payments/pay_3/void').set('Authorization', cashier).send({ reason: 'Customer gave up' }).expect(409);
+
+    status.mockResolvedValueOnce({ status: 'FAILED' });
+    const res = await request(app).post('/payments/pay_3/void').set('Authorization', cashier).send({ reason: 'Customer gave up' }).expect(200);
+    expect(res.body.payment).toMatchObject({ status: 'voided', voidReason: 'Customer gave up' });
+    expect(status).toHaveBeenCalledWith('RTORDER3');
+  });
+});
@@ -0,0 +1,56 @@
+jest.mock('../lib/prisma', () => {
+  const counters = new Map<string, number>();
+  const client: any = {
+    sequenceCounter: {
+      update: jest.fn(async ({ where }: any) => {
+        const key = `${where.name_period.name}|${where.name_period.period}`;
+        if (!counters.has(key)) throw Object.assign(new Error('Record not found'), { code: 'P2025' });
+        counters.set(key, counters.get(key)! + 1);
+        return { value: counters.get(key) };
+      }),
+      create: jest.fn(async ({ data }: any) => {
+        const key = `${data.name}|${data.period}`;
+        if (counters.has(key)) throw Object.assign(new Error('Unique constraint'), { code: 'P2002' });
+        counters.set(key, data.value);
+        return { value: data.value };
+      }),
+    },
+  };
+  client.invoice = {
+    findUnique: jest.fn(async ({ where }: any) => (where.invoiceNumber === 'INV-202612-0001' ? { id: 'inv_legacy' } : null)),
+  };
+  client.$transaction = jest.fn(async (fn: any) => fn(client));
+  return { __esModule: true, prisma: client };
+});
+
+import { nextTrackingNumber, nextInvoiceNumber, nextBookingRequestNumber, luhnCheckDigit } from '../services/sequenceService';
+
+describe('Sequence service', () => {
+  it('appends a Luhn check digit to tracking numbers', async () => {
+    const first = await nextTrackingNumber();
+    const second = await nextTrackingNumber();
+
+    expect(first).toBe(`025500000001${luhnCheckDigit('025500000001')}`);
+    expect(second.slice(0, 12)).toBe('025500000002');
+    expect(luhnCheckDigit('7992739871')).toBe('3');
+  });
+
+  it('restarts invoice numbers every month', async () => {
+    expect(await nextInvoiceNumber(new Date(2026, 9, 5))).toBe('INV-202610-0001');
+    expect(await nextInvoiceNumber(new Date(2026, 9, 20))).toBe('INV-202610-0002');
+    expect(await nextInvoiceNumber(new Date(2026, 10, 1))).toBe('INV-202611-0001');
+  });
+
+  it('skips invoice numbers that are already in use', async () => {
+    expect(await nextInvoiceNumber(new Date(2026, 11, 3))).toBe('INV-202612-0002');
+  });
+
+  it('honours a configured format', async () => {
+    process.env.SEQUENCE_FORMAT_BOOKING_REQUEST = 'BK-{YY}-{SEQ:5}';
+    try {
+      expect(await nextBookingRequestNumber(new Date(2026, 0, 1))).toBe('BK-26-00001');
+    } finally {
+      delete process.env.SEQUENCE_FORMAT_BOOKING_REQUEST;
+    }
+  });
+});
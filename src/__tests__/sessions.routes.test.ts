@@ -0,0 +1,111 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+// Treat any reuse of a rotated token as theft
+process.env.REFRESH_REUSE_GRACE_SECONDS = '0';
+process.env.JWT_ACCESS_SECRET = 'test-secret';
+
+jest.mock('../lib/prisma', () => {
+  const bcryptjs = require('bcryptjs');
+  const users: any = {
+    user_1: { id: 'user_1', email: 'asha@example.com', name: 'Asha', status: 'ACTIVE', mustChangePassword: false, passwordHash: bcryptjs.hashSync('secret-pass', 4), role: { name: 'CUSTOMER', permissions: [] } },
+    admin_1: { id: 'admin_1', email: 'admin@example.com', name: 'Admin', status: 'ACTIVE', role: { name: 'ADMIN', permissions: [{ permission: { resource: 'users', action: 'manage' } }] } },
+  };
+  const sessions: any[] = [];
+  const matches = (row: any, where: any) => Object.entries(where).every(([key, cond]: any) => {
+    if (cond && typeof cond === 'object' && !(cond instanceof Date)) {
+      if ('in' in cond) return cond.in.includes(row[key]);
+      if ('gt' in cond) return row[key] > cond.gt;
+    }
+    return row[key] === cond;
+  });
+  const client: any = {
+    user: {
+      findUnique: jest.fn(async ({ where }: any) => (where.email
+        ? Object.values(users).find((u: any) => u.email === where.email)
+        : users[where.id]) || null),
+      update: jest.fn(async ({ where, data }: any) => Object.assign(users[where.id], data)),
+    },
+    refreshSession: {
+      create: jest.fn(async ({ data }: any) => {
+        const row = { id: `rs_${sessions.length + 1}`, createdAt: new Date(), lastUsedAt: null, revokedAt: null, revokedReason: null, ...data };
+        sessions.push(row);
+        return row;
+      }),
+      findUnique: jest.fn(async ({ where }: any) => sessions.find((s) => (where.id ? s.id === where.id : s.tokenHash === where.tokenHash)) || null),
+      findFirst: jest.fn(async ({ where }: any) => sessions.find((s) => matches(s, where)) || null),
+      findMany: jest.fn(async ({ where }: any) => sessions.filter((s) => matches(s, where))),
+      updateMany: jest.fn(async ({ where, data }: any) => {
+        const rows = sessions.filter((s) => matches(s, where));
+        rows.forEach((s) => Object.assign(s, data));
+        return { count: rows.length };
+      }),
+    },
+    loginThrottle: { findUnique: jest.fn(async () => null), upsert: jest.fn(async () => ({ failures: 1 })), updateMany: jest.fn(async () => ({ count: 0 })) },
+    auditLog: { create: jest.fn(async () => ({})) },
+  };
+  client.$transaction = jest.fn(async (fn: any) => fn(client));
+  return { __esModule: true, prisma: client };
+});
+
+import { app } from '../app';
+import { prisma } from '../lib/prisma';
+
+const refreshCookie = (res: any) => String(res.headers['set-cookie'].find((c: string) => c.startsWith('refresh_token='))).split(';')[0];
+
+async function login() {
+  const res = await request(app).post('/auth/login').send({ email: 'asha@example.com', password: 'secret-pass' }).expect(200);
+  return { accessToken: res.body.accessToken, cookie: refreshCookie(res) };
+}
+
+describe('Refresh sessions', () => {
+  it('rotates the refresh token and revokes the family when an old one is replayed', async () => {
+    const { cookie } = await login();
+
+    const rotated = await request(app).post('/auth/refresh').set('Cookie', cookie).expect(200);
+    const nextCookie = refreshCookie(rotated);
+    expect(nextCookie).not.toBe(cookie);
+
+    // Replaying the first token kills the whole family, including the token issued by the rotation
+    await request(app).post('/auth/refresh').set('Cookie', cookie).expect(401);
+    await request(app).post('/auth/refresh').set('Cookie', nextCookie).expect(401);
+    // @ts-ignore
+    expect(prisma.auditLog.create).toHaveBeenCalledWith(expect.objectContaining({ data: expect.objectContaining({ action: 'AUTH_REFRESH_REUSE' }) }));
+  });
+
+  it('lists sessions and revoking one ends its access token', async () => {
+    const { accessToken } = await login();
+
+    const list = await request(app).get('/auth/sessions').set('Authorization', `Bearer ${accessToken}`).expect(200);
+    const current = list.body.sessions.find((s: any) => s.current);
+    expect(current).toBeDefined();
+    expect(current.tokenHash).toBeUndefined();
+
+    await request(app).delete(`/auth/sessions/${current.id}`).set('Authorization', `Bearer ${accessToken}`).expect(200);
+    await request(app).get('/auth/sessions').set('Authorization', `Bearer ${accessToken}`).expect(401);
+  });
+
+  it('lets an admin sign a user out everywhere', async () => {
+    const { accessToken, cookie } = await login();
+    const adminToken = jwt.sign({ sub: 'admin_1', role: 'ADMIN' }, 'test-secret');
+
+    const res = await request(app).post('/auth/admin/users/user_1/logout').set('Authorization', `Bearer ${adminToken}`).expect(200);
+    expect(res.body.revokedSessions).toBeGreaterThan(0);
+
+    await request(app).get('/auth/sessions').set('Authorization', `Bearer ${accessToken}`).expect(401);
+    await request(app).post('/auth/refresh').set('Cookie', cookie).expect(401);
+  });
+
+  it('logout revokes the session behind the cookie', async () => {
+    const { accessToken, cookie } = await login();
+    await request(app).post('/auth/logout').set('Cookie', cookie).expect(200);
+    await request(app).get('/auth/sessions').set('Authorization', `Bearer ${accessToken}`).expect(401);
+  });
+
+  it('refuses to refresh a session that predates a sign-out everywhere', async () => {
+    const { cookie } = await login();
+    // A rotation that finished after the revocation sweep leaves a live session behind
+    await prisma.user.update({ where: { id: 'user_1' }, data: { sessionsRevokedAt: new Date(Date.now() + 1000) } });
+    await request(app).post('/auth/refresh').set('Cookie', cookie).expect(401);
+  });
+});
@@ -0,0 +1,217 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.mock('../lib/prisma', () => {
+  const shipments: any = {
+    shp_1: { id: 'shp_1', trackingNumber: '025500000001', status: 'Delivered', customerId: 'cust_1', customer: { ownerId: 'user_9' } },
+    shp_2: { id: 'shp_2', trackingNumber: '025500000002', status: 'Out for Delivery', signatureRequired: true, customerId: 'cust_1', customer: { ownerId: 'user_9' } },
+    shp_3: { id: 'shp_3', trackingNumber: '025500000003', status: 'Pending', customerId: 'cust_1', customer: { ownerId: 'user_9' } },
+  };
+  // Permissions by user id; roles themselves are never checked
+  const grants: any = {
+    user_1: ['shipments:read', 'shipments:status_update'],
+    admin_1: ['shipments:manage'],
+    dispatcher_1: ['shipments:status_update'],
+    clerk_1: ['shipments:create'],
+  };
+  const client: any = {
+    shipment: {
+      count: jest.fn(async () => 1),
+      findMany: jest.fn(async () => [shipments.shp_2]),
+      findUnique: jest.fn(async ({ where }: any) => shipments[where.id] || null),
+      updateMany: jest.fn(async ({ where, data }: any) => {
+        const shipment = shipments[where.id];
+        if (!shipment || where.status !== shipment.status) return { count: 0 };
+        Object.assign(shipment, data);
+        return { count: 1 };
+      }),
+    },
+    proofOfDelivery: {
+      findUnique: jest.fn(async () => null),
+      upsert: jest.fn(async ({ create }: any) => ({ id: 'pod_1', ...create })),
+    },
+    shipmentEvent: { create: jest.fn(async ({ data }: any) => ({ id: 'evt_1', ...data })) },
+    auditLog: { create: jest.fn(async () => ({})) },
+    notification: { create: jest.fn(async () => ({})) },
+    user: {
+      findUnique: jest.fn(async ({ where }: any) => ({
+        role: { permissions: (grants[where.id] || []).map((name: string) => ({ permission: { resource: name.split(':')[0], action: name.split(':')[1] } })) },
+      })),
+    },
+    customer: { findFirst: jest.fn(async () => null) },
+  };
+  client.$transaction = jest.fn(async (fn: any) => fn(client));
+  return { __esModule: true, prisma: client };
+});
+
+import { app } from '../app';
+import { prisma } from '../lib/prisma';
+
+const SUBJECTS: any = { STAFF: 'user_1', ADMIN: 'admin_1', DISPATCHER: 'dispatcher_1', CLERK: 'clerk_1', CUSTOMER: 'customer_1' };
+const tokenFor = (role: string) => `Bearer ${jwt.sign({ sub: SUBJECTS[role], role }, 'test-secret')}`;
+
+describe('Shipment status transitions', () => {
+  it('rejects moves outside the transition graph', async () => {
+    const res = await request(app)
+      .patch('/shipments/shp_1/status')
+      .set('Authorization', tokenFor('STAFF'))
+      .send({ status: 'Pending' })
+      .expect(409);
+    expect(res.body).toMatchObject({ currentStatus: 'Delivered', allowedNextStatuses: [] });
+  });
+
+  it('lets a custom role with shipments:status_update move shipments, but not customers', async () => {
+    await request(app)
+      .patch('/shipments/shp_2/status')
+      .set('Authorization', tokenFor('CUSTOMER'))
+      .send({ status: 'Delivered' })
+      .expect(403);
+    const res = await request(app)
+      .patch('/shipments/shp_1/status')
+      .set('Authorization', tokenFor('DISPATCHER'))
+      .send({ status: 'Pending' })
+      .expect(409);
+    expect(res.body.currentStatus).toBe('Delivered');
+  });
+
+  it('only lets shipments:approve holders override, and only with a reason', async () => {
+    await request(app)
+      .patch('/shipments/shp_1/status')
+      .set('Authorization', tokenFor('STAFF'))
+      .send({ status: 'In Transit', override: true, reason: 'Scanned in error' })
+      .expect(403);
+    await request(app)
+      .patch('/shipments/shp_1/status')
+      .set('Authorization', tokenFor('ADMIN'))
+      .send({ status: 'In Transit', override: true })
+      .expect(400);
+  });
+
+  it('records the override reason on the audit log', async () => {
+    const res = await request(app)
+      .patch('/shipments/shp_1/status')
+      .set('Authorization', tokenFor('ADMIN'))
+      .send({ status: 'In Transit', override: true, reason: 'Delivery scanned in error' })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ status: 'In Transit', overridden: true });
+    expect(res.body.allowedNextStatuses).toContain('Out for Delivery');
+    // @ts-ignore
+    expect(prisma.auditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ action: 'SHIPMENT_STATUS_OVERRIDE' })
+    }));
+  });
+});
+
+describe('Shipment status updates', () => {
+  it('writes the timeline event inside the status transaction and audits the change', async () => {
+    // @ts-ignore
+    prisma.shipmentEvent.create.mockClear();
+    // @ts-ignore
+    prisma.$transaction.mockImplementationOnce(async (fn: any) => {
+      const result = await fn(prisma);
+      // @ts-ignore
+      expect(prisma.shipmentEvent.create).toHaveBeenCalledWith({ data: expect.objectContaining({ shipmentId: 'shp_3', status: 'Processing', actorId: 'user_1' }) });
+      return result;
+    });
+
+    await request(app)
+      .patch('/shipments/shp_3/status')
+      .set('Authorization', tokenFor('STAFF'))
+      .send({ status: 'Processing', location: 'Dar es Salaam' })
+      .expect(200);
+
+    // @ts-ignore
+    expect(prisma.$transaction).toHaveBeenCalled();
+    // @ts-ignore
+    expect(prisma.auditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ action: 'SHIPMENT_STATUS_UPDATE', entityId: 'shp_3', details: expect.objectContaining({ from: 'Pending', to: 'Processing', overridden: false }) })
+    }));
+  });
+});
+
+describe('Shipment creation', () => {
+  const shipment = {
+    customerId: 'cust_1', description: 'Spare parts', packageType: 'box', weightValue: 2, weightUnit: 'kg', value: 50000,
+    originStreet: '1 Bandari Rd', originCity: 'Dar es Salaam', originZip: '11101', originCountry: 'TZ',
+    destStreet: '2 Sokoine Rd', destCity: 'Arusha', destZip: '23101', destCountry: 'TZ',
+  };
+
+  it('only creates shipments in another status than Pending as an audited override', async () => {
+    const denied = await request(app).post('/shipments').set('Authorization', tokenFor('CLERK')).send({ ...shipment, status: 'In Transit', reason: 'Migrated' }).expect(403);
+    expect(denied.body.error).toMatch(/shipments:approve/);
+    await request(app).post('/shipments').set('Authorization', tokenFor('ADMIN')).send({ ...shipment, status: 'In Transit' }).expect(400);
+    const res = await request(app).post('/shipments').set('Authorization', tokenFor('ADMIN')).send({ ...shipment, status: 'Delivered', reason: 'Migrated' }).expect(400);
+    expect(res.body.error).toMatch(/proof of delivery/);
+  });
+});
+
+describe('Shipment checkpoint events', () => {
+  it('records a scan with location, note, GPS and the acting user', async () => {
+    const res = await request(app)
+      .post('/shipments/shp_1/events')
+      .set('Authorization', tokenFor('STAFF'))
+      .send({ title: 'Arrived at Dodoma hub', location: 'Dodoma', note: 'Bay 4', latitude: -6.163, longitude: 35.7516 })
+      .expect(201);
+
+    expect(res.body).toMatchObject({ type: 'scan', status: 'In Transit', location: 'Dodoma', note: 'Bay 4', actorId: 'user_1' });
+  });
+
+  it('requires latitude and longitude together', async () => {
+    await request(app)
+      .post('/shipments/shp_1/events')
+      .set('Authorization', tokenFor('STAFF'))
+      .send({ title: 'Arrived at Dodoma hub', latitude: -6.163 })
+      .expect(400);
+  });
+});
+
+describe('Proof of delivery', () => {
+  const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+  it('rejects delivery without a signature when one is required', async () => {
+    const res = await request(app)
+      .patch('/shipments/shp_2/status')
+      .set('Authorization', tokenFor('STAFF'))
+      .field('status', 'Delivered')
+      .field('recipientName', 'Asha Mushi')
+      .attach('photo', png, { filename: 'door.png', contentType: 'image/png' })
+      .expect(400);
+    expect(res.body.error).toMatch(/signature is required/);
+    // @ts-ignore
+    expect(prisma.proofOfDelivery.upsert).not.toHaveBeenCalled();
+  });
+
+  it('rejects non-image uploads', async () => {
+    await request(app)
+      .patch('/shipments/shp_2/status')
+      .set('Authorization', tokenFor('STAFF'))
+      .field('status', 'Delivered')
+      .attach('signature', Buffer.from('not an image'), { filename: 'sig.txt', contentType: 'text/plain' })
+      .expect(400);
+  });
+});
+
+describe('Shipment listing', () => {
+  it('returns a filtered, sorted page in the { items, total, page, pageSize } shape', async () => {
+    const res = await request(app)
+      .get('/shipments')
+      .query({ page: 2, pageSize: 10, status: 'In Transit,Out for Delivery', search: 'Dodoma', sortBy: 'trackingNumber', sortOrder: 'asc' })
+      .set('Authorization', tokenFor('STAFF'))
+      .expect(200);
+
+    expect(res.body).toMatchObject({ total: 1, page: 2, pageSize: 10 });
+    // @ts-ignore
+    const args = prisma.shipment.findMany.mock.calls[0][0];
+    expect(args).toMatchObject({ skip: 10, take: 10, orderBy: [{ trackingNumber: 'asc' }, { id: 'asc' }] });
+    expect(args.where.status).toEqual({ in: ['In Transit', 'Out for Delivery'] });
+    expect(args.include.events).toBeUndefined();
+  });
+
+  it('rejects unknown sort fields', async () => {
+    await request(app)
+      .get('/shipments?sortBy=password')
+      .set('Authorization', tokenFor('STAFF'))
+      .expect(400);
+  });
+});
@@ -0,0 +1,124 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { hotp, counterAt } from '../lib/totp';
+
+process.env.JWT_ACCESS_SECRET = 'test-secret';
+
+jest.mock('../lib/prisma', () => {
+  const bcryptjs = require('bcryptjs');
+  const user: any = {
+    id: 'admin_1', email: 'admin@example.com', name: 'Admin', status: 'ACTIVE', otpEnabled: true, mustChangePassword: false,
+    passwordHash: bcryptjs.hashSync('secret-pass', 4), otpSecret: null, totpEnabled: false, totpLastCounter: null,
+    failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null, role: { name: 'ADMIN', mfaPolicy: 'EMAIL_OR_TOTP' },
+  };
+  const recoveryCodes: any[] = [];
+  const matches = (row: any, where: any) => Object.entries(where).every(([key, cond]: any) => {
+    if (key === 'OR') return cond.some((c: any) => matches(row, c));
+    if (cond && typeof cond === 'object' && 'lt' in cond) return row[key] !== null && row[key] < cond.lt;
+    return row[key] === cond;
+  });
+  const client: any = {
+    user: {
+      findUnique: jest.fn(async ({ where }: any) => (where.email === user.email || where.id === user.id ? user : null)),
+      update: jest.fn(async ({ data }: any) => Object.assign(user, data, data.failedLoginCount?.increment ? { failedLoginCount: (user.failedLoginCount || 0) + data.failedLoginCount.increment } : {})),
+      updateMany: jest.fn(async ({ where, data }: any) => {
+        if (!matches(user, where)) return { count: 0 };
+        Object.assign(user, data);
+        return { count: 1 };
+      }),
+    },
+    otpCode: {
+      deleteMany: jest.fn(async () => ({ count: 0 })),
+      updateMany: jest.fn(async () => ({ count: 0 })),
+      create: jest.fn(async ({ data }: any) => data),
+      findFirst: jest.fn(async () => null),
+    },
+    recoveryCode: {
+      deleteMany: jest.fn(async () => { recoveryCodes.length = 0; return { count: 0 }; }),
+      createMany: jest.fn(async ({ data }: any) => { data.forEach((r: any) => recoveryCodes.push({ ...r, usedAt: null })); return { count: data.length }; }),
+      updateMany: jest.fn(async ({ where, data }: any) => {
+        const rows = recoveryCodes.filter((r) => matches(r, where));
+        rows.forEach((r) => Object.assign(r, data));
+        return { count: rows.length };
+      }),
+      count: jest.fn(async () => recoveryCodes.filter((r) => r.usedAt === null).length),
+    },
+    refreshSession: {
+      create: jest.fn(async ({ data }: any) => ({ id: 'rs_1', ...data })),
+      findFirst: jest.fn(async () => ({ id: 'rs_1' })),
+    },
+    loginThrottle: { findUnique: jest.fn(async () => null), upsert: jest.fn(async () => ({ failures: 1 })), updateMany: jest.fn(async () => ({ count: 0 })) },
+    auditLog: { create: jest.fn(async () => ({})) },
+  };
+  client.$transaction = jest.fn(async (fn: any) => fn(client));
+  client.__user = user;
+  return { __esModule: true, prisma: client };
+});
+
+import { app } from '../app';
+import { prisma } from '../lib/prisma';
+
+// @ts-ignore
+const user = prisma.__user;
+const adminToken = jwt.sign({ sub: 'admin_1', role: 'ADMIN' }, 'test-secret');
+const codeAt = (offsetSteps = 0) => hotp(user.otpSecret, counterAt() + offsetSteps);
+
+describe('Authenticator app 2FA', () => {
+  let recoveryCodes: string[] = [];
+
+  it('enrolls with a provisioning URI and a first code', async () => {
+    const setup = await request(app).post('/auth/totp/setup').set('Authorization', `Bearer ${adminToken}`).expect(200);
+    expect(setup.body.otpauthUri).toMatch(/^otpauth:\/\/totp\/RTEXPRESS%3Aadmin%40example\.com\?secret=[A-Z2-7]+&issuer=RTEXPRESS/);
+    expect(user.totpEnabled).toBe(false);
+
+    await request(app).post('/auth/totp/confirm').set('Authorization', `Bearer ${adminToken}`).send({ code: codeAt(5) }).expect(400);
+    const confirmed = await request(app).post('/auth/totp/confirm').set('Authorization', `Bearer ${adminToken}`).send({ code: codeAt() }).expect(200);
+    recoveryCodes = confirmed.body.recoveryCodes;
+    expect(recoveryCodes).toHaveLength(10);
+    expect(user.totpEnabled).toBe(true);
+  });
+
+  it('signs in with the next TOTP code and refuses a replay', async () => {
+    const login = await request(app).post('/auth/login').send({ email: 'admin@example.com', password: 'secret-pass' }).expect(200);
+    expect(login.body).toMatchObject({ requiresOtp: true, methods: ['email', 'totp', 'recovery'] });
+
+    const code = codeAt(1);
+    const ok = await request(app).post('/auth/verify-otp').send({ email: 'admin@example.com', code }).expect(200);
+    expect(ok.body.accessToken).toBeDefined();
+    await request(app).post('/auth/verify-otp').send({ email: 'admin@example.com', code }).expect(401);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const res = await request(app).post('/auth/verify-otp').send({ email: 'admin@example.com', code: recoveryCodes[0].toUpperCase() }).expect(200);
+    expect(res.body.recoveryCodesRemaining).toBe(9);
+    await request(app).post('/auth/verify-otp').send({ email: 'admin@example.com', code: recoveryCodes[0] }).expect(401);
+  });
+
+  it('enforces the role policy', async () => {
+    user.role.mfaPolicy = 'TOTP';
+    await request(app).post('/auth/verify-otp').send({ email: 'admin@example.com', code: '123456', method: 'email' }).expect(400);
+
+    user.role.mfaPolicy = 'EMAIL';
+    await request(app).post('/auth/totp/setup').set('Authorization', `Bearer ${adminToken}`).expect(403);
+  });
+
+  it('needs the password and a second factor to disable, counting failures toward the lockout', async () => {
+    const disable = (body: any) => request(app).delete('/auth/totp').set('Authorization', `Bearer ${adminToken}`).send(body);
+    // Back to a policy that allows the app, and forget the replayed code above
+    user.role.mfaPolicy = 'EMAIL_OR_TOTP';
+    Object.assign(user, { failedLoginCount: 0, lastFailedLoginAt: null });
+
+    await disable({ password: 'secret-pass' }).expect(400);
+    await disable({ password: 'wrong-pass', code: recoveryCodes[1] }).expect(401);
+    expect(user.failedLoginCount).toBe(1);
+    await disable({ password: 'secret-pass', code: '000000' }).expect(401);
+    expect(user.failedLoginCount).toBe(2);
+    // Backing off after the second failure
+    await disable({ password: 'secret-pass', code: recoveryCodes[1] }).expect(429);
+
+    user.lastFailedLoginAt = new Date(Date.now() - 60 * 1000);
+    await disable({ password: 'secret-pass', code: recoveryCodes[1] }).expect(200);
+    expect(user.totpEnabled).toBe(false);
+    expect(user.failedLoginCount).toBe(0);
+  });
+});
@@ -21,8 +21,14 @@ const { router: supportRouter } = require('./routes/support');
 const { router: publicRouter } = require('./routes/public');
 const { router: bookingRequestsRouter } = require('./routes/bookingRequests');
 const { router: notificationsRouter } = require('./routes/notifications');
+const { router: apiKeysRouter } = require('./routes/apiKeys');
+const { router: branchesRouter } = require('./routes/branches');
+const { router: customerMembersRouter } = require('./routes/customerMembers');
+const { router: customerAddressesRouter } = require('./routes/customerAddresses');
 const { scheduleSupportAutoClose } = require('./jobs/supportAutoClose');
 const { scheduleSupportSlaMonitor } = require('./jobs/supportSlaMonitor');
+const { schedulePaymentReconciliation } = require('./jobs/paymentReconciliation');
+const { syncPermissionCatalog } = require('./lib/permissionCatalog');
 
 function createApp() {
   const app = express();
@@ -98,8 +104,15 @@ function createApp() {
   app.use(cookieParser());
   app.use(morgan(env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 
-  // Basic rate limiting
-  const limiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 200 });
+  // Basic rate limiting. Requests authenticated by an API key are limited per key in authenticate
+  // instead: their hit is taken back once the key has resolved (req.apiKey), so invalid keys and
+  // unauthenticated routes still count against the IP.
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 200,
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req) => Boolean(req.apiKey),
+  });
   app.use(limiter);
 
 
@@ -144,9 +157,13 @@ function createApp() {
   // This allows frontend to call /admin/... while keeping /auth/... for auth endpoints
   app.use('/', authRouter);
 
+  app.use('/customers/me', customerMembersRouter);
+  app.use('/customers', customerAddressesRouter);
   app.use('/customers', customersRouter);
   app.use('/shipments', shipmentsRouter);
   app.use('/invoices', invoicesRouter);
+  app.use('/api-keys', apiKeysRouter);
+  app.use('/branches', branchesRouter);
   app.use('/staff', staffRouter);
   app.use('/booking-requests', bookingRequestsRouter);
   // Support routes
@@ -158,6 +175,13 @@ function createApp() {
   if (env.NODE_ENV !== 'test') {
     scheduleSupportAutoClose();
     scheduleSupportSlaMonitor();
+    schedulePaymentReconciliation();
+    // Keep the Permission table in line with the declared catalog so new checks never lock admins out
+    if (process.env.PERMISSIONS_SYNC_ON_START !== 'false') {
+      syncPermissionCatalog()
+        .then((summary) => console.log('[rbac] permission catalog synced', summary))
+        .catch((e) => console.error('[rbac] permission catalog sync failed:', e?.message || e));
+    }
   }
 
   // Authenticated payments routes
@@ -0,0 +1,165 @@
+const cron = require('node-cron');
+const { prisma } = require('../lib/prisma');
+const { logAudit } = require('../lib/audit');
+const { settlePendingPayment } = require('../lib/payments');
+const clickpesa = require('../services/clickpesa');
+
+let reconcileScheduled = false;
+let reconcileLastRunAt = null;
+let reconcileBacklog = null;
+let reconcileLastErrors = null;
+let reconcileRunning = false;
+
+function getReconcileConfig() {
+  const ageMinutes = parseInt(process.env.PAYMENT_RECONCILE_AGE_MINUTES || '15', 10);
+  const batchSize = parseInt(process.env.PAYMENT_RECONCILE_BATCH_SIZE || '50', 10);
+  const maxAgeHours = parseInt(process.env.PAYMENT_RECONCILE_MAX_AGE_HOURS || '24', 10);
+  return {
+    ageMinutes: Number.isFinite(ageMinutes) && ageMinutes > 0 ? ageMinutes : 15,
+    batchSize: Number.isFinite(batchSize) && batchSize > 0 ? batchSize : 50,
+    maxAgeHours: Number.isFinite(maxAgeHours) && maxAgeHours > 0 ? maxAgeHours : 24,
+  };
+}
+
+// Audit rows need a real user; use the configured system actor, else the oldest active admin
+async function resolveAuditActorId() {
+  if (process.env.PAYMENT_RECONCILE_ACTOR_ID) return process.env.PAYMENT_RECONCILE_ACTOR_ID;
+  const admin = await prisma.user.findFirst({
+    where: { status: 'ACTIVE', role: { name: 'ADMIN' } },
+    orderBy: { createdAt: 'asc' },
+    select: { id: true },
+  });
+  return admin?.id || null;
+}
+
+async function markReconcileAttempt(paymentId) {
+  await prisma.payment.updateMany({
+    where: { id: paymentId, status: 'pending' },
+    data: { lastReconciledAt: new Date(), reconcileAttempts: { increment: 1 } },
+  });
+}
+
+async function reconcilePayment(payment, summary, actorId, expireBefore) {
+  let providerResponse;
+  let outcome = 'pending';
+  let checkFailed = false;
+  try {
+    providerResponse = await clickpesa.checkPaymentStatus(payment.orderReference);
+    outcome = clickpesa.mapPaymentStatus(providerResponse);
+  } catch (e) {
+    checkFailed = true;
+    summary.errors++;
+    console.error(`[payment-reconcile] Status check failed for ${payment.orderReference}:`, e?.message || e);
+  }
+
+  // Give up on payments the provider never resolved, so the backlog can drain
+  const expired = outcome === 'pending' && payment.createdAt < expireBefore;
+  if (expired) outcome = 'failed';
+
+  if (outcome === 'pending') {
+    if (!checkFailed) summary.stillPending++;
+    await markReconcileAttempt(payment.id);
+    return;
+  }
+
+  const { changed, invoice } = await settlePendingPayment(payment.id, outcome, {
+    transactionId: providerResponse ? clickpesa.extractTransactionId(providerResponse) : undefined,
+    providerResponse: providerResponse ?? { expired: true },
+  });
+  if (!changed) return;
+
+  summary[expired ? 'expired' : outcome]++;
+  await logAudit(null, {
+    action: outcome === 'completed' ? 'PAYMENT_COMPLETE' : 'PAYMENT_FAIL',
+    entityType: 'Payment',
+    entityId: payment.id,
+    details: {
+      source: 'reconciliation',
+      reason: expired ? 'expired' : undefined,
+      invoiceId: payment.invoiceId,
+      invoiceNumber: payment.invoice?.invoiceNumber,
+      orderReference: payment.orderReference,
+      amount: Number(payment.amount),
+      balanceAmount: invoice ? Number(invoice.balanceAmount) : undefined,
+    },
+  }, { actorId });
+}
+
+async function reconcilePendingPayments() {
+  if (reconcileRunning) return null;
+  reconcileRunning = true;
+
+  const { ageMinutes, batchSize, maxAgeHours } = getReconcileConfig();
+  const cutoff = new Date(Date.now() - ageMinutes * 60 * 1000);
+  const expireBefore = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000);
+  const where = { status: 'pending', orderReference: { not: null }, createdAt: { lt: cutoff } };
+  const summary = { checked: 0, completed: 0, failed: 0, expired: 0, stillPending: 0, errors: 0 };
+
+  try {
+    // Least recently checked first (never-checked rows sort first), so rows the
+    // provider keeps reporting as pending rotate to the back of the queue
+    const payments = await prisma.payment.findMany({
+      where,
+      orderBy: [{ lastReconciledAt: 'asc' }, { createdAt: 'asc' }],
+      take: batchSize,
+      include: { invoice: { select: { invoiceNumber: true } } },
+    });
+
+    const actorId = payments.length ? await resolveAuditActorId() : null;
+
+    for (const payment of payments) {
+      summary.checked++;
+      // One payment failing (provider down, DB error) must not stop the rest of the batch
+      try {
+        await reconcilePayment(payment, summary, actorId, expireBefore);
+      } catch (e) {
+        summary.errors++;
+        console.error(`[payment-reconcile] Failed to reconcile ${payment.orderReference}:`, e?.message || e);
+        await markReconcileAttempt(payment.id).catch(() => {});
+      }
+    }
+
+    reconcileBacklog = await prisma.payment.count({ where });
+    if (summary.completed || summary.failed || summary.expired || summary.errors) {
+      console.log(`[payment-reconcile] Checked ${summary.checked}: ${summary.completed} completed, ${summary.failed} failed, ${summary.expired} expired, ${summary.errors} error(s); backlog ${reconcileBacklog}`);
+    }
+    return summary;
+  } catch (e) {
+    summary.errors++;
+    console.error('[payment-reconcile] Failed to reconcile pending payments', e);
+    return null;
+  } finally {
+    reconcileLastRunAt = new Date();
+    reconcileLastErrors = summary.errors;
+    reconcileRunning = false;
+  }
+}
+
+function schedulePaymentReconciliation() {
+  const cronExprRaw = process.env.PAYMENT_RECONCILE_CRON || '*/5 * * * *'; // every 5 minutes
+  const cronExpr = String(cronExprRaw).trim().replace(/^"|"$/g, '');
+  if (!cron.validate(cronExpr)) {
+    console.error('[payment-reconcile] invalid cron expression, skipping schedule:', cronExpr);
+    return;
+  }
+
+  reconcileScheduled = true;
+
+  cron.schedule(cronExpr, reconcilePendingPayments);
+}
+
+// Read through a function so /health sees values updated after module load
+function getPaymentReconciliationStatus() {
+  return {
+    scheduled: reconcileScheduled,
+    lastRunAt: reconcileLastRunAt,
+    backlog: reconcileBacklog,
+    errors: reconcileLastErrors,
+  };
+}
+
+module.exports = {
+  schedulePaymentReconciliation,
+  reconcilePendingPayments,
+  getPaymentReconciliationStatus
+};
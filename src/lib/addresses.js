@@ -0,0 +1,64 @@
+const { prisma } = require('./prisma');
+
+/**
+ * Address rules shared by shipments, booking requests and the customer address book.
+ * Shipments keep their addresses in flat origin and dest columns. A saved CustomerAddress is
+ * copied into those columns when a shipment is created, so editing or deleting it later does not
+ * change existing shipments.
+ */
+
+// Countries that have states/provinces (must match frontend)
+const countriesWithState = new Set(['US','CA','AU','IN','MX','BR','CN','RU','NG','ZA']);
+
+function isStateMissing(country, state) {
+  if (!countriesWithState.has(country)) return false;
+  return !state || state.trim() === '' || state === '-';
+}
+
+// Countries without states store '-'
+function normalizeState(country, state) {
+  return countriesWithState.has(country) ? state : '-';
+}
+
+// Shipment columns for one side ('origin' or 'dest') copied from a saved address
+function addressSnapshot(address, side) {
+  return {
+    [`${side}Street`]: address.street,
+    [`${side}City`]: address.city,
+    [`${side}State`]: address.state,
+    [`${side}Zip`]: address.zipCode,
+    [`${side}Country`]: address.country,
+    [`${side}ContactName`]: address.contactName,
+    [`${side}ContactPhone`]: address.contactPhone,
+  };
+}
+
+/**
+ * Shipment columns from the customer's saved addresses. Returns { fields } or { error } when an
+ * id does not name one of this customer's addresses.
+ */
+async function snapshotSavedAddresses(customerId, { originAddressId, destAddressId }) {
+  const ids = [originAddressId, destAddressId].filter(Boolean);
+  if (ids.length === 0) return { fields: {} };
+
+  const saved = await prisma.customerAddress.findMany({ where: { id: { in: ids }, customerId } });
+  const byId = new Map(saved.map((a) => [a.id, a]));
+  const fields = {};
+  if (originAddressId) {
+    if (!byId.has(originAddressId)) return { error: 'Origin address not found' };
+    Object.assign(fields, addressSnapshot(byId.get(originAddressId), 'origin'));
+  }
+  if (destAddressId) {
+    if (!byId.has(destAddressId)) return { error: 'Destination address not found' };
+    Object.assign(fields, addressSnapshot(byId.get(destAddressId), 'dest'));
+  }
+  return { fields };
+}
+
+module.exports = {
+  countriesWithState,
+  isStateMissing,
+  normalizeState,
+  addressSnapshot,
+  snapshotSavedAddresses,
+};
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const { prisma } = require('./prisma');
+
+/**
+ * Customer API keys for programmatic access (e.g. a business customer's ERP).
+ *
+ * A key looks like `rtx_<prefix>_<secret>`. The prefix is stored in clear so keys can be told
+ * apart in listings and looked up; only a sha256 hash of the whole key is kept. A key acts as
+ * the customer's owner with role CUSTOMER, so the usual customer data scoping applies, and it is
+ * further limited to the endpoints covered by its scopes (see API_KEY_ROUTES).
+ */
+const KEY_PREFIX = 'rtx';
+const API_KEY_SCOPES = ['shipments:read', 'shipments:create', 'invoices:read'];
+
+// Endpoints an API key may call, matched on mount path + route path
+const API_KEY_ROUTES = [
+  { method: 'GET', path: /^\/shipments\/?$/, scope: 'shipments:read' },
+  { method: 'GET', path: /^\/shipments\/status-transitions\/?$/, scope: 'shipments:read' },
+  // Any id except /shipments/test, the debug route that echoes the caller
+  { method: 'GET', path: /^\/shipments\/(?!test\/?$)[^/]+\/?$/, scope: 'shipments:read' },
+  { method: 'GET', path: /^\/shipments\/[^/]+\/pod\/?$/, scope: 'shipments:read' },
+  { method: 'POST', path: /^\/shipments\/?$/, scope: 'shipments:create' },
+  { method: 'GET', path: /^\/invoices\/?$/, scope: 'invoices:read' },
+  { method: 'GET', path: /^\/invoices\/[^/]+\/?$/, scope: 'invoices:read' },
+  { method: 'GET', path: /^\/invoices\/[^/]+\/pdf\/?$/, scope: 'invoices:read' },
+];
+
+// Don't write lastUsedAt on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+function defaultRateLimit() {
+  const n = Number(process.env.API_KEY_RATE_LIMIT);
+  return Number.isFinite(n) && n > 0 ? n : 60;
+}
+
+function generateApiKey() {
+  const prefix = `${KEY_PREFIX}_${crypto.randomBytes(6).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { prefix, key, keyHash: hashKey(key) };
+}
+
+// Key from `X-API-Key` or `Authorization: Bearer rtx_...`
+function extractApiKey(req) {
+  const header = req.headers['x-api-key'];
+  if (header) return String(header).trim();
+  const auth = req.headers.authorization;
+  if (auth && auth.startsWith(`Bearer ${KEY_PREFIX}_`)) return auth.substring('Bearer '.length).trim();
+  return null;
+}
+
+function requiredScope(req) {
+  const path = `${req.baseUrl || ''}${req.path || ''}`;
+  const route = API_KEY_ROUTES.find((r) => r.method === req.method && r.path.test(path));
+  return route ? route.scope : null;
+}
+
+/**
+ * Resolve a presented key. Returns { status: 'ok', apiKey } or
+ * { status: 'invalid' | 'revoked' | 'expired' | 'inactive' }.
+ */
+async function resolveApiKey(key) {
+  const match = /^(rtx_[0-9a-f]{12})_[A-Za-z0-9_-]+$/.exec(String(key || ''));
+  if (!match) return { status: 'invalid' };
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { prefix: match[1] },
+    include: { customer: { select: { id: true, ownerId: true, type: true, status: true, owner: { select: { status: true } } } } },
+  });
+  if (!apiKey) return { status: 'invalid' };
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const actual = Buffer.from(hashKey(key), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return { status: 'invalid' };
+  if (apiKey.revokedAt) return { status: 'revoked' };
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() <= Date.now()) return { status: 'expired' };
+  const { customer } = apiKey;
+  if (!customer || customer.type !== 'BUSINESS' || customer.status !== 'ACTIVE' || !customer.ownerId || customer.owner?.status !== 'ACTIVE') {
+    return { status: 'inactive' };
+  }
+  return { status: 'ok', apiKey };
+}
+
+// Best-effort; a failed write must not fail the request
+function touchApiKey(apiKey, ip) {
+  if (apiKey.lastUsedAt && Date.now() - new Date(apiKey.lastUsedAt).getTime() < LAST_USED_RESOLUTION_MS) return;
+  prisma.apiKey.update({ where: { id: apiKey.id }, data: { lastUsedAt: new Date(), lastUsedIp: ip || null } })
+    .catch((e) => console.error('[api-keys] failed to record usage:', e?.message || e));
+}
+
+// Per-key limit; runs after the key is resolved so req.apiKey is set
+const apiKeyRateLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey?.rateLimitPerMinute || defaultRateLimit(),
+  keyGenerator: (req) => `api-key:${req.apiKey?.id}`,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'API key rate limit exceeded' },
+});
+
+// Fields safe to return to the key's owner or staff
+function toApiKeyResponse(apiKey) {
+  return {
+    id: apiKey.id,
+    customerId: apiKey.customerId,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    rateLimitPerMinute: apiKey.rateLimitPerMinute ?? null,
+    expiresAt: apiKey.expiresAt ?? null,
+    lastUsedAt: apiKey.lastUsedAt ?? null,
+    lastUsedIp: apiKey.lastUsedIp ?? null,
+    revokedAt: apiKey.revokedAt ?? null,
+    createdAt: apiKey.createdAt,
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_ROUTES,
+  hashKey,
+  defaultRateLimit,
+  generateApiKey,
+  extractApiKey,
+  requiredScope,
+  resolveApiKey,
+  touchApiKey,
+  apiKeyRateLimiter,
+  toApiKeyResponse
+};
@@ -16,7 +16,8 @@ async function logAudit(req, payload, opts = {}) {
   try {
     if (!payload || !payload.action || !payload.entityType) return false;
 
-    const actorId = String(opts.actorId || (req && req.user && req.user.sub) || '') || null;
+    // Under impersonation the real actor is the staff member, not the impersonated user
+    const actorId = String(opts.actorId || (req && req.user && (req.user.impersonatorId || req.user.sub)) || '') || null;
     if (!actorId) {
       // No actor available; skip to avoid FK violation
       return false;
@@ -27,6 +28,10 @@ async function logAudit(req, payload, opts = {}) {
       meta.ip = (req && (req.ip || (req.headers && (req.headers['x-forwarded-for'] || req.headers['x-real-ip'])))) || undefined;
       meta.userAgent = req && req.headers ? req.headers['user-agent'] : undefined;
       meta.requestId = req && req.id ? req.id : undefined;
+      // Requests made with a customer API key are attributed to the key as well as its owner
+      meta.apiKeyId = req && req.user && req.user.apiKeyId ? req.user.apiKeyId : undefined;
+      meta.impersonatedUserId = req && req.user && req.user.impersonatorId ? req.user.sub : undefined;
+      meta.impersonationId = req && req.user && req.user.impersonationId ? req.user.impersonationId : undefined;
       // If the app attaches correlation id differently, add it here
     } catch (_) {}
 
@@ -0,0 +1,130 @@
+const { prisma } = require('./prisma');
+
+/**
+ * Branch (hub) helpers. A shipment belongs to the branches serving its origin and destination
+ * cities; a customer to its home branch or any branch handling one of its shipments. The
+ * *BranchWhere builders return Prisma filters for branch-scoped staff (see resolveAccess).
+ */
+
+function normalizeCity(city) {
+  return String(city || '').trim().toLowerCase();
+}
+
+function branchCities(branch) {
+  return Array.isArray(branch.cities) ? branch.cities.map(normalizeCity).filter(Boolean) : [];
+}
+
+// Active branch serving `city`, from a preloaded list
+function matchBranch(branches, city) {
+  const wanted = normalizeCity(city);
+  if (!wanted) return null;
+  return branches.find((b) => b.isActive && branchCities(b).includes(wanted)) || null;
+}
+
+async function findBranchForCity(city) {
+  if (!normalizeCity(city)) return null;
+  const branches = await prisma.branch.findMany({ where: { isActive: true } });
+  return matchBranch(branches, city);
+}
+
+// originBranchId/destBranchId for a shipment's cities (null where no branch serves the city)
+async function assignShipmentBranches({ originCity, destCity }) {
+  const branches = await prisma.branch.findMany({ where: { isActive: true } });
+  return {
+    originBranchId: matchBranch(branches, originCity)?.id || null,
+    destBranchId: matchBranch(branches, destCity)?.id || null,
+  };
+}
+
+function shipmentBranchWhere(branchId) {
+  return { OR: [{ originBranchId: branchId }, { destBranchId: branchId }] };
+}
+
+function customerBranchWhere(branchId) {
+  return { OR: [{ branchId }, { shipments: { some: shipmentBranchWhere(branchId) } }] };
+}
+
+function invoiceBranchWhere(branchId) {
+  return { OR: [{ customer: { branchId } }, { shipments: { some: shipmentBranchWhere(branchId) } }] };
+}
+
+// Tickets from the branch's customers, plus those the user raised or is assigned
+function ticketBranchWhere(branchId, userId) {
+  return {
+    OR: [
+      { customer: customerBranchWhere(branchId) },
+      { assignedToUserId: userId },
+      { requesterUserId: userId },
+    ],
+  };
+}
+
+function shipmentInBranch(shipment, branchId) {
+  return shipment.originBranchId === branchId || shipment.destBranchId === branchId;
+}
+
+const BACKFILL_BATCH = 500;
+
+/**
+ * Assign branches to shipments and customers that have none yet (e.g. created before their
+ * city's branch existed). Existing assignments are left alone. Returns the number updated.
+ */
+async function backfillBranches() {
+  const branches = await prisma.branch.findMany({ where: { isActive: true } });
+  let shipments = 0;
+  let customers = 0;
+
+  // Page by id rather than a Prisma cursor: the last row of a batch has usually just been
+  // assigned and no longer matches the filter, so it cannot serve as a cursor
+  let cursor;
+  for (;;) {
+    const batch = await prisma.shipment.findMany({
+      where: { OR: [{ originBranchId: null }, { destBranchId: null }], ...(cursor ? { id: { gt: cursor } } : {}) },
+      select: { id: true, originCity: true, destCity: true, originBranchId: true, destBranchId: true },
+      orderBy: { id: 'asc' },
+      take: BACKFILL_BATCH,
+    });
+    for (const s of batch) {
+      const originBranchId = s.originBranchId || matchBranch(branches, s.originCity)?.id || null;
+      const destBranchId = s.destBranchId || matchBranch(branches, s.destCity)?.id || null;
+      if (originBranchId === s.originBranchId && destBranchId === s.destBranchId) continue;
+      await prisma.shipment.update({ where: { id: s.id }, data: { originBranchId, destBranchId } });
+      shipments += 1;
+    }
+    if (batch.length < BACKFILL_BATCH) break;
+    cursor = batch[batch.length - 1].id;
+  }
+
+  const unassigned = await prisma.customer.findMany({ where: { branchId: null, city: { not: null } }, select: { id: true, city: true } });
+  for (const c of unassigned) {
+    const branch = matchBranch(branches, c.city);
+    if (!branch) continue;
+    await prisma.customer.update({ where: { id: c.id }, data: { branchId: branch.id } });
+    customers += 1;
+  }
+
+  return { shipments, customers };
+}
+
+async function customerInBranch(customerId, branchId) {
+  return (await prisma.customer.count({ where: { id: customerId, ...customerBranchWhere(branchId) } })) > 0;
+}
+
+async function invoiceInBranch(invoiceId, branchId) {
+  return (await prisma.invoice.count({ where: { id: invoiceId, ...invoiceBranchWhere(branchId) } })) > 0;
+}
+
+module.exports = {
+  normalizeCity,
+  matchBranch,
+  findBranchForCity,
+  assignShipmentBranches,
+  shipmentBranchWhere,
+  customerBranchWhere,
+  invoiceBranchWhere,
+  ticketBranchWhere,
+  shipmentInBranch,
+  backfillBranches,
+  customerInBranch,
+  invoiceInBranch,
+};
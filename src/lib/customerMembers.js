@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { prisma } = require('./prisma');
+
+/**
+ * Customer account membership. The primary owner is Customer.ownerId; everyone else joins by
+ * invitation as a CustomerMember with one of the roles below. Customer-scoped routes resolve
+ * the signed-in user's account and role with findMembership() (via resolveAccess), and the role
+ * decides which of the customer-facing actions they may take.
+ */
+const MEMBER_ROLES = ['OWNER', 'SHIPPER', 'BILLING', 'VIEWER'];
+
+// What each member role may do on its own account. Names match the staff permissions the same
+// routes check, plus members:manage (team and invitations), api_keys:manage and addresses:manage
+// (the saved address book).
+const MEMBER_PERMISSIONS = {
+  OWNER: [
+    'shipments:read', 'shipments:create', 'invoices:read', 'invoices:record_payment', 'payments:read',
+    'support:read', 'support:create', 'members:manage', 'api_keys:manage', 'addresses:manage',
+  ],
+  SHIPPER: ['shipments:read', 'shipments:create', 'support:read', 'support:create', 'addresses:manage'],
+  BILLING: ['shipments:read', 'invoices:read', 'invoices:record_payment', 'payments:read', 'support:read', 'support:create'],
+  VIEWER: ['shipments:read', 'invoices:read', 'payments:read', 'support:read'],
+};
+
+function memberCan(role, perm) {
+  return (MEMBER_PERMISSIONS[role] || []).includes(perm);
+}
+
+/**
+ * The customer account a user belongs to: { customer, role, primary } or null.
+ * `primary` marks the account's original owner (Customer.ownerId), who cannot be removed.
+ */
+async function findMembership(userId) {
+  const owned = await prisma.customer.findFirst({ where: { ownerId: userId } });
+  if (owned) return { customer: owned, role: 'OWNER', primary: true };
+  const member = await prisma.customerMember.findUnique({ where: { userId }, include: { customer: true } });
+  return member ? { customer: member.customer, role: member.role, primary: false } : null;
+}
+
+function invitationTtlDays() {
+  const n = Number(process.env.CUSTOMER_INVITE_TTL_DAYS);
+  return Number.isFinite(n) && n > 0 ? n : 7;
+}
+
+function hashInviteToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateInviteToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashInviteToken(token) };
+}
+
+function invitationStatus(invitation, now = new Date()) {
+  if (invitation.acceptedAt) return 'ACCEPTED';
+  if (invitation.revokedAt) return 'REVOKED';
+  if (invitation.expiresAt < now) return 'EXPIRED';
+  return 'PENDING';
+}
+
+function toInvitationResponse(invitation) {
+  const { tokenHash, ...rest } = invitation;
+  return { ...rest, status: invitationStatus(invitation) };
+}
+
+module.exports = {
+  MEMBER_ROLES,
+  MEMBER_PERMISSIONS,
+  memberCan,
+  findMembership,
+  invitationTtlDays,
+  hashInviteToken,
+  generateInviteToken,
+  invitationStatus,
+  toInvitationResponse,
+};
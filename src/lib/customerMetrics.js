@@ -0,0 +1,115 @@
+const { prisma } = require('./prisma');
+
+/**
+ * Customer.totalOrders / totalSpent / averageOrderValue.
+ *
+ * Orders are the customer's shipments that are not cancelled; spend is the paidAmount of their
+ * invoices, which recalculateInvoiceBalance keeps net of refunds and voids. Amounts in different
+ * currencies cannot be added up, so spend only counts invoices in the customer's
+ * preferredCurrency; invoices in other currencies are left out rather than converted. The columns are
+ * recomputed from those rows rather than incremented, so a refresh is idempotent and concurrent
+ * updates converge. `npm run customers:metrics` recomputes every customer.
+ */
+
+const roundMoney = (n) => Math.round(n * 100) / 100;
+
+function metricsFrom(orders, spent) {
+  return {
+    totalOrders: orders,
+    totalSpent: roundMoney(spent),
+    averageOrderValue: orders > 0 ? roundMoney(spent / orders) : 0,
+  };
+}
+
+const orderWhere = { status: { not: 'Cancelled' } };
+
+async function recalculateCustomerMetrics(customerId) {
+  const customer = await prisma.customer.findUnique({ where: { id: customerId }, select: { preferredCurrency: true } });
+  if (!customer) return null;
+  const [orders, sums] = await Promise.all([
+    prisma.shipment.count({ where: { customerId, ...orderWhere } }),
+    prisma.invoice.aggregate({ _sum: { paidAmount: true }, where: { customerId, currency: customer.preferredCurrency } }),
+  ]);
+  const spent = Number(sums._sum.paidAmount ?? 0);
+  return prisma.customer.update({ where: { id: customerId }, data: metricsFrom(orders, spent) });
+}
+
+// For hooks on shipment and payment changes: a failure is logged, not surfaced, because the
+// change itself has already been saved and the recompute command repairs any drift
+async function refreshCustomerMetrics(customerId) {
+  if (!customerId) return;
+  try {
+    await recalculateCustomerMetrics(customerId);
+  } catch (e) {
+    console.error(`Failed to refresh metrics for customer ${customerId}:`, e);
+  }
+}
+
+// Recompute every customer, in batches; returns the number of customers updated
+async function recalculateAllCustomerMetrics() {
+  let updated = 0;
+  let cursor;
+  for (;;) {
+    const batch = await prisma.customer.findMany({
+      select: { id: true },
+      orderBy: { id: 'asc' },
+      take: 500,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+    if (batch.length === 0) break;
+    for (const c of batch) {
+      await recalculateCustomerMetrics(c.id);
+      updated++;
+    }
+    cursor = batch[batch.length - 1].id;
+  }
+  return updated;
+}
+
+/**
+ * Orders and spend since `since`, per customer: Map customerId → { totalOrders, totalSpent,
+ * averageOrderValue }. Orders count from when the shipment was created. Spend is attributed to
+ * the invoice's issue date, not to when it was paid: an invoice issued in the window counts with
+ * everything paid on it so far, and a payment in the window on an older invoice does not count.
+ * As for the lifetime columns, only invoices in the customer's preferredCurrency count.
+ * Customers without activity in the window are absent.
+ */
+async function metricsSince(since) {
+  const [orderCounts, invoiceSums] = await Promise.all([
+    prisma.shipment.groupBy({
+      by: ['customerId'],
+      where: { ...orderWhere, createdAt: { gte: since } },
+      _count: { _all: true },
+    }),
+    prisma.invoice.groupBy({
+      by: ['customerId', 'currency'],
+      where: { issueDate: { gte: since } },
+      _sum: { paidAmount: true },
+    }),
+  ]);
+  const currencies = invoiceSums.length
+    ? await prisma.customer.findMany({
+      where: { id: { in: [...new Set(invoiceSums.map((row) => row.customerId))] } },
+      select: { id: true, preferredCurrency: true },
+    })
+    : [];
+  const preferred = new Map(currencies.map((c) => [c.id, c.preferredCurrency]));
+  const spendSums = invoiceSums.filter((row) => row.currency === preferred.get(row.customerId));
+
+  const totals = new Map();
+  const entry = (customerId) => {
+    if (!totals.has(customerId)) totals.set(customerId, { orders: 0, spent: 0 });
+    return totals.get(customerId);
+  };
+  for (const row of orderCounts) entry(row.customerId).orders = row._count._all;
+  for (const row of spendSums) entry(row.customerId).spent = Number(row._sum.paidAmount ?? 0);
+
+  return new Map([...totals].map(([id, t]) => [id, metricsFrom(t.orders, t.spent)]));
+}
+
+module.exports = {
+  recalculateCustomerMetrics,
+  refreshCustomerMetrics,
+  recalculateAllCustomerMetrics,
+  metricsSince,
+};
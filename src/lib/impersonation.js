@@ -0,0 +1,72 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { logAudit } = require('./audit');
+
+/**
+ * "View as customer" for support staff.
+ *
+ * POST /admin/users/:id/impersonate issues a short-lived access token whose `sub` is the
+ * customer, so every route scopes data exactly as it would for them, and whose `imp` claim
+ * names the real actor. The token also carries the actor's own session id, so signing out (or
+ * being suspended) ends the impersonation. Impersonated requests are read-only and each one is
+ * written to the audit log under the real actor.
+ */
+function impersonationTtlMinutes() {
+  const n = Number(process.env.IMPERSONATION_TTL_MINUTES);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, 60) : 15;
+}
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function signImpersonationToken({ actor, target, role, reason }) {
+  const ttlMinutes = impersonationTtlMinutes();
+  const imp = { actorId: actor.sub, id: crypto.randomUUID(), reason };
+  const token = jwt.sign(
+    { sub: target.id, role, imp, ...(actor.sid ? { sid: actor.sid } : {}) },
+    process.env.JWT_ACCESS_SECRET,
+    { expiresIn: ttlMinutes * 60 }
+  );
+  return { token, impersonationId: imp.id, expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000) };
+}
+
+// req.user for an impersonation token: the customer, flagged with the real actor
+function impersonatedUser(payload) {
+  return {
+    sub: payload.sub,
+    role: payload.role,
+    sid: payload.sid,
+    impersonatorId: payload.imp.actorId,
+    impersonationId: payload.imp.id,
+  };
+}
+
+function isReadOnlyRequest(req) {
+  return READ_METHODS.includes(req.method);
+}
+
+// One audit entry per impersonated request, attributed to the real actor once the response is sent
+function auditImpersonatedRequest(req, res) {
+  if (req.impersonationAudited) return;
+  req.impersonationAudited = true;
+  res.on('finish', () => {
+    logAudit(req, {
+      action: 'IMPERSONATION_REQUEST',
+      entityType: 'User',
+      entityId: req.user.sub,
+      details: {
+        impersonatedUserId: req.user.sub,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+      },
+    }, { actorId: req.user.impersonatorId });
+  });
+}
+
+module.exports = {
+  impersonationTtlMinutes,
+  signImpersonationToken,
+  impersonatedUser,
+  isReadOnlyRequest,
+  auditImpersonatedRequest,
+};
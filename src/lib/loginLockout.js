@@ -0,0 +1,145 @@
+const { prisma } = require('./prisma');
+
+/**
+ * Brute-force protection for password and second-factor checks.
+ *
+ * Failures are counted per account (User.failedLoginCount) and per client IP (LoginThrottle).
+ * From the second consecutive failure on an account (and from half the IP threshold, since
+ * many users can share an address) the next attempt must wait an exponentially growing
+ * delay; reaching the threshold locks the account (or blocks the IP) for a fixed period.
+ * Counters restart once the failure window passes without a new failure, and the account
+ * counter is cleared by a completed sign-in.
+ */
+function getLockoutConfig() {
+  const num = (name, fallback) => {
+    const n = Number(process.env[name]);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+  return {
+    accountThreshold: num('LOGIN_LOCKOUT_THRESHOLD', 5),
+    lockMinutes: num('LOGIN_LOCKOUT_MINUTES', 15),
+    ipThreshold: num('LOGIN_IP_THRESHOLD', 20),
+    ipBlockMinutes: num('LOGIN_IP_BLOCK_MINUTES', 15),
+    windowMinutes: num('LOGIN_FAILURE_WINDOW_MINUTES', 15),
+    maxBackoffSeconds: num('LOGIN_MAX_BACKOFF_SECONDS', 60),
+  };
+}
+
+// No delay for the first `free` failures, then 2s, 4s, 8s ... capped
+function backoffSeconds(failures, config, free = 1) {
+  if (failures <= free) return 0;
+  return Math.min(2 ** (failures - free), config.maxBackoffSeconds);
+}
+
+// Failures that still count: the last one is inside the failure window
+function activeFailures(count, lastFailureAt, now, config) {
+  if (!count || !lastFailureAt) return 0;
+  return now - new Date(lastFailureAt).getTime() > config.windowMinutes * 60 * 1000 ? 0 : count;
+}
+
+function waitFor(count, lastFailureAt, blockedUntil, now, config, free) {
+  if (blockedUntil && new Date(blockedUntil).getTime() > now) {
+    return { blocked: true, retryAfter: Math.ceil((new Date(blockedUntil).getTime() - now) / 1000) };
+  }
+  const failures = activeFailures(count, lastFailureAt, now, config);
+  const readyAt = lastFailureAt ? new Date(lastFailureAt).getTime() + backoffSeconds(failures, config, free) * 1000 : 0;
+  return { blocked: false, retryAfter: readyAt > now ? Math.ceil((readyAt - now) / 1000) : 0 };
+}
+
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+/**
+ * Whether a credential check may run now. `user` needs failedLoginCount, lastFailedLoginAt
+ * and lockedUntil. Returns { allowed: true } or { allowed: false, status, retryAfter, reason }
+ * where status is 423 for a locked account and 429 for backoff or a blocked IP.
+ */
+async function checkLoginAllowed({ user, ip }) {
+  const config = getLockoutConfig();
+  const now = Date.now();
+
+  const throttle = await prisma.loginThrottle.findUnique({ where: { key: ipKey(ip) } });
+  if (throttle) {
+    const wait = waitFor(throttle.failures, throttle.lastFailureAt, throttle.blockedUntil, now, config, Math.floor(config.ipThreshold / 2));
+    if (wait.retryAfter > 0) return { allowed: false, status: 429, retryAfter: wait.retryAfter, reason: wait.blocked ? 'ip_blocked' : 'ip_backoff' };
+  }
+
+  if (user) {
+    const wait = waitFor(user.failedLoginCount, user.lastFailedLoginAt, user.lockedUntil, now, config, 1);
+    if (wait.blocked) return { allowed: false, status: 423, retryAfter: wait.retryAfter, reason: 'account_locked', lockedUntil: user.lockedUntil };
+    if (wait.retryAfter > 0) return { allowed: false, status: 429, retryAfter: wait.retryAfter, reason: 'account_backoff' };
+  }
+  return { allowed: true };
+}
+
+// Creating the same throttle row from two requests at once loses one insert; the retry increments it
+async function bumpThrottle(key, now) {
+  const args = {
+    where: { key },
+    update: { failures: { increment: 1 }, lastFailureAt: now },
+    create: { key, failures: 1, lastFailureAt: now },
+  };
+  try {
+    return await prisma.loginThrottle.upsert(args);
+  } catch (e) {
+    if (e?.code !== 'P2002') throw e;
+    return prisma.loginThrottle.upsert(args);
+  }
+}
+
+/**
+ * Count a failed password or second-factor check. Returns { locked, lockedUntil } where
+ * `locked` is true only for the failure that triggered a new account lock.
+ *
+ * Counters are incremented in the database and the lock decided from the returned row,
+ * so concurrent failures cannot overwrite each other's count.
+ */
+async function recordLoginFailure({ user, ip }) {
+  const config = getLockoutConfig();
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - config.windowMinutes * 60 * 1000);
+  const key = ipKey(ip);
+
+  // Failures from before the window no longer count
+  await prisma.loginThrottle.updateMany({ where: { key, lastFailureAt: { lt: windowStart } }, data: { failures: 0 } });
+  const throttle = await bumpThrottle(key, now);
+  if (throttle.failures >= config.ipThreshold) {
+    await prisma.loginThrottle.update({
+      where: { key },
+      data: { blockedUntil: new Date(now.getTime() + config.ipBlockMinutes * 60 * 1000) },
+    });
+  }
+
+  if (!user) return { locked: false };
+
+  await prisma.user.updateMany({ where: { id: user.id, lastFailedLoginAt: { lt: windowStart } }, data: { failedLoginCount: 0 } });
+  const { failedLoginCount: failures } = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: { increment: 1 }, lastFailedLoginAt: now },
+    select: { failedLoginCount: true },
+  });
+  if (failures < config.accountThreshold) return { locked: false, lockedUntil: null, failures };
+
+  // The counter restarts after a lock so the next lock needs a full set of failures again;
+  // only the request whose reset wins reports the new lock
+  const lockedUntil = new Date(now.getTime() + config.lockMinutes * 60 * 1000);
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, failedLoginCount: { gte: config.accountThreshold } },
+    data: { failedLoginCount: 0, lockedUntil },
+  });
+  return { locked: count > 0, lockedUntil, failures };
+}
+
+async function clearLoginFailures(userId) {
+  return prisma.user.update({
+    where: { id: userId },
+    data: { failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null },
+  });
+}
+
+module.exports = {
+  getLockoutConfig,
+  backoffSeconds,
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures
+};
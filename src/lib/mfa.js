@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { prisma } = require('./prisma');
+
+// Role.mfaPolicy -> second factors a member of that role may use
+const MFA_POLICY_METHODS = {
+  EMAIL: ['email'],
+  TOTP: ['totp'],
+  EMAIL_OR_TOTP: ['email', 'totp'],
+};
+
+const RECOVERY_CODE_COUNT = 10;
+
+function allowedMethodsForRole(role) {
+  return MFA_POLICY_METHODS[role?.mfaPolicy] || MFA_POLICY_METHODS.EMAIL_OR_TOTP;
+}
+
+/**
+ * Methods the user can complete a login challenge with right now.
+ * A TOTP-only role whose member has not enrolled yet still gets email codes, flagged with
+ * `totpEnrollmentRequired` so the client sends them to enrollment after sign-in.
+ */
+function challengeMethodsFor(user) {
+  const allowed = allowedMethodsForRole(user.role);
+  const methods = allowed.filter((m) => m !== 'totp' || user.totpEnabled);
+  const totpEnrollmentRequired = allowed.length === 1 && allowed[0] === 'totp' && !user.totpEnabled;
+  if (totpEnrollmentRequired) methods.push('email');
+  if (user.totpEnabled) methods.push('recovery');
+  return { methods, totpEnrollmentRequired };
+}
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+// Replace the user's recovery codes; the plain codes are returned once and never stored
+async function regenerateRecoveryCodes(userId, tx = prisma) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  await tx.recoveryCode.deleteMany({ where: { userId } });
+  await tx.recoveryCode.createMany({ data: codes.map((code) => ({ userId, codeHash: hashRecoveryCode(code) })) });
+  return codes;
+}
+
+// Marks a recovery code used; false if it is unknown or already spent
+async function consumeRecoveryCode(userId, code) {
+  const result = await prisma.recoveryCode.updateMany({
+    where: { userId, codeHash: hashRecoveryCode(code), usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  return result.count > 0;
+}
+
+async function remainingRecoveryCodes(userId) {
+  return prisma.recoveryCode.count({ where: { userId, usedAt: null } });
+}
+
+module.exports = {
+  MFA_POLICY_METHODS,
+  allowedMethodsForRole,
+  challengeMethodsFor,
+  regenerateRecoveryCodes,
+  consumeRecoveryCode,
+  remainingRecoveryCodes
+};
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { prisma } = require('./prisma');
+const { sendPaymentNotification } = require('./notifications');
+const { refreshCustomerMetrics } = require('./customerMetrics');
+
+// Provider order references must be alphanumeric; prefix keeps them recognisable in ClickPesa reports
+function generateOrderReference() {
+  return `RT${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`.toUpperCase();
+}
+
+// Normalize Tanzanian mobile numbers to the 255XXXXXXXXX form expected by ClickPesa
+function normalizePhoneNumber(input) {
+  if (!input) return null;
+  let digits = String(input).replace(/\D/g, '');
+  if (digits.startsWith('0') && digits.length === 10) digits = `255${digits.slice(1)}`;
+  if (digits.length === 9) digits = `255${digits}`;
+  return /^255\d{9}$/.test(digits) ? digits : null;
+}
+
+// Payment statuses whose amount (less refundedAmount) counts towards the invoice
+const SETTLED_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// Recompute paidAmount/balanceAmount/status from the invoice's settled payments net of refunds.
+// A paid invoice that has money refunded or voided is reopened as 'sent'. The customer's
+// lifetime spend follows the invoice.
+async function recalculateInvoiceBalance(invoiceId) {
+  const invoice = await prisma.invoice.findUnique({ where: { id: invoiceId } });
+  if (!invoice) return null;
+
+  const sums = await prisma.payment.aggregate({
+    _sum: { amount: true, refundedAmount: true },
+    where: { invoiceId, status: { in: SETTLED_PAYMENT_STATUSES } }
+  });
+  const newPaid = Number(sums._sum.amount ?? 0) - Number(sums._sum.refundedAmount ?? 0);
+  const newBalance = Number(invoice.totalAmount) - newPaid;
+
+  let status = invoice.status;
+  if (newBalance <= 0) status = 'paid';
+  else if (invoice.status === 'paid') status = 'sent';
+
+  const updated = await prisma.invoice.update({
+    where: { id: invoiceId },
+    data: {
+      paidAmount: newPaid,
+      balanceAmount: newBalance,
+      status
+    }
+  });
+  await refreshCustomerMetrics(updated.customerId);
+  return updated;
+}
+
+/**
+ * Move a pending provider payment to its final state.
+ *
+ * The update is conditional on status = 'pending', so the status poll, the webhook and the
+ * reconciliation job can all race on the same payment and only the first one applies it.
+ * Returns { changed, payment, invoice }; changed=false means the payment was already settled.
+ */
+async function settlePendingPayment(paymentId, outcome, extra = {}) {
+  if (outcome !== 'completed' && outcome !== 'failed') return { changed: false, payment: null, invoice: null };
+
+  const data = { status: outcome };
+  if (outcome === 'completed') data.completedAt = new Date();
+  if (extra.transactionId) data.transactionId = String(extra.transactionId);
+  if (extra.providerResponse !== undefined) data.providerResponse = extra.providerResponse;
+
+  const result = await prisma.payment.updateMany({ where: { id: paymentId, status: 'pending' }, data });
+  const payment = await prisma.payment.findUnique({
+    where: { id: paymentId },
+    include: { invoice: { include: { customer: true } } }
+  });
+  if (!payment || result.count === 0) return { changed: false, payment, invoice: payment?.invoice || null };
+
+  const invoice = outcome === 'completed' ? await recalculateInvoiceBalance(payment.invoiceId) : payment.invoice;
+
+  if (payment.invoice?.customer?.ownerId) {
+    await sendPaymentNotification(
+      payment.invoice.customer.ownerId,
+      Number(payment.amount),
+      outcome,
+      payment.invoice.invoiceNumber,
+      payment.id
+    );
+  }
+
+  return { changed: true, payment, invoice };
+}
+
+module.exports = {
+  SETTLED_PAYMENT_STATUSES,
+  generateOrderReference,
+  normalizePhoneNumber,
+  recalculateInvoiceBalance,
+  settlePendingPayment
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const bwipjs = require('bwip-js');
+
+// Shared branding helpers for generated PDFs (invoices, airwaybills, proof of delivery)
+async function generateBarcode(text) {
+  try {
+    if (!text) return null;
+    const buf = await bwipjs.toBuffer({
+      bcid: 'code128',
+      text,
+      scale: 2,
+      height: 12,
+      includetext: false,
+      backgroundcolor: 'FFFFFF'
+    });
+    return buf;
+  } catch (e) {
+    console.error('Barcode generation error:', e);
+    return null;
+  }
+}
+
+function brandColor() {
+  return process.env.INVOICE_BRAND_COLOR || '#2858B8'; // default RT Express blue from logo
+}
+function isBarcodeEnabled() {
+  const v = (process.env.INVOICE_BARCODE || '').toLowerCase();
+  if (!v) return true; // default on
+  return !['0','false','off','no'].includes(v);
+}
+
+// Helper function to load company logo
+function loadCompanyLogo() {
+  try {
+    // Try multiple possible logo locations and formats
+    const possibleLogoPaths = [
+      path.join(__dirname, '../../assets/images/rt-express-logo.png'),
+      path.join(__dirname, '../../assets/images/logo.png'),
+      path.join(__dirname, '../../assets/images/rt-express-logo.jpg'),
+      path.join(__dirname, '../../assets/images/logo.jpg'),
+      path.join(__dirname, '../../uploads/logo.png'),
+      path.join(__dirname, '../../uploads/rt-express-logo.png')
+    ];
+
+    for (const logoPath of possibleLogoPaths) {
+      if (fs.existsSync(logoPath)) {
+        return logoPath;
+      }
+    }
+
+    console.log('Company logo not found. Checked paths:', possibleLogoPaths);
+    return null;
+  } catch (error) {
+    console.error('Error loading company logo:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  generateBarcode,
+  brandColor,
+  isBarcodeEnabled,
+  loadCompanyLogo
+};
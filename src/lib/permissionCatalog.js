@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const { prisma } = require('./prisma');
+
+/**
+ * Declared permission catalog: every `resource:action` the code checks must be listed here.
+ *
+ * syncPermissionCatalog() upserts the catalog into the Permission table, makes sure the system
+ * roles exist and grants ADMIN every declared permission. MANAGER and STAFF receive their
+ * default grants only when the sync creates them, so later edits made by admins are kept.
+ * findReferencedPermissions() scans the source for hasPermission/hasAnyPermission/resolveAccess/
+ * resolveScope/requirePermissions calls so drift between code and catalog can be reported.
+ */
+const PERMISSION_CATALOG = {
+  admin_portal: ['access'],
+  branches: ['create', 'read', 'update', 'manage'],
+  shipments: ['create', 'read', 'update', 'delete', 'export', 'status_update', 'track', 'approve', 'manage'],
+  bookings: ['create', 'read', 'update', 'delete', 'export', 'cancel', 'manage'],
+  customers: ['create', 'read', 'update', 'delete', 'export', 'manage'],
+  invoices: ['create', 'read', 'update', 'delete', 'export', 'send', 'record_payment', 'refund', 'manage'],
+  payments: ['read', 'void', 'manage'],
+  staff: ['create', 'read', 'update', 'delete', 'manage'],
+  support: ['create', 'read', 'update', 'delete', 'assign', 'close', 'manage'],
+  users: ['read', 'create', 'update', 'delete', 'assign_role', 'reset_password', 'suspend', 'activate', 'unlock', 'impersonate', 'manage'],
+  roles: ['read', 'create', 'update', 'delete', 'assign_permissions', 'manage'],
+  permissions: ['read', 'create', 'update', 'delete', 'manage'],
+  audit_logs: ['read', 'export', 'purge', 'manage'],
+  settings: ['read', 'update', 'manage'],
+};
+
+const PERMISSION_DESCRIPTIONS = {
+  'admin_portal:access': 'Access Admin Portal',
+  'shipments:status_update': 'Update shipment status',
+  'shipments:track': 'Track shipments',
+  'shipments:approve': 'Approve shipment operations',
+  'bookings:cancel': 'Cancel bookings',
+  'invoices:send': 'Send invoices to customers',
+  'invoices:record_payment': 'Record a payment against an invoice',
+  'invoices:refund': 'Record/issue refunds',
+  'payments:void': 'Void payments recorded in error',
+  'support:assign': 'Assign support tickets',
+  'support:close': 'Close support tickets',
+  'users:assign_role': 'Assign roles to users',
+  'users:reset_password': 'Reset user passwords',
+  'users:suspend': 'Suspend users',
+  'users:activate': 'Activate users',
+  'users:unlock': 'Unlock accounts locked after failed sign-ins',
+  'users:impersonate': 'View the portal as a customer (read-only, audited)',
+  'roles:assign_permissions': 'Grant/revoke permissions for roles',
+  'audit_logs:export': 'Export audit logs',
+  'audit_logs:purge': 'Purge audit logs',
+};
+
+const SYSTEM_ROLES = ['ADMIN', 'CUSTOMER'];
+
+// Grants applied when the sync creates these (deletable) operational roles
+const DEFAULT_ROLE_GRANTS = {
+  MANAGER: [
+    'admin_portal:access',
+    'branches:read',
+    'shipments:manage', 'bookings:manage', 'customers:manage', 'invoices:manage', 'support:manage',
+    'payments:read',
+    'users:read', 'roles:read', 'permissions:read', 'audit_logs:read', 'settings:read',
+  ],
+  STAFF: [
+    'admin_portal:access',
+    'branches:read',
+    'shipments:read', 'shipments:create', 'shipments:update', 'shipments:status_update', 'shipments:track',
+    'bookings:read', 'bookings:create', 'bookings:update',
+    'customers:read',
+    'invoices:read',
+    'payments:read',
+    'support:read', 'support:create', 'support:update',
+  ],
+};
+
+function catalogPermissions() {
+  const out = [];
+  for (const [resource, actions] of Object.entries(PERMISSION_CATALOG)) {
+    for (const action of actions) {
+      const name = `${resource}:${action}`;
+      out.push({ name, resource, action, description: PERMISSION_DESCRIPTIONS[name] || null });
+    }
+  }
+  return out;
+}
+
+async function grant(roleId, permissionIds) {
+  if (!permissionIds.length) return 0;
+  const result = await prisma.rolePermission.createMany({
+    data: permissionIds.map((permissionId) => ({ roleId, permissionId })),
+    skipDuplicates: true,
+  });
+  return result.count;
+}
+
+/**
+ * Idempotent: upsert declared permissions and system roles. Returns a summary of what changed.
+ */
+async function syncPermissionCatalog() {
+  const declared = catalogPermissions();
+  const byName = {};
+  for (const p of declared) {
+    byName[p.name] = await prisma.permission.upsert({
+      where: { name: p.name },
+      update: { resource: p.resource, action: p.action, description: p.description },
+      create: p,
+    });
+  }
+
+  const roles = {};
+  for (const name of SYSTEM_ROLES) {
+    roles[name] = await prisma.role.upsert({
+      where: { name },
+      update: { isSystemRole: true },
+      create: { name, isSystemRole: true, description: `${name} system role` },
+    });
+  }
+  const createdRoles = [];
+  for (const [name, grants] of Object.entries(DEFAULT_ROLE_GRANTS)) {
+    const existing = await prisma.role.findUnique({ where: { name } });
+    if (existing) continue;
+    const role = await prisma.role.create({ data: { name, isSystemRole: false, description: `${name} operational role` } });
+    await grant(role.id, grants.map((n) => byName[n]?.id).filter(Boolean));
+    createdRoles.push(name);
+  }
+
+  const adminGrants = await grant(roles.ADMIN.id, Object.values(byName).map((p) => p.id));
+  return { permissions: declared.length, createdRoles, adminGrants };
+}
+
+const SOURCE_ROOT = path.resolve(__dirname, '..');
+const CHECK_CALL = /\b(?:hasPermission|hasAnyPermission|requirePermissions|resolveAccess|resolveScope)\(([^)]*)\)/g;
+const PERMISSION_LITERAL = /['"`]([a-z_]+:[a-z_]+)['"`]/g;
+
+function listSourceFiles(dir) {
+  const out = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name === '__tests__' || entry.name === 'node_modules') continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...listSourceFiles(full));
+    else if (entry.name.endsWith('.js')) out.push(full);
+  }
+  return out;
+}
+
+/**
+ * Permission names passed as literals to permission checks under src/, with their locations:
+ * Map<name, string[]> where each location is "src/routes/x.js:123".
+ */
+function findReferencedPermissions(root = SOURCE_ROOT) {
+  const refs = new Map();
+  for (const file of listSourceFiles(root)) {
+    const text = fs.readFileSync(file, 'utf8');
+    for (const call of text.matchAll(CHECK_CALL)) {
+      const line = text.slice(0, call.index).split('\n').length;
+      const location = `${path.relative(path.resolve(root, '..'), file).split(path.sep).join('/')}:${line}`;
+      for (const literal of call[1].matchAll(PERMISSION_LITERAL)) {
+        if (!refs.has(literal[1])) refs.set(literal[1], []);
+        refs.get(literal[1]).push(location);
+      }
+    }
+  }
+  return refs;
+}
+
+/**
+ * Compare catalog, code references and database: declared permissions with the roles holding
+ * them, references with their locations, and the gaps between the three.
+ */
+async function buildCatalogReport() {
+  const declared = catalogPermissions();
+  const declaredNames = new Set(declared.map((p) => p.name));
+  const referenced = findReferencedPermissions();
+  const rows = await prisma.permission.findMany({ include: { roles: { include: { role: { select: { name: true } } } } } });
+  const inDb = new Map(rows.map((p) => [p.name, p]));
+  const rolesOf = (name) => (inDb.get(name)?.roles || []).map((rp) => rp.role.name).sort();
+
+  return {
+    declared: declared.map((p) => {
+      const viaManage = p.action === 'manage' ? [] : rolesOf(`${p.resource}:manage`);
+      return {
+        ...p,
+        inDatabase: inDb.has(p.name),
+        referenced: referenced.has(p.name),
+        roles: rolesOf(p.name),
+        rolesViaManage: viaManage,
+      };
+    }),
+    referenced: [...referenced.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([name, locations]) => ({
+      name,
+      declared: declaredNames.has(name),
+      inDatabase: inDb.has(name),
+      locations,
+    })),
+    missing: {
+      // Checked in code but absent from the catalog: add them to PERMISSION_CATALOG
+      undeclared: [...referenced.keys()].filter((n) => !declaredNames.has(n)).sort(),
+      // Declared or checked but not yet synced: run the sync command (or restart)
+      notInDatabase: [...new Set([...declaredNames, ...referenced.keys()])].filter((n) => !inDb.has(n)).sort(),
+    },
+    // Rows created by hand through /admin/permissions that the catalog does not know about
+    custom: rows.filter((p) => !declaredNames.has(p.name)).map((p) => ({ id: p.id, name: p.name, roles: rolesOf(p.name) })),
+  };
+}
+
+module.exports = {
+  PERMISSION_CATALOG,
+  DEFAULT_ROLE_GRANTS,
+  catalogPermissions,
+  syncPermissionCatalog,
+  findReferencedPermissions,
+  buildCatalogReport
+};
@@ -1,21 +1,39 @@
 const { prisma } = require('./prisma');
+const { findMembership, memberCan } = require('./customerMembers');
 
 // Lightweight in-memory cache for user permissions (short TTL to limit staleness)
 const PERM_TTL_MS = 5000;
 const cache = new Map();
 
-async function loadPermissions(userId) {
+// Permissions that may be granted with BRANCH scope; everything else is always global
+const BRANCH_SCOPABLE = ['shipments:read', 'customers:read', 'invoices:read', 'support:read'];
+
+// Granted permissions (name -> scope) and the user's branch
+async function loadGrants(userId) {
   const now = Date.now();
   const hit = cache.get(userId);
-  if (hit && hit.expires > now) return hit.perms;
+  if (hit && hit.expires > now) return hit;
 
   const u = await prisma.user.findUnique({
     where: { id: userId },
-    select: { role: { select: { permissions: { select: { permission: { select: { resource: true, action: true } } } } } } }
+    select: {
+      branchId: true,
+      role: { select: { permissions: { select: { scope: true, permission: { select: { resource: true, action: true } } } } } }
+    }
   });
-  const perms = new Set((u?.role?.permissions || []).map((rp) => `${rp.permission.resource}:${rp.permission.action}`));
-  cache.set(userId, { perms, expires: now + PERM_TTL_MS });
-  return perms;
+  const perms = new Map();
+  for (const rp of u?.role?.permissions || []) {
+    const name = `${rp.permission.resource}:${rp.permission.action}`;
+    const scope = rp.scope === 'BRANCH' && BRANCH_SCOPABLE.includes(name) ? 'BRANCH' : 'ALL';
+    if (perms.get(name) !== 'ALL') perms.set(name, scope);
+  }
+  const entry = { perms, branchId: u?.branchId || null, expires: now + PERM_TTL_MS };
+  cache.set(userId, entry);
+  return entry;
+}
+
+async function loadPermissions(userId) {
+  return (await loadGrants(userId)).perms;
 }
 
 // Checks if the user has a specific permission or the resource:manage for that permission
@@ -36,7 +54,53 @@ async function hasAnyPermission(userId, perms) {
   return false;
 }
 
+/**
+ * Scope of the user's grant for `perm`: 'ALL', 'BRANCH' or null when not granted.
+ * resource:manage is always global, and a global grant wins over a branch-scoped one.
+ */
+async function permissionScope(userId, perm) {
+  const granted = await loadPermissions(userId);
+  const [resource] = perm.split(':');
+  if (granted.get(`${resource}:manage`) === 'ALL' || granted.get(perm) === 'ALL') return 'ALL';
+  return granted.has(perm) ? 'BRANCH' : null;
+}
+
+/**
+ * Staff view for `perm`: { branchId: null } for a global grant, { branchId } for a
+ * branch-scoped one, or null when not granted (or branch-scoped for a user without a branch).
+ */
+async function resolveScope(userId, perm) {
+  const scope = await permissionScope(userId, perm);
+  if (scope === 'ALL') return { branchId: null };
+  if (scope !== 'BRANCH') return null;
+  const { branchId } = await loadGrants(userId);
+  return branchId ? { branchId } : null;
+}
+
+/**
+ * Access to a resource that customers may also use for their own records.
+ * Returns { all: true } when the user holds `perm`, { all: true, branchId } when the grant is
+ * limited to their branch (see lib/branches for the matching filters), { all: false, customer,
+ * memberRole } when they belong to a customer account whose member role allows `perm` (data must
+ * be scoped to that customer), or null when none applies. A branch-scoped grant is ignored for
+ * users without a branch.
+ * API keys are always limited to their own customer, whatever the owner's role grants.
+ */
+async function resolveAccess(user, perm) {
+  if (!user.apiKeyId) {
+    const scope = await resolveScope(user.sub, perm);
+    if (scope) return scope.branchId ? { all: true, branchId: scope.branchId } : { all: true };
+  }
+  const membership = await findMembership(user.sub);
+  if (!membership || !memberCan(membership.role, perm)) return null;
+  return { all: false, customer: membership.customer, memberRole: membership.role };
+}
+
 module.exports = {
   hasPermission,
-  hasAnyPermission
+  hasAnyPermission,
+  permissionScope,
+  resolveScope,
+  resolveAccess,
+  BRANCH_SCOPABLE
 };
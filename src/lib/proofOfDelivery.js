@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { brandColor, loadCompanyLogo } = require('./pdfAssets');
+
+const ROOT_DIR = path.resolve(__dirname, '../..');
+const POD_DIR = path.join(ROOT_DIR, 'uploads', 'pod');
+// pdfkit can only embed PNG and JPEG, and the POD PDF embeds both images
+const POD_MIME_TYPES = new Set(['image/png', 'image/jpeg']);
+const POD_MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+const storage = multer.diskStorage({
+  destination: (_req, _file, cb) => {
+    fs.mkdir(POD_DIR, { recursive: true }, (err) => cb(err, POD_DIR));
+  },
+  // Random names: files are served from /uploads, so they must not be guessable
+  filename: (_req, file, cb) => {
+    const ext = file.mimetype === 'image/png' ? '.png' : '.jpg';
+    cb(null, `${Date.now()}-${crypto.randomBytes(12).toString('hex')}${ext}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: POD_MAX_FILE_BYTES, files: 2 },
+  fileFilter: (_req, file, cb) => {
+    if (!POD_MIME_TYPES.has(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).fields([{ name: 'signature', maxCount: 1 }, { name: 'photo', maxCount: 1 }]);
+
+// Accepts multipart (signature/photo images + text fields) as well as plain JSON bodies
+function podUpload(req, res, next) {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Files must be at most ${POD_MAX_FILE_BYTES / (1024 * 1024)} MB`
+        : 'Only one PNG or JPEG signature and photo are accepted';
+      return res.status(400).json({ error: message });
+    }
+    next(err);
+  });
+}
+
+function getPodFiles(req) {
+  return {
+    signature: req.files?.signature?.[0] || null,
+    photo: req.files?.photo?.[0] || null,
+  };
+}
+
+function storageKeyFor(file) {
+  return path.relative(ROOT_DIR, file.path).split(path.sep).join('/');
+}
+
+function removeStoredFile(storageKey) {
+  if (!storageKey) return;
+  const abs = path.resolve(ROOT_DIR, storageKey);
+  if (!abs.startsWith(POD_DIR + path.sep)) return;
+  fs.unlink(abs, () => {});
+}
+
+function discardPodUploads(req) {
+  const { signature, photo } = getPodFiles(req);
+  for (const file of [signature, photo]) {
+    if (file) fs.unlink(file.path, () => {});
+  }
+}
+
+// Columns for ProofOfDelivery from an uploaded file, e.g. fileColumns('signature', file)
+function fileColumns(prefix, file) {
+  if (!file) return {};
+  return {
+    [`${prefix}Filename`]: file.originalname,
+    [`${prefix}MimeType`]: file.mimetype,
+    [`${prefix}Size`]: file.size,
+    [`${prefix}StorageKey`]: storageKeyFor(file),
+  };
+}
+
+function storedFilePath(storageKey) {
+  if (!storageKey) return null;
+  const abs = path.resolve(ROOT_DIR, storageKey);
+  return abs.startsWith(POD_DIR + path.sep) && fs.existsSync(abs) ? abs : null;
+}
+
+function formatAddress(street, city, state, zip, country) {
+  return [street, city, state && state !== '-' ? state : null, zip, country].filter(Boolean).join(', ');
+}
+
+// Render a one-page proof of delivery for a shipment
+function drawProofOfDelivery(doc, shipment, pod, barcode) {
+  const color = brandColor();
+  const margin = doc.page.margins.left;
+  const width = doc.page.width - margin * 2;
+  let y = margin;
+
+  const logoPath = loadCompanyLogo();
+  if (logoPath) {
+    try {
+      doc.image(logoPath, margin, y, { fit: [150, 60] });
+    } catch (e) {
+      console.error('Error drawing logo on POD:', e);
+    }
+  } else {
+    doc.fontSize(18).fillColor(color).font('Helvetica-Bold').text('RT EXPRESS', margin, y + 15);
+  }
+  doc.fontSize(16).fillColor(color).font('Helvetica-Bold').text('PROOF OF DELIVERY', margin, y + 10, { width, align: 'right' });
+  doc.fontSize(10).fillColor('#333').font('Helvetica').text(`Tracking No: ${shipment.trackingNumber}`, margin, y + 32, { width, align: 'right' });
+  if (barcode) {
+    doc.image(barcode, margin + width - 180, y + 48, { width: 180, height: 30 });
+  }
+  y += 95;
+
+  doc.moveTo(margin, y).lineTo(margin + width, y).strokeColor(color).lineWidth(1).stroke();
+  y += 12;
+
+  const row = (label, value) => {
+    doc.fontSize(8).fillColor('#666').font('Helvetica').text(label, margin, y);
+    doc.fontSize(10).fillColor('#111').font('Helvetica').text(value || '-', margin + 130, y, { width: width - 130 });
+    y = Math.max(y + 16, doc.y + 4);
+  };
+
+  const customer = shipment.customer || {};
+  const customerName = customer.companyName || [customer.firstName, customer.lastName].filter(Boolean).join(' ');
+
+  row('CUSTOMER', customerName);
+  row('DESCRIPTION', `${shipment.description} (${shipment.packageType}, ${shipment.weightValue} ${shipment.weightUnit})`);
+  row('FROM', formatAddress(shipment.originStreet, shipment.originCity, shipment.originState, shipment.originZip, shipment.originCountry));
+  row('TO', formatAddress(shipment.destStreet, shipment.destCity, shipment.destState, shipment.destZip, shipment.destCountry));
+  row('DELIVERED AT', new Date(pod.deliveredAt).toLocaleString('en-GB', { timeZone: 'Africa/Dar_es_Salaam' }));
+  row('RECEIVED BY', pod.recipientName);
+  row('RELATIONSHIP', pod.recipientRelationship);
+  row('CAPTURED BY', pod.capturedBy?.name);
+  y += 10;
+
+  const boxWidth = (width - 20) / 2;
+  const boxHeight = 180;
+  const drawImageBox = (title, storageKey, x) => {
+    doc.fontSize(9).fillColor(color).font('Helvetica-Bold').text(title, x, y);
+    doc.rect(x, y + 14, boxWidth, boxHeight).strokeColor('#ccc').lineWidth(0.5).stroke();
+    const file = storedFilePath(storageKey);
+    if (file) {
+      try {
+        doc.image(file, x + 5, y + 19, { fit: [boxWidth - 10, boxHeight - 10], align: 'center', valign: 'center' });
+        return;
+      } catch (e) {
+        console.error('Error drawing POD image:', e);
+      }
+    }
+    doc.fontSize(9).fillColor('#999').font('Helvetica').text('Not captured', x, y + 14 + boxHeight / 2 - 5, { width: boxWidth, align: 'center' });
+  };
+  drawImageBox('RECIPIENT SIGNATURE', pod.signatureStorageKey, margin);
+  drawImageBox('DELIVERY PHOTO', pod.photoStorageKey, margin + boxWidth + 20);
+  y += boxHeight + 30;
+
+  doc.fontSize(8).fillColor('#666').font('Helvetica')
+    .text(`Generated ${new Date().toISOString()} - RT Express`, margin, y, { width, align: 'center' });
+}
+
+module.exports = {
+  podUpload,
+  getPodFiles,
+  discardPodUploads,
+  removeStoredFile,
+  fileColumns,
+  drawProofOfDelivery
+};
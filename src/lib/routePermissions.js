@@ -0,0 +1,211 @@
+/**
+ * Route → permission map, served by GET /admin/permissions/routes.
+ *
+ * Authorization is driven only by the role's permissions (Role → RolePermission), so custom
+ * roles work like the built-in ones; role names are never compared. `access` is one of:
+ * - public: no sign-in
+ * - user: any signed-in user, acting on their own account
+ * - permission: one of `permissions` is required (resource:manage also satisfies it)
+ * - own: users holding one of `permissions` act on all records; everyone else only on records
+ *   of the customer account they belong to, as far as their member role allows (customers, API keys)
+ * Read permissions marked `branchScopable` can be granted with BRANCH scope, which limits the
+ * listed records to the user's branch.
+ * The auth router is also mounted at the root, so /auth/admin/... is reachable as /admin/...
+ * A test fails when a registered route is missing here.
+ */
+const ROUTE_PERMISSIONS = [
+  { method: 'GET', path: '/', access: 'public' },
+  { method: 'GET', path: '/healthz', access: 'public' },
+  { method: 'GET', path: '/health', access: 'public' },
+
+  // Public
+  { method: 'GET', path: '/public/csrf', access: 'public' },
+  { method: 'POST', path: '/public/booking-request', access: 'public' },
+  { method: 'GET', path: '/public/track/:trackingNumber', access: 'public' },
+  { method: 'POST', path: '/public/contact', access: 'public' },
+  { method: 'POST', path: '/payments/clickpesa/webhook', access: 'public', note: 'HMAC-signed provider callback' },
+  { method: 'POST', path: '/payments/webhook', access: 'public', note: 'HMAC-signed provider callback' },
+
+  // Sign-in and own account
+  { method: 'POST', path: '/auth/register', access: 'public' },
+  { method: 'POST', path: '/auth/login', access: 'public' },
+  { method: 'POST', path: '/auth/change-password-first-login', access: 'public' },
+  { method: 'POST', path: '/auth/forgot-password', access: 'public' },
+  { method: 'POST', path: '/auth/reset-password', access: 'public' },
+  { method: 'GET', path: '/auth/otp-status', access: 'public' },
+  { method: 'POST', path: '/auth/send-otp', access: 'public' },
+  { method: 'POST', path: '/auth/resend-otp', access: 'public' },
+  { method: 'POST', path: '/auth/verify-otp', access: 'public' },
+  { method: 'POST', path: '/auth/refresh', access: 'public', note: 'refresh cookie' },
+  { method: 'POST', path: '/auth/logout', access: 'public', note: 'refresh cookie' },
+  { method: 'GET', path: '/auth/google/start', access: 'public' },
+  { method: 'GET', path: '/auth/google/callback', access: 'public' },
+  { method: 'GET', path: '/auth/invitations/:token', access: 'public' },
+  { method: 'POST', path: '/auth/invitations/accept', access: 'public', note: 'existing accounts must be signed in as the invited email' },
+  { method: 'GET', path: '/auth/me', access: 'user' },
+  { method: 'GET', path: '/auth/sessions', access: 'user' },
+  { method: 'DELETE', path: '/auth/sessions/:id', access: 'user' },
+  { method: 'GET', path: '/auth/totp', access: 'user', note: 'staff accounts whose role policy allows TOTP' },
+  { method: 'POST', path: '/auth/totp/setup', access: 'user', note: 'staff accounts whose role policy allows TOTP' },
+  { method: 'POST', path: '/auth/totp/confirm', access: 'user', note: 'staff accounts whose role policy allows TOTP' },
+  { method: 'POST', path: '/auth/totp/recovery-codes', access: 'user', note: 'staff accounts whose role policy allows TOTP' },
+  { method: 'DELETE', path: '/auth/totp', access: 'user', note: 'staff accounts whose role policy allows TOTP' },
+
+  // Roles, permissions and users
+  { method: 'GET', path: '/auth/admin/roles', access: 'permission', permissions: ['roles:read'] },
+  { method: 'POST', path: '/auth/admin/roles', access: 'permission', permissions: ['roles:create'] },
+  { method: 'PATCH', path: '/auth/admin/roles/:id', access: 'permission', permissions: ['roles:update'] },
+  { method: 'DELETE', path: '/auth/admin/roles/:id', access: 'permission', permissions: ['roles:delete'] },
+  { method: 'POST', path: '/auth/admin/roles/:id/permissions', access: 'permission', permissions: ['roles:assign_permissions'] },
+  { method: 'GET', path: '/auth/admin/permissions', access: 'permission', permissions: ['permissions:read'] },
+  { method: 'GET', path: '/auth/admin/permissions/catalog', access: 'permission', permissions: ['permissions:read'] },
+  { method: 'GET', path: '/auth/admin/permissions/routes', access: 'permission', permissions: ['permissions:read'] },
+  { method: 'POST', path: '/auth/admin/permissions', access: 'permission', permissions: ['permissions:create'] },
+  { method: 'PATCH', path: '/auth/admin/permissions/:id', access: 'permission', permissions: ['permissions:update'] },
+  { method: 'GET', path: '/auth/admin/users', access: 'permission', permissions: ['users:read'] },
+  { method: 'PATCH', path: '/auth/admin/users/:id/role', access: 'permission', permissions: ['users:assign_role'] },
+  { method: 'POST', path: '/auth/admin/users/:id/logout', access: 'permission', permissions: ['users:suspend'] },
+  { method: 'POST', path: '/auth/admin/users/:id/unlock', access: 'permission', permissions: ['users:unlock'] },
+  { method: 'POST', path: '/auth/admin/users/:id/impersonate', access: 'permission', permissions: ['users:impersonate'], note: 'customer accounts only; the token is read-only' },
+  { method: 'GET', path: '/auth/admin/audit-logs', access: 'permission', permissions: ['audit_logs:read'] },
+
+  // Staff
+  { method: 'GET', path: '/staff', access: 'permission', permissions: ['staff:read'] },
+  { method: 'POST', path: '/staff', access: 'permission', permissions: ['staff:create'] },
+  { method: 'GET', path: '/staff/:id', access: 'permission', permissions: ['staff:read'] },
+  { method: 'PATCH', path: '/staff/:id', access: 'permission', permissions: ['staff:update'] },
+  { method: 'DELETE', path: '/staff/:id', access: 'permission', permissions: ['staff:delete'] },
+
+  // Branches
+  { method: 'GET', path: '/branches', access: 'permission', permissions: ['branches:read'] },
+  { method: 'GET', path: '/branches/:id', access: 'permission', permissions: ['branches:read'] },
+  { method: 'POST', path: '/branches', access: 'permission', permissions: ['branches:create'] },
+  { method: 'PATCH', path: '/branches/:id', access: 'permission', permissions: ['branches:update'] },
+  { method: 'POST', path: '/branches/backfill', access: 'permission', permissions: ['branches:manage'] },
+
+  // Customers
+  { method: 'GET', path: '/customers/me', access: 'user', note: 'the customer account the user owns or is a member of' },
+  { method: 'GET', path: '/customers/me/members', access: 'user', note: 'members of the user\'s customer account' },
+  { method: 'PATCH', path: '/customers/me/members/:userId', access: 'user', note: 'account owners' },
+  { method: 'DELETE', path: '/customers/me/members/:userId', access: 'user', note: 'account owners, or the member leaving' },
+  { method: 'GET', path: '/customers/me/invitations', access: 'user', note: 'account owners' },
+  { method: 'POST', path: '/customers/me/invitations', access: 'user', note: 'account owners of a business customer' },
+  { method: 'DELETE', path: '/customers/me/invitations/:id', access: 'user', note: 'account owners' },
+  { method: 'GET', path: '/customers/:customerId/addresses', access: 'own', permissions: ['customers:read'], branchScopable: true, note: 'customerId `me` for the user\'s own account' },
+  { method: 'GET', path: '/customers/:customerId/addresses/:addressId', access: 'own', permissions: ['customers:read'], branchScopable: true },
+  { method: 'POST', path: '/customers/:customerId/addresses', access: 'own', permissions: ['customers:update'], note: 'members whose role can book shipments' },
+  { method: 'PATCH', path: '/customers/:customerId/addresses/:addressId', access: 'own', permissions: ['customers:update'], note: 'members whose role can book shipments' },
+  { method: 'DELETE', path: '/customers/:customerId/addresses/:addressId', access: 'own', permissions: ['customers:update'], note: 'members whose role can book shipments' },
+  { method: 'GET', path: '/customers', access: 'permission', permissions: ['customers:read'], branchScopable: true },
+  { method: 'GET', path: '/customers/lookup', access: 'permission', permissions: ['customers:read'], branchScopable: true, note: 'typeahead for customer pickers' },
+  { method: 'GET', path: '/customers/:id', access: 'permission', permissions: ['customers:read'], branchScopable: true },
+  { method: 'GET', path: '/customers/export', access: 'permission', permissions: ['customers:export'], note: 'rows limited like GET /customers, including branch scope' },
+  { method: 'POST', path: '/customers/import', access: 'permission', permissions: ['customers:create'], note: 'rows updating existing customers also need customers:update' },
+  { method: 'GET', path: '/customers/import/:id', access: 'permission', permissions: ['customers:create'], note: 'only the user who started the import' },
+  { method: 'POST', path: '/customers', access: 'permission', permissions: ['customers:create'] },
+  { method: 'PATCH', path: '/customers/:id', access: 'permission', permissions: ['customers:update'] },
+  { method: 'PATCH', path: '/customers/:id/deactivate', access: 'permission', permissions: ['customers:update'] },
+  { method: 'PATCH', path: '/customers/:id/suspend', access: 'permission', permissions: ['customers:update'] },
+  { method: 'PATCH', path: '/customers/:id/activate', access: 'permission', permissions: ['customers:update'] },
+  { method: 'DELETE', path: '/customers/:id', access: 'permission', permissions: ['customers:delete'] },
+  { method: 'GET', path: '/api-keys/scopes', access: 'user' },
+  { method: 'GET', path: '/api-keys', access: 'own', permissions: ['customers:read'], note: 'staff pass ?customerId=' },
+  { method: 'POST', path: '/api-keys', access: 'user', note: 'owner of a business customer profile' },
+  { method: 'DELETE', path: '/api-keys/:id', access: 'own', permissions: ['customers:update'] },
+
+  // Shipments
+  { method: 'GET', path: '/shipments/test', access: 'user' },
+  { method: 'GET', path: '/shipments', access: 'own', permissions: ['shipments:read'], branchScopable: true },
+  { method: 'GET', path: '/shipments/status-transitions', access: 'user' },
+  { method: 'GET', path: '/shipments/:id', access: 'own', permissions: ['shipments:read'], branchScopable: true },
+  { method: 'GET', path: '/shipments/:id/pod', access: 'own', permissions: ['shipments:read'], branchScopable: true },
+  { method: 'POST', path: '/shipments', access: 'own', permissions: ['shipments:create'] },
+  { method: 'PATCH', path: '/shipments/:id/status', access: 'permission', permissions: ['shipments:status_update', 'shipments:update'], note: 'override also needs shipments:approve' },
+  { method: 'POST', path: '/shipments/:id/events', access: 'permission', permissions: ['shipments:status_update', 'shipments:update'] },
+  { method: 'DELETE', path: '/shipments/:id', access: 'permission', permissions: ['shipments:delete'] },
+
+  // Booking requests
+  { method: 'GET', path: '/booking-requests', access: 'permission', permissions: ['bookings:read'] },
+  { method: 'PATCH', path: '/booking-requests/:id/status', access: 'permission', permissions: ['bookings:update'] },
+  { method: 'POST', path: '/booking-requests/:id/convert-to-shipment', access: 'permission', permissions: ['shipments:create'] },
+  { method: 'POST', path: '/booking-requests/:id/convert-to-customer', access: 'permission', permissions: ['customers:create'] },
+
+  // Invoices and payments
+  { method: 'GET', path: '/invoices', access: 'own', permissions: ['invoices:read'], branchScopable: true },
+  { method: 'POST', path: '/invoices', access: 'permission', permissions: ['invoices:create'] },
+  { method: 'GET', path: '/invoices/:id', access: 'own', permissions: ['invoices:read'], branchScopable: true },
+  { method: 'PATCH', path: '/invoices/:id', access: 'permission', permissions: ['invoices:update'] },
+  { method: 'DELETE', path: '/invoices/:id', access: 'permission', permissions: ['invoices:delete'] },
+  { method: 'POST', path: '/invoices/bulk-delete', access: 'permission', permissions: ['invoices:delete'] },
+  { method: 'POST', path: '/invoices/:id/payments', access: 'own', permissions: ['invoices:record_payment'] },
+  { method: 'POST', path: '/invoices/:id/pay/clickpesa', access: 'own', permissions: ['invoices:record_payment'] },
+  { method: 'GET', path: '/invoices/:id/pay/clickpesa/:orderReference', access: 'own', permissions: ['invoices:record_payment'] },
+  { method: 'POST', path: '/invoices/:id/email', access: 'permission', permissions: ['invoices:send'] },
+  { method: 'GET', path: '/invoices/:id/pdf', access: 'own', permissions: ['invoices:read'], branchScopable: true },
+  { method: 'GET', path: '/payments', access: 'own', permissions: ['payments:read'] },
+  { method: 'GET', path: '/payments/:id', access: 'own', permissions: ['payments:read'] },
+  { method: 'POST', path: '/payments/:id/refund', access: 'permission', permissions: ['invoices:refund'] },
+  { method: 'POST', path: '/payments/:id/void', access: 'permission', permissions: ['payments:void'] },
+
+  // Support and notifications
+  { method: 'GET', path: '/support/tickets', access: 'own', permissions: ['support:read'], note: 'own = tickets the user requested, plus their customer account\'s', branchScopable: true },
+  { method: 'POST', path: '/support/tickets', access: 'user' },
+  { method: 'GET', path: '/support/tickets/:id', access: 'own', permissions: ['support:read'], note: 'own = tickets the user requested, plus their customer account\'s', branchScopable: true },
+  { method: 'GET', path: '/notifications', access: 'user' },
+  { method: 'PATCH', path: '/notifications/:id/read', access: 'user' },
+  { method: 'PATCH', path: '/notifications/mark-read', access: 'user' },
+  { method: 'PATCH', path: '/notifications/read-all', access: 'user' },
+  { method: 'DELETE', path: '/notifications', access: 'user' },
+  { method: 'DELETE', path: '/notifications/:id', access: 'user' },
+  { method: 'GET', path: '/notifications/unread-count', access: 'user' },
+  { method: 'GET', path: '/notifications/settings', access: 'permission', permissions: ['settings:read'] },
+];
+
+const normalizePath = (p) => (p.length > 1 ? p.replace(/\/+$/, '') : p);
+
+function mountPathOf(layer) {
+  if (layer.regexp.fast_slash) return '';
+  const match = /^\^\\(\/.*?)\\\/\?\(\?=\\\/\|\$\)/.exec(layer.regexp.source);
+  return match ? match[1].replace(/\\\//g, '/') : null;
+}
+
+/**
+ * Method + path of every route registered on an Express app, one level of routers deep.
+ * Routers mounted at the root (the auth router alias) are skipped.
+ */
+function listAppRoutes(app) {
+  const out = [];
+  const add = (base, route) => {
+    for (const method of Object.keys(route.methods)) {
+      if (method === '_all' || method === 'options') continue;
+      out.push({ method: method.toUpperCase(), path: normalizePath(`${base}${route.path}`) });
+    }
+  };
+  for (const layer of app._router?.stack || []) {
+    if (layer.route) add('', layer.route);
+    else if (layer.name === 'router' && layer.handle?.stack) {
+      const base = mountPathOf(layer);
+      if (!base) continue;
+      for (const inner of layer.handle.stack) if (inner.route) add(base, inner.route);
+    }
+  }
+  return out;
+}
+
+// Registered routes that have no entry in ROUTE_PERMISSIONS
+function undocumentedRoutes(app) {
+  const documented = new Set(ROUTE_PERMISSIONS.map((r) => `${r.method} ${normalizePath(r.path)}`));
+  const seen = new Set();
+  return listAppRoutes(app).filter((r) => {
+    const key = `${r.method} ${r.path}`;
+    if (documented.has(key) || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+module.exports = {
+  ROUTE_PERMISSIONS,
+  listAppRoutes,
+  undocumentedRoutes
+};
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { prisma } = require('./prisma');
+
+/**
+ * Server-side refresh sessions.
+ *
+ * Every login starts a token family. Each /auth/refresh revokes the presented session
+ * (reason "rotated") and opens a new one in the same family, so a refresh token can only
+ * be used once. Presenting an already-rotated token means it was copied: the whole
+ * family is revoked and the user has to sign in again.
+ */
+const REFRESH_TTL = process.env.JWT_REFRESH_TTL || '7d';
+// Two tabs refreshing at the same moment both present the same token; don't treat that as theft
+const REUSE_GRACE_MS = Number(process.env.REFRESH_REUSE_GRACE_SECONDS || 10) * 1000;
+const ACTIVE_CACHE_TTL_MS = 5000;
+
+// "7d", "12h", "30m", "45s" or plain seconds, as accepted by jsonwebtoken
+function ttlToMs(ttl) {
+  const match = String(ttl).trim().match(/^(\d+)\s*([smhd]?)$/i);
+  if (!match) return 7 * 24 * 60 * 60 * 1000;
+  const unit = { '': 1000, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2].toLowerCase()];
+  return Number(match[1]) * unit;
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived cache so authenticate doesn't hit the DB on every request; revocations in
+// this process clear it immediately
+const activeCache = new Map();
+
+function forget(familyIds) {
+  familyIds.forEach((id) => activeCache.delete(id));
+}
+
+function sessionData(req, { userId, familyId, rememberMe }) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const data = {
+    userId,
+    familyId: familyId || crypto.randomUUID(),
+    tokenHash: hashToken(token),
+    rememberMe: Boolean(rememberMe),
+    userAgent: req.get?.('user-agent')?.slice(0, 191) || null,
+    ip: req.ip || null,
+    expiresAt: new Date(Date.now() + ttlToMs(REFRESH_TTL)),
+  };
+  return { data, token };
+}
+
+async function createSession(req, options) {
+  const { data, token } = sessionData(req, options);
+  const session = await prisma.refreshSession.create({ data });
+  return { session, token };
+}
+
+async function findSessionByToken(token) {
+  if (!token) return null;
+  return prisma.refreshSession.findUnique({ where: { tokenHash: hashToken(token) } });
+}
+
+async function revokeWhere(where, reason) {
+  const sessions = await prisma.refreshSession.findMany({ where: { ...where, revokedAt: null }, select: { id: true, familyId: true } });
+  if (sessions.length === 0) return 0;
+  const result = await prisma.refreshSession.updateMany({
+    where: { id: { in: sessions.map((s) => s.id) }, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  forget(sessions.map((s) => s.familyId));
+  return result.count;
+}
+
+const revokeFamily = (familyId, reason = 'logout') => revokeWhere({ familyId }, reason);
+
+// The stamp, written after the sweep, covers a refresh rotating while the sweep runs: its
+// successor session predates the stamp and is refused on its next rotation
+async function revokeUserSessions(userId, reason = 'revoked') {
+  const count = await revokeWhere({ userId }, reason);
+  await prisma.user.update({ where: { id: userId }, data: { sessionsRevokedAt: new Date() } });
+  return count;
+}
+
+/**
+ * Exchange a refresh token for a new one in the same family.
+ * Returns { status: 'ok', session, token } or { status: 'invalid' | 'expired' | 'reused', session }.
+ */
+async function rotateSession(req, token) {
+  const current = await findSessionByToken(token);
+  if (!current) return { status: 'invalid' };
+
+  if (current.revokedAt) {
+    const isRotated = current.revokedReason === 'rotated';
+    if (isRotated && Date.now() - new Date(current.revokedAt).getTime() >= REUSE_GRACE_MS) {
+      await revokeFamily(current.familyId, 'reuse_detected');
+      return { status: 'reused', session: current };
+    }
+    return { status: 'invalid', session: current };
+  }
+  if (new Date(current.expiresAt) < new Date()) return { status: 'expired', session: current };
+
+  const user = await prisma.user.findUnique({ where: { id: current.userId }, select: { sessionsRevokedAt: true } });
+  if (user?.sessionsRevokedAt && new Date(current.createdAt) <= new Date(user.sessionsRevokedAt)) {
+    await revokeFamily(current.familyId, 'revoked');
+    return { status: 'invalid', session: current };
+  }
+
+  // Revoke and replace in one transaction so the family is never momentarily without a
+  // live session; the guarded update lets only one concurrent caller win
+  const next = sessionData(req, { userId: current.userId, familyId: current.familyId, rememberMe: current.rememberMe });
+  const session = await prisma.$transaction(async (tx) => {
+    const claimed = await tx.refreshSession.updateMany({
+      where: { id: current.id, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: 'rotated', lastUsedAt: new Date() },
+    });
+    if (claimed.count === 0) return null;
+    return tx.refreshSession.create({ data: next.data });
+  });
+  if (!session) return { status: 'invalid', session: current };
+  return { status: 'ok', session, token: next.token };
+}
+
+// Access tokens carry the family id as `sid`; they stay valid while the family has a live session
+async function isSessionActive(familyId) {
+  const cached = activeCache.get(familyId);
+  if (cached && cached.expires > Date.now()) return cached.active;
+  const live = await prisma.refreshSession.findFirst({
+    where: { familyId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true },
+  });
+  const active = Boolean(live);
+  activeCache.set(familyId, { active, expires: Date.now() + ACTIVE_CACHE_TTL_MS });
+  return active;
+}
+
+async function listActiveSessions(userId) {
+  return prisma.refreshSession.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true, familyId: true, userAgent: true, ip: true, rememberMe: true, createdAt: true, lastUsedAt: true, expiresAt: true },
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+// Sign the user out everywhere: revoke refresh sessions and drop live WebSocket connections
+async function terminateUserSessions(userId, reason) {
+  const count = await revokeUserSessions(userId, reason);
+  try {
+    global.wsManager?.disconnectUser(userId, reason);
+  } catch (e) {
+    console.error('Failed to close WebSocket connections', e);
+  }
+  return count;
+}
+
+module.exports = {
+  ttlToMs,
+  createSession,
+  findSessionByToken,
+  rotateSession,
+  revokeFamily,
+  revokeUserSessions,
+  terminateUserSessions,
+  isSessionActive,
+  listActiveSessions
+};
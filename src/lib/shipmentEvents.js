@@ -0,0 +1,39 @@
+const { z } = require('zod');
+
+// Multipart form fields arrive as strings; JSON bodies send numbers
+const coordinate = (min, max) => z.preprocess(
+  (val) => (val === '' || val === null ? undefined : typeof val === 'string' ? Number(val) : val),
+  z.number().min(min).max(max).optional()
+);
+
+// Optional details staff can attach to a status change or checkpoint scan
+const eventDetailsSchema = z.object({
+  location: z.string().trim().min(1).max(191).optional(),
+  note: z.string().trim().min(1).max(2000).optional(),
+  latitude: coordinate(-90, 90),
+  longitude: coordinate(-180, 180),
+}).refine((data) => (data.latitude === undefined) === (data.longitude === undefined), {
+  message: 'Latitude and longitude must be provided together',
+  path: ['latitude']
+});
+
+const eventActorSelect = { id: true, name: true };
+
+// Fields safe to show on public tracking and to customers: no internal notes, GPS or staff identity
+function toPublicEvent(event) {
+  return {
+    id: event.id,
+    type: event.type || 'status',
+    status: event.status,
+    title: event.title || event.status,
+    description: event.description || undefined,
+    location: event.location || undefined,
+    timestamp: event.createdAt,
+  };
+}
+
+module.exports = {
+  eventDetailsSchema,
+  eventActorSelect,
+  toPublicEvent
+};
@@ -0,0 +1,46 @@
+// Shipment lifecycle: every status and the statuses it may move to next.
+// Delivered, Returned to Sender and Cancelled are terminal; only an admin override can leave them.
+const SHIPMENT_STATUSES = [
+  'Pending',
+  'Processing',
+  'Ready for Pickup',
+  'Picked Up',
+  'In Transit',
+  'Out for Delivery',
+  'Delivered',
+  'Failed Delivery Attempt',
+  'Returned to Sender',
+  'Cancelled',
+  'Lost',
+  'Damaged'
+];
+
+const SHIPMENT_TRANSITIONS = {
+  'Pending': ['Processing', 'Ready for Pickup', 'Cancelled'],
+  'Processing': ['Ready for Pickup', 'Cancelled'],
+  'Ready for Pickup': ['Picked Up', 'Cancelled'],
+  'Picked Up': ['In Transit', 'Returned to Sender', 'Lost', 'Damaged'],
+  'In Transit': ['Out for Delivery', 'Returned to Sender', 'Lost', 'Damaged'],
+  'Out for Delivery': ['Delivered', 'Failed Delivery Attempt', 'Lost', 'Damaged'],
+  'Failed Delivery Attempt': ['Out for Delivery', 'In Transit', 'Returned to Sender'],
+  'Damaged': ['In Transit', 'Out for Delivery', 'Returned to Sender'],
+  'Lost': ['In Transit', 'Returned to Sender'],
+  'Delivered': [],
+  'Returned to Sender': [],
+  'Cancelled': []
+};
+
+function getAllowedNextStatuses(status) {
+  return SHIPMENT_TRANSITIONS[status] ? [...SHIPMENT_TRANSITIONS[status]] : [];
+}
+
+function canTransition(from, to) {
+  return getAllowedNextStatuses(from).includes(to);
+}
+
+module.exports = {
+  SHIPMENT_STATUSES,
+  SHIPMENT_TRANSITIONS,
+  getAllowedNextStatuses,
+  canTransition
+};
@@ -0,0 +1,127 @@
+const ExcelJS = require('exceljs');
+
+/**
+ * CSV and XLSX tables for bulk import/export. A table is a header row plus data rows of strings;
+ * readTable() returns each data row as { rowNumber, values } keyed by header, where rowNumber is
+ * the line/row the user sees in their spreadsheet (the header is row 1).
+ */
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Keep spreadsheet apps from evaluating cells as formulas; only plain numbers such as -5 or
+  // +2.5 may keep a leading sign (`-1+cmd|...` starts with a digit but is still a formula)
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map((r) => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Cells as text, so phone numbers and codes are not turned into numbers or dates
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    for (let c = 1; c <= sheet.columnCount; c++) values.push(row.getCell(c).text);
+    rows[rowNumber - 1] = values;
+  });
+  return Array.from(rows, (r) => r || []);
+}
+
+async function toXlsx(header, rows, sheetName = 'Sheet1') {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.addRow(header);
+  sheet.getRow(1).font = { bold: true };
+  for (const r of rows) sheet.addRow(r.map((v) => (v === null || v === undefined ? '' : v)));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// 'csv' or 'xlsx' for an uploaded file, by extension and then MIME type
+function detectFormat(file) {
+  const name = String(file.originalname || '').toLowerCase();
+  if (name.endsWith('.xlsx') || file.mimetype === FORMATS.xlsx) return 'xlsx';
+  if (name.endsWith('.csv') || /^text\/(csv|plain)/.test(file.mimetype || '')) return 'csv';
+  return null;
+}
+
+/**
+ * Rows of an uploaded CSV/XLSX file keyed by header. `mapHeader` turns a header cell into a
+ * field name (or null to ignore the column). Blank rows are skipped; blank cells are omitted.
+ * `ignored` lists the header cells that mapped to no field.
+ */
+async function readTable(file, mapHeader) {
+  const format = detectFormat(file);
+  if (!format) throw new Error('Upload a .csv or .xlsx file');
+  const rows = format === 'xlsx' ? await readXlsx(file.buffer) : parseCsv(file.buffer.toString('utf8'));
+  const [header = [], ...data] = rows;
+  const headers = header.map((h) => String(h || '').trim());
+  const fields = headers.map((h) => (h ? mapHeader(h) : null));
+
+  const records = [];
+  data.forEach((cells, i) => {
+    const values = {};
+    fields.forEach((field, c) => {
+      const value = String(cells[c] ?? '').trim();
+      if (field && value !== '') values[field] = value;
+    });
+    if (Object.keys(values).length) records.push({ rowNumber: i + 2, values });
+  });
+  return { format, ignored: headers.filter((h, c) => h && !fields[c]), records };
+}
+
+module.exports = {
+  FORMATS,
+  parseCsv,
+  toCsv,
+  readXlsx,
+  toXlsx,
+  detectFormat,
+  readTable,
+};
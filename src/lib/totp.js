@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+// RFC 6238 TOTP (HMAC-SHA1, 6 digits, 30 second steps) as used by common authenticator apps
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP value for a counter
+function hotp(secret, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(binary).padStart(DIGITS, '0');
+}
+
+const counterAt = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / STEP_SECONDS);
+
+/**
+ * Check a code against the current step and `window` steps either side (clock drift).
+ * Returns the matching counter, or null. Counters at or below `afterCounter` are refused so
+ * a code cannot be replayed within its validity window.
+ */
+function verifyTotp(secret, code, { window = 1, afterCounter = -1, timeMs = Date.now() } = {}) {
+  if (!secret || !/^\d{6}$/.test(String(code))) return null;
+  const current = counterAt(timeMs);
+  const expected = Buffer.from(String(code));
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (counter <= afterCounter) continue;
+    if (crypto.timingSafeEqual(Buffer.from(hotp(secret, counter)), expected)) return counter;
+  }
+  return null;
+}
+
+// otpauth:// URI that authenticator apps import from a QR code
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  counterAt,
+  verifyTotp,
+  buildOtpauthUri
+};
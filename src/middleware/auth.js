@@ -1,44 +1,85 @@
 const jwt = require('jsonwebtoken');
 const { prisma } = require('../lib/prisma');
+const { isSessionActive } = require('../lib/sessions');
+const { extractApiKey, requiredScope, resolveApiKey, touchApiKey, apiKeyRateLimiter } = require('../lib/apiKeys');
+const { impersonatedUser, isReadOnlyRequest, auditImpersonatedRequest } = require('../lib/impersonation');
 
-const authenticate = (req, res, next) => {
-  const auth = req.headers.authorization;
-  if (!auth || !auth.startsWith('Bearer ')) return res.status(401).json({ error: 'Unauthorized' });
-  const token = auth.substring('Bearer '.length);
+function verifyAccessToken(token) {
   const accessSecret = process.env.JWT_ACCESS_SECRET;
   const legacySecret = process.env.JWT_SECRET;
   try {
-    const payload = jwt.verify(token, accessSecret || legacySecret || '');
-    req.user = payload;
-    return next();
+    return jwt.verify(token, accessSecret || legacySecret || '');
   } catch (e1) {
     // Fallbacks for legacy tests/dev
     if (legacySecret) {
       try {
-        const payload = jwt.verify(token, legacySecret);
-        req.user = payload;
-        return next();
+        return jwt.verify(token, legacySecret);
       } catch {}
     }
     if (process.env.NODE_ENV === 'test') {
       try {
-        const payload = jwt.verify(token, 'test-secret');
-        req.user = payload;
-        return next();
+        return jwt.verify(token, 'test-secret');
       } catch {}
     }
-    return res.status(401).json({ error: 'Invalid token' });
+    return null;
   }
-};
+}
 
-const requireRole = (...roles) => (req, res, next) => {
-  const user = req.user;
-  if (!user) return res.status(401).json({ error: 'Unauthorized' });
-  if (!roles.map(r => r.toUpperCase()).includes((user.role || '').toUpperCase())) return res.status(403).json({ error: 'Forbidden' });
-  next();
+const API_KEY_ERRORS = {
+  invalid: 'Invalid API key',
+  revoked: 'API key has been revoked',
+  expired: 'API key has expired',
+  inactive: 'API key customer account is not active',
 };
 
-const requireAdmin = (req, res, next) => requireRole('ADMIN')(req, res, next);
+// API key principal: acts as the customer's owner, limited to the key's scopes
+async function authenticateApiKey(req, res, next, key) {
+  let result;
+  try {
+    result = await resolveApiKey(key);
+  } catch (e) {
+    return res.status(500).json({ error: 'Authentication check failed' });
+  }
+  if (result.status !== 'ok') return res.status(401).json({ error: API_KEY_ERRORS[result.status] });
+
+  const { apiKey } = result;
+  const scopes = Array.isArray(apiKey.scopes) ? apiKey.scopes : [];
+  const scope = requiredScope(req);
+  if (!scope) return res.status(403).json({ error: 'This endpoint is not available to API keys' });
+  if (!scopes.includes(scope)) return res.status(403).json({ error: `API key is missing the ${scope} scope` });
+
+  req.apiKey = apiKey;
+  req.user = { sub: apiKey.customer.ownerId, role: 'CUSTOMER', apiKeyId: apiKey.id, customerId: apiKey.customerId, scopes };
+  touchApiKey(apiKey, req.ip);
+  return apiKeyRateLimiter(req, res, next);
+}
+
+const authenticate = async (req, res, next) => {
+  const apiKey = extractApiKey(req);
+  if (apiKey) return authenticateApiKey(req, res, next, apiKey);
+  const auth = req.headers.authorization;
+  if (!auth || !auth.startsWith('Bearer ')) return res.status(401).json({ error: 'Unauthorized' });
+  const token = auth.substring('Bearer '.length);
+  const payload = verifyAccessToken(token);
+  if (!payload) return res.status(401).json({ error: 'Invalid token' });
+  // Tokens tied to a refresh session die with it (logout, forced logout, suspension)
+  if (payload.sid) {
+    try {
+      if (!(await isSessionActive(payload.sid))) return res.status(401).json({ error: 'Session has been revoked' });
+    } catch (e) {
+      return res.status(500).json({ error: 'Authentication check failed' });
+    }
+  }
+  // Impersonation tokens act as the customer, read-only, with every request audited
+  if (payload.imp) {
+    req.user = impersonatedUser(payload);
+    auditImpersonatedRequest(req, res);
+    if (!isReadOnlyRequest(req)) return res.status(403).json({ error: 'Changes are not allowed while impersonating a user' });
+    return next();
+  }
+  req.user = payload;
+  return next();
+};
 
 // Require one or more permissions attached to the user's role
 const requirePermissions = (perms, requireAny = false) => async (req, res, next) => {
@@ -82,8 +123,7 @@ const requirePermissions = (perms, requireAny = false) => async (req, res, next)
 };
 
 module.exports = {
+  verifyAccessToken,
   authenticate,
-  requireRole,
-  requireAdmin,
   requirePermissions
 };
@@ -0,0 +1,149 @@
+const { Router } = require('express');
+const { z } = require('zod');
+const { prisma } = require('../lib/prisma');
+const { authenticate } = require('../middleware/auth');
+const { hasPermission } = require('../lib/permissions');
+const { logAudit } = require('../lib/audit');
+const { API_KEY_SCOPES, generateApiKey, toApiKeyResponse } = require('../lib/apiKeys');
+const { findMembership, memberCan } = require('../lib/customerMembers');
+
+const router = Router();
+
+// Active (unrevoked, unexpired) keys a customer may hold at once
+const MAX_ACTIVE_KEYS = 10;
+
+const createSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  scopes: z.array(z.enum(API_KEY_SCOPES)).min(1),
+  expiresAt: z.coerce.date().refine((d) => d.getTime() > Date.now(), 'Expiry must be in the future').optional(),
+  rateLimitPerMinute: z.number().int().min(1).max(1000).optional(),
+});
+
+router.use(authenticate);
+
+// The business account the signed-in user owns (primary or OWNER member), or an error response
+async function loadOwnBusinessCustomer(req, res) {
+  const membership = await findMembership(req.user.sub);
+  if (!membership) {
+    res.status(404).json({ error: 'Customer profile not found' });
+    return null;
+  }
+  const { customer } = membership;
+  if (!memberCan(membership.role, 'api_keys:manage')) {
+    res.status(403).json({ error: 'Only account owners can manage API keys' });
+    return null;
+  }
+  if (customer.type !== 'BUSINESS') {
+    res.status(403).json({ error: 'API keys are available to business customers only' });
+    return null;
+  }
+  return customer;
+}
+
+// Scopes a new key can be given
+router.get('/scopes', (_req, res) => {
+  res.json({ scopes: API_KEY_SCOPES });
+});
+
+// List keys: customers see their own, staff with customers:read pass ?customerId=
+router.get('/', async (req, res) => {
+  try {
+    let customerId;
+    if (req.query.customerId) {
+      const ok = await hasPermission(req.user.sub, 'customers:read');
+      if (!ok) return res.status(403).json({ error: 'Forbidden' });
+      customerId = String(req.query.customerId);
+    } else {
+      const customer = await loadOwnBusinessCustomer(req, res);
+      if (!customer) return;
+      customerId = customer.id;
+    }
+
+    const keys = await prisma.apiKey.findMany({ where: { customerId }, orderBy: { createdAt: 'desc' } });
+    res.json(keys.map(toApiKeyResponse));
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+// Create a key for the signed-in user's business customer. The key itself is only returned here.
+router.post('/', async (req, res) => {
+  try {
+    const user = req.user;
+    const parsed = createSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+    }
+    const customer = await loadOwnBusinessCustomer(req, res);
+    if (!customer) return;
+    if (customer.status !== 'ACTIVE') {
+      return res.status(403).json({ error: 'Customer account is not active' });
+    }
+
+    const active = await prisma.apiKey.count({
+      where: { customerId: customer.id, revokedAt: null, OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }] },
+    });
+    if (active >= MAX_ACTIVE_KEYS) {
+      return res.status(409).json({ error: `A customer can have at most ${MAX_ACTIVE_KEYS} active API keys` });
+    }
+
+    const { name, scopes, expiresAt, rateLimitPerMinute } = parsed.data;
+    const { prefix, key, keyHash } = generateApiKey();
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        customerId: customer.id,
+        createdById: user.sub,
+        name,
+        prefix,
+        keyHash,
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresAt || null,
+        rateLimitPerMinute: rateLimitPerMinute || null,
+      },
+    });
+
+    await logAudit(req, {
+      action: 'API_KEY_CREATE',
+      entityType: 'ApiKey',
+      entityId: apiKey.id,
+      details: { customerId: customer.id, name, prefix, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt },
+    });
+
+    res.status(201).json({ ...toApiKeyResponse(apiKey), key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Revoke a key (an owner of its customer, or staff with customers:update)
+router.delete('/:id', async (req, res) => {
+  try {
+    const user = req.user;
+    const apiKey = await prisma.apiKey.findUnique({ where: { id: req.params.id } });
+    if (!apiKey) return res.status(404).json({ error: 'API key not found' });
+    const membership = await findMembership(user.sub);
+    if (membership?.customer.id !== apiKey.customerId || !memberCan(membership.role, 'api_keys:manage')) {
+      const ok = await hasPermission(user.sub, 'customers:update');
+      if (!ok) return res.status(404).json({ error: 'API key not found' });
+    }
+
+    if (apiKey.revokedAt) return res.json(toApiKeyResponse(apiKey));
+    const revoked = await prisma.apiKey.update({ where: { id: apiKey.id }, data: { revokedAt: new Date() } });
+
+    await logAudit(req, {
+      action: 'API_KEY_REVOKE',
+      entityType: 'ApiKey',
+      entityId: apiKey.id,
+      details: { customerId: apiKey.customerId, prefix: apiKey.prefix },
+    });
+
+    res.json(toApiKeyResponse(revoked));
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = { router };
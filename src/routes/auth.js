@@ -3,11 +3,36 @@ const { z } = require('zod');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { prisma } = require('../lib/prisma');
-const { authenticate, requireAdmin, requirePermissions } = require('../middleware/auth');
+const { authenticate, requirePermissions, verifyAccessToken } = require('../middleware/auth');
 const nodemailer = require('nodemailer');
 const crypto = require('crypto');
 const { sendNewCustomerNotification } = require('../lib/notifications');
 const { logAudit } = require('../lib/audit');
+const {
+  createSession,
+  findSessionByToken,
+  rotateSession,
+  revokeFamily,
+  terminateUserSessions,
+  isSessionActive,
+  listActiveSessions
+} = require('../lib/sessions');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../lib/totp');
+const {
+  allowedMethodsForRole,
+  challengeMethodsFor,
+  regenerateRecoveryCodes,
+  consumeRecoveryCode,
+  remainingRecoveryCodes
+} = require('../lib/mfa');
+const googleOAuth = require('../services/googleOAuth');
+const { checkLoginAllowed, recordLoginFailure, clearLoginFailures, getLockoutConfig } = require('../lib/loginLockout');
+const { buildCatalogReport } = require('../lib/permissionCatalog');
+const { ROUTE_PERMISSIONS, undocumentedRoutes } = require('../lib/routePermissions');
+const { BRANCH_SCOPABLE, hasPermission } = require('../lib/permissions');
+const { signImpersonationToken } = require('../lib/impersonation');
+const { findMembership, hashInviteToken, invitationStatus } = require('../lib/customerMembers');
+const rateLimit = require('express-rate-limit');
 
 const loginSchema = z.object({
   email: z.string().email(), 
@@ -29,30 +54,27 @@ const registerSchema = z.object({
 });
 
 const ACCESS_TTL = process.env.JWT_ACCESS_TTL || '15m';
-const REFRESH_TTL = process.env.JWT_REFRESH_TTL || '7d';
 
-function signAccessToken(sub, role) {
+// sid is the refresh session family; revoking the family invalidates the access token too
+function signAccessToken(sub, role, sid) {
   const secret = process.env.JWT_ACCESS_SECRET;
   const options = { expiresIn: ACCESS_TTL };
-  return jwt.sign({ sub, role }, secret, options);
-}
-
-function signRefreshToken(sub, role) {
-  const secret = process.env.JWT_REFRESH_SECRET;
-  const options = { expiresIn: REFRESH_TTL };
-  return jwt.sign({ sub, role }, secret, options);
+  return jwt.sign({ sub, role, ...(sid ? { sid } : {}) }, secret, options);
 }
 
 // ===== OTP utilities =====
 const otpEmailSchema = z.object({ email: z.string().email() });
 const otpVerifySchema = z.object({ 
   email: z.string().email(), 
-  code: z.string().regex(/^\d{6}$/), 
+  // 6 digits for email/TOTP codes, or a recovery code such as "a1b2c-3d4e5"
+  code: z.string().trim().min(6).max(32), 
+  method: z.enum(['email', 'totp', 'recovery']).optional(),
   rememberMe: z.boolean().optional() 
 });
 
+// Staff-side accounts, including custom roles created through /admin/roles, use a second factor
 function isAdminLike(role) {
-  return role === 'ADMIN' || role === 'STAFF' || role === 'MANAGER';
+  return Boolean(role) && role !== 'CUSTOMER';
 }
 
 function randomOtpCode() {
@@ -373,25 +395,257 @@ RTEXPRESS - Professional Express Delivery Management
   });
 }
 
-async function issueTokensAndSetCookie(res, user, rememberMe) {
+async function sendPasswordResetEmail(to, name, resetUrl, ttlMinutes) {
+  const { SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM } = process.env;
+  if (!SMTP_HOST || !SMTP_PORT) {
+    console.warn('SMTP not configured; printing password reset link to server log for development:', resetUrl, '->', to);
+    return { mocked: true };
+  }
+  const transporter = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: Number(SMTP_PORT),
+    secure: Number(SMTP_PORT) === 465,
+    auth: SMTP_USER && SMTP_PASS ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+  });
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>RTEXPRESS - Reset Your Password</title>
+    <style>
+        body { margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f8fafc; }
+        .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; }
+        .header { background: linear-gradient(135deg, #1e40af 0%, #3b82f6 100%); padding: 40px 30px; text-align: center; }
+        .logo { color: #ffffff; font-size: 32px; font-weight: 800; letter-spacing: -0.5px; margin: 0; }
+        .tagline { color: #e0e7ff; font-size: 14px; margin: 8px 0 0 0; font-weight: 500; }
+        .content { padding: 40px 30px; }
+        .greeting { font-size: 24px; font-weight: 600; color: #1f2937; margin: 0 0 20px 0; }
+        .message { font-size: 16px; color: #4b5563; line-height: 1.6; margin: 0 0 30px 0; }
+        .button { display: inline-block; background: linear-gradient(135deg, #1e40af 0%, #3b82f6 100%); color: #ffffff; padding: 14px 32px; border-radius: 8px; text-decoration: none; font-weight: 600; }
+        .expiry { font-size: 14px; color: #ef4444; font-weight: 600; margin: 15px 0 0 0; }
+        .security-notice { background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 20px; margin: 30px 0; border-radius: 0 8px 8px 0; }
+        .security-title { font-size: 16px; font-weight: 600; color: #92400e; margin: 0 0 8px 0; }
+        .security-text { font-size: 14px; color: #a16207; line-height: 1.5; margin: 0; }
+        .footer { background-color: #f9fafb; padding: 30px; text-align: center; border-top: 1px solid #e5e7eb; }
+        .footer-text { font-size: 14px; color: #6b7280; margin: 0 0 10px 0; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1 class="logo">RTEXPRESS</h1>
+            <p class="tagline">Professional Express Delivery Management</p>
+        </div>
+
+        <div class="content">
+            <h2 class="greeting">Hello ${name || 'there'},</h2>
+            <p class="message">
+                We received a request to reset the password for your RTEXPRESS account.
+                Click the button below to choose a new password:
+            </p>
+
+            <p style="text-align: center;">
+                <a href="${resetUrl}" class="button">Reset Password</a>
+            </p>
+            <p class="expiry" style="text-align: center;">⏰ This link expires in ${ttlMinutes} minutes and can only be used once</p>
+
+            <div class="security-notice">
+                <p class="security-title">🔒 Security Notice</p>
+                <p class="security-text">
+                    If you did not request a password reset, you can ignore this email; your password will not change.
+                    Resetting your password signs you out of all devices.
+                </p>
+            </div>
+        </div>
+
+        <div class="footer">
+            <p class="footer-text">
+                This is an automated message from RTEXPRESS.<br>
+                RTEXPRESS - Professional Express Delivery Management
+            </p>
+        </div>
+    </div>
+</body>
+</html>`;
+  const textContent = `
+RTEXPRESS - Reset Your Password
+
+Hello ${name || 'there'},
+
+We received a request to reset the password for your RTEXPRESS account. Open the link below to choose a new password:
+
+${resetUrl}
+
+⏰ This link expires in ${ttlMinutes} minutes and can only be used once.
+
+🔒 SECURITY NOTICE:
+If you did not request a password reset, you can ignore this email; your password will not change. Resetting your password signs you out of all devices.
+
+---
+RTEXPRESS - Professional Express Delivery Management
+`;
+
+  return transporter.sendMail({
+    from: SMTP_FROM || SMTP_USER,
+    to,
+    subject: '🔑 RTEXPRESS - Reset your password',
+    text: textContent.trim(),
+    html,
+  });
+}
+
+async function sendAccountLockedEmail(to, name, lockedUntil, resetUrl) {
+  const { SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM } = process.env;
+  const until = new Date(lockedUntil).toUTCString();
+  if (!SMTP_HOST || !SMTP_PORT) {
+    console.warn('SMTP not configured; account lock notice not emailed:', to, 'locked until', until);
+    return { mocked: true };
+  }
+  const transporter = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: Number(SMTP_PORT),
+    secure: Number(SMTP_PORT) === 465,
+    auth: SMTP_USER && SMTP_PASS ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+  });
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>RTEXPRESS - Account Temporarily Locked</title>
+    <style>
+        body { margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f8fafc; }
+        .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; }
+        .header { background: linear-gradient(135deg, #1e40af 0%, #3b82f6 100%); padding: 40px 30px; text-align: center; }
+        .logo { color: #ffffff; font-size: 32px; font-weight: 800; letter-spacing: -0.5px; margin: 0; }
+        .tagline { color: #e0e7ff; font-size: 14px; margin: 8px 0 0 0; font-weight: 500; }
+        .content { padding: 40px 30px; }
+        .greeting { font-size: 24px; font-weight: 600; color: #1f2937; margin: 0 0 20px 0; }
+        .message { font-size: 16px; color: #4b5563; line-height: 1.6; margin: 0 0 30px 0; }
+        .button { display: inline-block; background: linear-gradient(135deg, #1e40af 0%, #3b82f6 100%); color: #ffffff; padding: 14px 32px; border-radius: 8px; text-decoration: none; font-weight: 600; }
+        .security-notice { background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 20px; margin: 30px 0; border-radius: 0 8px 8px 0; }
+        .security-title { font-size: 16px; font-weight: 600; color: #92400e; margin: 0 0 8px 0; }
+        .security-text { font-size: 14px; color: #a16207; line-height: 1.5; margin: 0; }
+        .footer { background-color: #f9fafb; padding: 30px; text-align: center; border-top: 1px solid #e5e7eb; }
+        .footer-text { font-size: 14px; color: #6b7280; margin: 0 0 10px 0; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1 class="logo">RTEXPRESS</h1>
+            <p class="tagline">Professional Express Delivery Management</p>
+        </div>
+
+        <div class="content">
+            <h2 class="greeting">Hello ${name || 'there'},</h2>
+            <p class="message">
+                We noticed several failed sign-in attempts on your RTEXPRESS account, so we have locked it
+                temporarily. You can sign in again after <strong>${until}</strong>.
+            </p>
+
+            <div class="security-notice">
+                <p class="security-title">🔒 Was this you?</p>
+                <p class="security-text">
+                    If you did not try to sign in, someone may be guessing your password. We recommend choosing a new one.
+                </p>
+            </div>
+
+            <p style="text-align: center;">
+                <a href="${resetUrl}" class="button">Reset Password</a>
+            </p>
+        </div>
+
+        <div class="footer">
+            <p class="footer-text">
+                This is an automated message from RTEXPRESS.<br>
+                RTEXPRESS - Professional Express Delivery Management
+            </p>
+        </div>
+    </div>
+</body>
+</html>`;
+  const textContent = `
+RTEXPRESS - Account Temporarily Locked
+
+Hello ${name || 'there'},
+
+We noticed several failed sign-in attempts on your RTEXPRESS account, so we have locked it temporarily. You can sign in again after ${until}.
+
+🔒 WAS THIS YOU?
+If you did not try to sign in, someone may be guessing your password. We recommend choosing a new one:
+
+${resetUrl}
+
+---
+RTEXPRESS - Professional Express Delivery Management
+`;
+
+  return transporter.sendMail({
+    from: SMTP_FROM || SMTP_USER,
+    to,
+    subject: '🔒 RTEXPRESS - Your account has been temporarily locked',
+    text: textContent.trim(),
+    html,
+  });
+}
+
+// ===== Failed attempt handling =====
+const lockoutSelect = { failedLoginCount: true, lastFailedLoginAt: true, lockedUntil: true };
+
+function rejectThrottled(res, gate) {
+  res.set('Retry-After', String(gate.retryAfter));
+  if (gate.status === 423) {
+    return res.status(423).json({ error: 'Account is temporarily locked after too many failed attempts', lockedUntil: gate.lockedUntil, retryAfter: gate.retryAfter });
+  }
+  return res.status(429).json({ error: `Too many failed attempts. Please try again in ${gate.retryAfter} seconds.`, retryAfter: gate.retryAfter });
+}
+
+// Count a failed password/code check; on the failure that locks the account, audit and tell the owner
+async function handleFailedAttempt(req, user) {
+  const result = await recordLoginFailure({ user, ip: req.ip });
+  if (result.locked) {
+    await logAudit(req, { action: 'AUTH_ACCOUNT_LOCKED', entityType: 'User', entityId: user.id, details: { email: user.email, lockedUntil: result.lockedUntil } }, { actorId: user.id });
+    const resetUrl = `${process.env.FRONTEND_ORIGIN || 'http://localhost:8081'}/forgot-password`;
+    sendAccountLockedEmail(user.email, user.name, result.lockedUntil, resetUrl)
+      .catch((e) => console.error('Account locked email error', e));
+  }
+  return result;
+}
+
+function roleNameOf(user) {
   const roleStr = user?.role && typeof user.role === 'object' ? user.role?.name : user?.role;
-  const role = String(roleStr || 'CUSTOMER').toUpperCase();
-  const accessToken = signAccessToken(user.id, role);
-  const refreshToken = signRefreshToken(user.id, role);
+  return String(roleStr || 'CUSTOMER').toUpperCase();
+}
+
+function baseCookieOptions(path) {
   const sameSite = process.env.COOKIE_SAME_SITE || 'lax';
   const isProd = process.env.NODE_ENV === 'production';
   const secure = process.env.COOKIE_SECURE ? (process.env.COOKIE_SECURE === 'true') : isProd;
   const domain = process.env.COOKIE_DOMAIN || undefined;
-  const cookieOpts = {
+  return {
     httpOnly: true,
     secure,
     sameSite,
-    path: '/auth',
+    path,
     ...(domain ? { domain } : {}),
   };
+}
+
+function setRefreshCookie(res, refreshToken, rememberMe) {
+  const cookieOpts = baseCookieOptions('/auth');
   if (rememberMe) cookieOpts.maxAge = 7 * 24 * 60 * 60 * 1000;
   res.cookie('refresh_token', refreshToken, cookieOpts);
-  return accessToken;
+}
+
+// Starts a new refresh session family (a fresh sign-in)
+async function issueTokensAndSetCookie(req, res, user, rememberMe) {
+  const { session, token } = await createSession(req, { userId: user.id, rememberMe });
+  setRefreshCookie(res, token, rememberMe);
+  return signAccessToken(user.id, roleNameOf(user), session.familyId);
 }
 
 const router = Router();
@@ -459,7 +713,7 @@ router.post('/register', async (req, res) => {
     await sendNewCustomerNotification(`${firstName} ${lastName}`, email);
 
     // Generate tokens and set refresh cookie (7d)
-    const accessToken = await issueTokensAndSetCookie(res, { id: user.id, role: customerRole.name }, true);
+    const accessToken = await issueTokensAndSetCookie(req, res, { id: user.id, role: customerRole.name }, true);
 
     // Return success response
     res.status(201).json({
@@ -500,22 +754,32 @@ router.post('/login', async (req, res) => {
       passwordHash: true,
       status: true,
       otpEnabled: true,
+      totpEnabled: true,
       mustChangePassword: true,
+      ...lockoutSelect,
       role: {
         select: {
-          name: true
+          name: true,
+          mfaPolicy: true
         }
       }
     }
   });
+  const gate = await checkLoginAllowed({ user, ip: req.ip });
+  if (!gate.allowed) {
+    await logAudit(req, { action: 'AUTH_LOGIN_FAILURE', entityType: 'User', entityId: user?.id, details: { email, reason: gate.reason } }, { actorId: user?.id });
+    return rejectThrottled(res, gate);
+  }
   if (!user) {
     // Audit: login failure for unknown email
+    await recordLoginFailure({ ip: req.ip });
     await logAudit(req, { action: 'AUTH_LOGIN_FAILURE', entityType: 'User', entityId: undefined, details: { email } });
     return res.status(401).json({ error: 'Invalid credentials' });
   }
   const ok = await bcrypt.compare(password, user.passwordHash);
   if (!ok) {
-    await logAudit(req, { action: 'AUTH_LOGIN_FAILURE', entityType: 'User', entityId: user.id, details: { email } });
+    await handleFailedAttempt(req, user);
+    await logAudit(req, { action: 'AUTH_LOGIN_FAILURE', entityType: 'User', entityId: user.id, details: { email } }, { actorId: user.id });
     return res.status(401).json({ error: 'Invalid credentials' });
   }
 
@@ -535,6 +799,11 @@ router.post('/login', async (req, res) => {
       if (user.otpEnabled !== true) {
         await prisma.user.update({ where: { id: user.id }, data: { otpEnabled: true } });
       }
+      const { methods, totpEnrollmentRequired } = challengeMethodsFor(user);
+      // Authenticator users get an email code only when they ask for one via /send-otp
+      if (!methods.includes('email') || user.totpEnabled) {
+        return res.json({ requiresOtp: true, email: user.email, rememberMe, methods, totpEnrollmentRequired });
+      }
       // Cleanup expired codes
       await prisma.otpCode.deleteMany({ where: { userId: user.id, expiresAt: { lt: new Date() } } });
       // Generate new code (invalidate previous unused codes by marking used)
@@ -542,12 +811,10 @@ router.post('/login', async (req, res) => {
       const code = randomOtpCode();
       const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
       await prisma.otpCode.create({ data: { userId: user.id, code, expiresAt } });
-      // Reset attempt counters on new challenge
-      await prisma.user.update({ where: { id: user.id }, data: { otpAttempts: 0, otpLastAttempt: null } });
       try { await sendOtpEmail(user.email, code); } catch (e) { console.error('OTP email error', e); }
       console.log(`[OTP] Generated for user ${user.email}: ${code}`);
       await logAudit(req, { action: 'AUTH_OTP_ISSUED', entityType: 'User', entityId: user.id, details: { email: user.email } });
-      return res.json({ requiresOtp: true, email: user.email, rememberMe });
+      return res.json({ requiresOtp: true, email: user.email, rememberMe, methods, totpEnrollmentRequired });
     }
   }
 
@@ -561,7 +828,8 @@ router.post('/login', async (req, res) => {
   }
 
   // Generate tokens and set refresh cookie
-  const accessToken = await issueTokensAndSetCookie(res, user, rememberMe);
+  if (user.failedLoginCount > 0 || user.lockedUntil) await clearLoginFailures(user.id);
+  const accessToken = await issueTokensAndSetCookie(req, res, user, rememberMe);
 
   await logAudit(req, { action: 'AUTH_LOGIN_SUCCESS', entityType: 'User', entityId: user.id });
   res.json({
@@ -602,6 +870,7 @@ router.post('/change-password-first-login', async (req, res) => {
         passwordHash: true,
         status: true,
         mustChangePassword: true,
+        ...lockoutSelect,
         role: {
           select: {
             name: true
@@ -610,7 +879,11 @@ router.post('/change-password-first-login', async (req, res) => {
       }
     });
 
+    const gate = await checkLoginAllowed({ user, ip: req.ip });
+    if (!gate.allowed) return rejectThrottled(res, gate);
+
     if (!user) {
+      await recordLoginFailure({ ip: req.ip });
       await logAudit(req, { action: 'AUTH_FORCE_PASSWORD_CHANGE_FAILURE', entityType: 'User', entityId: undefined, details: { email, reason: 'user_not_found' } });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
@@ -618,6 +891,7 @@ router.post('/change-password-first-login', async (req, res) => {
     // Verify current password
     const passwordValid = await bcrypt.compare(currentPassword, user.passwordHash);
     if (!passwordValid) {
+      await handleFailedAttempt(req, user);
       await logAudit(req, { action: 'AUTH_FORCE_PASSWORD_CHANGE_FAILURE', entityType: 'User', entityId: user.id, details: { email: user.email, reason: 'incorrect_current_password' } });
       return res.status(401).json({ error: 'Current password is incorrect' });
     }
@@ -637,11 +911,14 @@ router.post('/change-password-first-login', async (req, res) => {
       data: {
         passwordHash: newPasswordHash,
         mustChangePassword: false,
+        failedLoginCount: 0,
+        lastFailedLoginAt: null,
+        lockedUntil: null,
       },
     });
 
     // Generate tokens and set refresh cookie
-    const accessToken = await issueTokensAndSetCookie(res, user, false);
+    const accessToken = await issueTokensAndSetCookie(req, res, user, false);
 
     await logAudit(req, { action: 'AUTH_FORCE_PASSWORD_CHANGE_SUCCESS', entityType: 'User', entityId: user.id });
     res.json({
@@ -661,6 +938,230 @@ router.post('/change-password-first-login', async (req, res) => {
   }
 });
 
+// ===== Forgot / reset password =====
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10);
+const forgotPasswordSchema = z.object({ email: z.string().email() });
+const resetPasswordSchema = z.object({
+  token: z.string().min(32).max(128),
+  newPassword: z.string().min(8),
+});
+
+// Per-IP limit on both endpoints; per-account throttling is handled inside /forgot-password
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.PASSWORD_RESET_RATE_LIMIT || 5),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many password reset attempts. Please try again later.' },
+});
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+router.post('/forgot-password', passwordResetLimiter, async (req, res) => {
+  const parsed = forgotPasswordSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+  const email = parsed.data.email.toLowerCase();
+  // Same answer whether or not the account exists
+  const genericResponse = { ok: true, message: 'If an account exists for that email, a password reset link has been sent.' };
+
+  try {
+    const user = await prisma.user.findUnique({ where: { email }, select: { id: true, email: true, name: true, status: true } });
+    if (!user || user.status !== 'ACTIVE') {
+      await logAudit(req, { action: 'AUTH_PASSWORD_RESET_REQUEST', entityType: 'User', entityId: user?.id, details: { email, sent: false } }, { actorId: user?.id });
+      return res.json(genericResponse);
+    }
+
+    // At most one email per minute per account
+    const recent = await prisma.passwordResetToken.findFirst({
+      where: { userId: user.id, createdAt: { gt: new Date(Date.now() - 60 * 1000) } },
+      select: { id: true },
+    });
+    if (recent) return res.json(genericResponse);
+
+    // Only the newest link works
+    await prisma.passwordResetToken.updateMany({ where: { userId: user.id, usedAt: null }, data: { usedAt: new Date() } });
+    const token = crypto.randomBytes(32).toString('hex');
+    await prisma.passwordResetToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashResetToken(token),
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+        requestedIp: req.ip,
+      },
+    });
+
+    const resetUrl = `${process.env.FRONTEND_ORIGIN || 'http://localhost:8081'}/reset-password?token=${token}`;
+    // Not awaited so response timing does not depend on SMTP
+    sendPasswordResetEmail(user.email, user.name, resetUrl, PASSWORD_RESET_TTL_MINUTES)
+      .catch((e) => console.error('Password reset email error', e));
+
+    await logAudit(req, { action: 'AUTH_PASSWORD_RESET_REQUEST', entityType: 'User', entityId: user.id, details: { email, sent: true } }, { actorId: user.id });
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/reset-password', passwordResetLimiter, async (req, res) => {
+  const parsed = resetPasswordSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+  const { token, newPassword } = parsed.data;
+  const invalid = () => res.status(400).json({ error: 'This password reset link is invalid or has expired' });
+
+  try {
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashResetToken(token) },
+      include: { user: { select: { id: true, email: true, status: true } } },
+    });
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date() || resetToken.user.status !== 'ACTIVE') {
+      if (resetToken) {
+        await logAudit(req, { action: 'AUTH_PASSWORD_RESET_FAILURE', entityType: 'User', entityId: resetToken.userId, details: { reason: resetToken.usedAt ? 'token_used' : 'token_expired' } }, { actorId: resetToken.userId });
+      }
+      return invalid();
+    }
+
+    // Consume the token first so two concurrent submissions cannot both succeed
+    const consumed = await prisma.passwordResetToken.updateMany({
+      where: { id: resetToken.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    if (consumed.count === 0) return invalid();
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    await prisma.user.update({
+      where: { id: resetToken.userId },
+      data: { passwordHash, mustChangePassword: false, failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null },
+    });
+    await prisma.passwordResetToken.updateMany({ where: { userId: resetToken.userId, usedAt: null }, data: { usedAt: new Date() } });
+    await terminateUserSessions(resetToken.userId, 'password_reset');
+
+    await logAudit(req, { action: 'AUTH_PASSWORD_RESET_SUCCESS', entityType: 'User', entityId: resetToken.userId, details: { email: resetToken.user.email } }, { actorId: resetToken.userId });
+    res.clearCookie('refresh_token', { path: '/auth' });
+    res.json({ ok: true, message: 'Password has been reset. Please sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ===== Customer team invitations =====
+const acceptInvitationSchema = z.object({
+  token: z.string().min(1),
+  // Required when the invited email has no account yet
+  name: z.string().trim().min(2).optional(),
+  password: z.string().min(6, 'Password must be at least 6 characters').optional(),
+});
+
+async function loadPendingInvitation(token) {
+  const invitation = await prisma.customerInvitation.findUnique({
+    where: { tokenHash: hashInviteToken(token) },
+    include: { customer: { select: { id: true, companyName: true, firstName: true, lastName: true, status: true } } },
+  });
+  if (!invitation || invitationStatus(invitation) !== 'PENDING' || invitation.customer.status !== 'ACTIVE') return null;
+  return invitation;
+}
+
+// Preview an invitation before accepting it
+router.get('/invitations/:token', async (req, res) => {
+  const invitation = await loadPendingInvitation(req.params.token);
+  if (!invitation) return res.status(404).json({ error: 'This invitation is invalid or has expired' });
+  const existing = await prisma.user.findUnique({ where: { email: invitation.email }, select: { id: true } });
+  const { customer } = invitation;
+  res.json({
+    email: invitation.email,
+    role: invitation.role,
+    expiresAt: invitation.expiresAt,
+    accountName: customer.companyName || `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
+    hasAccount: Boolean(existing),
+  });
+});
+
+// Thrown inside the accept transaction to roll it back when the invitation was used meanwhile
+class InvitationConsumedError extends Error {}
+
+// Accept an invitation: existing users must be signed in as the invited email, new users
+// choose a name and password and are signed in.
+router.post('/invitations/accept', async (req, res) => {
+  const parsed = acceptInvitationSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+  const { token, name, password } = parsed.data;
+
+  try {
+    const invitation = await loadPendingInvitation(token);
+    if (!invitation) return res.status(400).json({ error: 'This invitation is invalid or has expired' });
+
+    let user = await prisma.user.findUnique({ where: { email: invitation.email }, include: { role: true } });
+    const userCreated = !user;
+    let newUser;
+    if (user) {
+      const auth = req.headers.authorization || '';
+      const payload = auth.startsWith('Bearer ') ? verifyAccessToken(auth.substring('Bearer '.length)) : null;
+      if (!payload || payload.sub !== user.id || payload.imp) {
+        return res.status(401).json({ error: `Sign in as ${invitation.email} to accept this invitation` });
+      }
+      // Same session check as authenticate: a token outlives neither logout nor forced logout
+      if (payload.sid && !(await isSessionActive(payload.sid))) {
+        return res.status(401).json({ error: 'Session has been revoked' });
+      }
+      if (await findMembership(user.id)) {
+        return res.status(409).json({ error: 'You already belong to a customer account' });
+      }
+      if (await hasPermission(user.id, 'admin_portal:access')) {
+        return res.status(409).json({ error: 'Staff accounts cannot join a customer account' });
+      }
+    } else {
+      if (!name || !password) return res.status(400).json({ error: 'Name and password are required to create your account' });
+      const customerRole = await prisma.role.upsert({
+        where: { name: 'CUSTOMER' },
+        update: { isSystemRole: true },
+        create: { name: 'CUSTOMER', description: 'Customer role', isSystemRole: true },
+      });
+      newUser = { email: invitation.email, passwordHash: await bcrypt.hash(password, 10), roleId: customerRole.id, name, status: 'ACTIVE' };
+    }
+
+    // Login, invitation and membership are written together, so a failed accept leaves the
+    // invitation pending and no orphaned login behind
+    try {
+      user = await prisma.$transaction(async (tx) => {
+        const member = newUser ? await tx.user.create({ data: newUser, include: { role: true } }) : user;
+        // Consuming the invitation is conditional so it cannot be used twice
+        const consumed = await tx.customerInvitation.updateMany({
+          where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+          data: { acceptedAt: new Date(), acceptedById: member.id },
+        });
+        if (consumed.count === 0) throw new InvitationConsumedError();
+        await tx.customerMember.create({
+          data: { customerId: invitation.customerId, userId: member.id, role: invitation.role, invitedById: invitation.invitedById },
+        });
+        return member;
+      });
+    } catch (e) {
+      if (e instanceof InvitationConsumedError) return res.status(400).json({ error: 'This invitation is invalid or has expired' });
+      if (e.code === 'P2002') {
+        const error = String(e.meta?.target || '').includes('email')
+          ? `An account for ${invitation.email} already exists, sign in to accept this invitation`
+          : 'You already belong to a customer account';
+        return res.status(409).json({ error });
+      }
+      throw e;
+    }
+
+    await logAudit(req, {
+      action: 'CUSTOMER_INVITATION_ACCEPT',
+      entityType: 'Customer',
+      entityId: invitation.customerId,
+      details: { invitationId: invitation.id, email: invitation.email, role: invitation.role, userCreated },
+    }, { actorId: user.id });
+
+    const accessToken = userCreated ? await issueTokensAndSetCookie(req, res, user, false) : undefined;
+    res.json({ ok: true, customerId: invitation.customerId, role: invitation.role, userCreated, ...(accessToken ? { accessToken } : {}) });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // OTP status
 router.get('/otp-status', async (req, res) => {
   const email = String(req.query.email || '').toLowerCase();
@@ -669,7 +1170,7 @@ router.get('/otp-status', async (req, res) => {
   if (!user) return res.json({ requiresOtp: false });
   const roleName = user.role?.name;
   const requiresOtp = isAdminLike(String(roleName || 'CUSTOMER').toUpperCase()) && (user.otpEnabled ?? true);
-  res.json({ requiresOtp });
+  res.json({ requiresOtp, ...(requiresOtp ? { methods: challengeMethodsFor(user).methods } : {}) });
 });
 
 // Send OTP (generic)
@@ -680,13 +1181,13 @@ router.post('/send-otp', async (req, res) => {
   const user = await prisma.user.findUnique({ where: { email }, include: { role: true } });
   const roleName = user?.role?.name;
   if (!user || !isAdminLike(String(roleName || 'CUSTOMER').toUpperCase())) return res.json({ ok: true }); // do not reveal
+  if (!challengeMethodsFor(user).methods.includes('email')) return res.json({ ok: true });
   // Cleanup expired and invalidate old
   await prisma.otpCode.deleteMany({ where: { userId: user.id, expiresAt: { lt: new Date() } } });
   await prisma.otpCode.updateMany({ where: { userId: user.id, used: false }, data: { used: true } });
   const code = randomOtpCode();
   const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
   await prisma.otpCode.create({ data: { userId: user.id, code, expiresAt } });
-  await prisma.user.update({ where: { id: user.id }, data: { otpAttempts: 0, otpLastAttempt: null } });
   try { await sendOtpEmail(user.email, code); } catch (e) { console.error('OTP email error', e); }
   console.log(`[OTP] Sent on demand for user ${user.email}: ${code}`);
   await logAudit(req, { action: 'AUTH_OTP_ISSUED', entityType: 'User', entityId: user.id, details: { email: user.email } });
@@ -701,12 +1202,12 @@ router.post('/resend-otp', async (req, res) => {
   const user = await prisma.user.findUnique({ where: { email }, include: { role: true } });
   const roleName = user?.role?.name;
   if (!user || !isAdminLike(String(roleName || 'CUSTOMER').toUpperCase())) return res.json({ ok: true });
+  if (!challengeMethodsFor(user).methods.includes('email')) return res.json({ ok: true });
   await prisma.otpCode.deleteMany({ where: { userId: user.id, expiresAt: { lt: new Date() } } });
   await prisma.otpCode.updateMany({ where: { userId: user.id, used: false }, data: { used: true } });
   const code = randomOtpCode();
   const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
   await prisma.otpCode.create({ data: { userId: user.id, code, expiresAt } });
-  await prisma.user.update({ where: { id: user.id }, data: { otpAttempts: 0, otpLastAttempt: null } });
   try { await sendOtpEmail(user.email, code); } catch (e) { console.error('OTP email error', e); }
   console.log(`[OTP] Re-sent for user ${user.email}`);
   await logAudit(req, { action: 'AUTH_OTP_ISSUED', entityType: 'User', entityId: user.id, details: { email: user.email, resend: true } });
@@ -723,40 +1224,68 @@ router.post('/verify-otp', async (req, res) => {
   const roleName = user.role?.name;
   if (!isAdminLike(String(roleName || 'CUSTOMER').toUpperCase())) return res.status(400).json({ error: 'OTP not required' });
 
-  // Rate limiting: 5 attempts per 15 minutes
-  const now = new Date();
-  const windowStart = new Date(now.getTime() - 15 * 60 * 1000);
-  let attempts = user.otpAttempts || 0;
-  let last = user.otpLastAttempt ? new Date(user.otpLastAttempt) : undefined;
-  if (last && last >= windowStart && attempts >= 5) {
-    const mins = Math.ceil((last.getTime() - windowStart.getTime()) / (60 * 1000));
-    await logAudit(req, { action: 'AUTH_OTP_VERIFY_FAILURE', entityType: 'User', entityId: user.id, details: { email: user.email, reason: 'rate_limited', remainingMinutes: mins } });
-    return res.status(429).json({ error: `Too many attempts. Please try again in ${mins} minutes.` });
+  // Code failures count toward the same lockout as password failures
+  const gate = await checkLoginAllowed({ user, ip: req.ip });
+  if (!gate.allowed) {
+    await logAudit(req, { action: 'AUTH_OTP_VERIFY_FAILURE', entityType: 'User', entityId: user.id, details: { email: user.email, reason: gate.reason } }, { actorId: user.id });
+    return rejectThrottled(res, gate);
   }
 
-  // Only accept latest un-used, unexpired code
-  const activeCode = await prisma.otpCode.findFirst({
-    where: { userId: user.id, used: false, expiresAt: { gt: new Date() } },
-    orderBy: { createdAt: 'desc' },
-  });
-  if (!activeCode || activeCode.code !== code) {
-    // Increment attempt counter
-    const newAttempts = (last && last >= windowStart) ? attempts + 1 : 1;
-    await prisma.user.update({ where: { id: user.id }, data: { otpAttempts: newAttempts, otpLastAttempt: now } });
-    const remaining = Math.max(0, 5 - newAttempts);
-    await logAudit(req, { action: 'AUTH_OTP_VERIFY_FAILURE', entityType: 'User', entityId: user.id, details: { email: user.email, reason: 'invalid_code', remainingAttempts: remaining } });
+  const { methods } = challengeMethodsFor(user);
+  const isSixDigits = /^\d{6}$/.test(code);
+  // Without an explicit method, a 6-digit code is tried against the authenticator first, then email
+  const candidates = parsed.data.method
+    ? [parsed.data.method]
+    : (isSixDigits ? ['totp', 'email'] : ['recovery']);
+  const usable = candidates.filter((m) => methods.includes(m));
+  if (usable.length === 0) {
+    return res.status(400).json({ error: 'This verification method is not allowed for your account', methods });
+  }
+
+  let verifiedMethod = null;
+  for (const method of usable) {
+    if (method === 'totp') {
+      const counter = verifyTotp(user.otpSecret, code, { afterCounter: user.totpLastCounter ?? -1 });
+      if (counter !== null) {
+        // Guarded so the same code cannot complete two logins
+        const claimed = await prisma.user.updateMany({
+          where: { id: user.id, OR: [{ totpLastCounter: null }, { totpLastCounter: { lt: counter } }] },
+          data: { totpLastCounter: counter },
+        });
+        if (claimed.count > 0) verifiedMethod = 'totp';
+      }
+    } else if (method === 'email' && isSixDigits) {
+      // Only accept latest un-used, unexpired code
+      const activeCode = await prisma.otpCode.findFirst({
+        where: { userId: user.id, used: false, expiresAt: { gt: new Date() } },
+        orderBy: { createdAt: 'desc' },
+      });
+      if (activeCode && activeCode.code === code) {
+        await prisma.otpCode.update({ where: { id: activeCode.id }, data: { used: true } });
+        verifiedMethod = 'email';
+      }
+    } else if (method === 'recovery') {
+      if (await consumeRecoveryCode(user.id, code)) verifiedMethod = 'recovery';
+    }
+    if (verifiedMethod) break;
+  }
+
+  if (!verifiedMethod) {
+    const failure = await handleFailedAttempt(req, user);
+    const remaining = failure.locked ? 0 : Math.max(0, getLockoutConfig().accountThreshold - failure.failures);
+    await logAudit(req, { action: 'AUTH_OTP_VERIFY_FAILURE', entityType: 'User', entityId: user.id, details: { email: user.email, reason: 'invalid_code', methods: usable, remainingAttempts: remaining } }, { actorId: user.id });
+    if (failure.locked) return rejectThrottled(res, { status: 423, retryAfter: getLockoutConfig().lockMinutes * 60, lockedUntil: failure.lockedUntil });
     return res.status(401).json({ error: `Invalid verification code. ${remaining} attempts remaining.` });
   }
 
-  // Mark code used and reset attempts
-  await prisma.otpCode.update({ where: { id: activeCode.id }, data: { used: true } });
-  await prisma.user.update({ where: { id: user.id }, data: { otpAttempts: 0, otpLastAttempt: null } });
+  await clearLoginFailures(user.id);
 
   // Issue tokens now
-  const accessToken = await issueTokensAndSetCookie(res, user, rememberMe);
-  await logAudit(req, { action: 'AUTH_OTP_VERIFY_SUCCESS', entityType: 'User', entityId: user.id });
+  const accessToken = await issueTokensAndSetCookie(req, res, user, rememberMe);
+  await logAudit(req, { action: 'AUTH_OTP_VERIFY_SUCCESS', entityType: 'User', entityId: user.id, details: { method: verifiedMethod } }, { actorId: user.id });
   res.json({
     accessToken,
+    ...(verifiedMethod === 'recovery' ? { recoveryCodesRemaining: await remainingRecoveryCodes(user.id) } : {}),
     user: {
       id: user.id,
       email: user.email,
@@ -766,16 +1295,24 @@ router.post('/verify-otp', async (req, res) => {
   });
 });
 
-// Refresh token endpoint
+// Refresh token endpoint: rotates the refresh session
 router.post('/refresh', async (req, res) => {
   const refreshToken = req.cookies.refresh_token;
   if (!refreshToken) return res.status(401).json({ error: 'No refresh token' });
 
   try {
-    const secret = process.env.JWT_REFRESH_SECRET;
-    const payload = jwt.verify(refreshToken, secret);
+    const result = await rotateSession(req, refreshToken);
+    if (result.status === 'reused') {
+      await logAudit(req, { action: 'AUTH_REFRESH_REUSE', entityType: 'User', entityId: result.session.userId, details: { familyId: result.session.familyId } }, { actorId: result.session.userId });
+      res.clearCookie('refresh_token', { path: '/auth' });
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+    if (result.status !== 'ok') {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
     const user = await prisma.user.findUnique({
-      where: { id: payload.sub },
+      where: { id: result.session.userId },
       select: {
         id: true,
         email: true,
@@ -790,12 +1327,15 @@ router.post('/refresh', async (req, res) => {
     });
 
     if (!user || user.status !== 'ACTIVE') {
+      await revokeFamily(result.session.familyId, 'inactive_user');
+      res.clearCookie('refresh_token', { path: '/auth' });
       return res.status(401).json({ error: 'Invalid refresh token' });
     }
 
-    const accessToken = await issueTokensAndSetCookie(res, user, true);
+    setRefreshCookie(res, result.token, result.session.rememberMe);
+    const accessToken = signAccessToken(user.id, roleNameOf(user), result.session.familyId);
 
-    await logAudit(req, { action: 'AUTH_REFRESH_SUCCESS', entityType: 'User', entityId: user.id });
+    await logAudit(req, { action: 'AUTH_REFRESH_SUCCESS', entityType: 'User', entityId: user.id }, { actorId: user.id });
     res.json({
       accessToken,
       user: {
@@ -806,18 +1346,359 @@ router.post('/refresh', async (req, res) => {
       },
     });
   } catch (error) {
+    console.error('Refresh error:', error);
     res.status(401).json({ error: 'Invalid refresh token' });
   }
 });
 
-// Logout endpoint
+// Logout endpoint: ends the session the refresh cookie belongs to
 router.post('/logout', async (req, res) => {
-  // Best-effort audit (only logs if req.user exists)
-  await logAudit(req, { action: 'AUTH_LOGOUT', entityType: 'User', entityId: req.user?.sub }, { actorId: req.user?.sub });
+  try {
+    const session = await findSessionByToken(req.cookies.refresh_token);
+    if (session) {
+      await revokeFamily(session.familyId, 'logout');
+      await logAudit(req, { action: 'AUTH_LOGOUT', entityType: 'User', entityId: session.userId }, { actorId: session.userId });
+    }
+  } catch (error) {
+    console.error('Logout error:', error);
+  }
   res.clearCookie('refresh_token', { path: '/auth' });
   res.json({ message: 'Logged out successfully' });
 });
 
+// Signed-in devices for the current user
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.sub);
+    res.json({
+      sessions: sessions.map((s) => ({
+        id: s.id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        rememberMe: s.rememberMe,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+        current: s.familyId === req.user.sid,
+      })),
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const session = await prisma.refreshSession.findUnique({ where: { id: String(req.params.id) } });
+    if (!session || session.userId !== req.user.sub || session.revokedAt) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    await revokeFamily(session.familyId, 'user_revoked');
+    await logAudit(req, { action: 'AUTH_SESSION_REVOKE', entityType: 'User', entityId: req.user.sub, details: { sessionId: session.id } });
+    if (session.familyId === req.user.sid) res.clearCookie('refresh_token', { path: '/auth' });
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ===== Google sign-in (customers) =====
+const GOOGLE_FLOW_COOKIE = 'google_oauth';
+const GOOGLE_FLOW_TTL_SECONDS = 10 * 60;
+
+class GoogleSignInError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+// Only same-site relative paths, so the flow cannot be used as an open redirect
+function safeReturnPath(value) {
+  const path = String(value || '');
+  return path.startsWith('/') && !path.startsWith('//') && !path.includes('\\') ? path.slice(0, 512) : undefined;
+}
+
+function googleRedirect(res, params) {
+  const frontend = process.env.FRONTEND_ORIGIN || 'http://localhost:8081';
+  const target = params.error ? '/login' : '/auth/google/complete';
+  return res.redirect(`${frontend}${target}?${new URLSearchParams(params).toString()}`);
+}
+
+// Find the account for a Google profile: by linked subject, then by verified email, else create a customer
+// Staff sign in with password + second factor only. Checked on every sign-in, not just when
+// linking, so a customer who linked Google and was later given staff access loses this way in.
+async function assertGoogleSignInAllowed(user) {
+  if (isAdminLike(String(user.role?.name || 'CUSTOMER').toUpperCase()) || await hasPermission(user.id, 'admin_portal:access')) {
+    throw new GoogleSignInError('not_a_customer_account');
+  }
+}
+
+async function resolveGoogleUser(profile) {
+  const userSelect = { id: true, email: true, name: true, status: true, googleSub: true, role: { select: { name: true } } };
+
+  let user = await prisma.user.findUnique({ where: { googleSub: profile.sub }, select: userSelect });
+  if (user) {
+    await assertGoogleSignInAllowed(user);
+    return { user, created: false, linked: false };
+  }
+
+  if (!profile.email || !profile.email_verified) throw new GoogleSignInError('email_not_verified');
+
+  user = await prisma.user.findUnique({ where: { email: profile.email }, select: userSelect });
+  if (user) {
+    await assertGoogleSignInAllowed(user);
+    if (user.googleSub && user.googleSub !== profile.sub) throw new GoogleSignInError('linked_to_another_google_account');
+    await prisma.user.update({ where: { id: user.id }, data: { googleSub: profile.sub } });
+    return { user, created: false, linked: true };
+  }
+
+  const customerRole = await prisma.role.upsert({
+    where: { name: 'CUSTOMER' },
+    update: { isSystemRole: true },
+    create: { name: 'CUSTOMER', description: 'Customer role', isSystemRole: true },
+  });
+  const firstName = profile.given_name || String(profile.name || profile.email.split('@')[0]).split(' ')[0];
+  const lastName = profile.family_name || String(profile.name || '').split(' ').slice(1).join(' ') || '-';
+
+  const created = await prisma.$transaction(async (tx) => {
+    const newUser = await tx.user.create({
+      data: {
+        email: profile.email,
+        // Unusable password; the account can set one through forgot-password
+        passwordHash: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+        roleId: customerRole.id,
+        name: `${firstName} ${lastName}`.trim(),
+        status: 'ACTIVE',
+        googleSub: profile.sub,
+        avatarUrl: profile.picture || undefined,
+      },
+      select: userSelect,
+    });
+    // A customer profile created by staff without a login gets attached; otherwise create one
+    const existingCustomer = await tx.customer.findUnique({ where: { email: profile.email } });
+    if (existingCustomer) {
+      if (existingCustomer.ownerId) throw new GoogleSignInError('customer_already_owned');
+      await tx.customer.update({ where: { id: existingCustomer.id }, data: { ownerId: newUser.id } });
+    } else {
+      await tx.customer.create({
+        data: { type: 'INDIVIDUAL', firstName, lastName, email: profile.email, ownerId: newUser.id, status: 'ACTIVE' },
+      });
+    }
+    return { ...newUser, role: { name: customerRole.name } };
+  });
+  await sendNewCustomerNotification(created.name, created.email).catch((e) => console.error('New customer notification error', e));
+  return { user: created, created: true, linked: false };
+}
+
+// Redirects the browser to Google; state and the PKCE verifier travel in a signed, short-lived cookie
+router.get('/google/start', (req, res) => {
+  if (!googleOAuth.isGoogleConfigured()) return res.status(503).json({ error: 'Google sign-in is not configured' });
+
+  const state = crypto.randomBytes(24).toString('base64url');
+  const { verifier, challenge } = googleOAuth.createPkcePair();
+  const flow = jwt.sign(
+    { state, verifier, returnTo: safeReturnPath(req.query.returnTo) },
+    process.env.JWT_ACCESS_SECRET,
+    { expiresIn: GOOGLE_FLOW_TTL_SECONDS, audience: 'google-oauth' }
+  );
+  res.cookie(GOOGLE_FLOW_COOKIE, flow, { ...baseCookieOptions('/auth/google'), maxAge: GOOGLE_FLOW_TTL_SECONDS * 1000 });
+  res.redirect(googleOAuth.buildAuthorizationUrl({ state, codeChallenge: challenge }));
+});
+
+router.get('/google/callback', async (req, res) => {
+  const flowCookie = req.cookies?.[GOOGLE_FLOW_COOKIE];
+  res.clearCookie(GOOGLE_FLOW_COOKIE, { path: '/auth/google' });
+
+  if (req.query.error) return googleRedirect(res, { error: 'google_cancelled' });
+  let flow;
+  try {
+    flow = jwt.verify(String(flowCookie || ''), process.env.JWT_ACCESS_SECRET, { audience: 'google-oauth' });
+  } catch {
+    return googleRedirect(res, { error: 'google_session_expired' });
+  }
+  const state = String(req.query.state || '');
+  const code = String(req.query.code || '');
+  if (!code || state.length !== flow.state.length || !crypto.timingSafeEqual(Buffer.from(state), Buffer.from(flow.state))) {
+    return googleRedirect(res, { error: 'google_state_mismatch' });
+  }
+
+  try {
+    const tokens = await googleOAuth.exchangeCode({ code, codeVerifier: flow.verifier });
+    const profile = await googleOAuth.fetchUserInfo(tokens.access_token);
+    const { user, created, linked } = await resolveGoogleUser(profile);
+
+    if (user.status !== 'ACTIVE') {
+      await logAudit(req, { action: 'AUTH_GOOGLE_LOGIN_FAILURE', entityType: 'User', entityId: user.id, details: { reason: 'inactive' } }, { actorId: user.id });
+      return googleRedirect(res, { error: 'account_inactive' });
+    }
+
+    // The SPA picks up its access token from /auth/refresh, so nothing sensitive goes in the URL
+    await issueTokensAndSetCookie(req, res, user, true);
+    await logAudit(req, { action: 'AUTH_GOOGLE_LOGIN_SUCCESS', entityType: 'User', entityId: user.id, details: { email: user.email, created, linked } }, { actorId: user.id });
+    return googleRedirect(res, { ...(flow.returnTo ? { returnTo: flow.returnTo } : {}), ...(created ? { newAccount: '1' } : {}) });
+  } catch (error) {
+    if (error instanceof GoogleSignInError) return googleRedirect(res, { error: error.reason });
+    console.error('Google sign-in error:', error);
+    return googleRedirect(res, { error: 'google_failed' });
+  }
+});
+
+// ===== Authenticator app (TOTP) enrollment =====
+const totpCodeSchema = z.object({ code: z.string().regex(/^\d{6}$/) });
+const totpDisableSchema = z.object({ password: z.string().min(1), code: z.string().trim().min(1).optional() });
+
+// Loads the signed-in user and checks their role may use an authenticator app
+async function loadTotpUser(req, res) {
+  const user = await prisma.user.findUnique({ where: { id: req.user.sub }, include: { role: true } });
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  if (!isAdminLike(String(user.role?.name || 'CUSTOMER').toUpperCase()) || !allowedMethodsForRole(user.role).includes('totp')) {
+    res.status(403).json({ error: 'Authenticator apps are not enabled for your role' });
+    return null;
+  }
+  return user;
+}
+
+router.get('/totp', authenticate, async (req, res) => {
+  try {
+    const user = await loadTotpUser(req, res);
+    if (!user) return;
+    res.json({
+      enabled: user.totpEnabled,
+      confirmedAt: user.totpConfirmedAt,
+      recoveryCodesRemaining: user.totpEnabled ? await remainingRecoveryCodes(user.id) : 0,
+      methods: allowedMethodsForRole(user.role),
+    });
+  } catch (error) {
+    console.error('TOTP status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start enrollment: a new secret stays pending until confirmed with a code from the app
+router.post('/totp/setup', authenticate, async (req, res) => {
+  try {
+    const user = await loadTotpUser(req, res);
+    if (!user) return;
+    if (user.totpEnabled) return res.status(409).json({ error: 'Authenticator app is already enabled' });
+
+    const secret = generateSecret();
+    await prisma.user.update({ where: { id: user.id }, data: { otpSecret: secret, totpLastCounter: null } });
+    await logAudit(req, { action: 'AUTH_TOTP_SETUP', entityType: 'User', entityId: user.id });
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: process.env.TOTP_ISSUER || 'RTEXPRESS' }),
+    });
+  } catch (error) {
+    console.error('TOTP setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/totp/confirm', authenticate, async (req, res) => {
+  const parsed = totpCodeSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+  try {
+    const user = await loadTotpUser(req, res);
+    if (!user) return;
+    if (user.totpEnabled) return res.status(409).json({ error: 'Authenticator app is already enabled' });
+    if (!user.otpSecret) return res.status(400).json({ error: 'Start authenticator setup first' });
+
+    const counter = verifyTotp(user.otpSecret, parsed.data.code);
+    if (counter === null) return res.status(400).json({ error: 'Invalid verification code' });
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { totpEnabled: true, totpConfirmedAt: new Date(), totpLastCounter: counter },
+      });
+      return regenerateRecoveryCodes(user.id, tx);
+    });
+    await logAudit(req, { action: 'AUTH_TOTP_ENABLE', entityType: 'User', entityId: user.id });
+    res.json({ enabled: true, recoveryCodes });
+  } catch (error) {
+    console.error('TOTP confirm error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Issue a fresh set of recovery codes; the old ones stop working
+router.post('/totp/recovery-codes', authenticate, async (req, res) => {
+  const parsed = totpCodeSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+  try {
+    const user = await loadTotpUser(req, res);
+    if (!user) return;
+    if (!user.totpEnabled) return res.status(400).json({ error: 'Authenticator app is not enabled' });
+    if (verifyTotp(user.otpSecret, parsed.data.code) === null) return res.status(400).json({ error: 'Invalid verification code' });
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+    await logAudit(req, { action: 'AUTH_RECOVERY_CODES_REGENERATE', entityType: 'User', entityId: user.id });
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Recovery code error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A current authenticator code (claimed so it cannot be replayed) or an unused recovery code
+async function verifyTotpOrRecoveryCode(user, code) {
+  if (/^\d{6}$/.test(code)) {
+    const counter = verifyTotp(user.otpSecret, code, { afterCounter: user.totpLastCounter ?? -1 });
+    if (counter === null) return false;
+    const claimed = await prisma.user.updateMany({
+      where: { id: user.id, OR: [{ totpLastCounter: null }, { totpLastCounter: { lt: counter } }] },
+      data: { totpLastCounter: counter },
+    });
+    return claimed.count > 0;
+  }
+  return consumeRecoveryCode(user.id, code);
+}
+
+// Turning the second factor off needs both factors, and failures count toward the login lockout
+router.delete('/totp', authenticate, async (req, res) => {
+  const parsed = totpDisableSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+  try {
+    const user = await loadTotpUser(req, res);
+    if (!user) return;
+    if (user.totpEnabled && !parsed.data.code) {
+      return res.status(400).json({ error: 'Enter a code from your authenticator app or a recovery code' });
+    }
+
+    const gate = await checkLoginAllowed({ user, ip: req.ip });
+    if (!gate.allowed) return rejectThrottled(res, gate);
+
+    const passwordOk = await bcrypt.compare(parsed.data.password, user.passwordHash);
+    const codeOk = passwordOk && (!user.totpEnabled || (await verifyTotpOrRecoveryCode(user, parsed.data.code)));
+    if (!codeOk) {
+      const failure = await handleFailedAttempt(req, user);
+      await logAudit(req, { action: 'AUTH_TOTP_DISABLE_FAILURE', entityType: 'User', entityId: user.id, details: { reason: passwordOk ? 'invalid_code' : 'invalid_password' } });
+      if (failure.locked) return rejectThrottled(res, { status: 423, retryAfter: getLockoutConfig().lockMinutes * 60, lockedUntil: failure.lockedUntil });
+      return res.status(401).json({ error: passwordOk ? 'Invalid verification code' : 'Password is incorrect' });
+    }
+    await clearLoginFailures(user.id);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { totpEnabled: false, totpConfirmedAt: null, totpLastCounter: null, otpSecret: null },
+      });
+      await tx.recoveryCode.deleteMany({ where: { userId: user.id } });
+    });
+    await logAudit(req, { action: 'AUTH_TOTP_DISABLE', entityType: 'User', entityId: user.id });
+    res.json({ enabled: false });
+  } catch (error) {
+    console.error('TOTP disable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get current user info
 router.get('/me', authenticate, async (req, res) => {
   try {
@@ -865,6 +1746,10 @@ router.get('/me', authenticate, async (req, res) => {
       status: user.status,
       createdAt: user.createdAt,
       updatedAt: user.updatedAt,
+      // Lets the portal show a banner while staff view it as this user
+      impersonation: req.user.impersonatorId
+        ? { actorId: req.user.impersonatorId, impersonationId: req.user.impersonationId, readOnly: true }
+        : null,
     });
   } catch (error) {
     console.error('Error fetching user info:', error);
@@ -873,8 +1758,9 @@ router.get('/me', authenticate, async (req, res) => {
 });
 
 // ===== Admin: Dynamic Roles & Permissions =====
-const roleCreateSchema = z.object({ name: z.string().min(2), description: z.string().optional() });
-const roleUpdateSchema = z.object({ name: z.string().min(2).optional(), description: z.string().optional() });
+const mfaPolicySchema = z.enum(['EMAIL', 'TOTP', 'EMAIL_OR_TOTP']);
+const roleCreateSchema = z.object({ name: z.string().min(2), description: z.string().optional(), mfaPolicy: mfaPolicySchema.optional() });
+const roleUpdateSchema = z.object({ name: z.string().min(2).optional(), description: z.string().optional(), mfaPolicy: mfaPolicySchema.optional() });
 const permissionCreateSchema = z.object({ name: z.string().min(2), resource: z.string().min(1), action: z.string().min(1), description: z.string().optional() });
 const permissionUpdateSchema = z.object({ name: z.string().min(2).optional(), resource: z.string().min(1).optional(), action: z.string().min(1).optional(), description: z.string().optional() });
 
@@ -883,7 +1769,7 @@ router.get('/admin/roles', authenticate, requirePermissions(['roles:read','roles
   const roles = await prisma.role.findMany({ include: { permissions: { include: { permission: true } }, users: true } });
   res.json(roles.map(r => ({
     ...r,
-    permissions: r.permissions.map(rp => rp.permission),
+    permissions: r.permissions.map(rp => ({ ...rp.permission, scope: rp.scope })),
     userCount: r.users.length,
     users: undefined
   })));
@@ -946,6 +1832,21 @@ router.get('/admin/permissions', authenticate, requirePermissions(['permissions:
   res.json(perms);
 });
 
+// Declared catalog vs. role grants vs. permissions checked in code
+router.get('/admin/permissions/catalog', authenticate, requirePermissions(['permissions:read','permissions:manage'], true), async (req, res) => {
+  try {
+    res.json(await buildCatalogReport());
+  } catch (error) {
+    console.error('Error building permission catalog:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Which permission each route requires (see src/lib/routePermissions.js)
+router.get('/admin/permissions/routes', authenticate, requirePermissions(['permissions:read','permissions:manage'], true), (req, res) => {
+  res.json({ routes: ROUTE_PERMISSIONS, undocumented: undocumentedRoutes(req.app) });
+});
+
 // Create permission
 router.post('/admin/permissions', authenticate, requirePermissions(['permissions:create','permissions:manage'], true), async (req, res) => {
   const parsed = permissionCreateSchema.safeParse(req.body);
@@ -965,17 +1866,33 @@ router.patch('/admin/permissions/:id', authenticate, requirePermissions(['permis
   res.json(perm);
 });
 
-// Set role permissions (replace)
+// Set role permissions (replace). Optional `scopes` maps permission IDs to ALL (default) or BRANCH.
 router.post('/admin/roles/:id/permissions', authenticate, requirePermissions(['roles:assign_permissions','roles:manage'], true), async (req, res) => {
   const id = String(req.params.id);
   const permissionIds = Array.isArray(req.body?.permissionIds) ? req.body.permissionIds : [];
+  const parsedScopes = z.record(z.enum(['ALL', 'BRANCH'])).default({}).safeParse(req.body?.scopes ?? undefined);
+  if (!parsedScopes.success) return res.status(400).json({ error: 'Invalid data', details: parsedScopes.error.issues });
+  const scopes = parsedScopes.data;
+
+  const branchScoped = permissionIds.filter(permissionId => scopes[permissionId] === 'BRANCH');
+  if (branchScoped.length > 0) {
+    const role = await prisma.role.findUnique({ where: { id } });
+    if (!role) return res.status(404).json({ error: 'Role not found' });
+    if (role.name === 'ADMIN') return res.status(400).json({ error: 'ADMIN permissions cannot be branch-scoped' });
+    const perms = await prisma.permission.findMany({ where: { id: { in: branchScoped } } });
+    const invalid = perms.map(p => `${p.resource}:${p.action}`).filter(name => !BRANCH_SCOPABLE.includes(name));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Only ${BRANCH_SCOPABLE.join(', ')} can be branch-scoped`, permissions: invalid });
+    }
+  }
+
   await prisma.rolePermission.deleteMany({ where: { roleId: id } });
   if (permissionIds.length > 0) {
     await prisma.rolePermission.createMany({
-      data: permissionIds.map(permissionId => ({ roleId: id, permissionId }))
+      data: permissionIds.map(permissionId => ({ roleId: id, permissionId, scope: scopes[permissionId] || 'ALL' }))
     });
   }
-  await logAudit(req, { action: 'ROLE_SET_PERMISSIONS', entityType: 'Role', entityId: id, details: { permissionIds } });
+  await logAudit(req, { action: 'ROLE_SET_PERMISSIONS', entityType: 'Role', entityId: id, details: { permissionIds, branchScoped } });
   res.json({ message: 'Role permissions updated' });
 });
 
@@ -1016,6 +1933,70 @@ router.patch('/admin/users/:id/role', authenticate, requirePermissions(['users:a
   res.json(user);
 });
 
+// Force logout (admin): revoke every session and drop WebSocket connections
+router.post('/admin/users/:id/logout', authenticate, requirePermissions(['users:suspend','users:manage'], true), async (req, res) => {
+  const userId = String(req.params.id);
+  const target = await prisma.user.findUnique({ where: { id: userId }, select: { id: true, email: true } });
+  if (!target) return res.status(404).json({ error: 'User not found' });
+
+  const revoked = await terminateUserSessions(userId, 'admin_logout');
+  await logAudit(req, { action: 'AUTH_FORCE_LOGOUT', entityType: 'User', entityId: userId, details: { email: target.email, revokedSessions: revoked } });
+  res.json({ ok: true, revokedSessions: revoked });
+});
+
+// Unlock an account locked by failed sign-in attempts (admin)
+router.post('/admin/users/:id/unlock', authenticate, requirePermissions(['users:unlock','users:manage'], true), async (req, res) => {
+  const userId = String(req.params.id);
+  const target = await prisma.user.findUnique({ where: { id: userId }, select: { id: true, email: true, ...lockoutSelect } });
+  if (!target) return res.status(404).json({ error: 'User not found' });
+
+  const wasLocked = Boolean(target.lockedUntil && new Date(target.lockedUntil) > new Date());
+  await clearLoginFailures(userId);
+  await logAudit(req, { action: 'AUTH_ACCOUNT_UNLOCK', entityType: 'User', entityId: userId, details: { email: target.email, wasLocked } });
+  res.json({ ok: true, wasLocked });
+});
+
+// View as customer: a short-lived, read-only token for the customer's account (audited)
+const impersonateSchema = z.object({ reason: z.string().trim().min(3).max(500) });
+
+router.post('/admin/users/:id/impersonate', authenticate, requirePermissions(['users:impersonate','users:manage'], true), async (req, res) => {
+  const parsed = impersonateSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+  const userId = String(req.params.id);
+  if (userId === req.user.sub) return res.status(400).json({ error: 'Cannot impersonate yourself' });
+
+  const target = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, name: true, status: true, role: { select: { name: true } } },
+  });
+  if (!target) return res.status(404).json({ error: 'User not found' });
+  if (target.status !== 'ACTIVE') return res.status(400).json({ error: 'User is not active' });
+  // Only customer accounts: impersonating staff would hand out their permissions
+  const membership = await findMembership(target.id);
+  if (!membership || await hasPermission(target.id, 'admin_portal:access')) {
+    return res.status(400).json({ error: 'Only customer accounts can be impersonated' });
+  }
+
+  const { token, impersonationId, expiresAt } = signImpersonationToken({
+    actor: req.user,
+    target,
+    role: target.role?.name || 'CUSTOMER',
+    reason: parsed.data.reason,
+  });
+  await logAudit(req, {
+    action: 'IMPERSONATION_START',
+    entityType: 'User',
+    entityId: target.id,
+    details: { impersonatedUserId: target.id, email: target.email, impersonationId, reason: parsed.data.reason, expiresAt },
+  });
+  res.json({
+    accessToken: token,
+    expiresAt,
+    readOnly: true,
+    user: { id: target.id, email: target.email, name: target.name, customerId: membership.customer.id, memberRole: membership.role },
+  });
+});
+
 // List users (admin)
 router.get('/admin/users', authenticate, requirePermissions(['users:read','users:manage'], true), async (req, res) => {
   const q = String(req.query?.q || '').trim();
@@ -1035,6 +2016,7 @@ router.get('/admin/users', authenticate, requirePermissions(['users:read','users
     status: u.status,
     roleId: u.role?.id || null,
     role: u.role?.name || null,
+    lockedUntil: u.lockedUntil && u.lockedUntil > new Date() ? u.lockedUntil : null,
     createdAt: u.createdAt,
     updatedAt: u.updatedAt
   })));
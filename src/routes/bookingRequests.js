@@ -5,6 +5,9 @@ const { authenticate } = require('../middleware/auth');
 const { hasPermission } = require('../lib/permissions');
 const { sendBookingNotification } = require('../lib/notifications');
 const { logAudit } = require('../lib/audit');
+const { isStateMissing, normalizeState } = require('../lib/addresses');
+const { refreshCustomerMetrics } = require('../lib/customerMetrics');
+const { nextTrackingNumber } = require('../services/sequenceService');
 
 const router = Router();
 
@@ -88,9 +91,6 @@ router.patch('/:id/status', async (req, res) => {
   }
 });
 
-// Countries that have states/provinces (must match frontend and shipments.js)
-const countriesWithState = new Set(['US','CA','AU','IN','MX','BR','CN','RU','NG','ZA']);
-
 // Convert to shipment: requires an existing customerId and structured addresses in body
 const convertSchema = z.object({
   customerId: z.string(),
@@ -112,23 +112,13 @@ const convertSchema = z.object({
   destCountry: z.string(),
 }).refine((data) => {
   // Validate origin state based on origin country
-  if (countriesWithState.has(data.originCountry)) {
-    if (!data.originState || data.originState.trim() === '' || data.originState === '-') {
-      return false;
-    }
-  }
-  return true;
+  return !isStateMissing(data.originCountry, data.originState);
 }, {
   message: "Origin state is required for countries with states",
   path: ["originState"]
 }).refine((data) => {
   // Validate destination state based on destination country
-  if (countriesWithState.has(data.destCountry)) {
-    if (!data.destState || data.destState.trim() === '' || data.destState === '-') {
-      return false;
-    }
-  }
-  return true;
+  return !isStateMissing(data.destCountry, data.destState);
 }, {
   message: "Destination state is required for countries with states",
   path: ["destState"]
@@ -136,8 +126,8 @@ const convertSchema = z.object({
   // Normalize states for countries without states
   return {
     ...data,
-    originState: countriesWithState.has(data.originCountry) ? data.originState : '-',
-    destState: countriesWithState.has(data.destCountry) ? data.destState : '-'
+    originState: normalizeState(data.originCountry, data.originState),
+    destState: normalizeState(data.destCountry, data.destState)
   };
 });
 
@@ -153,24 +143,7 @@ router.post('/:id/convert-to-shipment', async (req, res) => {
 
     const data = convertSchema.parse(req.body);
 
-    // Generate next tracking number like shipments route
-    async function generateNextTrackingNumber() {
-      const prefix = '0255';
-      // Find the current max tracking number starting with 0255
-      const last = await prisma.shipment.findMany({
-        select: { trackingNumber: true },
-        where: { trackingNumber: { startsWith: prefix } },
-        orderBy: { trackingNumber: 'desc' },
-        take: 1,
-      });
-      const current = last[0]?.trackingNumber;
-      const currentNum = current && current.startsWith(prefix) ? parseInt(current.slice(prefix.length), 10) : 0;
-      const nextNum = isNaN(currentNum) ? 1 : currentNum + 1;
-      const suffix = String(nextNum).padStart(8, '0');
-      return prefix + suffix;
-    }
-
-    const trackingNumber = await generateNextTrackingNumber();
+    const trackingNumber = await nextTrackingNumber();
 
     const shipment = await prisma.shipment.create({
       data: {
@@ -200,6 +173,7 @@ router.post('/:id/convert-to-shipment', async (req, res) => {
         destCountry: data.destCountry,
       },
     });
+    await refreshCustomerMetrics(shipment.customerId);
 
     await prisma.bookingRequest.update({ where: { id }, data: { status: 'converted' } });
 
@@ -0,0 +1,130 @@
+const { Router } = require('express');
+const { z } = require('zod');
+const { prisma } = require('../lib/prisma');
+const { authenticate, requirePermissions } = require('../middleware/auth');
+const { logAudit } = require('../lib/audit');
+const { backfillBranches, normalizeCity } = require('../lib/branches');
+
+const router = Router();
+
+const citiesSchema = z.array(z.string().trim().min(1)).min(1)
+  .transform((cities) => [...new Set(cities.map((c) => c.trim()))]);
+
+const createSchema = z.object({
+  code: z.string().trim().min(2).max(10).transform((c) => c.toUpperCase()),
+  name: z.string().trim().min(1).max(100),
+  cities: citiesSchema,
+  country: z.string().trim().min(1).optional(),
+  isActive: z.boolean().optional(),
+});
+
+const updateSchema = createSchema.partial();
+
+router.use(authenticate);
+
+// Another active branch already serving one of `cities`, so city matching stays unambiguous
+async function findCityConflict(cities, exceptId) {
+  const wanted = new Set(cities.map(normalizeCity));
+  const others = await prisma.branch.findMany({ where: { isActive: true, ...(exceptId ? { NOT: { id: exceptId } } : {}) } });
+  for (const b of others) {
+    const taken = (Array.isArray(b.cities) ? b.cities : []).find((c) => wanted.has(normalizeCity(c)));
+    if (taken) return { branch: b, city: taken };
+  }
+  return null;
+}
+
+router.get('/', requirePermissions(['branches:read']), async (_req, res) => {
+  try {
+    const branches = await prisma.branch.findMany({
+      orderBy: { name: 'asc' },
+      include: { _count: { select: { users: true, customers: true } } },
+    });
+    res.json(branches);
+  } catch (error) {
+    console.error('Error listing branches:', error);
+    res.status(500).json({ error: 'Failed to list branches' });
+  }
+});
+
+router.get('/:id', requirePermissions(['branches:read']), async (req, res) => {
+  try {
+    const branch = await prisma.branch.findUnique({
+      where: { id: req.params.id },
+      include: {
+        users: { select: { id: true, name: true, email: true, status: true, role: { select: { name: true } } } },
+        _count: { select: { customers: true, originShipments: true, destShipments: true } },
+      },
+    });
+    if (!branch) return res.status(404).json({ error: 'Branch not found' });
+    res.json(branch);
+  } catch (error) {
+    console.error('Error fetching branch:', error);
+    res.status(500).json({ error: 'Failed to fetch branch' });
+  }
+});
+
+router.post('/', requirePermissions(['branches:create']), async (req, res) => {
+  try {
+    const parsed = createSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+    }
+    const data = parsed.data;
+
+    if (await prisma.branch.findUnique({ where: { code: data.code } })) {
+      return res.status(409).json({ error: 'Branch code already in use' });
+    }
+    if (data.isActive !== false) {
+      const conflict = await findCityConflict(data.cities);
+      if (conflict) return res.status(409).json({ error: `${conflict.city} is already served by ${conflict.branch.name}` });
+    }
+
+    const branch = await prisma.branch.create({ data });
+    await logAudit(req, { action: 'BRANCH_CREATE', entityType: 'Branch', entityId: branch.id, details: { code: branch.code, cities: branch.cities } });
+    res.status(201).json(branch);
+  } catch (error) {
+    console.error('Error creating branch:', error);
+    res.status(500).json({ error: 'Failed to create branch' });
+  }
+});
+
+router.patch('/:id', requirePermissions(['branches:update']), async (req, res) => {
+  try {
+    const parsed = updateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+    }
+    const data = parsed.data;
+
+    const existing = await prisma.branch.findUnique({ where: { id: req.params.id } });
+    if (!existing) return res.status(404).json({ error: 'Branch not found' });
+    if (data.code && data.code !== existing.code && await prisma.branch.findUnique({ where: { code: data.code } })) {
+      return res.status(409).json({ error: 'Branch code already in use' });
+    }
+    if ((data.isActive ?? existing.isActive) && (data.cities || data.isActive)) {
+      const conflict = await findCityConflict(data.cities || existing.cities, existing.id);
+      if (conflict) return res.status(409).json({ error: `${conflict.city} is already served by ${conflict.branch.name}` });
+    }
+
+    const branch = await prisma.branch.update({ where: { id: existing.id }, data });
+    await logAudit(req, { action: 'BRANCH_UPDATE', entityType: 'Branch', entityId: branch.id, details: { changed: data } });
+    res.json(branch);
+  } catch (error) {
+    console.error('Error updating branch:', error);
+    res.status(500).json({ error: 'Failed to update branch' });
+  }
+});
+
+// Assign branches to shipments and customers that have none (run after adding a branch or city)
+router.post('/backfill', requirePermissions(['branches:manage']), async (req, res) => {
+  try {
+    const updated = await backfillBranches();
+    await logAudit(req, { action: 'BRANCH_BACKFILL', entityType: 'Branch', details: updated });
+    res.json(updated);
+  } catch (error) {
+    console.error('Error backfilling branches:', error);
+    res.status(500).json({ error: 'Failed to assign branches' });
+  }
+});
+
+module.exports = { router };
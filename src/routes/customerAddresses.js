@@ -0,0 +1,192 @@
+const { Router } = require('express');
+const { z } = require('zod');
+const { prisma } = require('../lib/prisma');
+const { authenticate } = require('../middleware/auth');
+const { resolveScope } = require('../lib/permissions');
+const { customerInBranch } = require('../lib/branches');
+const { findMembership, memberCan } = require('../lib/customerMembers');
+const { isStateMissing, normalizeState } = require('../lib/addresses');
+const { logAudit } = require('../lib/audit');
+
+// Saved pickup/delivery addresses, mounted at /customers. `:customerId` is `me` for the
+// signed-in user's own account; staff name the customer. Routes authenticate individually so
+// other /customers paths fall through to the customers router.
+const router = Router();
+
+const addressSchema = z.object({
+  label: z.string().trim().min(1, 'Label is required').max(100),
+  contactName: z.string().trim().min(1, 'Contact name is required'),
+  contactPhone: z.string().trim().min(1, 'Contact phone is required'),
+  street: z.string().trim().min(1, 'Street is required'),
+  city: z.string().trim().min(1, 'City is required'),
+  state: z.string().trim().default(''),
+  zipCode: z.string().trim().min(1, 'Zip code is required'),
+  country: z.string().trim().min(1, 'Country is required'),
+  isDefaultPickup: z.boolean().default(false),
+  isDefaultDelivery: z.boolean().default(false),
+}).refine((data) => !isStateMissing(data.country, data.state), {
+  message: 'State is required for countries with states',
+  path: ['state'],
+}).transform((data) => ({ ...data, state: normalizeState(data.country, data.state) }));
+
+const addressFields = ['label', 'contactName', 'contactPhone', 'street', 'city', 'state', 'zipCode', 'country', 'isDefaultPickup', 'isDefaultDelivery'];
+
+/**
+ * The customer whose address book is addressed, or an error response. Members of the account
+ * use `me` (writes need addresses:manage for their role); staff need customers:read to read and
+ * customers:update to write, within their branch when the read is branch-scoped.
+ */
+async function loadAddressBook(req, res, write) {
+  const { customerId } = req.params;
+  if (customerId === 'me') {
+    const membership = await findMembership(req.user.sub);
+    if (!membership) {
+      res.status(404).json({ error: 'Customer profile not found' });
+      return null;
+    }
+    if (write && !memberCan(membership.role, 'addresses:manage')) {
+      res.status(403).json({ error: 'Your role cannot change the address book' });
+      return null;
+    }
+    return membership.customer;
+  }
+
+  const scope = await resolveScope(req.user.sub, 'customers:read');
+  const canWrite = !write || (await resolveScope(req.user.sub, 'customers:update'));
+  if (!scope || !canWrite) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+  const customer = await prisma.customer.findUnique({ where: { id: customerId } });
+  if (!customer) {
+    res.status(404).json({ error: 'Customer not found' });
+    return null;
+  }
+  if (scope.branchId && !(await customerInBranch(customer.id, scope.branchId))) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return customer;
+}
+
+// Save an address; a new default pickup/delivery address takes the flag from the previous one
+function saveAddress(customerId, data, id) {
+  return prisma.$transaction(async (tx) => {
+    const others = { customerId, ...(id ? { NOT: { id } } : {}) };
+    if (data.isDefaultPickup) await tx.customerAddress.updateMany({ where: { ...others, isDefaultPickup: true }, data: { isDefaultPickup: false } });
+    if (data.isDefaultDelivery) await tx.customerAddress.updateMany({ where: { ...others, isDefaultDelivery: true }, data: { isDefaultDelivery: false } });
+    return id
+      ? tx.customerAddress.update({ where: { id }, data })
+      : tx.customerAddress.create({ data: { ...data, customerId } });
+  });
+}
+
+async function findAddress(customer, addressId) {
+  const address = await prisma.customerAddress.findUnique({ where: { id: addressId } });
+  return address && address.customerId === customer.id ? address : null;
+}
+
+// Defaults first, then by label
+router.get('/:customerId/addresses', authenticate, async (req, res) => {
+  try {
+    const customer = await loadAddressBook(req, res, false);
+    if (!customer) return;
+    const addresses = await prisma.customerAddress.findMany({
+      where: { customerId: customer.id },
+      orderBy: [{ isDefaultPickup: 'desc' }, { isDefaultDelivery: 'desc' }, { label: 'asc' }],
+    });
+    res.json(addresses);
+  } catch (error) {
+    console.error('Error listing customer addresses:', error);
+    res.status(500).json({ error: 'Failed to list addresses' });
+  }
+});
+
+router.get('/:customerId/addresses/:addressId', authenticate, async (req, res) => {
+  try {
+    const customer = await loadAddressBook(req, res, false);
+    if (!customer) return;
+    const address = await findAddress(customer, req.params.addressId);
+    if (!address) return res.status(404).json({ error: 'Address not found' });
+    res.json(address);
+  } catch (error) {
+    console.error('Error fetching customer address:', error);
+    res.status(500).json({ error: 'Failed to fetch address' });
+  }
+});
+
+router.post('/:customerId/addresses', authenticate, async (req, res) => {
+  try {
+    const parsed = addressSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+    }
+    const customer = await loadAddressBook(req, res, true);
+    if (!customer) return;
+
+    const address = await saveAddress(customer.id, parsed.data);
+    await logAudit(req, {
+      action: 'CUSTOMER_ADDRESS_CREATE',
+      entityType: 'Customer',
+      entityId: customer.id,
+      details: { addressId: address.id, label: address.label },
+    });
+    res.status(201).json(address);
+  } catch (error) {
+    console.error('Error creating customer address:', error);
+    res.status(500).json({ error: 'Failed to create address' });
+  }
+});
+
+// Partial update; the merged address is validated as a whole so the state rule sees the country
+router.patch('/:customerId/addresses/:addressId', authenticate, async (req, res) => {
+  try {
+    const customer = await loadAddressBook(req, res, true);
+    if (!customer) return;
+    const existing = await findAddress(customer, req.params.addressId);
+    if (!existing) return res.status(404).json({ error: 'Address not found' });
+
+    const current = Object.fromEntries(addressFields.map((f) => [f, existing[f]]));
+    const parsed = addressSchema.safeParse({ ...current, ...req.body });
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+    }
+
+    const address = await saveAddress(customer.id, parsed.data, existing.id);
+    const changed = addressFields.filter((f) => existing[f] !== address[f]);
+    await logAudit(req, {
+      action: 'CUSTOMER_ADDRESS_UPDATE',
+      entityType: 'Customer',
+      entityId: customer.id,
+      details: { addressId: address.id, changed },
+    });
+    res.json(address);
+  } catch (error) {
+    console.error('Error updating customer address:', error);
+    res.status(500).json({ error: 'Failed to update address' });
+  }
+});
+
+// Shipments already booked from this address keep their copy
+router.delete('/:customerId/addresses/:addressId', authenticate, async (req, res) => {
+  try {
+    const customer = await loadAddressBook(req, res, true);
+    if (!customer) return;
+    const address = await findAddress(customer, req.params.addressId);
+    if (!address) return res.status(404).json({ error: 'Address not found' });
+
+    await prisma.customerAddress.delete({ where: { id: address.id } });
+    await logAudit(req, {
+      action: 'CUSTOMER_ADDRESS_DELETE',
+      entityType: 'Customer',
+      entityId: customer.id,
+      details: { addressId: address.id, label: address.label },
+    });
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Error deleting customer address:', error);
+    res.status(500).json({ error: 'Failed to delete address' });
+  }
+});
+
+module.exports = { router };
@@ -0,0 +1,316 @@
+const { Router } = require('express');
+const { z } = require('zod');
+const nodemailer = require('nodemailer');
+const { prisma } = require('../lib/prisma');
+const { authenticate } = require('../middleware/auth');
+const { hasPermission } = require('../lib/permissions');
+const { logAudit } = require('../lib/audit');
+const {
+  MEMBER_ROLES,
+  memberCan,
+  findMembership,
+  invitationTtlDays,
+  generateInviteToken,
+  toInvitationResponse,
+} = require('../lib/customerMembers');
+
+// Team management for the signed-in user's customer account, mounted at /customers/me.
+// Routes authenticate individually so GET /customers/me falls through to the customers router.
+const router = Router();
+
+const inviteSchema = z.object({
+  email: z.string().trim().toLowerCase().email(),
+  role: z.enum(MEMBER_ROLES),
+});
+
+const updateMemberSchema = z.object({
+  role: z.enum(MEMBER_ROLES),
+});
+
+const memberUserSelect = { id: true, name: true, email: true, status: true };
+
+async function sendCustomerInvitationEmail(to, { accountName, inviterName, role, acceptUrl, expiresAt }) {
+  const { SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM } = process.env;
+  if (!SMTP_HOST || !SMTP_PORT) {
+    console.warn('SMTP not configured; printing team invitation link to server log for development:');
+    console.warn(`Invitation for ${to} to ${accountName} (${role}): ${acceptUrl}`);
+    return { mocked: true };
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: Number(SMTP_PORT),
+    secure: Number(SMTP_PORT) === 465,
+    auth: SMTP_USER && SMTP_PASS ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+  });
+
+  const until = new Date(expiresAt).toUTCString();
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>RTEXPRESS - Team Invitation</title>
+    <style>
+        body { margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f8fafc; }
+        .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; }
+        .header { background: linear-gradient(135deg, #1e40af 0%, #3b82f6 100%); padding: 40px 30px; text-align: center; }
+        .logo { color: #ffffff; font-size: 32px; font-weight: 800; letter-spacing: -0.5px; margin: 0; }
+        .content { padding: 40px 30px; }
+        .message { font-size: 16px; color: #4b5563; line-height: 1.6; margin: 0 0 30px 0; }
+        .button { display: inline-block; background: linear-gradient(135deg, #1e40af 0%, #3b82f6 100%); color: #ffffff; padding: 14px 32px; border-radius: 8px; text-decoration: none; font-weight: 600; }
+        .footer { background-color: #f9fafb; padding: 30px; text-align: center; border-top: 1px solid #e5e7eb; font-size: 14px; color: #6b7280; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1 class="logo">RTEXPRESS</h1>
+        </div>
+        <div class="content">
+            <p class="message">
+                ${inviterName || 'A colleague'} has invited you to join <strong>${accountName}</strong> on the
+                RTEXPRESS customer portal as <strong>${role.toLowerCase()}</strong>.
+            </p>
+            <p style="text-align: center;">
+                <a href="${acceptUrl}" class="button">Accept Invitation</a>
+            </p>
+            <p class="message">This invitation expires on ${until}.</p>
+        </div>
+        <div class="footer">RTEXPRESS - Professional Express Delivery Management</div>
+    </div>
+</body>
+</html>`;
+
+  const textContent = `
+${inviterName || 'A colleague'} has invited you to join ${accountName} on the RTEXPRESS customer portal as ${role.toLowerCase()}.
+
+Accept the invitation: ${acceptUrl}
+
+This invitation expires on ${until}.
+`;
+
+  return transporter.sendMail({
+    from: SMTP_FROM || SMTP_USER,
+    to,
+    subject: `You have been invited to ${accountName} on RTEXPRESS`,
+    text: textContent.trim(),
+    html,
+  });
+}
+
+// The signed-in user's membership, or an error response. `perm` is a member permission.
+async function loadMembership(req, res, perm) {
+  const membership = await findMembership(req.user.sub);
+  if (!membership) {
+    res.status(404).json({ error: 'Customer profile not found' });
+    return null;
+  }
+  if (perm && !memberCan(membership.role, perm)) {
+    res.status(403).json({ error: 'Only account owners can manage the team' });
+    return null;
+  }
+  return membership;
+}
+
+// Everyone on the account: the primary owner first, then invited members
+router.get('/members', authenticate, async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+    const { customer } = membership;
+
+    const [owner, members] = await Promise.all([
+      customer.ownerId ? prisma.user.findUnique({ where: { id: customer.ownerId }, select: memberUserSelect }) : null,
+      prisma.customerMember.findMany({
+        where: { customerId: customer.id },
+        include: { user: { select: memberUserSelect } },
+        orderBy: { createdAt: 'asc' },
+      }),
+    ]);
+
+    res.json([
+      ...(owner ? [{ user: owner, role: 'OWNER', primary: true, createdAt: customer.createdAt }] : []),
+      ...members.map((m) => ({ user: m.user, role: m.role, primary: false, createdAt: m.createdAt })),
+    ]);
+  } catch (error) {
+    console.error('Error listing customer members:', error);
+    res.status(500).json({ error: 'Failed to list members' });
+  }
+});
+
+// Change a member's role (owners only; the primary owner always stays OWNER)
+router.patch('/members/:userId', authenticate, async (req, res) => {
+  try {
+    const parsed = updateMemberSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+    }
+    const membership = await loadMembership(req, res, 'members:manage');
+    if (!membership) return;
+
+    const userId = String(req.params.userId);
+    if (userId === membership.customer.ownerId) {
+      return res.status(400).json({ error: 'The primary owner\'s role cannot be changed' });
+    }
+    const member = await prisma.customerMember.findUnique({ where: { userId } });
+    if (!member || member.customerId !== membership.customer.id) return res.status(404).json({ error: 'Member not found' });
+
+    const updated = await prisma.customerMember.update({
+      where: { id: member.id },
+      data: { role: parsed.data.role },
+      include: { user: { select: memberUserSelect } },
+    });
+    await logAudit(req, {
+      action: 'CUSTOMER_MEMBER_UPDATE',
+      entityType: 'Customer',
+      entityId: membership.customer.id,
+      details: { userId, fromRole: member.role, toRole: updated.role },
+    });
+    res.json({ user: updated.user, role: updated.role, primary: false, createdAt: updated.createdAt });
+  } catch (error) {
+    console.error('Error updating customer member:', error);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+// Remove a member (owners), or leave the account yourself
+router.delete('/members/:userId', authenticate, async (req, res) => {
+  try {
+    const userId = String(req.params.userId);
+    const leaving = userId === req.user.sub;
+    const membership = await loadMembership(req, res, leaving ? undefined : 'members:manage');
+    if (!membership) return;
+
+    if (userId === membership.customer.ownerId) {
+      return res.status(400).json({ error: 'The primary owner cannot be removed' });
+    }
+    const member = await prisma.customerMember.findUnique({ where: { userId } });
+    if (!member || member.customerId !== membership.customer.id) return res.status(404).json({ error: 'Member not found' });
+
+    await prisma.customerMember.delete({ where: { id: member.id } });
+    await logAudit(req, {
+      action: leaving ? 'CUSTOMER_MEMBER_LEAVE' : 'CUSTOMER_MEMBER_REMOVE',
+      entityType: 'Customer',
+      entityId: membership.customer.id,
+      details: { userId, role: member.role },
+    });
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Error removing customer member:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+router.get('/invitations', authenticate, async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, 'members:manage');
+    if (!membership) return;
+    const invitations = await prisma.customerInvitation.findMany({
+      where: { customerId: membership.customer.id },
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json(invitations.map(toInvitationResponse));
+  } catch (error) {
+    console.error('Error listing customer invitations:', error);
+    res.status(500).json({ error: 'Failed to list invitations' });
+  }
+});
+
+// Invite someone by email. A new invitation replaces a pending one for the same address.
+router.post('/invitations', authenticate, async (req, res) => {
+  try {
+    const parsed = inviteSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+    }
+    const membership = await loadMembership(req, res, 'members:manage');
+    if (!membership) return;
+    const { customer } = membership;
+    if (customer.type !== 'BUSINESS') {
+      return res.status(403).json({ error: 'Team members are available to business customers only' });
+    }
+    if (customer.status !== 'ACTIVE') {
+      return res.status(403).json({ error: 'Customer account is not active' });
+    }
+
+    const { email, role } = parsed.data;
+    const existing = await prisma.user.findUnique({ where: { email }, select: { id: true } });
+    if (existing) {
+      if (await findMembership(existing.id)) {
+        return res.status(409).json({ error: 'This person already belongs to a customer account' });
+      }
+      if (await hasPermission(existing.id, 'admin_portal:access')) {
+        return res.status(409).json({ error: 'Staff accounts cannot join a customer account' });
+      }
+    }
+
+    const now = new Date();
+    await prisma.customerInvitation.updateMany({
+      where: { customerId: customer.id, email, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: now },
+    });
+    const { token, tokenHash } = generateInviteToken();
+    const invitation = await prisma.customerInvitation.create({
+      data: {
+        customerId: customer.id,
+        email,
+        role,
+        tokenHash,
+        invitedById: req.user.sub,
+        expiresAt: new Date(now.getTime() + invitationTtlDays() * 24 * 60 * 60 * 1000),
+      },
+    });
+
+    const inviter = await prisma.user.findUnique({ where: { id: req.user.sub }, select: { name: true } });
+    const acceptUrl = `${process.env.FRONTEND_ORIGIN || 'http://localhost:8081'}/accept-invitation?token=${token}`;
+    // Not awaited so the response does not depend on SMTP
+    sendCustomerInvitationEmail(email, {
+      accountName: customer.companyName || `${customer.firstName || ''} ${customer.lastName || ''}`.trim() || customer.email,
+      inviterName: inviter?.name,
+      role,
+      acceptUrl,
+      expiresAt: invitation.expiresAt,
+    }).catch((e) => console.error('Team invitation email error', e));
+
+    await logAudit(req, {
+      action: 'CUSTOMER_INVITATION_CREATE',
+      entityType: 'Customer',
+      entityId: customer.id,
+      details: { invitationId: invitation.id, email, role },
+    });
+    res.status(201).json(toInvitationResponse(invitation));
+  } catch (error) {
+    console.error('Error creating customer invitation:', error);
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+});
+
+router.delete('/invitations/:id', authenticate, async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, 'members:manage');
+    if (!membership) return;
+    const invitation = await prisma.customerInvitation.findUnique({ where: { id: req.params.id } });
+    if (!invitation || invitation.customerId !== membership.customer.id) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    if (invitation.acceptedAt) return res.status(409).json({ error: 'Invitation has already been accepted' });
+
+    const revoked = invitation.revokedAt
+      ? invitation
+      : await prisma.customerInvitation.update({ where: { id: invitation.id }, data: { revokedAt: new Date() } });
+    await logAudit(req, {
+      action: 'CUSTOMER_INVITATION_REVOKE',
+      entityType: 'Customer',
+      entityId: membership.customer.id,
+      details: { invitationId: invitation.id, email: invitation.email },
+    });
+    res.json(toInvitationResponse(revoked));
+  } catch (error) {
+    console.error('Error revoking customer invitation:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+module.exports = { router };
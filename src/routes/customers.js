@@ -3,9 +3,14 @@ const { z } = require('zod');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const nodemailer = require('nodemailer');
+const multer = require('multer');
 const { prisma } = require('../lib/prisma');
-const { hasPermission } = require('../lib/permissions');
-const { authenticate, requireRole } = require('../middleware/auth');
+const { hasPermission, resolveScope } = require('../lib/permissions');
+const { customerBranchWhere, customerInBranch, findBranchForCity, matchBranch } = require('../lib/branches');
+const { findMembership } = require('../lib/customerMembers');
+const { metricsSince, refreshCustomerMetrics } = require('../lib/customerMetrics');
+const { FORMATS, detectFormat, readTable, toCsv, toXlsx } = require('../lib/spreadsheets');
+const { authenticate, requirePermissions } = require('../middleware/auth');
 
 const { logAudit } = require('../lib/audit');
 const router = Router();
@@ -201,6 +206,85 @@ RTEXPRESS - Professional Express Delivery Management
   });
 }
 
+/**
+ * Create a customer with its login: a CUSTOMER user with a temporary password that must be
+ * changed on first sign-in. The welcome email carries that password; without it the customer
+ * signs in through "forgot password". A user with the same email and no customer profile is an
+ * orphan from an earlier failed attempt and is replaced. Returns { customer, user, customerRole }
+ * with customerRole null (and nothing created) when the CUSTOMER role is missing.
+ */
+async function createCustomerAccount(data, { sendWelcome }) {
+  const existingUser = await prisma.user.findUnique({
+    where: { email: data.email }
+  });
+
+  // If user exists but no customer, delete the orphaned user first
+  if (existingUser) {
+    console.log(`Found orphaned user account for ${data.email}, deleting...`);
+    await prisma.user.delete({
+      where: { id: existingUser.id }
+    });
+    console.log(`Orphaned user account deleted for ${data.email}`);
+  }
+
+  // Get customer role
+  const customerRole = await prisma.role.findUnique({
+    where: { name: 'CUSTOMER' }
+  });
+  if (!customerRole) return { customerRole: null };
+
+  // Generate temporary password
+  const temporaryPassword = generateTemporaryPassword();
+  const passwordHash = await bcrypt.hash(temporaryPassword, 10);
+
+  // Create user account first
+  const customerName = data.type === 'BUSINESS'
+    ? data.companyName
+    : `${data.firstName || ''} ${data.lastName || ''}`.trim();
+
+  const user = await prisma.user.create({
+    data: {
+      email: data.email,
+      passwordHash,
+      role: {
+        connect: { id: customerRole.id }
+      },
+      name: customerName,
+      status: 'ACTIVE',
+      mustChangePassword: true, // Force password change on first login
+    },
+  });
+
+  // Create customer profile linked to user
+  const customer = await prisma.customer.create({
+    data: {
+      ...data,
+      ownerId: user.id, // Link customer to user account
+    },
+    include: {
+      _count: {
+        select: {
+          shipments: true,
+          invoices: true,
+        }
+      }
+    }
+  });
+
+  // Send welcome email with credentials
+  if (sendWelcome) {
+    try {
+      await sendCustomerWelcomeEmail(data.email, customerName, temporaryPassword);
+      console.log(`Welcome email sent to customer: ${customerName} (${data.email})`);
+    } catch (emailError) {
+      console.error('Error sending welcome email:', emailError);
+      // Don't fail the customer creation if email fails
+    }
+  }
+
+  return { customer, user, customerRole };
+}
+
 const createSchema = z.object({
   type: z.enum(['INDIVIDUAL', 'BUSINESS']),
   firstName: z.string().optional(),
@@ -214,38 +298,243 @@ const createSchema = z.object({
   state: z.string().optional(),
   zipCode: z.string().optional(),
   country: z.string().optional(),
+  // Home branch; defaults to the branch serving the customer's city
+  branchId: z.string().optional(),
 });
 
 // Customer number is now auto-generated by the database
 // Frontend will format it as CUST000001, CUST000002, etc.
 
-router.use(authenticate);
+// Query string for the customer list: pagination, search, filters and sorting. Metric filters
+// and sorts use lifetime values, or the same metrics over the last `periodDays` days (e.g. top
+// customers by spend this quarter).
+const METRIC_FIELDS = ['totalOrders', 'totalSpent', 'averageOrderValue'];
+const csvList = (values) => z.string().optional().transform((val, ctx) => {
+  if (!val) return undefined;
+  const list = val.split(',').map((v) => v.trim().toUpperCase()).filter(Boolean);
+  const invalid = list.filter((v) => !values.includes(v));
+  if (invalid.length) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Invalid value: ${invalid.join(', ')}` });
+    return z.NEVER;
+  }
+  return list;
+});
+const listSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(100).default(25),
+  search: z.string().trim().optional(),
+  type: csvList(['INDIVIDUAL', 'BUSINESS']),
+  status: csvList(['ACTIVE', 'PENDING', 'SUSPENDED', 'INACTIVE']),
+  city: z.string().trim().optional(),
+  country: z.string().trim().optional(),
+  createdFrom: z.coerce.date().optional(),
+  // A bare YYYY-MM-DD includes the whole day
+  createdTo: z.string().optional().transform((val, ctx) => {
+    if (!val) return undefined;
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(val) ? `${val}T23:59:59.999Z` : val);
+    if (isNaN(date.getTime())) {
+      ctx.addIssue({ code: z.ZodIssueCode.invalid_date, message: 'Invalid createdTo' });
+      return z.NEVER;
+    }
+    return date;
+  }),
+  sortBy: z.enum(['createdAt', 'updatedAt', 'customerNumber', 'companyName', 'lastName', 'email', ...METRIC_FIELDS]).default('createdAt'),
+  sortOrder: z.enum(['asc', 'desc']).default('desc'),
+  minOrders: z.coerce.number().int().min(0).optional(),
+  maxOrders: z.coerce.number().int().min(0).optional(),
+  minSpent: z.coerce.number().min(0).optional(),
+  maxSpent: z.coerce.number().min(0).optional(),
+  periodDays: z.coerce.number().int().min(1).max(3650).optional(),
+});
 
-// Get customer's own profile (for customer users)
-router.get('/me', async (req, res) => {
-  try {
-    const jwtUser = req.user;
+const lookupSchema = z.object({
+  q: z.string().trim().optional(),
+  limit: z.coerce.number().int().min(1).max(25).default(10),
+  includeInactive: z.enum(['true', 'false', '1', '0']).optional().transform((val) => val === 'true' || val === '1'),
+});
+
+// Bulk import/export. Columns are matched by header, ignoring case, spaces and underscores;
+// the export writes the import columns first, so an exported file can be edited and re-imported.
+const IMPORT_FIELDS = ['type', 'firstName', 'lastName', 'companyName', 'email', 'phone', 'preferredCurrency', 'street', 'city', 'state', 'zipCode', 'country', 'branchCode'];
+const HEADER_ALIASES = { company: 'companyName', zip: 'zipCode', postalcode: 'zipCode', currency: 'preferredCurrency', branch: 'branchCode' };
+const EXPORT_COLUMNS = ['customerNumber', ...IMPORT_FIELDS, 'status', 'totalOrders', 'totalSpent', 'averageOrderValue', 'createdAt'];
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const IMPORT_MAX_ROWS = 5000;
+// How often a running import writes its counts back
+const IMPORT_PROGRESS_EVERY = 50;
+
+function importField(header) {
+  const key = header.toLowerCase().replace(/[\s_-]/g, '');
+  return IMPORT_FIELDS.find((f) => f.toLowerCase() === key) || HEADER_ALIASES[key] || null;
+}
+
+const formBoolean = (fallback) => z.enum(['true', 'false', '1', '0']).optional()
+  .transform((val) => (val === undefined ? fallback : val === 'true' || val === '1'));
+const importOptionsSchema = z.object({
+  // Validate and report only, unless dryRun=false
+  dryRun: formBoolean(true),
+  // upsert updates customers whose email already exists; create reports them as errors
+  mode: z.enum(['upsert', 'create']).default('upsert'),
+  sendWelcomeEmails: formBoolean(false),
+});
 
-    // Only allow customer users to access this endpoint
-    if (jwtUser.role !== 'CUSTOMER') {
-      return res.status(403).json({ error: 'This endpoint is only for customer users' });
+const exportSchema = listSchema.extend({
+  format: z.enum(['csv', 'xlsx']).default('csv'),
+});
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 },
+}).single('file');
+
+// One CSV or XLSX file in the `file` field, kept in memory
+function customerImportUpload(req, res, next) {
+  importUpload(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Files must be at most ${IMPORT_MAX_BYTES / (1024 * 1024)} MB`
+        : 'Upload one CSV or XLSX file in the "file" field';
+      return res.status(400).json({ error: message });
     }
+    next(err);
+  });
+}
 
-    // Find customer by ownerId (stable link to the authenticated user)
-    const customer = await prisma.customer.findFirst({
-      where: { ownerId: jwtUser.sub },
-      include: {
-        _count: {
-          select: {
-            shipments: true
-          }
-        }
+const formatCustomerNumber = (n) => `CUST${String(n).padStart(6, '0')}`;
+
+/**
+ * Validate import rows against createSchema and decide what each does: 'create', 'update'
+ * (email matches an existing customer) or 'error'. Updates only change the columns present in
+ * the row; the email identifies the customer and is not changed.
+ */
+async function planCustomerImport(records, { mode, canUpdate, scope, branches }) {
+  const emails = [...new Set(records.map((r) => String(r.values.email || '').toLowerCase()).filter(Boolean))];
+  const [customers, users] = await Promise.all([
+    prisma.customer.findMany({ where: { email: { in: emails } }, select: { id: true, email: true } }),
+    prisma.user.findMany({ where: { email: { in: emails } }, select: { id: true, email: true } }),
+  ]);
+  // Branch-scoped staff may only update their branch's customers, as on GET /customers/:id
+  const inBranch = scope?.branchId && customers.length
+    ? new Set((await prisma.customer.findMany({
+      where: { id: { in: customers.map((c) => c.id) }, ...customerBranchWhere(scope.branchId) },
+      select: { id: true },
+    })).map((c) => c.id))
+    : null;
+  const branchIds = new Map(branches.map((b) => [b.code.toUpperCase(), b.id]));
+  const customerByEmail = new Map(customers.map((c) => [c.email.toLowerCase(), c]));
+  const userEmails = new Set(users.map((u) => u.email.toLowerCase()));
+  const firstRowFor = new Map();
+
+  return records.map(({ rowNumber, values }) => {
+    const errors = [];
+    const { branchCode, ...input } = values;
+    if (input.type) input.type = input.type.toUpperCase();
+    if (input.email) input.email = input.email.toLowerCase();
+    if (branchCode) {
+      const branchId = branchIds.get(branchCode.toUpperCase());
+      if (branchId) input.branchId = branchId;
+      else errors.push({ field: 'branchCode', message: `Unknown branch code '${branchCode}'` });
+    }
+
+    const parsed = createSchema.safeParse(input);
+    if (!parsed.success) {
+      errors.push(...parsed.error.issues.map((issue) => ({ field: issue.path.join('.'), message: issue.message })));
+    }
+
+    const { email } = input;
+    let action = 'create';
+    let customerId;
+    if (email) {
+      if (firstRowFor.has(email)) errors.push({ field: 'email', message: `Same email as row ${firstRowFor.get(email)}` });
+      else firstRowFor.set(email, rowNumber);
+
+      const existing = customerByEmail.get(email);
+      if (existing) {
+        action = 'update';
+        if (mode === 'create') errors.push({ field: 'email', message: 'Customer with this email already exists' });
+        else if (!canUpdate) errors.push({ field: 'email', message: 'Updating existing customers requires the customers:update permission' });
+        else if (!scope) errors.push({ field: 'email', message: 'Updating existing customers requires the customers:read permission' });
+        else if (inBranch && !inBranch.has(existing.id)) errors.push({ field: 'email', message: 'Customer with this email is outside your branch' });
+        else customerId = existing.id;
+      } else if (userEmails.has(email)) {
+        // POST /customers replaces orphaned logins; an import never removes an account
+        errors.push({ field: 'email', message: 'Email belongs to an existing user account' });
       }
-    });
+    }
 
-    if (!customer) {
+    const data = parsed.success ? parsed.data : null;
+    const changes = data && action === 'update'
+      ? Object.fromEntries(Object.entries(data).filter(([key]) => key !== 'email' && key in input))
+      : null;
+    return { rowNumber, email: email || null, action: errors.length ? 'error' : action, customerId, data, changes, errors };
+  });
+}
+
+function importReport(plan) {
+  const count = (action) => plan.filter((r) => r.action === action).length;
+  return {
+    total: plan.length,
+    valid: plan.length - count('error'),
+    invalid: count('error'),
+    toCreate: count('create'),
+    toUpdate: count('update'),
+    rows: plan.map((r) => ({
+      row: r.rowNumber,
+      email: r.email,
+      action: r.action,
+      ...(r.customerId ? { customerId: r.customerId } : {}),
+      ...(r.errors.length ? { errors: r.errors } : {}),
+    })),
+  };
+}
+
+// Prisma range filters for the metric bounds in the query
+function metricRanges({ minOrders, maxOrders, minSpent, maxSpent }) {
+  const range = (min, max) => (min === undefined && max === undefined
+    ? undefined
+    : { ...(min !== undefined ? { gte: min } : {}), ...(max !== undefined ? { lte: max } : {}) });
+  return { totalOrders: range(minOrders, maxOrders), totalSpent: range(minSpent, maxSpent) };
+}
+
+function inRange(value, range) {
+  return !range || ((range.gte === undefined || value >= range.gte) && (range.lte === undefined || value <= range.lte));
+}
+
+// Name, company, email and phone contain the term; CUST000042 or 42 also match the customer number
+function customerSearchWhere(search) {
+  const or = [
+    { firstName: { contains: search } },
+    { lastName: { contains: search } },
+    { companyName: { contains: search } },
+    { email: { contains: search } },
+    { phone: { contains: search } },
+  ];
+  const number = /^(?:CUST)?0*(\d{1,9})$/i.exec(search);
+  if (number) or.push({ customerNumber: Number(number[1]) });
+  // "Jane Smith" matches first and last name together
+  const [first, ...rest] = search.split(/\s+/);
+  if (rest.length) or.push({ AND: [{ firstName: { contains: first } }, { lastName: { contains: rest.join(' ') } }] });
+  return { OR: or };
+}
+
+function customerName(customer) {
+  return customer.companyName || [customer.firstName, customer.lastName].filter(Boolean).join(' ') || customer.email;
+}
+
+router.use(authenticate);
+
+// Get the profile of the customer account the user owns or is a member of
+router.get('/me', async (req, res) => {
+  try {
+    const jwtUser = req.user;
+
+    const membership = await findMembership(jwtUser.sub);
+    if (!membership) {
       return res.status(404).json({ error: 'Customer profile not found' });
     }
+    const { customer } = membership;
+    const shipmentCount = await prisma.shipment.count({ where: { customerId: customer.id } });
 
     res.json({
       id: customer.id,
@@ -266,7 +555,9 @@ router.get('/me', async (req, res) => {
       status: customer.status,
       createdAt: customer.createdAt,
       updatedAt: customer.updatedAt,
-      shipmentCount: customer._count.shipments,
+      shipmentCount,
+      memberRole: membership.role,
+      isPrimaryOwner: membership.primary,
     });
 
   } catch (error) {
@@ -275,41 +566,318 @@ router.get('/me', async (req, res) => {
   }
 });
 
-// Get all customers (admin/staff only)
+/**
+ * Customers matching the list query (see listSchema), for the directory and the export:
+ * { total, customers }. Without `paginate` every match is returned. With `periodDays` each
+ * customer gets a `period` block of metrics over that window.
+ */
+async function findCustomers(scope, params, { include, paginate = true }) {
+  const {
+    page, pageSize, search, type, status, city, country, createdFrom, createdTo, sortBy, sortOrder, periodDays
+  } = params;
+  const ranges = metricRanges(params);
+
+  const where = { AND: [] };
+  if (scope.branchId) where.AND.push(customerBranchWhere(scope.branchId));
+  if (search) where.AND.push(customerSearchWhere(search));
+  if (type) where.AND.push({ type: { in: type } });
+  if (status) where.AND.push({ status: { in: status } });
+  if (city) where.AND.push({ city: { contains: city } });
+  if (country) where.AND.push({ country });
+  if (createdFrom || createdTo) {
+    where.AND.push({ createdAt: { ...(createdFrom ? { gte: createdFrom } : {}), ...(createdTo ? { lte: createdTo } : {}) } });
+  }
+  // Lifetime metrics filter and sort in the database; period metrics are computed below
+  if (!periodDays) {
+    for (const [field, range] of Object.entries(ranges)) {
+      if (range) where.AND.push({ [field]: range });
+    }
+  }
+  // Tie-break on id so pages stay stable when the sort column has duplicates
+  const orderBy = [{ [sortBy]: sortOrder }, { id: 'asc' }];
+  const pageArgs = paginate ? { skip: (page - 1) * pageSize, take: pageSize } : {};
+
+  if (!periodDays) {
+    const [total, customers] = await Promise.all([
+      prisma.customer.count({ where }),
+      prisma.customer.findMany({ where, include, orderBy, ...pageArgs }),
+    ]);
+    return { total, customers };
+  }
+
+  // Period metrics are not columns: rank the matching ids in memory, then load the page
+  const since = new Date(Date.now() - periodDays * 24 * 60 * 60 * 1000);
+  const [ids, byCustomer] = await Promise.all([
+    prisma.customer.findMany({ where, select: { id: true }, orderBy }),
+    metricsSince(since),
+  ]);
+  const empty = { totalOrders: 0, totalSpent: 0, averageOrderValue: 0 };
+  const period = (id) => ({ days: periodDays, since, ...(byCustomer.get(id) || empty) });
+  let ranked = ids.filter(({ id }) => inRange(period(id).totalOrders, ranges.totalOrders) && inRange(period(id).totalSpent, ranges.totalSpent));
+  if (METRIC_FIELDS.includes(sortBy)) {
+    const dir = sortOrder === 'asc' ? 1 : -1;
+    // Array.prototype.sort is stable, so ties keep the id order from the query
+    ranked = ranked.sort((a, b) => (period(a.id)[sortBy] - period(b.id)[sortBy]) * dir);
+  }
+  const pageIds = (paginate ? ranked.slice(pageArgs.skip, pageArgs.skip + pageArgs.take) : ranked).map((c) => c.id);
+  const rows = await prisma.customer.findMany({ where: { id: { in: pageIds } }, include });
+  const byId = new Map(rows.map((c) => [c.id, c]));
+  const customers = pageIds.filter((id) => byId.has(id)).map((id) => ({ ...byId.get(id), period: period(id) }));
+  return { total: ranked.length, customers };
+}
+
+// Customer directory: paginated, searchable and filterable
 router.get('/', async (req, res) => {
   try {
     const user = req.user;
-    if (user.role === 'CUSTOMER') {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-    const ok = await hasPermission(user.sub, 'customers:read');
-    if (!ok) return res.status(403).json({ error: 'Forbidden' });
+    const scope = await resolveScope(user.sub, 'customers:read');
+    if (!scope) return res.status(403).json({ error: 'Forbidden' });
 
-    const customers = await prisma.customer.findMany({
-      include: {
-        _count: { select: { shipments: true } }
-      }
+    const parsed = listSchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+    }
+    const { page, pageSize } = parsed.data;
+    const { total, customers } = await findCustomers(scope, parsed.data, {
+      include: { _count: { select: { shipments: true } } },
     });
 
-    // Transform the response to include shipmentCount at the top level
-    const customersWithCount = customers.map(customer => ({
+    // Shipment count at the top level instead of the nested _count object
+    const items = customers.map(({ _count, ...customer }) => ({
       ...customer,
-      shipmentCount: customer._count?.shipments || 0,
-      _count: undefined // Remove the nested _count object
+      shipmentCount: _count?.shipments || 0,
     }));
-
-    res.json(customersWithCount);
+    res.json({ items, total, page, pageSize });
   } catch (error) {
     console.error('Error fetching customers:', error);
     res.status(500).json({ error: 'Failed to fetch customers' });
   }
 });
 
-// Get customer by ID (admin/staff only)
-router.get('/:id', requireRole('ADMIN', 'STAFF'), async (req, res) => {
+// Typeahead for the "select customer" picker on shipment and invoice forms: a few active
+// customers matching `q`, with just enough to label and pick them
+router.get('/lookup', async (req, res) => {
+  try {
+    const scope = await resolveScope(req.user.sub, 'customers:read');
+    if (!scope) return res.status(403).json({ error: 'Forbidden' });
+
+    const parsed = lookupSchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+    }
+    const { q, limit, includeInactive } = parsed.data;
+
+    const where = { AND: [] };
+    if (scope.branchId) where.AND.push(customerBranchWhere(scope.branchId));
+    if (q) where.AND.push(customerSearchWhere(q));
+    if (!includeInactive) where.AND.push({ status: 'ACTIVE' });
+
+    const customers = await prisma.customer.findMany({
+      where,
+      select: {
+        id: true, customerNumber: true, type: true, status: true, firstName: true, lastName: true,
+        companyName: true, email: true, phone: true, city: true, country: true, preferredCurrency: true,
+      },
+      orderBy: [{ totalOrders: 'desc' }, { createdAt: 'desc' }],
+      take: limit,
+    });
+    res.json(customers.map((c) => ({ ...c, name: customerName(c) })));
+  } catch (error) {
+    console.error('Error looking up customers:', error);
+    res.status(500).json({ error: 'Failed to look up customers' });
+  }
+});
+
+// Export the customers matching the list filters as CSV or XLSX (pagination is ignored)
+router.get('/export', async (req, res) => {
+  try {
+    const user = req.user;
+    if (!(await hasPermission(user.sub, 'customers:export'))) return res.status(403).json({ error: 'Forbidden' });
+    const scope = await resolveScope(user.sub, 'customers:read');
+    if (!scope) return res.status(403).json({ error: 'Forbidden' });
+
+    const parsed = exportSchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+    }
+    const { format, periodDays } = parsed.data;
+    const { customers } = await findCustomers(scope, parsed.data, {
+      include: { branch: { select: { code: true } } },
+      paginate: false,
+    });
+
+    const header = periodDays ? [...EXPORT_COLUMNS, 'periodOrders', 'periodSpent'] : EXPORT_COLUMNS;
+    const rows = customers.map((c) => {
+      const values = {
+        ...c,
+        customerNumber: formatCustomerNumber(c.customerNumber),
+        branchCode: c.branch?.code,
+        totalSpent: Number(c.totalSpent),
+        averageOrderValue: Number(c.averageOrderValue),
+        periodOrders: c.period?.totalOrders,
+        periodSpent: c.period?.totalSpent,
+      };
+      return header.map((column) => values[column]);
+    });
+
+    await logAudit(req, {
+      action: 'CUSTOMER_EXPORT',
+      entityType: 'Customer',
+      entityId: null,
+      details: { format, count: rows.length, filters: req.query },
+    });
+
+    const filename = `customers-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(format === 'xlsx' ? await toXlsx(header, rows, 'Customers') : toCsv(header, rows));
+  } catch (error) {
+    console.error('Error exporting customers:', error);
+    res.status(500).json({ error: 'Failed to export customers' });
+  }
+});
+
+// Applies a validated import plan after the response has been sent, recording progress on the
+// CustomerImport row. A row that fails (e.g. its email was taken since validation) does not stop the rest.
+async function runCustomerImport(job, plan, { branches, sendWelcomeEmails, req }) {
+  const outcome = { created: 0, updated: 0, failed: 0 };
+  try {
+    for (const [index, row] of plan.entries()) {
+      try {
+        if (row.action === 'create') {
+          const data = { ...row.data, branchId: row.data.branchId || matchBranch(branches, row.data.city)?.id };
+          const { customer } = await createCustomerAccount(data, { sendWelcome: sendWelcomeEmails });
+          row.customerId = customer.id;
+          outcome.created++;
+        } else {
+          await prisma.customer.update({ where: { id: row.customerId }, data: row.changes });
+          if (row.changes.preferredCurrency) await refreshCustomerMetrics(row.customerId);
+          outcome.updated++;
+        }
+      } catch (e) {
+        console.error(`Customer import ${job.id} row ${row.rowNumber} failed:`, e);
+        row.action = 'error';
+        row.errors.push({ field: null, message: e.code === 'P2002' ? 'Customer with this email already exists' : 'Failed to save this row' });
+        outcome.failed++;
+      }
+      if ((index + 1) % IMPORT_PROGRESS_EVERY === 0) {
+        await prisma.customerImport.update({ where: { id: job.id }, data: outcome });
+      }
+    }
+
+    await prisma.customerImport.update({
+      where: { id: job.id },
+      data: { ...outcome, status: 'completed', rows: importReport(plan).rows, finishedAt: new Date() },
+    });
+    await logAudit(req, {
+      action: 'CUSTOMER_IMPORT',
+      entityType: 'Customer',
+      entityId: null,
+      details: { importId: job.id, filename: job.filename, format: job.format, mode: job.mode, sendWelcomeEmails, ...outcome },
+    });
+  } catch (error) {
+    console.error(`Customer import ${job.id} failed:`, error);
+    await prisma.customerImport.update({
+      where: { id: job.id },
+      data: { ...outcome, status: 'failed', finishedAt: new Date() },
+    }).catch((e) => console.error(`Customer import ${job.id} could not be marked failed:`, e));
+  }
+}
+
+/**
+ * Bulk create/update customers from a CSV or XLSX file (multipart field `file`). By default this
+ * is a dry run that reports what each row would do and any validation errors. With dryRun=false
+ * every row must be valid; the import is then queued and answered with 202 and an `importId`.
+ * Customers are created (with a login, welcome email optional) or updated in the background;
+ * GET /customers/import/:id reports progress and, once finished, the outcome of each row.
+ */
+router.post('/import', requirePermissions(['customers:create']), customerImportUpload, async (req, res) => {
+  try {
+    const options = importOptionsSchema.safeParse({ ...req.query, ...req.body });
+    if (!options.success) {
+      return res.status(400).json({ error: 'Invalid data', details: options.error.issues });
+    }
+    const { dryRun, mode, sendWelcomeEmails } = options.data;
+    if (!req.file) return res.status(400).json({ error: 'Upload a CSV or XLSX file in the "file" field' });
+    if (!detectFormat(req.file)) return res.status(400).json({ error: 'Only .csv and .xlsx files are supported' });
+
+    let table;
+    try {
+      table = await readTable(req.file, importField);
+    } catch (e) {
+      return res.status(400).json({ error: 'The file could not be read', message: e.message });
+    }
+    if (table.records.length === 0) return res.status(400).json({ error: 'The file has no data rows' });
+    if (table.records.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ error: `Import at most ${IMPORT_MAX_ROWS} rows per file` });
+    }
+
+    const branches = await prisma.branch.findMany({ where: { isActive: true } });
+    const [canUpdate, scope] = await Promise.all([
+      hasPermission(req.user.sub, 'customers:update'),
+      resolveScope(req.user.sub, 'customers:read'),
+    ]);
+    const plan = await planCustomerImport(table.records, { mode, canUpdate, scope, branches });
+    const report = { dryRun, format: table.format, mode, ignoredColumns: table.ignored, ...importReport(plan) };
+
+    if (dryRun) return res.json(report);
+    if (report.invalid > 0) {
+      return res.status(422).json({ error: 'Fix the rows with errors and upload the file again', committed: false, ...report });
+    }
+    if (report.toCreate > 0 && !(await prisma.role.findUnique({ where: { name: 'CUSTOMER' } }))) {
+      return res.status(500).json({ error: 'Customer role not found' });
+    }
+
+    const job = await prisma.customerImport.create({
+      data: {
+        createdById: req.user.sub,
+        filename: req.file.originalname,
+        format: table.format,
+        mode,
+        sendWelcomeEmails,
+        total: plan.length,
+      },
+    });
+    setImmediate(() => runCustomerImport(job, plan, { branches, sendWelcomeEmails, req }));
+    res.status(202).json({ ...report, committed: true, importId: job.id, status: job.status });
+  } catch (error) {
+    console.error('Error importing customers:', error);
+    res.status(500).json({ error: 'Failed to import customers' });
+  }
+});
+
+// Progress of a committed import; only the user who started it can see it
+router.get('/import/:id', requirePermissions(['customers:create']), async (req, res) => {
+  try {
+    const job = await prisma.customerImport.findUnique({ where: { id: req.params.id } });
+    if (!job || job.createdById !== req.user.sub) return res.status(404).json({ error: 'Import not found' });
+    res.json({
+      importId: job.id,
+      status: job.status,
+      filename: job.filename,
+      format: job.format,
+      mode: job.mode,
+      total: job.total,
+      created: job.created,
+      updated: job.updated,
+      failed: job.failed,
+      rows: job.rows || [],
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+    });
+  } catch (error) {
+    console.error('Error fetching customer import:', error);
+    res.status(500).json({ error: 'Failed to fetch import' });
+  }
+});
+
+// Get customer by ID
+router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    
+    const scope = await resolveScope(req.user.sub, 'customers:read');
+    if (!scope) return res.status(403).json({ error: 'Forbidden' });
+
     const customer = await prisma.customer.findUnique({
       where: { id },
       include: {
@@ -325,6 +893,9 @@ router.get('/:id', requireRole('ADMIN', 'STAFF'), async (req, res) => {
     if (!customer) {
       return res.status(404).json({ error: 'Customer not found' });
     }
+    if (scope.branchId && !(await customerInBranch(customer.id, scope.branchId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
     res.json({
       id: customer.id,
@@ -355,8 +926,8 @@ router.get('/:id', requireRole('ADMIN', 'STAFF'), async (req, res) => {
   }
 });
 
-// Create customer (admin/staff only)
-router.post('/', requireRole('ADMIN', 'STAFF'), async (req, res) => {
+// Create customer
+router.post('/', requirePermissions(['customers:create']), async (req, res) => {
   try {
     const parsed = createSchema.safeParse(req.body);
     if (!parsed.success) {
@@ -365,6 +936,13 @@ router.post('/', requireRole('ADMIN', 'STAFF'), async (req, res) => {
 
     const data = parsed.data;
 
+    if (data.branchId) {
+      const branch = await prisma.branch.findUnique({ where: { id: data.branchId } });
+      if (!branch) return res.status(400).json({ error: 'Branch not found' });
+    } else {
+      data.branchId = (await findBranchForCity(data.city))?.id;
+    }
+
     // Check if customer with email already exists
     const existingCustomer = await prisma.customer.findUnique({
       where: { email: data.email }
@@ -374,76 +952,11 @@ router.post('/', requireRole('ADMIN', 'STAFF'), async (req, res) => {
       return res.status(409).json({ error: 'Customer with this email already exists' });
     }
 
-    // Check if user with email already exists
-    const existingUser = await prisma.user.findUnique({
-      where: { email: data.email }
-    });
-
-    // If user exists but no customer, delete the orphaned user first
-    if (existingUser) {
-      console.log(`Found orphaned user account for ${data.email}, deleting...`);
-      await prisma.user.delete({
-        where: { id: existingUser.id }
-      });
-      console.log(`Orphaned user account deleted for ${data.email}`);
-    }
-
-    // Get customer role
-    const customerRole = await prisma.role.findUnique({
-      where: { name: 'CUSTOMER' }
-    });
-
+    const { customer, user, customerRole } = await createCustomerAccount(data, { sendWelcome: true });
     if (!customerRole) {
       return res.status(500).json({ error: 'Customer role not found' });
     }
 
-    // Generate temporary password
-    const temporaryPassword = generateTemporaryPassword();
-    const passwordHash = await bcrypt.hash(temporaryPassword, 10);
-
-    // Create user account first
-    const customerName = data.type === 'BUSINESS'
-      ? data.companyName
-      : `${data.firstName || ''} ${data.lastName || ''}`.trim();
-
-    const user = await prisma.user.create({
-      data: {
-        email: data.email,
-        passwordHash,
-        role: {
-          connect: { id: customerRole.id }
-        },
-        name: customerName,
-        status: 'ACTIVE',
-        mustChangePassword: true, // Force password change on first login
-      },
-    });
-
-    // Create customer profile linked to user
-    const customer = await prisma.customer.create({
-      data: {
-        ...data,
-        ownerId: user.id, // Link customer to user account
-      },
-      include: {
-        _count: {
-          select: {
-            shipments: true,
-            invoices: true,
-          }
-        }
-      }
-    });
-
-    // Send welcome email with credentials
-    try {
-      await sendCustomerWelcomeEmail(data.email, customerName, temporaryPassword);
-      console.log(`Welcome email sent to customer: ${customerName} (${data.email})`);
-    } catch (emailError) {
-      console.error('Error sending welcome email:', emailError);
-      // Don't fail the customer creation if email fails
-    }
-
     await logAudit(req, { action: 'CUSTOMER_CREATE', entityType: 'Customer', entityId: customer.id, details: { email: customer.email, ownerId: user.id } });
     res.status(201).json({
       id: customer.id,
@@ -468,13 +981,9 @@ router.post('/', requireRole('ADMIN', 'STAFF'), async (req, res) => {
   }
 });
 
-// Update customer (admin/staff only)
-router.patch('/:id', requireRole('ADMIN', 'STAFF'), async (req, res) => {
+// Update customer
+router.patch('/:id', requirePermissions(['customers:update']), async (req, res) => {
   try {
-    const user = req.user;
-    const ok = await hasPermission(user.sub, 'customers:update');
-    if (!ok) return res.status(403).json({ error: 'Forbidden' });
-
     const { id } = req.params;
     const data = req.body;
 
@@ -511,6 +1020,10 @@ router.patch('/:id', requireRole('ADMIN', 'STAFF'), async (req, res) => {
       }
     });
 
+    // Spend only counts invoices in the preferred currency
+    if (updatedCustomer.preferredCurrency !== existingCustomer.preferredCurrency) {
+      await refreshCustomerMetrics(id);
+    }
     await logAudit(req, { action: 'CUSTOMER_UPDATE', entityType: 'Customer', entityId: id, details: { changed: data } });
     res.json({
       id: updatedCustomer.id,
@@ -548,7 +1061,7 @@ router.patch('/:id', requireRole('ADMIN', 'STAFF'), async (req, res) => {
 });
 
 // Deactivate customer
-router.patch('/:id/deactivate', requireRole('ADMIN', 'STAFF'), async (req, res) => {
+router.patch('/:id/deactivate', requirePermissions(['customers:update']), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -611,7 +1124,7 @@ router.patch('/:id/deactivate', requireRole('ADMIN', 'STAFF'), async (req, res)
 });
 
 // Suspend customer
-router.patch('/:id/suspend', requireRole('ADMIN', 'STAFF'), async (req, res) => {
+router.patch('/:id/suspend', requirePermissions(['customers:update']), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -674,7 +1187,7 @@ router.patch('/:id/suspend', requireRole('ADMIN', 'STAFF'), async (req, res) =>
 });
 
 // Activate customer
-router.patch('/:id/activate', requireRole('ADMIN', 'STAFF'), async (req, res) => {
+router.patch('/:id/activate', requirePermissions(['customers:update']), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -736,8 +1249,8 @@ router.patch('/:id/activate', requireRole('ADMIN', 'STAFF'), async (req, res) =>
   }
 });
 
-// Delete customer (admin only)
-router.delete('/:id', requireRole('ADMIN'), async (req, res) => {
+// Delete customer
+router.delete('/:id', requirePermissions(['customers:delete']), async (req, res) => {
   try {
     const { id } = req.params;
 
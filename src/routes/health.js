@@ -3,6 +3,7 @@ const pkg = require('../../package.json');
 const { prisma } = require('../lib/prisma');
 const { autoCloseScheduled, autoCloseLastRunAt } = require('../jobs/supportAutoClose');
 const { slaMonitorScheduled, slaMonitorLastRunAt } = require('../jobs/supportSlaMonitor');
+const { getPaymentReconciliationStatus } = require('../jobs/paymentReconciliation');
 
 const router = Router();
 
@@ -20,6 +21,7 @@ router.get('/', async (_req, res) => {
   // WebSocket stats
   const wsClients = global.wsManager?.getConnectedClients?.() || [];
   const wsOk = Array.isArray(wsClients);
+  const reconcile = getPaymentReconciliationStatus();
 
   res.json({
     status: dbOk ? 'ok' : 'degraded',
@@ -34,6 +36,7 @@ router.get('/', async (_req, res) => {
       jobs: {
         autoClose: { scheduled: !!autoCloseScheduled, lastRunAt: autoCloseLastRunAt || null },
         slaMonitor: { scheduled: !!slaMonitorScheduled, lastRunAt: slaMonitorLastRunAt || null },
+        paymentReconciliation: { scheduled: !!reconcile.scheduled, lastRunAt: reconcile.lastRunAt || null, backlog: reconcile.backlog, errors: reconcile.errors },
       },
     },
   });
@@ -2,69 +2,17 @@ const { Router } = require('express');
 const { z } = require('zod');
 const { prisma } = require('../lib/prisma');
 const { logAudit } = require('../lib/audit');
-const { authenticate, requireRole } = require('../middleware/auth');
-const { hasPermission } = require('../lib/permissions');
+const { authenticate } = require('../middleware/auth');
+const { hasPermission, resolveAccess } = require('../lib/permissions');
+const { invoiceBranchWhere, invoiceInBranch } = require('../lib/branches');
 const PDFDocument = require('pdfkit');
 const nodemailer = require('nodemailer');
-const fs = require('fs');
-const path = require('path');
 const { sendInvoiceNotification, sendPaymentNotification } = require('../lib/notifications');
-
-const bwipjs = require('bwip-js');
-
-async function generateBarcode(text) {
-  try {
-    if (!text) return null;
-    const buf = await bwipjs.toBuffer({
-      bcid: 'code128',
-      text,
-      scale: 2,
-      height: 12,
-      includetext: false,
-      backgroundcolor: 'FFFFFF'
-    });
-    return buf;
-  } catch (e) {
-    console.error('Barcode generation error:', e);
-    return null;
-  }
-}
-
-function brandColor() {
-  return process.env.INVOICE_BRAND_COLOR || '#2858B8'; // default RT Express blue from logo
-}
-function isBarcodeEnabled() {
-  const v = (process.env.INVOICE_BARCODE || '').toLowerCase();
-  if (!v) return true; // default on
-  return !['0','false','off','no'].includes(v);
-}
-
-// Helper function to load company logo
-function loadCompanyLogo() {
-  try {
-    // Try multiple possible logo locations and formats
-    const possibleLogoPaths = [
-      path.join(__dirname, '../../assets/images/rt-express-logo.png'),
-      path.join(__dirname, '../../assets/images/logo.png'),
-      path.join(__dirname, '../../assets/images/rt-express-logo.jpg'),
-      path.join(__dirname, '../../assets/images/logo.jpg'),
-      path.join(__dirname, '../../uploads/logo.png'),
-      path.join(__dirname, '../../uploads/rt-express-logo.png')
-    ];
-
-    for (const logoPath of possibleLogoPaths) {
-      if (fs.existsSync(logoPath)) {
-        return logoPath;
-      }
-    }
-
-    console.log('Company logo not found. Checked paths:', possibleLogoPaths);
-    return null;
-  } catch (error) {
-    console.error('Error loading company logo:', error);
-    return null;
-  }
-}
+const { generateOrderReference, normalizePhoneNumber, recalculateInvoiceBalance, settlePendingPayment } = require('../lib/payments');
+const { refreshCustomerMetrics } = require('../lib/customerMetrics');
+const clickpesa = require('../services/clickpesa');
+const { nextInvoiceNumber } = require('../services/sequenceService');
+const { generateBarcode, brandColor, isBarcodeEnabled, loadCompanyLogo } = require('../lib/pdfAssets');
 
 function drawLabel(doc, x, y, text) {
   doc.fontSize(8).fillColor('#666').text(text, x, y);
@@ -81,13 +29,16 @@ function textInBox(doc, x, y, w, h, text, opts = {}) {
   doc.fontSize(opts.fontSize || 10).fillColor('black').text(String(text), x + 6, y + 6, { width: w - 12 });
 }
 
-function drawRTExpressAirwaybill(doc, invoice, shipment, barcode) {
+function drawRTExpressAirwaybill(doc, invoice, shipments, barcode) {
   const brandColor = '#f41a1aff'; // RT Express red
   const pageW = doc.page.width;
   const pageH = doc.page.height;
   const margin = 40;
   const innerW = pageW - margin * 2;
 
+  const linkedShipments = Array.isArray(shipments) ? shipments : (shipments ? [shipments] : []);
+  const shipment = linkedShipments.length === 1 ? linkedShipments[0] : null;
+
   // Use shipment tracking number if available, otherwise use invoice number
   const documentNumber = shipment?.trackingNumber || invoice.invoiceNumber || invoice.id;
 
@@ -314,6 +265,52 @@ function drawRTExpressAirwaybill(doc, invoice, shipment, barcode) {
     });
 
     currentY += Math.ceil(detailsData.length / detailsPerRow) * 20 + 20;
+  } else if (linkedShipments.length > 1) {
+    // Several shipments billed together: one row per shipment
+    doc.save();
+    doc.strokeColor('#ddd').lineWidth(1);
+    doc.moveTo(margin, currentY).lineTo(margin + innerW, currentY).stroke();
+    doc.restore();
+
+    currentY += 15;
+
+    doc.save();
+    doc.fillColor('#333').fontSize(12).font('Helvetica-Bold');
+    doc.text(`SHIPMENTS (${linkedShipments.length}):`, margin, currentY);
+    doc.restore();
+
+    currentY += 20;
+
+    const trackingW = innerW * 0.25;
+    const routeW = innerW * 0.4;
+    const weightW = innerW * 0.15;
+    const statusW = innerW * 0.2;
+
+    doc.save();
+    doc.fillColor('#666').fontSize(9).font('Helvetica-Bold');
+    doc.text('TRACKING NUMBER', margin, currentY, { width: trackingW });
+    doc.text('ROUTE', margin + trackingW, currentY, { width: routeW });
+    doc.text('WEIGHT', margin + trackingW + routeW, currentY, { width: weightW });
+    doc.text('STATUS', margin + trackingW + routeW + weightW, currentY, { width: statusW });
+    doc.restore();
+
+    currentY += 16;
+
+    linkedShipments.forEach((s) => {
+      const route = `${s.originCity || '-'} to ${s.destCity || '-'}`;
+      const weight = s.weightValue ? `${s.weightValue} ${s.weightUnit}` : 'N/A';
+      doc.save();
+      doc.fillColor('#333').fontSize(10).font('Helvetica-Bold');
+      doc.text(s.trackingNumber, margin, currentY, { width: trackingW });
+      doc.font('Helvetica');
+      doc.text(route, margin + trackingW, currentY, { width: routeW });
+      doc.text(weight, margin + trackingW + routeW, currentY, { width: weightW });
+      doc.text(s.status || 'Processing', margin + trackingW + routeW + weightW, currentY, { width: statusW });
+      doc.restore();
+      currentY += 16;
+    });
+
+    currentY += 20;
   }
 
   // 4. INVOICE ITEMS TABLE
@@ -487,12 +484,35 @@ function drawRTExpressAirwaybill(doc, invoice, shipment, barcode) {
   }
 }
 
+// Shipment fields exposed on invoices and printed on the airwaybill
+const linkedShipmentSelect = {
+  id: true,
+  trackingNumber: true,
+  description: true,
+  packageType: true,
+  weightValue: true,
+  weightUnit: true,
+  length: true,
+  width: true,
+  height: true,
+  dimensionUnit: true,
+  status: true,
+  priority: true,
+  originCity: true,
+  originCountry: true,
+  destCity: true,
+  destCountry: true,
+  createdAt: true,
+};
+
 const router = Router();
 
 router.use(authenticate);
 
 const createSchema = z.object({
   customerId: z.string(),
+  shipmentIds: z.array(z.string()).default([]),
+  // Legacy single-shipment field; merged into shipmentIds
   shipmentId: z.string().optional(),
   invoiceNumber: z.string().optional(),
   status: z.string().default('draft'),
@@ -522,14 +542,14 @@ router.get('/', async (req, res) => {
   const take = pageSize ? Math.min(Math.max(parseInt(String(pageSize), 10) || 25, 1), 100) : undefined;
   const skip = page && take ? Math.max(((parseInt(String(page), 10) || 1) - 1) * take, 0) : undefined;
 
-  if (user.role === 'CUSTOMER') {
-    const customer = await prisma.customer.findFirst({ where: { ownerId: user.sub } });
-    where = customer ? { customerId: customer.id } : { id: '__none__' };
-  } else {
-    const ok = await hasPermission(user.sub, 'invoices:read');
-    if (!ok) return res.status(403).json({ error: 'Forbidden' });
-    if (customerId) where.customerId = String(customerId);
+  const access = await resolveAccess(user, 'invoices:read');
+  if (!access) return res.status(403).json({ error: 'Forbidden' });
+  if (!access.all) {
+    where = { customerId: access.customer.id };
+  } else if (customerId) {
+    where.customerId = String(customerId);
   }
+  if (access.branchId) where.AND = [invoiceBranchWhere(access.branchId)];
 
   // Status and special "overdue" handling
   if (status) {
@@ -606,18 +626,16 @@ router.get('/', async (req, res) => {
   res.json(mapped);
 });
 
-// Create invoice (admin/staff)
+// Create invoice
 router.post('/', async (req, res) => {
   const user = req.user;
-  if (user.role === 'CUSTOMER') return res.status(403).json({ error: 'Forbidden' });
-
   const ok = await hasPermission(user.sub, 'invoices:create');
   if (!ok) return res.status(403).json({ error: 'Forbidden' });
 
   const parsed = createSchema.safeParse(req.body);
   if (!parsed.success) return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
 
-  const { items, taxes = [], discountAmount, ...rest } = parsed.data;
+  const { items, taxes = [], discountAmount, shipmentIds, shipmentId, ...rest } = parsed.data;
   const subtotal = items.reduce((s, it) => s + it.quantity * it.unitPrice * (1 - (it.discount || 0)/100), 0);
   const taxAmount = taxes.reduce((s, t) => s + subtotal * (t.rate/100), 0);
   const totalAmount = subtotal + taxAmount - (discountAmount || 0);
@@ -631,7 +649,29 @@ router.post('/', async (req, res) => {
     return res.status(404).json({ error: 'Customer not found' });
   }
 
-  const invoiceNumber = rest.invoiceNumber || `INV-${new Date().getFullYear()}${String(new Date().getMonth()+1).padStart(2,'0')}-${Math.random().toString(36).slice(2,6).toUpperCase()}`;
+  // Shipments billed on this invoice must belong to the customer and not already be invoiced
+  const linkIds = Array.from(new Set([...(shipmentIds || []), ...(shipmentId ? [shipmentId] : [])]));
+  if (linkIds.length > 0) {
+    const shipments = await prisma.shipment.findMany({
+      where: { id: { in: linkIds } },
+      select: { id: true, trackingNumber: true, customerId: true, invoiceId: true },
+    });
+    const found = new Set(shipments.map(s => s.id));
+    const missing = linkIds.filter(sid => !found.has(sid));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Shipment not found', shipmentIds: missing });
+    }
+    const foreign = shipments.filter(s => s.customerId !== customer.id);
+    if (foreign.length > 0) {
+      return res.status(400).json({ error: 'Shipments must belong to the invoiced customer', shipmentIds: foreign.map(s => s.id) });
+    }
+    const invoiced = shipments.filter(s => s.invoiceId);
+    if (invoiced.length > 0) {
+      return res.status(409).json({ error: 'Shipment already invoiced', shipments: invoiced.map(s => ({ id: s.id, trackingNumber: s.trackingNumber, invoiceId: s.invoiceId })) });
+    }
+  }
+
+  const invoiceNumber = rest.invoiceNumber || await nextInvoiceNumber();
 
   const invoice = await prisma.invoice.create({
     data: {
@@ -644,10 +684,11 @@ router.post('/', async (req, res) => {
       issueDate: new Date(rest.issueDate),
       dueDate: new Date(rest.dueDate),
       items: { create: items.map(it => ({ ...it, total: it.total ?? it.quantity * it.unitPrice })) },
+      ...(linkIds.length > 0 ? { shipments: { connect: linkIds.map(sid => ({ id: sid })) } } : {}),
     },
-    include: { items: true, payments: true, customer: true },
+    include: { items: true, payments: true, customer: true, shipments: { select: linkedShipmentSelect } },
   });
-  await logAudit(req, { action: 'INVOICE_CREATE', entityType: 'Invoice', entityId: invoice.id, details: { customerId: customer.id, invoiceNumber } });
+  await logAudit(req, { action: 'INVOICE_CREATE', entityType: 'Invoice', entityId: invoice.id, details: { customerId: customer.id, invoiceNumber, shipmentIds: linkIds } });
 
   // Add customer information to the response
   const customerName = customer.type === 'INDIVIDUAL'
@@ -682,7 +723,8 @@ router.post('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const user = req.user;
+    const access = await resolveAccess(req.user, 'invoices:read');
+    if (!access) return res.status(403).json({ error: 'Forbidden' });
 
     const invoice = await prisma.invoice.findUnique({
       where: { id },
@@ -690,6 +732,7 @@ router.get('/:id', async (req, res) => {
         items: true,
         payments: true,
         customer: true,
+        shipments: { select: linkedShipmentSelect, orderBy: { createdAt: 'asc' } },
       }
     });
 
@@ -697,14 +740,12 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
-    // Check access permissions
-    if (user.role === 'CUSTOMER') {
-      const customer = await prisma.customer.findFirst({
-        where: { ownerId: user.sub }
-      });
-      if (!customer || invoice.customerId !== customer.id) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
+    // Customers only see their own invoices, branch staff those of their branch
+    if (!access.all && invoice.customerId !== access.customer.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (access.branchId && !(await invoiceInBranch(invoice.id, access.branchId))) {
+      return res.status(403).json({ error: 'Access denied' });
     }
 
     res.json(invoice);
@@ -715,12 +756,10 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Update invoice (admin/staff)
+// Update invoice
 router.patch('/:id', async (req, res) => {
   const id = req.params.id;
   const user = req.user;
-  if (user.role === 'CUSTOMER') return res.status(403).json({ error: 'Forbidden' });
-
   const ok = await hasPermission(user.sub, 'invoices:update');
   if (!ok) return res.status(403).json({ error: 'Forbidden' });
 
@@ -730,18 +769,17 @@ router.patch('/:id', async (req, res) => {
   res.json(updated);
 });
 
-// Delete invoice (admin/staff)
+// Delete invoice
 router.delete('/:id', async (req, res) => {
   const id = req.params.id;
   const user = req.user;
-  if (user.role === 'CUSTOMER') return res.status(403).json({ error: 'Forbidden' });
-
   const ok = await hasPermission(user.sub, 'invoices:delete');
   if (!ok) return res.status(403).json({ error: 'Forbidden' });
 
   // Load for audit context then delete
   const existing = await prisma.invoice.findUnique({ where: { id } });
   await prisma.invoice.delete({ where: { id } });
+  await refreshCustomerMetrics(existing?.customerId);
   await logAudit(req, { action: 'INVOICE_DELETE', entityType: 'Invoice', entityId: id, details: { invoiceNumber: existing?.invoiceNumber } });
   res.status(204).send();
 });
@@ -754,11 +792,8 @@ const paymentSchema = z.object({
 });
 
 router.post('/:id/payments', async (req, res) => {
-  const user = req.user;
-  if (user.role !== 'CUSTOMER') {
-    const ok = await hasPermission(user.sub, 'invoices:record_payment');
-    if (!ok) return res.status(403).json({ error: 'Forbidden' });
-  }
+  const access = await resolveAccess(req.user, 'invoices:record_payment');
+  if (!access) return res.status(403).json({ error: 'Forbidden' });
 
   const id = req.params.id;
   const parsed = paymentSchema.safeParse(req.body);
@@ -767,25 +802,13 @@ router.post('/:id/payments', async (req, res) => {
   const invoice = await prisma.invoice.findUnique({ where: { id }, include: { customer: true } });
   if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
 
-  if (user.role === 'CUSTOMER') {
-    if (!invoice.customer || invoice.customer.ownerId !== user.sub) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
+  if (!access.all && invoice.customerId !== access.customer.id) {
+    return res.status(403).json({ error: 'Forbidden' });
   }
 
   const payment = await prisma.payment.create({ data: { invoiceId: id, ...parsed.data } });
-  const paidAmount = await prisma.payment.aggregate({ _sum: { amount: true }, where: { invoiceId: id, status: 'completed' } });
-  const newPaid = paidAmount._sum.amount ?? 0;
-  const newBalance = invoice.totalAmount - newPaid;
-
-  await prisma.invoice.update({
-    where: { id },
-    data: {
-      paidAmount: newPaid,
-      balanceAmount: newBalance,
-      status: newBalance <= 0 ? 'paid' : (invoice.status === 'cancelled' ? invoice.status : invoice.status)
-    }
-  });
+  const updatedInvoice = await recalculateInvoiceBalance(id);
+  const newBalance = Number(updatedInvoice.balanceAmount);
   await logAudit(req, { action: 'PAYMENT_CREATE', entityType: 'Invoice', entityId: id, details: { amount: parsed.data.amount, currency: parsed.data.currency, method: parsed.data.method, paymentId: payment.id } });
 
   // Send payment notification to customer
@@ -803,11 +826,158 @@ router.post('/:id/payments', async (req, res) => {
   res.status(201).json(payment);
 });
 
+// ClickPesa: start a USSD push (mobile money) or card payment for an invoice.
+// The payment stays pending until the provider confirms it via status poll, webhook or reconciliation.
+const clickpesaPaySchema = z.object({
+  channel: z.enum(['ussd', 'card']).default('ussd'),
+  amount: z.number().positive().optional(),
+  phoneNumber: z.string().optional(),
+  card: z.object({
+    cardNumber: z.string().regex(/^\d{12,19}$/),
+    expiryMonth: z.string().regex(/^\d{2}$/),
+    expiryYear: z.string().regex(/^\d{2,4}$/),
+    cvv: z.string().regex(/^\d{3,4}$/),
+    cardHolderName: z.string().min(1),
+  }).optional(),
+}).refine((data) => data.channel !== 'card' || !!data.card, {
+  message: 'Card details are required for card payments',
+  path: ['card']
+});
+
+async function loadPayableInvoice(req, res) {
+  const access = await resolveAccess(req.user, 'invoices:record_payment');
+  if (!access) { res.status(403).json({ error: 'Forbidden' }); return null; }
+  const invoice = await prisma.invoice.findUnique({ where: { id: req.params.id }, include: { customer: true } });
+  if (!invoice) { res.status(404).json({ error: 'Invoice not found' }); return null; }
+  if (!access.all && invoice.customerId !== access.customer.id) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+  return invoice;
+}
+
+router.post('/:id/pay/clickpesa', async (req, res) => {
+  try {
+    const parsed = clickpesaPaySchema.safeParse(req.body);
+    if (!parsed.success) return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+
+    const invoice = await loadPayableInvoice(req, res);
+    if (!invoice) return;
+
+    if (invoice.status === 'cancelled') return res.status(400).json({ error: 'Invoice is cancelled' });
+    const balance = Number(invoice.balanceAmount);
+    if (balance <= 0) return res.status(400).json({ error: 'Invoice is already paid' });
+
+    const { channel, card } = parsed.data;
+    const amount = parsed.data.amount ?? balance;
+    if (amount > balance) return res.status(400).json({ error: 'Amount exceeds invoice balance', balance });
+
+    let phoneNumber = null;
+    if (channel === 'ussd') {
+      phoneNumber = normalizePhoneNumber(parsed.data.phoneNumber || invoice.customer?.phone);
+      if (!phoneNumber) return res.status(400).json({ error: 'A valid Tanzanian mobile number is required' });
+    }
+
+    const orderReference = generateOrderReference();
+    const payment = await prisma.payment.create({
+      data: {
+        invoiceId: invoice.id,
+        amount,
+        currency: invoice.currency,
+        method: channel === 'card' ? 'clickpesa_card' : 'clickpesa_ussd',
+        status: 'pending',
+        orderReference,
+        phoneNumber,
+      }
+    });
+
+    let providerResponse;
+    try {
+      providerResponse = channel === 'card'
+        ? await clickpesa.initiateCardPayment({ amount, currency: invoice.currency, orderReference, ...card })
+        : await clickpesa.initiateUssdPush({ amount, currency: invoice.currency, orderReference, phoneNumber });
+    } catch (providerError) {
+      console.error('ClickPesa initiation error:', providerError);
+      await settlePendingPayment(payment.id, 'failed', { providerResponse: { error: String(providerError?.message || providerError) } });
+      await logAudit(req, { action: 'PAYMENT_INITIATE_FAILURE', entityType: 'Invoice', entityId: invoice.id, details: { paymentId: payment.id, orderReference, channel } });
+      return res.status(502).json({ error: 'Payment provider unavailable', paymentId: payment.id, orderReference });
+    }
+
+    const transactionId = clickpesa.extractTransactionId(providerResponse);
+    const updated = await prisma.payment.update({
+      where: { id: payment.id },
+      data: { providerResponse, ...(transactionId ? { transactionId } : {}) }
+    });
+
+    await logAudit(req, { action: 'PAYMENT_INITIATE', entityType: 'Invoice', entityId: invoice.id, details: { paymentId: payment.id, orderReference, channel, amount, currency: invoice.currency } });
+
+    if (invoice.customer?.ownerId) {
+      await sendPaymentNotification(invoice.customer.ownerId, amount, 'pending', invoice.invoiceNumber, payment.id);
+    }
+
+    res.status(201).json({
+      payment: { ...updated, providerResponse: undefined },
+      orderReference,
+      status: updated.status,
+      provider: providerResponse,
+    });
+  } catch (error) {
+    console.error('Error initiating ClickPesa payment:', error);
+    res.status(500).json({ error: 'Failed to initiate payment' });
+  }
+});
+
+// ClickPesa: payment status (polls the provider while the payment is still pending)
+router.get('/:id/pay/clickpesa/:orderReference', async (req, res) => {
+  try {
+    const invoice = await loadPayableInvoice(req, res);
+    if (!invoice) return;
+
+    let payment = await prisma.payment.findUnique({ where: { orderReference: String(req.params.orderReference) } });
+    if (!payment || payment.invoiceId !== invoice.id) return res.status(404).json({ error: 'Payment not found' });
+
+    let providerError = false;
+    if (payment.status === 'pending') {
+      try {
+        const providerResponse = await clickpesa.checkPaymentStatus(payment.orderReference);
+        const outcome = clickpesa.mapPaymentStatus(providerResponse);
+        if (outcome !== 'pending') {
+          const result = await settlePendingPayment(payment.id, outcome, {
+            transactionId: clickpesa.extractTransactionId(providerResponse),
+            providerResponse,
+          });
+          if (result.changed) {
+            await logAudit(req, { action: outcome === 'completed' ? 'PAYMENT_COMPLETE' : 'PAYMENT_FAIL', entityType: 'Invoice', entityId: invoice.id, details: { paymentId: payment.id, orderReference: payment.orderReference, source: 'status_poll' } });
+          }
+          payment = await prisma.payment.findUnique({ where: { id: payment.id } });
+        }
+      } catch (e) {
+        console.error('ClickPesa status check error:', e);
+        providerError = true;
+      }
+    }
+
+    const fresh = await prisma.invoice.findUnique({ where: { id: invoice.id }, select: { status: true, paidAmount: true, balanceAmount: true } });
+    res.json({
+      paymentId: payment.id,
+      orderReference: payment.orderReference,
+      status: payment.status,
+      amount: payment.amount,
+      currency: payment.currency,
+      transactionId: payment.transactionId,
+      completedAt: payment.completedAt,
+      invoice: fresh,
+      ...(providerError ? { providerError: true } : {}),
+    });
+  } catch (error) {
+    console.error('Error checking ClickPesa payment:', error);
+    res.status(500).json({ error: 'Failed to check payment status' });
+  }
+});
+
 // Bulk delete invoices
 router.post('/bulk-delete', async (req, res) => {
   const user = req.user;
-  if (user.role === 'CUSTOMER') return res.status(403).json({ error: 'Forbidden' });
-
   const ok = await hasPermission(user.sub, 'invoices:delete');
   if (!ok) return res.status(403).json({ error: 'Forbidden' });
 
@@ -816,10 +986,14 @@ router.post('/bulk-delete', async (req, res) => {
   if (!parsed.success) return res.status(400).json({ error: 'Invalid payload', details: parsed.error.issues });
 
   const { ids } = parsed.data;
+  const affected = await prisma.invoice.findMany({ where: { id: { in: ids } }, select: { customerId: true } });
   // Clean child records first to satisfy FK constraints
   await prisma.payment.deleteMany({ where: { invoiceId: { in: ids } } });
   await prisma.invoiceItem.deleteMany({ where: { invoiceId: { in: ids } } });
   const result = await prisma.invoice.deleteMany({ where: { id: { in: ids } } });
+  for (const customerId of new Set(affected.map((i) => i.customerId))) {
+    await refreshCustomerMetrics(customerId);
+  }
   await logAudit(req, { action: 'INVOICE_BULK_DELETE', entityType: 'Invoice', entityId: null, details: { ids, deleted: result.count } });
 
   res.json({ ok: true, deleted: result.count });
@@ -829,8 +1003,6 @@ router.post('/bulk-delete', async (req, res) => {
 router.post('/:id/email', async (req, res) => {
   const id = req.params.id;
   const user = req.user;
-  if (user.role === 'CUSTOMER') return res.status(403).json({ error: 'Forbidden' });
-
   const ok = await hasPermission(user.sub, 'invoices:send');
   if (!ok) return res.status(403).json({ error: 'Forbidden' });
 
@@ -925,39 +1097,31 @@ router.post('/:id/email', async (req, res) => {
 // Generate PDF
 router.get('/:id/pdf', async (req, res) => {
   const id = req.params.id;
-  const user = req.user;
-  if (user.role !== 'CUSTOMER') {
-    const ok = await hasPermission(user.sub, 'invoices:read');
-    if (!ok) return res.status(403).json({ error: 'Forbidden' });
-  }
+  const access = await resolveAccess(req.user, 'invoices:read');
+  if (!access) return res.status(403).json({ error: 'Forbidden' });
 
   const invoice = await prisma.invoice.findUnique({
     where: { id },
     include: {
       items: true,
       payments: true,
-      customer: true
+      customer: true,
+      shipments: { select: linkedShipmentSelect, orderBy: { createdAt: 'asc' } }
     }
   });
   if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
-  if (user.role === 'CUSTOMER' && invoice.customer?.ownerId !== user.sub) return res.status(403).json({ error: 'Forbidden' });
-
-  // Try to find a related shipment for this customer and invoice
-  let relatedShipment = null;
-  if (invoice.customer) {
-    // Look for the most recent shipment for this customer
-    relatedShipment = await prisma.shipment.findFirst({
-      where: { customerId: invoice.customerId },
-      orderBy: { createdAt: 'desc' }
-    });
-    console.log('Related shipment found:', relatedShipment ? relatedShipment.trackingNumber : 'None');
-  }
+  if (!access.all && invoice.customerId !== access.customer.id) return res.status(403).json({ error: 'Forbidden' });
+  if (access.branchId && !(await invoiceInBranch(invoice.id, access.branchId))) return res.status(403).json({ error: 'Forbidden' });
+
+  const shipments = invoice.shipments || [];
+  // A single linked shipment is printed as its airwaybill; otherwise the invoice number identifies the document
+  const primaryShipment = shipments.length === 1 ? shipments[0] : null;
 
   res.setHeader('Content-Type', 'application/pdf');
 
   // Use shipment tracking number for filename if available, otherwise use invoice number
-  const documentNumber = relatedShipment?.trackingNumber || invoice.invoiceNumber || invoice.id;
-  const filename = relatedShipment ? `shipment-${documentNumber}.pdf` : `invoice-${invoice.invoiceNumber || invoice.id}.pdf`;
+  const documentNumber = primaryShipment?.trackingNumber || invoice.invoiceNumber || invoice.id;
+  const filename = primaryShipment ? `shipment-${documentNumber}.pdf` : `invoice-${invoice.invoiceNumber || invoice.id}.pdf`;
   res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
 
   const doc = new PDFDocument({ size: 'A4', margin: 36 });
@@ -966,7 +1130,7 @@ router.get('/:id/pdf', async (req, res) => {
   // Use shipment tracking number for barcode if available, otherwise use invoice number
   const barcode = isBarcodeEnabled() ? await generateBarcode(String(documentNumber)) : null;
 
-  drawRTExpressAirwaybill(doc, invoice, relatedShipment, barcode || undefined);
+  drawRTExpressAirwaybill(doc, invoice, shipments, barcode || undefined);
   doc.end();
 });
 
@@ -1,7 +1,7 @@
 const { Router } = require('express');
 const { z } = require('zod');
 const { prisma } = require('../lib/prisma');
-const { authenticate, requireRole } = require('../middleware/auth');
+const { authenticate, requirePermissions } = require('../middleware/auth');
 
 const router = Router();
 
@@ -202,8 +202,8 @@ router.get('/unread-count', async (req, res) => {
   }
 });
 
-// Get notification settings (admin only)
-router.get('/settings', requireRole('ADMIN'), async (req, res) => {
+// Get notification settings
+router.get('/settings', requirePermissions(['settings:read']), async (req, res) => {
   try {
     // Return default notification settings
     res.json({
@@ -1,7 +1,14 @@
+const express = require('express');
 const { Router } = require('express');
+const crypto = require('crypto');
 const { z } = require('zod');
 const { prisma } = require('../lib/prisma');
-const { authenticate, requireRole } = require('../middleware/auth');
+const { logAudit } = require('../lib/audit');
+const { authenticate } = require('../middleware/auth');
+const { hasPermission, resolveAccess } = require('../lib/permissions');
+const { sendPaymentNotification } = require('../lib/notifications');
+const { recalculateInvoiceBalance, settlePendingPayment } = require('../lib/payments');
+const clickpesa = require('../services/clickpesa');
 
 const router = Router();
 const publicPaymentsRouter = Router();
@@ -19,16 +26,10 @@ router.get('/', async (req, res) => {
 
     let where = {};
 
-    // Customer can only see their own payments
-    if (user.role === 'CUSTOMER') {
-      const customer = await prisma.customer.findFirst({
-        where: { ownerId: user.sub }
-      });
-      if (!customer) {
-        return res.status(404).json({ error: 'Customer profile not found' });
-      }
-      where.invoice = { customerId: customer.id };
-    }
+    // Without payments:read only the user's own customer payments are visible
+    const access = await resolveAccess(user, 'payments:read');
+    if (!access) return res.status(403).json({ error: 'Forbidden' });
+    if (!access.all) where.invoice = { customerId: access.customer.id };
 
     if (search) {
       where.OR = [
@@ -83,7 +84,8 @@ router.get('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const user = req.user;
+    const access = await resolveAccess(req.user, 'payments:read');
+    if (!access) return res.status(403).json({ error: 'Forbidden' });
 
     const payment = await prisma.payment.findUnique({
       where: { id },
@@ -100,14 +102,8 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Payment not found' });
     }
 
-    // Check access permissions
-    if (user.role === 'CUSTOMER') {
-      const customer = await prisma.customer.findFirst({
-        where: { ownerId: user.sub }
-      });
-      if (!customer || payment.invoice.customerId !== customer.id) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
+    if (!access.all && payment.invoice.customerId !== access.customer.id) {
+      return res.status(403).json({ error: 'Access denied' });
     }
 
     res.json(payment);
@@ -118,16 +114,266 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Public webhook endpoint for payment notifications
-publicPaymentsRouter.post('/webhook', async (req, res) => {
+const refundSchema = z.object({
+  // Omit for a full refund of whatever has not been refunded yet
+  amount: z.number().positive().optional(),
+  reason: z.string().max(500).optional()
+});
+
+const voidSchema = z.object({
+  reason: z.string().min(1).max(500)
+});
+
+const toCents = (value) => Math.round(Number(value) * 100);
+
+async function notifyPaymentOwner(payment, amount, status) {
+  const ownerId = payment.invoice?.customer?.ownerId;
+  if (!ownerId) return;
+  await sendPaymentNotification(ownerId, amount, status, payment.invoice.invoiceNumber, payment.id);
+}
+
+// Refund a settled payment, fully or partially. Money is returned outside the API
+// (mobile money reversal, bank transfer); this records it and reopens the invoice balance.
+router.post('/:id/refund', async (req, res) => {
   try {
-    // Basic webhook handler - implement according to payment provider
-    console.log('Payment webhook received:', req.body);
-    res.status(200).json({ received: true });
+    const user = req.user;
+    const ok = await hasPermission(user.sub, 'invoices:refund');
+    if (!ok) return res.status(403).json({ error: 'Forbidden' });
+
+    const parsed = refundSchema.safeParse(req.body);
+    if (!parsed.success) return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+
+    const { id } = req.params;
+    const payment = await prisma.payment.findUnique({
+      where: { id },
+      include: { invoice: { include: { customer: true } } }
+    });
+    if (!payment) return res.status(404).json({ error: 'Payment not found' });
+    if (!['completed', 'partially_refunded'].includes(payment.status)) {
+      return res.status(409).json({ error: `Cannot refund a payment with status '${payment.status}'` });
+    }
+
+    const refundableCents = toCents(payment.amount) - toCents(payment.refundedAmount);
+    const refundCents = parsed.data.amount !== undefined ? toCents(parsed.data.amount) : refundableCents;
+    if (refundCents <= 0 || refundCents > refundableCents) {
+      return res.status(400).json({ error: `Refund amount must be between 0.01 and ${refundableCents / 100}` });
+    }
+
+    const refundAmount = refundCents / 100;
+    const newRefundedAmount = (toCents(payment.refundedAmount) + refundCents) / 100;
+    const fullyRefunded = refundCents === refundableCents;
+
+    // Guard on the refundedAmount we read so two concurrent refunds cannot exceed the payment
+    const refund = await prisma.$transaction(async (tx) => {
+      const result = await tx.payment.updateMany({
+        where: { id, status: payment.status, refundedAmount: payment.refundedAmount },
+        data: {
+          refundedAmount: newRefundedAmount,
+          refundedAt: new Date(),
+          status: fullyRefunded ? 'refunded' : 'partially_refunded'
+        }
+      });
+      if (result.count === 0) return null;
+      return tx.paymentRefund.create({
+        data: { paymentId: id, amount: refundAmount, reason: parsed.data.reason, createdById: user.sub }
+      });
+    });
+    if (!refund) return res.status(409).json({ error: 'Payment was modified concurrently, please retry' });
+
+    const invoice = await recalculateInvoiceBalance(payment.invoiceId);
+    await logAudit(req, {
+      action: 'PAYMENT_REFUND',
+      entityType: 'Payment',
+      entityId: id,
+      details: {
+        invoiceId: payment.invoiceId,
+        amount: refundAmount,
+        refundedAmount: newRefundedAmount,
+        full: fullyRefunded,
+        reason: parsed.data.reason,
+        refundId: refund.id
+      }
+    });
+    await notifyPaymentOwner(payment, refundAmount, 'refunded');
+
+    const updated = await prisma.payment.findUnique({ where: { id }, include: { refunds: true } });
+    res.status(201).json({ payment: updated, refund, invoice });
   } catch (error) {
-    console.error('Error processing payment webhook:', error);
+    console.error('Error refunding payment:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Void a payment that was recorded in error or abandoned while pending. Only payments
+// without refunds can be voided; the amount stops counting towards the invoice.
+// Pending ClickPesa payments are checked with the provider first.
+router.post('/:id/void', async (req, res) => {
+  try {
+    const user = req.user;
+    const ok = await hasPermission(user.sub, 'payments:void');
+    if (!ok) return res.status(403).json({ error: 'Forbidden' });
+
+    const parsed = voidSchema.safeParse(req.body);
+    if (!parsed.success) return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+
+    const { id } = req.params;
+    const payment = await prisma.payment.findUnique({
+      where: { id },
+      include: { invoice: { include: { customer: true } } }
+    });
+    if (!payment) return res.status(404).json({ error: 'Payment not found' });
+    if (!['pending', 'completed'].includes(payment.status)) {
+      return res.status(409).json({ error: `Cannot void a payment with status '${payment.status}'` });
+    }
+
+    // A pending ClickPesa push may still be paid, and a later confirmation only settles pending
+    // payments, so it can only be voided once the provider reports it failed or expired
+    let providerResponse;
+    if (payment.status === 'pending' && payment.orderReference) {
+      try {
+        providerResponse = await clickpesa.checkPaymentStatus(payment.orderReference);
+      } catch (e) {
+        console.error('ClickPesa status check error:', e);
+        return res.status(502).json({ error: 'Could not confirm the payment status with ClickPesa, please retry' });
+      }
+      const outcome = clickpesa.mapPaymentStatus(providerResponse);
+      if (outcome === 'pending') {
+        return res.status(409).json({ error: 'Payment is still awaiting confirmation from ClickPesa' });
+      }
+      if (outcome === 'completed') {
+        const settled = await settlePendingPayment(payment.id, outcome, {
+          transactionId: clickpesa.extractTransactionId(providerResponse),
+          providerResponse,
+        });
+        if (settled.changed) {
+          await logAudit(req, { action: 'PAYMENT_COMPLETE', entityType: 'Payment', entityId: id, details: { invoiceId: payment.invoiceId, orderReference: payment.orderReference, source: 'void_check' } });
+        }
+        return res.status(409).json({ error: 'Payment was collected by ClickPesa; refund it instead' });
+      }
+    }
+
+    const result = await prisma.payment.updateMany({
+      where: { id, status: payment.status },
+      data: {
+        status: 'voided',
+        voidedAt: new Date(),
+        voidReason: parsed.data.reason,
+        ...(providerResponse !== undefined ? { providerResponse } : {})
+      }
+    });
+    if (result.count === 0) return res.status(409).json({ error: 'Payment was modified concurrently, please retry' });
+
+    const invoice = payment.status === 'completed'
+      ? await recalculateInvoiceBalance(payment.invoiceId)
+      : payment.invoice;
+    await logAudit(req, {
+      action: 'PAYMENT_VOID',
+      entityType: 'Payment',
+      entityId: id,
+      details: {
+        invoiceId: payment.invoiceId,
+        amount: Number(payment.amount),
+        previousStatus: payment.status,
+        reason: parsed.data.reason
+      }
+    });
+    await notifyPaymentOwner(payment, Number(payment.amount), 'voided');
+
+    const updated = await prisma.payment.findUnique({ where: { id } });
+    res.json({ payment: updated, invoice });
+  } catch (error) {
+    console.error('Error voiding payment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Stable identity of a provider event; redeliveries of the same event map to the same key
+function webhookEventKey(payload, rawBody) {
+  const record = payload?.data && typeof payload.data === 'object' ? payload.data : payload;
+  const ref = record?.id || record?.paymentReference || record?.transactionId || record?.orderReference;
+  if (ref) {
+    return ['clickpesa', payload?.event || payload?.eventType || 'payment', ref, record?.status || ''].join(':').slice(0, 191);
+  }
+  return `clickpesa:sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+}
+
+// Public webhook endpoint for ClickPesa payment notifications (raw body kept for signature verification)
+async function handleClickpesaWebhook(req, res) {
+  let event = null;
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from(String(req.body || ''));
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      return res.status(400).json({ error: 'Invalid JSON payload' });
+    }
+
+    const signature = req.header('x-clickpesa-signature') || req.header('x-signature') || req.header('x-checksum');
+    if (!clickpesa.verifyWebhookSignature(rawBody, signature, payload)) {
+      console.warn('Payment webhook rejected: invalid signature');
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const record = payload?.data && typeof payload.data === 'object' ? payload.data : payload;
+    const orderReference = record?.orderReference ? String(record.orderReference) : null;
+    const transactionId = clickpesa.extractTransactionId(record);
+    const outcome = clickpesa.mapPaymentStatus(record);
+
+    // Record the delivery first; a unique-key conflict means we've already seen this event
+    try {
+      event = await prisma.paymentWebhookEvent.create({
+        data: {
+          eventKey: webhookEventKey(payload, rawBody),
+          eventType: payload?.event ? String(payload.event) : null,
+          orderReference,
+          payload,
+        }
+      });
+    } catch (e) {
+      if (e.code === 'P2002') return res.status(200).json({ received: true, duplicate: true });
+      throw e;
+    }
+
+    const payment = orderReference || transactionId
+      ? await prisma.payment.findFirst({
+          where: {
+            OR: [
+              ...(orderReference ? [{ orderReference }] : []),
+              ...(transactionId ? [{ transactionId }] : []),
+            ]
+          }
+        })
+      : null;
+
+    if (!payment) {
+      await prisma.paymentWebhookEvent.update({ where: { id: event.id }, data: { outcome: 'unmatched', processedAt: new Date() } });
+      console.warn('Payment webhook did not match any payment:', { orderReference, transactionId });
+      return res.status(200).json({ received: true, matched: false });
+    }
+
+    let changed = false;
+    if (outcome !== 'pending') {
+      const result = await settlePendingPayment(payment.id, outcome, { transactionId, providerResponse: payload });
+      changed = result.changed;
+    }
+
+    await prisma.paymentWebhookEvent.update({
+      where: { id: event.id },
+      data: { paymentId: payment.id, outcome, processedAt: new Date() }
+    });
+
+    res.status(200).json({ received: true, paymentId: payment.id, status: changed ? outcome : payment.status });
+  } catch (error) {
+    console.error('Error processing payment webhook:', error);
+    // Forget the delivery so the provider's retry is processed instead of being treated as a duplicate
+    if (event) await prisma.paymentWebhookEvent.delete({ where: { id: event.id } }).catch(() => {});
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+const webhookBody = express.raw({ type: '*/*', limit: '1mb' });
+publicPaymentsRouter.post('/webhook', webhookBody, handleClickpesaWebhook);
+publicPaymentsRouter.post('/clickpesa/webhook', webhookBody, handleClickpesaWebhook);
+
 module.exports = { router, publicPaymentsRouter };
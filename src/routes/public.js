@@ -4,28 +4,8 @@ const { prisma } = require('../lib/prisma');
 const nodemailer = require('nodemailer');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
-
-// Generate unique request number
-async function generateRequestNumber() {
-  const year = new Date().getFullYear();
-  const prefix = `BR${year}`;
-
-  // Count existing requests for this year to determine next number
-  const existingCount = await prisma.bookingRequest.count({
-    where: {
-      id: {
-        startsWith: prefix
-      }
-    }
-  });
-
-  // Start from 1 and increment based on count
-  const nextNumber = existingCount + 1;
-
-  // Format with leading zeros (e.g., BR2025001, BR2025002, etc.)
-  return `${prefix}${nextNumber.toString().padStart(3, '0')}`;
-}
-
+const { toPublicEvent } = require('../lib/shipmentEvents');
+const { nextBookingRequestNumber } = require('../services/sequenceService');
 
 const router = Router();
 
@@ -128,7 +108,7 @@ router.post('/booking-request', publicBookingLimiter, async (req, res) => {
     }
 
     // Generate unique request number to use as ID
-    const requestNumber = await generateRequestNumber();
+    const requestNumber = await nextBookingRequestNumber();
 
     const created = await prisma.bookingRequest.create({
       data: {
@@ -243,7 +223,7 @@ router.get('/track/:trackingNumber', async (req, res) => {
       actualDelivery: shipment.actualDelivery,
       createdAt: shipment.createdAt,
       updatedAt: shipment.updatedAt,
-      events: (shipment.events || []).map((e) => ({ id: e.id, title: e.title || e.status, description: e.description || undefined, timestamp: e.createdAt, location: e.location || undefined }))
+      events: (shipment.events || []).map(toPublicEvent)
     });
 
   } catch (error) {
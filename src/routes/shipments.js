@@ -2,28 +2,24 @@ const { Router } = require('express');
 const { z } = require('zod');
 const { prisma } = require('../lib/prisma');
 const { logAudit } = require('../lib/audit');
-const { authenticate, requireRole } = require('../middleware/auth');
-const { hasPermission } = require('../lib/permissions');
+const { authenticate, requirePermissions } = require('../middleware/auth');
+const { hasPermission, resolveAccess } = require('../lib/permissions');
+const { assignShipmentBranches, shipmentBranchWhere, shipmentInBranch } = require('../lib/branches');
+const { isStateMissing, normalizeState, snapshotSavedAddresses } = require('../lib/addresses');
+const { refreshCustomerMetrics } = require('../lib/customerMetrics');
 const { sendShipmentNotification, sendNewShipmentNotification } = require('../lib/notifications');
+const { eventDetailsSchema, eventActorSelect, toPublicEvent } = require('../lib/shipmentEvents');
+const { podUpload, getPodFiles, discardPodUploads, removeStoredFile, fileColumns, drawProofOfDelivery } = require('../lib/proofOfDelivery');
+const { generateBarcode, isBarcodeEnabled } = require('../lib/pdfAssets');
+const { SHIPMENT_STATUSES, SHIPMENT_TRANSITIONS, getAllowedNextStatuses, canTransition } = require('../lib/shipmentStatus');
 const nodemailer = require('nodemailer');
+const PDFDocument = require('pdfkit');
+const { nextTrackingNumber } = require('../services/sequenceService');
 
 const router = Router();
 
 // Shipment status enum for validation
-const ShipmentStatus = z.enum([
-  'Pending',
-  'Processing',
-  'Ready for Pickup',
-  'Picked Up',
-  'In Transit',
-  'Out for Delivery',
-  'Delivered',
-  'Failed Delivery Attempt',
-  'Returned to Sender',
-  'Cancelled',
-  'Lost',
-  'Damaged'
-]);
+const ShipmentStatus = z.enum(SHIPMENT_STATUSES);
 
 const Priority = z.enum(['low', 'medium', 'high', 'urgent']);
 
@@ -42,8 +38,11 @@ const dateTransform = (fieldName) => z.string().optional().transform((val) => {
   return date.toISOString();
 });
 
-// Countries that have states/provinces (must match frontend)
-const countriesWithState = new Set(['US','CA','AU','IN','MX','BR','CN','RU','NG','ZA']);
+// Address fields required on a side unless it names a saved address (originAddressId/destAddressId)
+const requiredAddressFields = {
+  origin: { Street: 'Origin street is required', City: 'Origin city is required', Zip: 'Origin zip is required', Country: 'Origin country is required' },
+  dest: { Street: 'Destination street is required', City: 'Destination city is required', Zip: 'Destination zip is required', Country: 'Destination country is required' },
+};
 
 const createSchema = z.object({
   customerId: z.string(),
@@ -59,67 +58,55 @@ const createSchema = z.object({
   currency: z.string().default('TZS'),
   priority: Priority.default('medium'),
   status: ShipmentStatus.default('Pending'),
-  originStreet: z.string().min(1, 'Origin street is required'),
-  originCity: z.string().min(1, 'Origin city is required'),
-  originState: z.string(),
-  originZip: z.string().min(1, 'Origin zip is required'),
-  originCountry: z.string().min(1, 'Origin country is required'),
-  destStreet: z.string().min(1, 'Destination street is required'),
-  destCity: z.string().min(1, 'Destination city is required'),
-  destState: z.string(),
-  destZip: z.string().min(1, 'Destination zip is required'),
-  destCountry: z.string().min(1, 'Destination country is required'),
+  reason: z.string().trim().optional(),
+  originAddressId: z.string().optional(),
+  originStreet: z.string().min(1, 'Origin street is required').optional(),
+  originCity: z.string().min(1, 'Origin city is required').optional(),
+  originState: z.string().optional(),
+  originZip: z.string().min(1, 'Origin zip is required').optional(),
+  originCountry: z.string().min(1, 'Origin country is required').optional(),
+  originContactName: z.string().optional(),
+  originContactPhone: z.string().optional(),
+  destAddressId: z.string().optional(),
+  destStreet: z.string().min(1, 'Destination street is required').optional(),
+  destCity: z.string().min(1, 'Destination city is required').optional(),
+  destState: z.string().optional(),
+  destZip: z.string().min(1, 'Destination zip is required').optional(),
+  destCountry: z.string().min(1, 'Destination country is required').optional(),
+  destContactName: z.string().optional(),
+  destContactPhone: z.string().optional(),
   pickupDate: dateTransform('pickup date'),
   estimatedDelivery: dateTransform('estimated delivery date'),
   insuranceValue: z.number().nonnegative().optional(),
   signatureRequired: z.boolean().default(false),
-}).refine((data) => {
-  // Validate origin state based on origin country
-  if (countriesWithState.has(data.originCountry)) {
-    if (!data.originState || data.originState.trim() === '' || data.originState === '-') {
-      return false;
+}).superRefine((data, ctx) => {
+  for (const [side, fields] of Object.entries(requiredAddressFields)) {
+    if (data[`${side}AddressId`]) continue;
+    for (const [field, message] of Object.entries(fields)) {
+      if (data[`${side}${field}`] === undefined) ctx.addIssue({ code: z.ZodIssueCode.custom, message, path: [`${side}${field}`] });
     }
   }
-  return true;
+}).refine((data) => {
+  // Validate origin state based on origin country
+  return data.originAddressId || !isStateMissing(data.originCountry, data.originState);
 }, {
   message: "Origin state is required for countries with states",
   path: ["originState"]
 }).refine((data) => {
   // Validate destination state based on destination country
-  if (countriesWithState.has(data.destCountry)) {
-    if (!data.destState || data.destState.trim() === '' || data.destState === '-') {
-      return false;
-    }
-  }
-  return true;
+  return data.destAddressId || !isStateMissing(data.destCountry, data.destState);
 }, {
   message: "Destination state is required for countries with states",
   path: ["destState"]
 }).transform((data) => {
-  // Normalize states for countries without states
+  // Normalize states for countries without states (saved addresses are stored normalized)
   return {
     ...data,
-    originState: countriesWithState.has(data.originCountry) ? data.originState : '-',
-    destState: countriesWithState.has(data.destCountry) ? data.destState : '-'
+    ...(data.originAddressId ? {} : { originState: normalizeState(data.originCountry, data.originState) }),
+    ...(data.destAddressId ? {} : { destState: normalizeState(data.destCountry, data.destState) }),
   };
 });
 
-async function generateNextTrackingNumber() {
-  const prefix = '0255';
-  // Find the current max tracking number starting with 0255
-  const last = await prisma.shipment.findMany({
-    select: { trackingNumber: true },
-    where: { trackingNumber: { startsWith: prefix } },
-    orderBy: { trackingNumber: 'desc' },
-    take: 1,
-  });
-  const current = last[0]?.trackingNumber;
-  const currentNum = current && current.startsWith(prefix) ? parseInt(current.slice(prefix.length), 10) : 0;
-  const nextNum = isNaN(currentNum) ? 1 : currentNum + 1;
-  const suffix = String(nextNum).padStart(8, '0');
-  return prefix + suffix;
-}
-
 // Helper function to send new shipment email to admins
 async function sendNewShipmentEmailToAdmins(customerName, trackingNumber, shipmentDetails) {
   const { SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM } = process.env;
@@ -276,55 +263,151 @@ router.get('/test', async (req, res) => {
   res.json({ message: 'Test route working', user: req.user });
 });
 
+// Query string for the shipment list: pagination, search, filters and sorting
+const csvList = z.string().optional().transform((val) => (val ? val.split(',').map((v) => v.trim()).filter(Boolean) : undefined));
+const queryBoolean = z.enum(['true', 'false', '1', '0']).optional().transform((val) => val === 'true' || val === '1');
+const listSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(100).default(25),
+  search: z.string().trim().optional(),
+  status: csvList,
+  priority: csvList,
+  customerId: z.string().optional(),
+  originCountry: z.string().optional(),
+  destCountry: z.string().optional(),
+  dateField: z.enum(['createdAt', 'pickupDate', 'estimatedDelivery', 'actualDelivery']).default('createdAt'),
+  dateFrom: z.coerce.date().optional(),
+  // A bare YYYY-MM-DD includes the whole day
+  dateTo: z.string().optional().transform((val, ctx) => {
+    if (!val) return undefined;
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(val) ? `${val}T23:59:59.999Z` : val);
+    if (isNaN(date.getTime())) {
+      ctx.addIssue({ code: z.ZodIssueCode.invalid_date, message: 'Invalid dateTo' });
+      return z.NEVER;
+    }
+    return date;
+  }),
+  sortBy: z.enum(['createdAt', 'updatedAt', 'trackingNumber', 'status', 'priority', 'pickupDate', 'estimatedDelivery', 'actualDelivery']).default('updatedAt'),
+  sortOrder: z.enum(['asc', 'desc']).default('desc'),
+  includeEvents: queryBoolean,
+});
+
 router.get('/', async (req, res) => {
   try {
     const user = req.user;
-    if (user.role !== 'CUSTOMER') {
-      const ok = await hasPermission(user.sub, 'shipments:read');
-      if (!ok) return res.status(403).json({ error: 'Forbidden' });
+    const access = await resolveAccess(user, 'shipments:read');
+    if (!access) return res.status(403).json({ error: 'Forbidden' });
+
+    const parsed = listSchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
     }
-    const where = user.role === 'CUSTOMER' ? { customer: { ownerId: user.sub } } : {};
-    const shipments = await prisma.shipment.findMany({
-      where,
-      include: {
-        customer: {
-          select: {
-            id: true,
-            customerNumber: true,
-            firstName: true,
-            lastName: true,
-            companyName: true,
-            email: true,
-            phone: true,
-            type: true,
-          }
-        },
-        events: { orderBy: { createdAt: 'asc' } }
+    const {
+      page, pageSize, search, status, priority, customerId, originCountry, destCountry,
+      dateField, dateFrom, dateTo, sortBy, sortOrder, includeEvents
+    } = parsed.data;
+
+    const where = access.all ? {} : { customerId: access.customer.id };
+    if (customerId && access.all) where.customerId = customerId;
+    if (access.branchId) where.AND = [shipmentBranchWhere(access.branchId)];
+    if (status && !status.includes('all')) where.status = { in: status };
+    if (priority) where.priority = { in: priority };
+    if (originCountry) where.originCountry = originCountry;
+    if (destCountry) where.destCountry = destCountry;
+    if (dateFrom || dateTo) {
+      where[dateField] = {
+        ...(dateFrom ? { gte: dateFrom } : {}),
+        ...(dateTo ? { lte: dateTo } : {}),
+      };
+    }
+    if (search) {
+      where.OR = [
+        { trackingNumber: { contains: search } },
+        { originCity: { contains: search } },
+        { destCity: { contains: search } },
+        { customer: { OR: [
+          { customerNumber: { contains: search } },
+          { firstName: { contains: search } },
+          { lastName: { contains: search } },
+          { companyName: { contains: search } },
+          { email: { contains: search } },
+        ] } },
+      ];
+    }
+
+    const include = {
+      customer: {
+        select: {
+          id: true,
+          customerNumber: true,
+          firstName: true,
+          lastName: true,
+          companyName: true,
+          email: true,
+          phone: true,
+          type: true,
+        }
       },
-      orderBy: { updatedAt: 'desc' },
-    });
-    res.json(shipments);
+    };
+    if (includeEvents) {
+      include.events = { orderBy: { createdAt: 'asc' }, include: { actor: { select: eventActorSelect } } };
+    }
+
+    const [total, shipments] = await Promise.all([
+      prisma.shipment.count({ where }),
+      prisma.shipment.findMany({
+        where,
+        include,
+        // Tie-break on id so pages stay stable when the sort column has duplicates
+        orderBy: [{ [sortBy]: sortOrder }, { id: 'asc' }],
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+      }),
+    ]);
+
+    const items = shipments.map((s) => ({
+      ...s,
+      ...(s.events ? { events: access.all ? s.events : s.events.map(toPublicEvent) } : {}),
+      allowedNextStatuses: getAllowedNextStatuses(s.status)
+    }));
+    res.json({ items, total, page, pageSize });
   } catch (error) {
     console.error('Error fetching shipments:', error);
     res.status(500).json({ error: 'Internal server error', message: 'Failed to fetch shipments' });
   }
 });
 
+// Status transition graph, so clients can render the lifecycle without hardcoding it
+router.get('/status-transitions', (_req, res) => {
+  res.json({ statuses: SHIPMENT_STATUSES, transitions: SHIPMENT_TRANSITIONS });
+});
+
 // Get shipment by ID
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const user = req.user;
-    if (user.role !== 'CUSTOMER') {
-      const ok = await hasPermission(user.sub, 'shipments:read');
-      if (!ok) return res.status(403).json({ error: 'Forbidden' });
-    }
+    const access = await resolveAccess(req.user, 'shipments:read');
+    if (!access) return res.status(403).json({ error: 'Forbidden' });
 
     const shipment = await prisma.shipment.findUnique({
       where: { id },
       include: {
         customer: true,
-        events: { orderBy: { createdAt: 'asc' } }
+        events: { orderBy: { createdAt: 'asc' }, include: { actor: { select: eventActorSelect } } },
+        proofOfDelivery: true,
+        invoice: {
+          select: {
+            id: true,
+            invoiceNumber: true,
+            status: true,
+            totalAmount: true,
+            paidAmount: true,
+            balanceAmount: true,
+            currency: true,
+            issueDate: true,
+            dueDate: true,
+          }
+        }
       }
     });
 
@@ -332,18 +415,18 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Shipment not found' });
     }
 
-    // Check access permissions for customers
-    if (user.role === 'CUSTOMER') {
-      const customer = await prisma.customer.findFirst({
-        where: { ownerId: user.sub }
-      });
-      if (!customer || shipment.customerId !== customer.id) {
+    if (access.branchId && !shipmentInBranch(shipment, access.branchId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    // Customers only see their own shipments, with internal notes stripped
+    if (!access.all) {
+      if (shipment.customerId !== access.customer.id) {
         return res.status(403).json({ error: 'Access denied' });
       }
+      shipment.events = shipment.events.map(toPublicEvent);
     }
 
-    await logAudit(req, { action: 'SHIPMENT_STATUS_UPDATE', entityType: 'Shipment', entityId: id, details: { from: existingShipment.status, to: status, actualDelivery: actualDelivery || null } });
-    res.json(shipment);
+    res.json({ ...shipment, allowedNextStatuses: getAllowedNextStatuses(shipment.status) });
 
   } catch (error) {
     console.error('Error fetching shipment:', error);
@@ -351,36 +434,42 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Update shipment status only
-router.patch('/:id/status', requireRole('ADMIN', 'STAFF'), async (req, res) => {
+// Update shipment status only. Moving to Delivered may carry proof of delivery as multipart:
+// recipientName, recipientRelationship and `signature`/`photo` image files.
+router.patch('/:id/status', requirePermissions(['shipments:status_update', 'shipments:update'], true), podUpload, async (req, res) => {
+  // Uploaded images are only kept if the proof of delivery is saved
+  let podSaved = false;
+  res.on('finish', () => {
+    if (!podSaved) discardPodUploads(req);
+  });
+
   try {
     const { id } = req.params;
-    const { status, actualDelivery } = req.body;
+    const { status, actualDelivery, override, reason, location, note, latitude, longitude } = req.body;
 
     if (!status) {
       return res.status(400).json({ error: 'Status is required' });
     }
 
-    // Validate status
-    const validStatuses = [
-      'Pending',
-      'Processing',
-      'Ready for Pickup',
-      'Picked Up',
-      'In Transit',
-      'Out for Delivery',
-      'Delivered',
-      'Failed Delivery Attempt',
-      'Returned to Sender',
-      'Cancelled',
-      'Lost',
-      'Damaged'
-    ];
-
-    if (!validStatuses.includes(status)) {
+    if (!SHIPMENT_STATUSES.includes(status)) {
       return res.status(400).json({ error: 'Invalid status' });
     }
 
+    const details = eventDetailsSchema.safeParse({ location, note, latitude, longitude });
+    if (!details.success) {
+      return res.status(400).json({ error: 'Invalid data', details: details.error.issues });
+    }
+
+    // Admins may force a transition outside the graph, but must say why
+    const wantsOverride = override === true || override === 'true';
+    const overrideReason = typeof reason === 'string' ? reason.trim() : '';
+    if (wantsOverride && !(await hasPermission(req.user.sub, 'shipments:approve'))) {
+      return res.status(403).json({ error: 'Overriding the status flow requires the shipments:approve permission' });
+    }
+    if (wantsOverride && !overrideReason) {
+      return res.status(400).json({ error: 'A reason is required to override the status flow' });
+    }
+
     // Check if shipment exists
     const existingShipment = await prisma.shipment.findUnique({
       where: { id },
@@ -405,6 +494,32 @@ router.patch('/:id/status', requireRole('ADMIN', 'STAFF'), async (req, res) => {
       return res.status(404).json({ error: 'Shipment not found' });
     }
 
+    const fromStatus = existingShipment.status;
+    const allowed = canTransition(fromStatus, status);
+    if (status === fromStatus || (!allowed && !wantsOverride)) {
+      return res.status(409).json({
+        error: `Cannot change status from '${fromStatus}' to '${status}'`,
+        currentStatus: fromStatus,
+        allowedNextStatuses: getAllowedNextStatuses(fromStatus)
+      });
+    }
+    const overridden = !allowed;
+
+    const podFiles = getPodFiles(req);
+    const recipientName = typeof req.body.recipientName === 'string' ? req.body.recipientName.trim() : '';
+    const recipientRelationship = typeof req.body.recipientRelationship === 'string' ? req.body.recipientRelationship.trim() : '';
+    const hasPod = !!(recipientName || recipientRelationship || podFiles.signature || podFiles.photo);
+    if (status === 'Delivered') {
+      if (existingShipment.signatureRequired && !podFiles.signature) {
+        return res.status(400).json({ error: 'A recipient signature is required to deliver this shipment' });
+      }
+      if (hasPod && !recipientName) {
+        return res.status(400).json({ error: 'Recipient name is required for proof of delivery' });
+      }
+    } else if (podFiles.signature || podFiles.photo) {
+      return res.status(400).json({ error: 'Proof of delivery can only be captured when marking a shipment Delivered' });
+    }
+
     // Prepare update data
     const updateData = {
       status,
@@ -422,31 +537,87 @@ router.patch('/:id/status', requireRole('ADMIN', 'STAFF'), async (req, res) => {
       }
     }
 
-    // Update the shipment status (fast) and return 204 No Content immediately
-    await prisma.shipment.update({
-      where: { id },
-      data: updateData,
-      select: { id: true },
+    // Conditional on the status we validated against, so concurrent updates cannot skip a step
+    const { count, previousPod } = await prisma.$transaction(async (tx) => {
+      const result = await tx.shipment.updateMany({
+        where: { id, status: fromStatus },
+        data: updateData,
+      });
+      if (result.count === 0) return { count: 0 };
+
+      // The timeline entry commits with the status change, never without it
+      const meta = getEventMeta(status);
+      await tx.shipmentEvent.create({
+        data: {
+          shipmentId: id,
+          status,
+          type: 'status',
+          title: meta.title,
+          description: meta.description,
+          ...details.data,
+          actorId: req.user.sub,
+          overrideReason: overridden ? overrideReason : null,
+        }
+      });
+      if (status !== 'Delivered' || !recipientName) return { count: result.count };
+
+      // A shipment re-delivered after an override replaces its earlier proof
+      const previous = await tx.proofOfDelivery.findUnique({ where: { shipmentId: id } });
+      const podData = {
+        recipientName,
+        recipientRelationship: recipientRelationship || null,
+        ...fileColumns('signature', podFiles.signature),
+        ...fileColumns('photo', podFiles.photo),
+        deliveredAt: updateData.actualDelivery,
+        capturedByUserId: req.user.sub,
+      };
+      await tx.proofOfDelivery.upsert({
+        where: { shipmentId: id },
+        create: { shipmentId: id, ...podData },
+        update: {
+          signatureFilename: null, signatureMimeType: null, signatureSize: null, signatureStorageKey: null,
+          photoFilename: null, photoMimeType: null, photoSize: null, photoStorageKey: null,
+          ...podData,
+        },
+      });
+      return { count: result.count, previousPod: previous };
+    });
+    if (count === 0) {
+      return res.status(409).json({ error: 'Shipment status was changed by someone else, reload and try again' });
+    }
+    // Cancelled shipments do not count as orders
+    if (status === 'Cancelled' || fromStatus === 'Cancelled') {
+      await refreshCustomerMetrics(existingShipment.customerId);
+    }
+    if (status === 'Delivered' && recipientName) {
+      podSaved = true;
+      if (previousPod) {
+        removeStoredFile(previousPod.signatureStorageKey);
+        removeStoredFile(previousPod.photoStorageKey);
+      }
+    }
+
+    await logAudit(req, {
+      action: 'SHIPMENT_STATUS_UPDATE',
+      entityType: 'Shipment',
+      entityId: id,
+      details: { trackingNumber: existingShipment.trackingNumber, from: fromStatus, to: status, overridden }
     });
+    if (overridden) {
+      await logAudit(req, {
+        action: 'SHIPMENT_STATUS_OVERRIDE',
+        entityType: 'Shipment',
+        entityId: id,
+        details: { trackingNumber: existingShipment.trackingNumber, from: fromStatus, to: status, reason: overrideReason }
+      });
+    }
 
     // Some proxies mishandle 204; respond with tiny JSON instead
-    res.status(200).json({ ok: true });
+    res.status(200).json({ ok: true, status, overridden, allowedNextStatuses: getAllowedNextStatuses(status) });
 
-    // Fire-and-forget: create status event and send notification (non-blocking)
+    // Fire-and-forget: send notification (non-blocking)
     setImmediate(async () => {
       try {
-        const meta = getEventMeta(status);
-        await prisma.shipmentEvent.create({
-          data: {
-            shipmentId: id,
-            status,
-            title: meta.title,
-            description: meta.description,
-          }
-        }).catch((err) => {
-          console.error('Error creating status event:', err);
-        });
-
         // Fetch minimal fields for notification
         const fresh = await prisma.shipment.findUnique({
           where: { id },
@@ -478,8 +649,91 @@ router.patch('/:id/status', requireRole('ADMIN', 'STAFF'), async (req, res) => {
   }
 });
 
-// Delete shipment (admin/staff only)
-router.delete('/:id', requireRole('ADMIN', 'STAFF'), async (req, res) => {
+// Download the proof of delivery as PDF
+router.get('/:id/pod', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const access = await resolveAccess(req.user, 'shipments:read');
+    if (!access) return res.status(403).json({ error: 'Forbidden' });
+
+    const shipment = await prisma.shipment.findUnique({
+      where: { id },
+      include: {
+        customer: true,
+        proofOfDelivery: { include: { capturedBy: { select: { id: true, name: true } } } }
+      }
+    });
+    if (!shipment) return res.status(404).json({ error: 'Shipment not found' });
+    if (!access.all && shipment.customerId !== access.customer.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (access.branchId && !shipmentInBranch(shipment, access.branchId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (!shipment.proofOfDelivery) {
+      return res.status(404).json({ error: 'No proof of delivery recorded for this shipment' });
+    }
+
+    const barcode = isBarcodeEnabled() ? await generateBarcode(shipment.trackingNumber) : null;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="pod-${shipment.trackingNumber}.pdf"`);
+    const doc = new PDFDocument({ size: 'A4', margin: 36 });
+    doc.pipe(res);
+    drawProofOfDelivery(doc, shipment, shipment.proofOfDelivery, barcode || undefined);
+    doc.end();
+  } catch (error) {
+    console.error('Error generating proof of delivery:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to generate proof of delivery' });
+  }
+});
+
+// Record a checkpoint scan (e.g. "Arrived at Dodoma hub") without changing the status
+const scanEventSchema = z.object({
+  title: z.string().trim().min(1).max(191),
+  description: z.string().trim().max(191).optional(),
+}).and(eventDetailsSchema);
+
+router.post('/:id/events', requirePermissions(['shipments:status_update', 'shipments:update'], true), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const parsed = scanEventSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
+    }
+
+    const shipment = await prisma.shipment.findUnique({ where: { id }, select: { id: true, trackingNumber: true, status: true } });
+    if (!shipment) {
+      return res.status(404).json({ error: 'Shipment not found' });
+    }
+
+    const event = await prisma.shipmentEvent.create({
+      data: {
+        shipmentId: id,
+        type: 'scan',
+        status: shipment.status,
+        ...parsed.data,
+        actorId: req.user.sub,
+      },
+      include: { actor: { select: eventActorSelect } }
+    });
+
+    await logAudit(req, {
+      action: 'SHIPMENT_EVENT_CREATE',
+      entityType: 'Shipment',
+      entityId: id,
+      details: { trackingNumber: shipment.trackingNumber, eventId: event.id, title: event.title, location: event.location }
+    });
+
+    res.status(201).json(event);
+  } catch (error) {
+    console.error('Error creating shipment event:', error);
+    res.status(500).json({ error: 'Failed to create shipment event' });
+  }
+});
+
+// Delete shipment
+router.delete('/:id', requirePermissions(['shipments:delete']), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -520,6 +774,7 @@ router.delete('/:id', requireRole('ADMIN', 'STAFF'), async (req, res) => {
     await prisma.shipment.delete({
       where: { id }
     });
+    await refreshCustomerMetrics(existingShipment.customerId);
 
     // Send notification to customer about shipment deletion
     if (existingShipment.customer?.ownerId) {
@@ -568,20 +823,31 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const user = req.user;
-    if (user.role !== 'CUSTOMER') {
-      const ok = await hasPermission(user.sub, 'shipments:create');
-      if (!ok) return res.status(403).json({ error: 'Forbidden' });
-    }
+    const access = await resolveAccess(req.user, 'shipments:create');
+    if (!access) return res.status(403).json({ error: 'Forbidden' });
     const data = parsed.data;
 
-    // RBAC: customer can only create for themselves
-    if (user.role === 'CUSTOMER') {
-      const customer = await prisma.customer.findFirst({ where: { ownerId: user.sub } });
-      if (!customer) return res.status(400).json({ error: 'Customer profile not found' });
-      data.customerId = customer.id;
+    // Shipments start Pending. Any other initial status skips the transition graph, so like
+    // PATCH /:id/status it needs shipments:approve and a reason; Delivered also needs proof of
+    // delivery, which is only captured through PATCH /:id/status.
+    const overridden = data.status !== 'Pending';
+    if (overridden) {
+      if (data.status === 'Delivered') {
+        return res.status(400).json({ error: 'Create the shipment first, then mark it Delivered with proof of delivery' });
+      }
+      if (!(await hasPermission(req.user.sub, 'shipments:approve'))) {
+        return res.status(403).json({ error: 'Creating a shipment in a status other than Pending requires the shipments:approve permission' });
+      }
+      if (!data.reason) {
+        return res.status(400).json({ error: 'A reason is required to create a shipment in a status other than Pending' });
+      }
+    }
+
+    // RBAC: without shipments:create a customer can only create for themselves
+    if (!access.all) {
+      data.customerId = access.customer.id;
     } else {
-      // For admin/staff, customerId is required in the request
+      // Staff creating on behalf of a customer must name it
       const { customerId } = req.body;
       if (!customerId) {
         return res.status(400).json({ error: 'Customer ID is required' });
@@ -598,9 +864,16 @@ router.post('/', async (req, res) => {
       data.customerId = customerId;
     }
 
-    const trackingNumber = await generateNextTrackingNumber();
+    // Saved addresses are copied in, so later edits to the address book leave the shipment as booked
+    const { originAddressId, destAddressId, reason, ...shipmentData } = data;
+    const saved = await snapshotSavedAddresses(data.customerId, { originAddressId, destAddressId });
+    if (saved.error) return res.status(400).json({ error: saved.error });
+    Object.assign(shipmentData, saved.fields);
+
+    const trackingNumber = await nextTrackingNumber();
+    const branches = await assignShipmentBranches(shipmentData);
     const created = await prisma.shipment.create({
-      data: { ...data, trackingNumber },
+      data: { ...shipmentData, ...branches, trackingNumber },
       include: {
         customer: {
           select: {
@@ -617,6 +890,8 @@ router.post('/', async (req, res) => {
       }
     });
 
+    await refreshCustomerMetrics(created.customerId);
+
     // Initial event
     await prisma.shipmentEvent.create({
       data: {
@@ -624,11 +899,13 @@ router.post('/', async (req, res) => {
         status: created.status,
         title: 'Shipment Created',
         description: 'Shipment record created',
+        actorId: req.user.sub,
+        overrideReason: overridden ? reason : null,
       }
     });
 
     // Send notifications and email to admins for new shipment (only for customer-created shipments)
-    if (user.role === 'CUSTOMER') {
+    if (!access.all) {
       try {
         const customerName = created.customer.companyName ||
                            `${created.customer.firstName} ${created.customer.lastName}`;
@@ -679,6 +956,14 @@ router.post('/', async (req, res) => {
     });
 
     await logAudit(req, { action: 'SHIPMENT_CREATE', entityType: 'Shipment', entityId: created.id, details: { trackingNumber, customerId: full.customer?.id } });
+    if (overridden) {
+      await logAudit(req, {
+        action: 'SHIPMENT_STATUS_OVERRIDE',
+        entityType: 'Shipment',
+        entityId: created.id,
+        details: { trackingNumber, from: null, to: created.status, reason }
+      });
+    }
     res.status(201).json(full);
   } catch (error) {
     console.error('Error creating shipment:', error);
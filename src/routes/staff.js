@@ -5,6 +5,7 @@ const crypto = require('crypto');
 const { prisma } = require('../lib/prisma');
 const { authenticate } = require('../middleware/auth');
 const { hasPermission } = require('../lib/permissions');
+const { terminateUserSessions } = require('../lib/sessions');
 
 const { logAudit } = require('../lib/audit');
 const router = Router();
@@ -12,6 +13,10 @@ const router = Router();
 router.use(authenticate);
 
 // Helpers
+async function branchExists(branchId) {
+  return Boolean(await prisma.branch.findUnique({ where: { id: branchId }, select: { id: true } }));
+}
+
 function generateTemporaryPassword() {
   const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
   const symbols = '!@#$%&*';
@@ -27,7 +32,7 @@ function generateTemporaryPassword() {
   return password.split('').sort(() => crypto.randomInt(0, 3) - 1).join('');
 }
 
-// List all staff (admin only)
+// List all staff
 router.get('/', async (req, res) => {
   const user = req.user;
   const ok = await hasPermission(user.sub, 'staff:read');
@@ -41,6 +46,7 @@ router.get('/', async (req, res) => {
       email: true,
       phone: true,
       role: { select: { name: true } },
+      branch: { select: { id: true, code: true, name: true } },
       status: true,
       createdAt: true,
       updatedAt: true,
@@ -61,12 +67,14 @@ router.post('/', async (req, res) => {
       name: z.string().min(2),
       email: z.string().email(),
       role: z.string().min(2),
-      phone: z.string().optional()
+      phone: z.string().optional(),
+      branchId: z.string().optional()
     });
     const parsed = createSchema.safeParse(req.body);
     if (!parsed.success) return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
 
-    const { name, email, role, phone } = parsed.data;
+    const { name, email, role, phone, branchId } = parsed.data;
+    if (branchId && !(await branchExists(branchId))) return res.status(400).json({ error: 'Branch not found' });
 
     // Ensure email not used by existing user or customer
     const existingUser = await prisma.user.findUnique({ where: { email } });
@@ -90,6 +98,7 @@ router.post('/', async (req, res) => {
         roleId: roleRec.id,
         name,
         phone: phone || undefined,
+        branchId: branchId || undefined,
         status: 'ACTIVE',
         mustChangePassword: true,
       },
@@ -101,13 +110,14 @@ router.post('/', async (req, res) => {
       console.warn(`[STAFF CREATE] Credentials for ${created.email} -> temp password: ${tempPassword}`);
     }
 
-    await logAudit(req, { action: 'STAFF_CREATE', entityType: 'User', entityId: created.id, details: { email: created.email, role: created.role?.name } });
+    await logAudit(req, { action: 'STAFF_CREATE', entityType: 'User', entityId: created.id, details: { email: created.email, role: created.role?.name, branchId: created.branchId } });
     return res.status(201).json({
       id: created.id,
       name: created.name,
       email: created.email,
       phone: created.phone,
       role: created.role?.name || null,
+      branchId: created.branchId,
       status: created.status,
       createdAt: created.createdAt,
       updatedAt: created.updatedAt,
@@ -134,6 +144,7 @@ router.get('/:id', async (req, res) => {
         email: true,
         phone: true,
         role: { select: { name: true } },
+        branch: { select: { id: true, code: true, name: true } },
         status: true,
         createdAt: true,
         updatedAt: true,
@@ -162,7 +173,9 @@ router.patch('/:id', async (req, res) => {
       email: z.string().email().optional(),
       role: z.string().min(2).optional(),
       phone: z.string().optional(),
-      status: z.enum(['ACTIVE','SUSPENDED']).optional()
+      status: z.enum(['ACTIVE','SUSPENDED']).optional(),
+      // null removes the user from their branch
+      branchId: z.string().nullable().optional()
     });
     const parsed = updateSchema.safeParse(req.body);
     if (!parsed.success) return res.status(400).json({ error: 'Invalid data', details: parsed.error.issues });
@@ -177,6 +190,8 @@ router.patch('/:id', async (req, res) => {
       if (existingCust) return res.status(400).json({ error: 'Email already in use' });
     }
 
+    if (data.branchId && !(await branchExists(data.branchId))) return res.status(400).json({ error: 'Branch not found' });
+
     // Load current target to enforce restrictions
     const target = await prisma.user.findUnique({ where: { id }, include: { role: true } });
     if (!target) return res.status(404).json({ error: 'Not found' });
@@ -209,11 +224,17 @@ router.patch('/:id', async (req, res) => {
         email: data.email,
         phone: data.phone,
         status: data.status,
+        branchId: data.branchId,
         ...(roleIdUpdate ? { roleId: roleIdUpdate } : {}),
       },
       include: { role: { select: { name: true } } }
     });
 
+    // Suspension takes effect immediately rather than when the access token expires
+    if (data.status === 'SUSPENDED' && target.status !== 'SUSPENDED') {
+      await terminateUserSessions(id, 'suspended');
+    }
+
     await logAudit(req, { action: 'STAFF_UPDATE', entityType: 'User', entityId: id, details: { changed: data, roleChanged: Boolean(roleIdUpdate) } });
 
     return res.json({
@@ -222,6 +243,7 @@ router.patch('/:id', async (req, res) => {
       email: updated.email,
       phone: updated.phone,
       role: updated.role?.name || null,
+      branchId: updated.branchId,
       status: updated.status,
       createdAt: updated.createdAt,
       updatedAt: updated.updatedAt,
@@ -1,8 +1,10 @@
 const { Router } = require('express');
 const { z } = require('zod');
 const { prisma } = require('../lib/prisma');
-const { authenticate, requireRole } = require('../middleware/auth');
-const { hasPermission } = require('../lib/permissions');
+const { authenticate } = require('../middleware/auth');
+const { resolveAccess } = require('../lib/permissions');
+const { ticketBranchWhere } = require('../lib/branches');
+const { findMembership } = require('../lib/customerMembers');
 
 const router = Router();
 
@@ -15,22 +17,23 @@ const createTicketSchema = z.object({
 
 router.use(authenticate);
 
-// Get current user's tickets (customer) or filtered list (staff)
+// Filtered list of all tickets (support:read), or the current user's own tickets plus their
+// customer account's when their member role allows it
 router.get('/tickets', async (req, res) => {
   try {
     const user = req.user;
 
-    if (user.role === 'CUSTOMER') {
+    const access = await resolveAccess(user, 'support:read');
+    if (!access || !access.all) {
       const tickets = await prisma.supportTicket.findMany({
-        where: { requesterUserId: user.sub },
+        where: access
+          ? { OR: [{ requesterUserId: user.sub }, { customerId: access.customer.id }] }
+          : { requesterUserId: user.sub },
         orderBy: { createdAt: 'desc' },
       });
       return res.json(tickets);
     }
 
-    const ok = await hasPermission(user.sub, 'support:read');
-    if (!ok) return res.status(403).json({ error: 'Forbidden' });
-
     const { status, priority, category, assigned } = req.query;
     const q = req.query.q ? String(req.query.q).trim() : '';
 
@@ -46,6 +49,7 @@ router.get('/tickets', async (req, res) => {
         category: category || undefined,
         assignedToUserId: assigned === 'unassigned' ? null : assigned || undefined,
         ...(q ? { OR: [ { subject: { contains: q } }, { messages: { some: { bodyText: { contains: q } } } } ] } : {}),
+        ...(access.branchId ? { AND: [ticketBranchWhere(access.branchId, user.sub)] } : {}),
       },
       orderBy: { createdAt: 'desc' },
       skip,
@@ -69,11 +73,14 @@ router.post('/tickets', async (req, res) => {
 
     const data = parsed.data;
     const user = req.user;
+    // Tickets raised by a customer account's members are shared with the account
+    const membership = await findMembership(user.sub);
 
     const ticket = await prisma.supportTicket.create({
       data: {
         ...data,
         requesterUserId: user.sub,
+        customerId: membership?.customer.id,
         status: 'open',
       },
       include: {
@@ -113,9 +120,17 @@ router.get('/tickets/:id', async (req, res) => {
       return res.status(404).json({ error: 'Support ticket not found' });
     }
 
-    // Check access permissions
-    if (user.role === 'CUSTOMER' && ticket.requesterUserId !== user.sub) {
-      return res.status(403).json({ error: 'Access denied' });
+    // Requesters see their own tickets; staff need support:read (for their branch, if scoped) and
+    // customer members a role allowing it on the ticket's account
+    if (ticket.requesterUserId !== user.sub) {
+      const access = await resolveAccess(user, 'support:read');
+      let visible = false;
+      if (access && !access.all) visible = ticket.customerId === access.customer.id;
+      else if (access) {
+        visible = !access.branchId
+          || await prisma.supportTicket.count({ where: { id: ticket.id, ...ticketBranchWhere(access.branchId, user.sub) } }) > 0;
+      }
+      if (!visible) return res.status(403).json({ error: 'Access denied' });
     }
 
     res.json(ticket);
@@ -3,6 +3,7 @@ const crypto = require('crypto');
 const BASE_URL = process.env.CLICKPESA_BASE_URL?.replace(/\/$/, '') || 'https://api.clickpesa.com';
 const CLIENT_ID = process.env.CLICKPESA_CLIENT_ID || '';
 const API_KEY = process.env.CLICKPESA_API_KEY || '';
+const WEBHOOK_SECRET = process.env.CLICKPESA_WEBHOOK_SECRET || API_KEY;
 
 let cachedToken = null;
 
@@ -42,6 +43,28 @@ function computeChecksum(payload) {
   return crypto.createHmac('sha256', API_KEY).update(body).digest('hex');
 }
 
+function safeEqualHex(a, b) {
+  const left = Buffer.from(String(a || '').toLowerCase(), 'utf8');
+  const right = Buffer.from(String(b || '').toLowerCase(), 'utf8');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Webhook signature check. A signature header is an HMAC-SHA256 of the exact raw body;
+// a `checksum` field inside the payload is checked with the same formula as computeChecksum.
+function verifyWebhookSignature(rawBody, signatureHeader, payload) {
+  if (!WEBHOOK_SECRET) return false;
+  if (signatureHeader) {
+    const expected = crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex');
+    return safeEqualHex(expected, signatureHeader);
+  }
+  if (payload && typeof payload === 'object' && payload.checksum) {
+    const { checksum, ...rest } = payload;
+    const expected = crypto.createHmac('sha256', WEBHOOK_SECRET).update(JSON.stringify(rest)).digest('hex');
+    return safeEqualHex(expected, checksum);
+  }
+  return false;
+}
+
 async function initiateUssdPush(params) {
   const token = await getToken();
   const url = `${BASE_URL}/third-parties/payments/initiate-ussd-push-request`;
@@ -104,10 +127,33 @@ async function initiateCardPayment(params) {
   });
 }
 
+// Provider statuses grouped by what they mean for our Payment rows
+const SUCCESS_STATUSES = new Set(['SUCCESS', 'SUCCESSFUL', 'SETTLED', 'COMPLETED', 'PAID']);
+const FAILURE_STATUSES = new Set(['FAILED', 'FAILURE', 'CANCELLED', 'CANCELED', 'REJECTED', 'EXPIRED', 'REVERSED']);
+
+// Normalize a provider payload (single object, array or { data }) to 'completed' | 'failed' | 'pending'
+function mapPaymentStatus(resp) {
+  const record = Array.isArray(resp) ? resp[0] : (resp?.data && !resp.status ? (Array.isArray(resp.data) ? resp.data[0] : resp.data) : resp);
+  const raw = String(record?.status || record?.paymentStatus || '').trim().toUpperCase();
+  if (SUCCESS_STATUSES.has(raw)) return 'completed';
+  if (FAILURE_STATUSES.has(raw)) return 'failed';
+  return 'pending';
+}
+
+// Provider-side transaction id, if the payload carries one
+function extractTransactionId(resp) {
+  const record = Array.isArray(resp) ? resp[0] : (resp?.data && !resp.id ? (Array.isArray(resp.data) ? resp.data[0] : resp.data) : resp);
+  const id = record?.paymentReference || record?.transactionId || record?.id;
+  return id ? String(id) : null;
+}
+
 module.exports = {
   getToken,
   computeChecksum,
+  verifyWebhookSignature,
   initiateUssdPush,
   checkPaymentStatus,
-  initiateCardPayment
+  initiateCardPayment,
+  mapPaymentStatus,
+  extractTransactionId
 };
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+
+/**
+ * Google sign-in (OAuth 2.0 authorization code flow with PKCE, OpenID Connect userinfo).
+ *
+ * Endpoints default to Google's and can be overridden with GOOGLE_AUTH_URL, GOOGLE_TOKEN_URL and
+ * GOOGLE_USERINFO_URL, e.g. to point at a local mock identity provider. Configuration is read
+ * per call so it can change without a restart in tests.
+ */
+function getGoogleConfig() {
+  return {
+    clientId: process.env.GOOGLE_CLIENT_ID || '',
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET || '',
+    redirectUri: process.env.GOOGLE_REDIRECT_URI || 'http://localhost:8080/auth/google/callback',
+    authUrl: process.env.GOOGLE_AUTH_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: process.env.GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+    userinfoUrl: process.env.GOOGLE_USERINFO_URL || 'https://openidconnect.googleapis.com/v1/userinfo',
+    scope: 'openid email profile',
+  };
+}
+
+function isGoogleConfigured() {
+  const config = getGoogleConfig();
+  return Boolean(config.clientId && config.clientSecret);
+}
+
+const base64url = (buf) => buf.toString('base64url');
+
+// PKCE verifier/challenge pair (RFC 7636, S256)
+function createPkcePair() {
+  const verifier = base64url(crypto.randomBytes(32));
+  const challenge = base64url(crypto.createHash('sha256').update(verifier).digest());
+  return { verifier, challenge };
+}
+
+function buildAuthorizationUrl({ state, codeChallenge }) {
+  const config = getGoogleConfig();
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scope,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+    prompt: 'select_account',
+  });
+  return `${config.authUrl}?${params.toString()}`;
+}
+
+async function fetchJson(url, init) {
+  const res = await fetch(url, init);
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw new Error(`Google ${init?.method || 'GET'} ${url} failed: ${res.status} ${text}`);
+  }
+  return res.json();
+}
+
+async function exchangeCode({ code, codeVerifier }) {
+  const config = getGoogleConfig();
+  const tokens = await fetchJson(config.tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.redirectUri,
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      code_verifier: codeVerifier,
+    }).toString(),
+  });
+  if (!tokens.access_token) throw new Error('Google token response has no access_token');
+  return tokens;
+}
+
+// Standard OIDC claims: sub, email, email_verified, given_name, family_name, name, picture
+async function fetchUserInfo(accessToken) {
+  const config = getGoogleConfig();
+  const info = await fetchJson(config.userinfoUrl, {
+    headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' },
+  });
+  if (!info.sub) throw new Error('Google userinfo has no subject');
+  return {
+    ...info,
+    email: info.email ? String(info.email).toLowerCase() : undefined,
+    email_verified: info.email_verified === true || info.email_verified === 'true',
+  };
+}
+
+module.exports = {
+  getGoogleConfig,
+  isGoogleConfigured,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  fetchUserInfo
+};
@@ -104,7 +104,8 @@ class NotificationService {
       'pending': 'Your payment is being processed',
       'completed': `Payment of ${amount} has been completed`,
       'failed': 'Your payment has failed',
-      'refunded': `Payment of ${amount} has been refunded`
+      'refunded': `Payment of ${amount} has been refunded`,
+      'voided': `Payment of ${amount} has been voided`
     };
 
     return this.createNotification({
@@ -0,0 +1,120 @@
+const { prisma } = require('../lib/prisma');
+
+/**
+ * Document numbers (tracking, invoice, booking request) backed by the SequenceCounter table.
+ *
+ * Formats are configurable per type through SEQUENCE_FORMAT_<TYPE> using the tokens
+ *   {YYYY} {YY} {MM}  issue date parts
+ *   {SEQ:n}           counter, zero-padded to at least n digits
+ *   {CHECK}           Luhn check digit over the digits that precede it
+ * A format containing {MM} restarts its counter every month, one containing {YYYY}/{YY}
+ * every year; otherwise the counter never resets.
+ */
+const SEQUENCE_TYPES = {
+  tracking: { env: 'SEQUENCE_FORMAT_TRACKING', defaultFormat: '0255{SEQ:8}{CHECK}' },
+  invoice: { env: 'SEQUENCE_FORMAT_INVOICE', defaultFormat: 'INV-{YYYY}{MM}-{SEQ:4}' },
+  booking_request: { env: 'SEQUENCE_FORMAT_BOOKING_REQUEST', defaultFormat: 'BR{YYYY}{SEQ:3}' },
+};
+
+function getFormat(type) {
+  const config = SEQUENCE_TYPES[type];
+  if (!config) throw new Error(`Unknown sequence type: ${type}`);
+  const raw = process.env[config.env];
+  const format = raw ? String(raw).trim().replace(/^"|"$/g, '') : config.defaultFormat;
+  if (!/\{SEQ(:\d+)?\}/.test(format)) {
+    throw new Error(`${config.env} must contain a {SEQ} token`);
+  }
+  return format;
+}
+
+function periodFor(format, date) {
+  const yyyy = String(date.getFullYear());
+  if (format.includes('{MM}')) return `${yyyy}${String(date.getMonth() + 1).padStart(2, '0')}`;
+  if (format.includes('{YYYY}') || format.includes('{YY}')) return yyyy;
+  return '';
+}
+
+// Luhn (mod 10) check digit for a string of digits
+function luhnCheckDigit(digits) {
+  let sum = 0;
+  let double = true;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let d = digits.charCodeAt(i) - 48;
+    if (double) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+    double = !double;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+function formatNumber(format, value, date) {
+  const out = format
+    .replace(/\{YYYY\}/g, String(date.getFullYear()))
+    .replace(/\{YY\}/g, String(date.getFullYear()).slice(-2))
+    .replace(/\{MM\}/g, String(date.getMonth() + 1).padStart(2, '0'))
+    .replace(/\{SEQ(?::(\d+))?\}/g, (_m, width) => String(value).padStart(Number(width || 0), '0'));
+
+  // Each {CHECK} covers the digits written before it
+  const parts = out.split('{CHECK}');
+  let result = parts[0];
+  for (let i = 1; i < parts.length; i++) {
+    result += luhnCheckDigit(result.replace(/\D/g, '')) + parts[i];
+  }
+  return result;
+}
+
+// Atomically increment the counter row. The UPDATE ... value = value + 1 holds the row lock until
+// the transaction commits, so the value read back is ours and concurrent callers get distinct values.
+async function incrementCounter(name, period) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const row = await prisma.$transaction((tx) => tx.sequenceCounter.update({
+        where: { name_period: { name, period } },
+        data: { value: { increment: 1 } },
+      }));
+      return row.value;
+    } catch (e) {
+      if (e.code !== 'P2025') throw e;
+    }
+    try {
+      const row = await prisma.sequenceCounter.create({ data: { name, period, value: 1 } });
+      return row.value;
+    } catch (e) {
+      // Another request created the row first; increment it on the next pass
+      if (e.code !== 'P2002') throw e;
+    }
+  }
+  throw new Error(`Could not allocate ${name} sequence number`);
+}
+
+async function nextNumber(type, date = new Date()) {
+  const format = getFormat(type);
+  const value = await incrementCounter(type, periodFor(format, date));
+  return formatNumber(format, value, date);
+}
+
+// A generated number can still meet one already in use (legacy rows, or one entered by hand):
+// skip past it rather than fail the insert on the unique column
+async function nextUnusedNumber(type, isTaken, date = new Date()) {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const number = await nextNumber(type, date);
+    if (!(await isTaken(number))) return number;
+  }
+  throw new Error(`Could not allocate an unused ${type} number`);
+}
+
+const invoiceNumberTaken = async (invoiceNumber) =>
+  Boolean(await prisma.invoice.findUnique({ where: { invoiceNumber }, select: { id: true } }));
+
+module.exports = {
+  SEQUENCE_TYPES,
+  nextNumber,
+  nextTrackingNumber: (date) => nextNumber('tracking', date),
+  nextInvoiceNumber: (date) => nextUnusedNumber('invoice', invoiceNumberTaken, date),
+  nextBookingRequestNumber: (date) => nextNumber('booking_request', date),
+  formatNumber,
+  luhnCheckDigit
+};
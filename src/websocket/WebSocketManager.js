@@ -1,6 +1,7 @@
 const { WebSocketServer, WebSocket } = require('ws');
 const jwt = require('jsonwebtoken');
 const EventEmitter = require('events');
+const { isSessionActive } = require('../lib/sessions');
 
 /**
  * Professional WebSocket Manager with production-ready features:
@@ -147,6 +148,10 @@ class WebSocketManager extends EventEmitter {
       const userRole = decoded.role || decoded.userRole;
       const tokenExp = decoded.exp;
 
+      if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+        return { success: false, code: 401, message: 'Session revoked' };
+      }
+
       // Check if token is expiring soon
       const now = Math.floor(Date.now() / 1000);
       const timeUntilExpiry = (tokenExp - now) * 1000;
@@ -441,6 +446,16 @@ class WebSocketManager extends EventEmitter {
     return false;
   }
 
+  // Close the user's connection, e.g. after their sessions were revoked or the account suspended
+  disconnectUser(userId, reason = 'Session revoked') {
+    const client = this.clients.get(userId);
+    if (!client) return false;
+    this.sendToClient(client, { type: 'session_revoked', message: reason });
+    client.close(4001, String(reason).slice(0, 120));
+    this.clients.delete(userId);
+    return true;
+  }
+
   broadcastToRole(role, message) {
     let sentCount = 0;
     this.clients.forEach((client) => {